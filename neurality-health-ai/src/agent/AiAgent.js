@@ -1,31 +1,26 @@
 // src/agent/aiAgent.js
-import OpenAI from "openai";
-import { decode } from "base64-arraybuffer";
-import fs from "fs";
+import { getProviders } from "../providers/index.js";
+import { getPromptRegistry } from "../prompts/registry.js";
+import { getTenantRegistry } from "../tenants/registry.js";
 
-const client = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-export async function respondToUser(inputText) {
+export async function respondToUser(inputText, tenant = getTenantRegistry().defaultTenant()) {
   try {
     console.log(`🧠 User said: ${inputText}`);
+    const { text: system } = getPromptRegistry().render("quick_reply_system", { clinic_name: tenant.name }, {
+      version: tenant.prompt_versions.quick_reply_system
+    });
 
     // Optimized for speed and conciseness
-    const response = await client.chat.completions.create({
-      model: "gpt-4o-mini",
+    const message = await getProviders().llm.chat({
       messages: [
-        { 
-          role: "system", 
-          content: "You are a professional front-desk assistant at Neurality Health. Be concise, helpful, and natural. Keep responses under 2 sentences unless asked for details. Focus on booking appointments, insurance coverage, and patient scheduling."
-        },
+        { role: "system", content: system },
         { role: "user", content: inputText },
       ],
-      max_tokens: 150, // Limit response length for speed
+      maxTokens: 150, // Limit response length for speed
       temperature: 0.7,
     });
 
-    const reply = response.choices[0].message.content;
+    const reply = message.content;
     console.log("🤖 AI:", reply);
     return reply;
   } catch (err) {
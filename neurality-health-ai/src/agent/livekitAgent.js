@@ -1,13 +1,16 @@
-import OpenAI from "openai";
+import { getProviders } from "../providers/index.js";
 import { logger } from "../utils/logger.js";
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+import { getPromptRegistry } from "../prompts/registry.js";
+import { getTenantRegistry } from "../tenants/registry.js";
 
-export async function runAgent(prompt){
-  const resp = await openai.chat.completions.create({
-    model:"gpt-4-turbo",
-    messages:[{role:"system",content:"You are Neurality Health AI front desk agent."},{role:"user",content:prompt}],
-    response_format:{ type:"json_object" }
+export async function runAgent(prompt, tenant = getTenantRegistry().defaultTenant()){
+  const { text: system } = getPromptRegistry().render("structured_agent_system", { clinic_name: tenant.name }, {
+    version: tenant.prompt_versions.structured_agent_system
   });
-  logger.info(resp.choices[0].message);
-  return resp.choices[0].message;
+  const message = await getProviders().llm.chat({
+    messages:[{role:"system",content:system},{role:"user",content:prompt}],
+    responseFormat:{ type:"json_object" }
+  });
+  logger.info(message);
+  return message;
 }
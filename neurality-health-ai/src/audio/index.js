@@ -0,0 +1,7 @@
+// src/audio/index.js
+// Shared audio toolkit: μ-law codec, resampling, WAV I/O, PCM helpers and VAD.
+export { mulawDecode, mulawEncode } from "./mulaw.js";
+export { resample } from "./resample.js";
+export { encodeWav, decodeWav } from "./wav.js";
+export { concatInt16, chunkFrames, applyGain, peakLevel, normalize } from "./pcm.js";
+export { VoiceActivityDetector, frameEnergyDb, zeroCrossingRate } from "./vad.js";
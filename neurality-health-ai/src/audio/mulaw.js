@@ -0,0 +1,48 @@
+// src/audio/mulaw.js
+// G.711 μ-law codec with precomputed tables (Twilio media streams are 8kHz μ-law).
+
+const BIAS = 0x84;
+const CLIP = 32635;
+
+const DECODE_TABLE = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+  const u = ~i & 0xff;
+  let t = ((u & 0x0f) << 3) + BIAS;
+  t <<= (u & 0x70) >>> 4;
+  t -= BIAS;
+  DECODE_TABLE[i] = (u & 0x80) ? -t : t;
+}
+
+function encodeSample(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = sign ? -sample : sample;
+  if (magnitude > CLIP) magnitude = CLIP;
+  magnitude += BIAS;
+
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) exponent--;
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+// Indexed by sample + 32768
+const ENCODE_TABLE = new Uint8Array(65536);
+for (let s = -32768; s < 32768; s++) ENCODE_TABLE[s + 32768] = encodeSample(s);
+
+/**
+ * μ-law bytes → PCM16
+ */
+export function mulawDecode(bytes) {
+  const out = new Int16Array(bytes.length);
+  for (let i = 0; i < bytes.length; i++) out[i] = DECODE_TABLE[bytes[i]];
+  return out;
+}
+
+/**
+ * PCM16 → μ-law bytes (as a Buffer, ready for base64)
+ */
+export function mulawEncode(int16) {
+  const out = Buffer.alloc(int16.length);
+  for (let i = 0; i < int16.length; i++) out[i] = ENCODE_TABLE[int16[i] + 32768];
+  return out;
+}
@@ -0,0 +1,60 @@
+// src/audio/pcm.js
+// PCM16 buffer helpers: concatenation, frame chunking, gain and normalization.
+
+function clamp16(v) {
+  return v > 32767 ? 32767 : v < -32768 ? -32768 : Math.round(v);
+}
+
+export function concatInt16(chunks) {
+  const total = chunks.reduce((n, c) => n + c.length, 0);
+  const out = new Int16Array(total);
+  let o = 0;
+  for (const c of chunks) { out.set(c, o); o += c.length; }
+  return out;
+}
+
+/**
+ * Split into fixed-size frames (160 samples = 20ms at 8kHz). A short tail is
+ * dropped unless `pad` is set, in which case it is zero-padded.
+ */
+export function chunkFrames(int16, frameSamples = 160, { pad = false } = {}) {
+  const frames = [];
+  for (let i = 0; i < int16.length; i += frameSamples) {
+    const frame = int16.subarray(i, i + frameSamples);
+    if (frame.length === frameSamples) {
+      frames.push(frame);
+    } else if (pad) {
+      const padded = new Int16Array(frameSamples);
+      padded.set(frame);
+      frames.push(padded);
+    }
+  }
+  return frames;
+}
+
+export function applyGain(int16, gainDb) {
+  const factor = Math.pow(10, gainDb / 20);
+  const out = new Int16Array(int16.length);
+  for (let i = 0; i < int16.length; i++) out[i] = clamp16(int16[i] * factor);
+  return out;
+}
+
+export function peakLevel(int16) {
+  let peak = 0;
+  for (let i = 0; i < int16.length; i++) {
+    const a = Math.abs(int16[i]);
+    if (a > peak) peak = a;
+  }
+  return peak;
+}
+
+/**
+ * Scale so the peak sits at `targetDbfs` (never boosts more than `maxGainDb`,
+ * so near-silence isn't blown up into noise)
+ */
+export function normalize(int16, { targetDbfs = -3, maxGainDb = 20 } = {}) {
+  const peak = peakLevel(int16);
+  if (!peak) return int16.slice();
+  const gainDb = Math.min(maxGainDb, targetDbfs - 20 * Math.log10(peak / 32768));
+  return applyGain(int16, gainDb);
+}
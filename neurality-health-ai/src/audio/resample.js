@@ -0,0 +1,85 @@
+// src/audio/resample.js
+// Anti-aliased polyphase resampler (windowed-sinc FIR) for arbitrary integer
+// sample rates, e.g. 24kHz TTS → 8kHz telephony.
+
+const ZERO_CROSSINGS = 16; // filter half-length, in zero crossings of the sinc
+const ROLLOFF = 0.92;      // cutoff as a fraction of the lower Nyquist frequency
+
+const filterCache = new Map();
+
+function gcd(a, b) {
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+function sinc(x) {
+  if (x === 0) return 1;
+  const px = Math.PI * x;
+  return Math.sin(px) / px;
+}
+
+// Blackman window over [-1, 1]
+function blackman(x) {
+  if (Math.abs(x) >= 1) return 0;
+  const t = (x + 1) / 2;
+  return 0.42 - 0.5 * Math.cos(2 * Math.PI * t) + 0.08 * Math.cos(4 * Math.PI * t);
+}
+
+/**
+ * One FIR per output phase. Phase p covers output samples that fall p/up of
+ * the way between two input samples; taps are normalized to unity DC gain.
+ */
+function buildFilter(up, down) {
+  const key = `${up}/${down}`;
+  if (filterCache.has(key)) return filterCache.get(key);
+
+  const cutoff = Math.min(1, up / down) * ROLLOFF; // in input-rate Nyquist units
+  const halfTaps = Math.ceil(ZERO_CROSSINGS / cutoff);
+  const phases = [];
+  for (let p = 0; p < up; p++) {
+    const frac = p / up;
+    const taps = new Float64Array(2 * halfTaps);
+    let sum = 0;
+    for (let k = 0; k < taps.length; k++) {
+      const x = k - halfTaps + 1 - frac; // distance from the output instant, in input samples
+      taps[k] = cutoff * sinc(cutoff * x) * blackman(x / (halfTaps + 1));
+      sum += taps[k];
+    }
+    for (let k = 0; k < taps.length; k++) taps[k] /= sum;
+    phases.push(taps);
+  }
+
+  const filter = { phases, halfTaps };
+  filterCache.set(key, filter);
+  return filter;
+}
+
+/**
+ * Resample PCM16 from `fromRate` to `toRate`
+ */
+export function resample(int16, fromRate, toRate) {
+  if (fromRate === toRate) return int16;
+
+  const g = gcd(fromRate, toRate);
+  const up = toRate / g;
+  const down = fromRate / g;
+  const { phases, halfTaps } = buildFilter(up, down);
+
+  const outLength = Math.floor(int16.length * up / down);
+  const out = new Int16Array(outLength);
+  const last = int16.length - 1;
+
+  for (let n = 0; n < outLength; n++) {
+    const pos = n * down;
+    const base = Math.floor(pos / up);
+    const taps = phases[pos % up];
+    let acc = 0;
+    for (let k = 0; k < taps.length; k++) {
+      const idx = base + k - halfTaps + 1;
+      if (idx < 0 || idx > last) continue;
+      acc += int16[idx] * taps[k];
+    }
+    out[n] = acc > 32767 ? 32767 : acc < -32768 ? -32768 : Math.round(acc);
+  }
+  return out;
+}
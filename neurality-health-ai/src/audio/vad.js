@@ -0,0 +1,133 @@
+// src/audio/vad.js
+// Energy + zero-crossing-rate voice activity detector for 8kHz PCM16 (the
+// output of mulawDecode). The noise floor adapts over time; onset and
+// hangover smoothing turn noisy per-frame decisions into speech segments.
+
+const DEFAULTS = {
+  sampleRate: 8000,
+  frameMs: 20,
+  thresholdDb: 10,     // frame must be this far above the noise floor
+  minSpeechDb: -45,    // ...and above this absolute level (dBFS)
+  maxZcr: 0.35,        // white noise/hiss crosses zero on ~half the samples
+  onsetFrames: 3,      // 60ms of speech-like frames before speech starts
+  hangoverFrames: 15,  // 300ms of non-speech before speech ends
+  initialFloorDb: -60,
+  floorAttack: 0.01,   // slow rise while speaking (noise got louder)
+  floorRelease: 0.05,  // tracking while not speaking
+  floorDrop: 0.3       // fast fall when a frame is quieter than the floor
+};
+
+const MIN_DB = -96;
+
+/**
+ * RMS level of a frame in dBFS
+ */
+export function frameEnergyDb(frame) {
+  if (!frame.length) return MIN_DB;
+  let sum = 0;
+  for (let i = 0; i < frame.length; i++) sum += frame[i] * frame[i];
+  const rms = Math.sqrt(sum / frame.length) / 32768;
+  return rms > 0 ? Math.max(MIN_DB, 20 * Math.log10(rms)) : MIN_DB;
+}
+
+/**
+ * Fraction of adjacent samples that change sign
+ */
+export function zeroCrossingRate(frame) {
+  if (frame.length < 2) return 0;
+  let crossings = 0;
+  for (let i = 1; i < frame.length; i++) {
+    if ((frame[i - 1] >= 0) !== (frame[i] >= 0)) crossings++;
+  }
+  return crossings / (frame.length - 1);
+}
+
+export class VoiceActivityDetector {
+  constructor(options = {}) {
+    this.opts = { ...DEFAULTS, ...options };
+    this.frameSamples = Math.round(this.opts.sampleRate * this.opts.frameMs / 1000);
+    this.reset();
+  }
+
+  reset() {
+    this.noiseFloorDb = this.opts.initialFloorDb;
+    this.speaking = false;
+    this.speechRun = 0;   // consecutive speech-like frames
+    this.silenceRun = 0;  // consecutive non-speech frames
+    this.speechFrames = 0; // frames since the current speech segment started
+    this.pending = new Int16Array(0);
+  }
+
+  /**
+   * Feed any amount of PCM16. Returns one result per complete frame:
+   * { speech, started, ended, energyDb, zcr }
+   */
+  process(pcm16) {
+    let samples = pcm16;
+    if (this.pending.length) {
+      samples = new Int16Array(this.pending.length + pcm16.length);
+      samples.set(this.pending);
+      samples.set(pcm16, this.pending.length);
+    }
+
+    const results = [];
+    let offset = 0;
+    for (; offset + this.frameSamples <= samples.length; offset += this.frameSamples) {
+      results.push(this.processFrame(samples.subarray(offset, offset + this.frameSamples)));
+    }
+    this.pending = samples.slice(offset);
+    return results;
+  }
+
+  processFrame(frame) {
+    const o = this.opts;
+    const energyDb = frameEnergyDb(frame);
+    const zcr = zeroCrossingRate(frame);
+    const speechLike = energyDb > this.noiseFloorDb + o.thresholdDb && energyDb > o.minSpeechDb && zcr < o.maxZcr;
+
+    this.updateNoiseFloor(energyDb, speechLike);
+
+    let started = false;
+    let ended = false;
+    if (speechLike) {
+      this.speechRun++;
+      this.silenceRun = 0;
+      if (!this.speaking && this.speechRun >= o.onsetFrames) {
+        this.speaking = true;
+        this.speechFrames = this.speechRun;
+        started = true;
+      } else if (this.speaking) {
+        this.speechFrames++;
+      }
+    } else {
+      this.speechRun = 0;
+      this.silenceRun++;
+      if (this.speaking) {
+        this.speechFrames++;
+        if (this.silenceRun >= o.hangoverFrames) {
+          this.speaking = false;
+          this.speechFrames = 0;
+          ended = true;
+        }
+      }
+    }
+
+    return { speech: this.speaking, started, ended, energyDb, zcr };
+  }
+
+  updateNoiseFloor(energyDb, speechLike) {
+    const o = this.opts;
+    let rate;
+    if (energyDb < this.noiseFloorDb) rate = o.floorDrop;
+    else if (speechLike || this.speaking) rate = o.floorAttack;
+    else rate = o.floorRelease;
+    this.noiseFloorDb += (energyDb - this.noiseFloorDb) * rate;
+  }
+
+  /**
+   * Duration of the current speech segment in ms (0 when not speaking)
+   */
+  get speechMs() {
+    return this.speaking ? this.speechFrames * this.opts.frameMs : 0;
+  }
+}
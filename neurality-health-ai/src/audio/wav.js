@@ -0,0 +1,85 @@
+// src/audio/wav.js
+// Minimal RIFF/WAVE reader and writer for mono PCM16 work.
+import { mulawDecode } from "./mulaw.js";
+
+const FORMAT_PCM = 1;
+const FORMAT_FLOAT = 3;
+const FORMAT_MULAW = 7;
+
+/**
+ * PCM16 mono → WAV file bytes
+ */
+export function encodeWav(int16, sampleRate) {
+  const dataBytes = int16.length * 2;
+  const buf = Buffer.alloc(44 + dataBytes);
+  buf.write("RIFF", 0, "ascii");
+  buf.writeUInt32LE(36 + dataBytes, 4);
+  buf.write("WAVE", 8, "ascii");
+  buf.write("fmt ", 12, "ascii");
+  buf.writeUInt32LE(16, 16);
+  buf.writeUInt16LE(FORMAT_PCM, 20);
+  buf.writeUInt16LE(1, 22); // channels
+  buf.writeUInt32LE(sampleRate, 24);
+  buf.writeUInt32LE(sampleRate * 2, 28); // byte rate
+  buf.writeUInt16LE(2, 32); // block align
+  buf.writeUInt16LE(16, 34); // bits per sample
+  buf.write("data", 36, "ascii");
+  buf.writeUInt32LE(dataBytes, 40);
+  for (let i = 0; i < int16.length; i++) buf.writeInt16LE(int16[i], 44 + i * 2);
+  return buf;
+}
+
+/**
+ * WAV file bytes → { samples: Int16Array (mono mixdown), sampleRate, channels }.
+ * Reads 8/16-bit PCM, 32-bit float and μ-law.
+ */
+export function decodeWav(input) {
+  const buf = Buffer.isBuffer(input) ? input : Buffer.from(input);
+  if (buf.toString("ascii", 0, 4) !== "RIFF" || buf.toString("ascii", 8, 12) !== "WAVE") {
+    throw new Error("Not a RIFF/WAVE file");
+  }
+
+  let fmt = null;
+  let data = null;
+  for (let offset = 12; offset + 8 <= buf.length;) {
+    const id = buf.toString("ascii", offset, offset + 4);
+    const size = buf.readUInt32LE(offset + 4);
+    const body = offset + 8;
+    if (id === "fmt ") {
+      fmt = {
+        format: buf.readUInt16LE(body),
+        channels: buf.readUInt16LE(body + 2),
+        sampleRate: buf.readUInt32LE(body + 4),
+        bitsPerSample: buf.readUInt16LE(body + 14)
+      };
+    } else if (id === "data") {
+      data = buf.subarray(body, Math.min(buf.length, body + size));
+    }
+    offset = body + size + (size & 1); // chunks are word-aligned
+  }
+  if (!fmt || !data) throw new Error("WAV file is missing fmt or data chunk");
+
+  const { format, channels, sampleRate, bitsPerSample } = fmt;
+  const bytesPerSample = bitsPerSample / 8;
+  const frames = Math.floor(data.length / (bytesPerSample * channels));
+
+  let read;
+  if (format === FORMAT_PCM && bitsPerSample === 16) read = i => data.readInt16LE(i * 2);
+  else if (format === FORMAT_PCM && bitsPerSample === 8) read = i => (data[i] - 128) << 8;
+  else if (format === FORMAT_FLOAT && bitsPerSample === 32) read = i => data.readFloatLE(i * 4) * 32768;
+  else if (format === FORMAT_MULAW && bitsPerSample === 8) {
+    const decoded = mulawDecode(data);
+    read = i => decoded[i];
+  } else {
+    throw new Error(`Unsupported WAV format ${format} (${bitsPerSample}-bit)`);
+  }
+
+  const samples = new Int16Array(frames);
+  for (let f = 0; f < frames; f++) {
+    let sum = 0;
+    for (let c = 0; c < channels; c++) sum += read(f * channels + c);
+    const v = Math.round(sum / channels);
+    samples[f] = v > 32767 ? 32767 : v < -32768 ? -32768 : v;
+  }
+  return { samples, sampleRate, channels };
+}
@@ -0,0 +1,156 @@
+// src/audit/api.js
+// Authenticated HTTP API for reviewing calls: search audits by date range,
+// outcome, intent, tool errors and caller last 4, and fetch one call's full
+// audit. Reviewers authenticate with a bearer API key from AUDIT_API_KEYS
+// ("name:key,name:key"); every search and every full-audit read is logged
+// with the reviewer, and reads also need a reason. `tenant` picks the clinic
+// whose audits are searched (default tenant when omitted).
+import crypto from "crypto";
+import express from "express";
+import { logger } from "../utils/logger.js";
+import { logSecurityEvent } from "../twilio/security.js";
+import { getAuditStore, OUTCOMES } from "./store.js";
+import { startRetentionJob } from "./retention.js";
+import { getTenantRegistry } from "../tenants/registry.js";
+
+const MAX_LIMIT = 200;
+
+const digest = (value) => crypto.createHash("sha256").update(value).digest();
+
+/**
+ * Reviewer name → key, from AUDIT_API_KEYS
+ */
+export function auditApiKeys(env = process.env) {
+  return new Map((env.AUDIT_API_KEYS || "")
+    .split(",")
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const i = entry.indexOf(":");
+      return [entry.slice(0, i), entry.slice(i + 1)];
+    })
+    .filter(([name, key]) => name && key));
+}
+
+/**
+ * Express middleware: `Authorization: Bearer <key>`; sets req.reviewer
+ */
+function requireApiKey(keys) {
+  return (req, res, next) => {
+    const details = { path: req.path, ip: req.ip };
+    if (!keys.size) {
+      logSecurityEvent("audit_api_not_configured", details);
+      return res.status(503).json({ ok: false, error: "Audit API keys are not configured" });
+    }
+
+    const token = (req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+    const presented = digest(token);
+    // Compare digests so the check takes the same time for every key
+    const reviewer = [...keys].find(([, key]) => crypto.timingSafeEqual(digest(key), presented))?.[0];
+    if (!token || !reviewer) {
+      logSecurityEvent("audit_api_unauthorized", details);
+      return res.status(401).json({ ok: false, error: "Unauthorized" });
+    }
+    req.reviewer = reviewer;
+    next();
+  };
+}
+
+/**
+ * Query string → store filters, or { error }
+ */
+function parseFilters(query) {
+  const filters = {};
+  for (const key of ["from", "to"]) {
+    if (query[key] === undefined) continue;
+    if (Number.isNaN(Date.parse(query[key]))) return { error: `${key} must be an ISO date` };
+    filters[key] = query[key];
+  }
+  if (query.outcome !== undefined) {
+    if (!OUTCOMES.includes(query.outcome)) return { error: `outcome must be one of ${OUTCOMES.join(", ")}` };
+    filters.outcome = query.outcome;
+  }
+  if (query.intent) filters.intent = query.intent;
+  if (query.tool_error !== undefined) filters.tool_error = query.tool_error === "true" ? true : query.tool_error;
+  if (query.last4 !== undefined) {
+    if (!/^\d{4}$/.test(query.last4)) return { error: "last4 must be 4 digits" };
+    filters.last4 = query.last4;
+  }
+  const limit = Number(query.limit ?? 50);
+  const offset = Number(query.offset ?? 0);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) return { error: `limit must be 1-${MAX_LIMIT}` };
+  if (!Number.isInteger(offset) || offset < 0) return { error: "offset must be 0 or more" };
+  return { filters: { ...filters, limit, offset } };
+}
+
+/**
+ * Audit store of a tenant (the default tenant when no ID is given); null for
+ * an unknown tenant
+ */
+function tenantStore(tenantId) {
+  const registry = getTenantRegistry();
+  const tenant = tenantId ? registry.get(tenantId) : registry.defaultTenant();
+  return tenant && getAuditStore(tenant.audit_dir);
+}
+
+/**
+ * `store` serves every request regardless of `tenant` (tests); by default
+ * each tenant's own audit store is used
+ */
+export function createAuditApp({ store, keys = auditApiKeys() } = {}) {
+  const storeFor = store ? () => store : tenantStore;
+  const app = express();
+  app.use(requireApiKey(keys));
+
+  // Resolve ?tenant= to req.store
+  app.use((req, res, next) => {
+    req.store = storeFor(req.query.tenant);
+    if (!req.store) return res.status(404).json({ ok: false, error: "Unknown tenant" });
+    next();
+  });
+
+  app.get("/audits", (req, res) => {
+    const { filters, error } = parseFilters(req.query);
+    if (error) return res.status(400).json({ ok: false, error });
+
+    const result = req.store.list(filters);
+    logger.info({ event: "audit_search", reviewer: req.reviewer, tenant: req.query.tenant, filters, total: result.total });
+    res.json(result);
+  });
+
+  app.get("/audits/:callId", (req, res) => {
+    const { callId } = req.params;
+    const { tenant } = req.query;
+    const reason = req.query.reason || req.headers["x-audit-reason"];
+    if (!reason) return res.status(400).json({ ok: false, error: "A reason is required to read an audit" });
+    if (!req.store.isCallId(callId)) return res.status(400).json({ ok: false, error: "Invalid call ID" });
+
+    let audit;
+    try {
+      audit = req.store.get(callId);
+    } catch (err) {
+      logger.warn({ event: "audit_access", callId, tenant, reviewer: req.reviewer, reason, via: "api", status: "failed", error: err.message });
+      return res.status(500).json({ ok: false, error: "Audit could not be read" });
+    }
+    if (!audit) return res.status(404).json({ ok: false, error: "Unknown call" });
+
+    logger.info({ event: "audit_access", callId, tenant, reviewer: req.reviewer, reason, via: "api", status: "read" });
+    res.json(audit);
+  });
+
+  return app;
+}
+
+/**
+ * Serve the audit API and start the retention job
+ */
+export async function startAuditApi(port) {
+  const app = createAuditApp();
+  startRetentionJob();
+  return new Promise(resolve => {
+    const server = app.listen(port, () => {
+      console.log("✅ Audit API on", port);
+      resolve(server);
+    });
+  });
+}
@@ -0,0 +1,70 @@
+// src/audit/crypto.js
+// AES-256-GCM encryption for per-call audit files. The call ID is bound in as
+// additional authenticated data, so an audit can't be swapped into another
+// call's file. Keys come from AUDIT_ENCRYPTION_KEY (32 bytes, hex or base64);
+// AUDIT_PREVIOUS_KEYS (comma-separated) keeps rotated-out keys readable.
+import crypto from "crypto";
+
+export const AUDIT_FORMAT = "neurality-audit-v1";
+const ALGORITHM = "aes-256-gcm";
+const IV_BYTES = 12;
+
+/**
+ * 32-byte key from 64 hex chars or base64
+ */
+export function parseKey(value) {
+  const text = String(value).trim();
+  const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, "hex") : Buffer.from(text, "base64");
+  if (key.length !== 32) throw new Error("Audit encryption keys must be 32 bytes (64 hex chars or base64)");
+  return key;
+}
+
+/**
+ * Short fingerprint stored with each file, to pick the right key after rotation
+ */
+export function keyId(key) {
+  return crypto.createHash("sha256").update(key).digest("hex").slice(0, 8);
+}
+
+/**
+ * { current, all } keys from the environment; current is null when unset
+ */
+export function auditKeys(env = process.env) {
+  const current = env.AUDIT_ENCRYPTION_KEY ? parseKey(env.AUDIT_ENCRYPTION_KEY) : null;
+  const previous = (env.AUDIT_PREVIOUS_KEYS || "").split(",").filter(k => k.trim()).map(parseKey);
+  return { current, all: current ? [current, ...previous] : previous };
+}
+
+export function isEncrypted(parsed) {
+  return parsed?.format === AUDIT_FORMAT;
+}
+
+export function encryptAudit(data, callId, key) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(String(callId)));
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(data), "utf8"), cipher.final()]);
+  return {
+    format: AUDIT_FORMAT,
+    alg: ALGORITHM,
+    kid: keyId(key),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    ciphertext: ciphertext.toString("base64")
+  };
+}
+
+/**
+ * Decrypt an envelope with whichever of `keys` matches its key ID. Throws if
+ * no key matches or the file (or its call ID) was tampered with.
+ */
+export function decryptAudit(envelope, callId, keys) {
+  const key = keys.find(k => keyId(k) === envelope.kid);
+  if (!key) throw new Error(`No audit key matches key id ${envelope.kid}`);
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, "base64"));
+  decipher.setAAD(Buffer.from(String(callId)));
+  decipher.setAuthTag(Buffer.from(envelope.tag, "base64"));
+  const plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.ciphertext, "base64")), decipher.final()]);
+  return JSON.parse(plaintext.toString("utf8"));
+}
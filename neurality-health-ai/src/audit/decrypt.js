@@ -0,0 +1,70 @@
+// src/audit/decrypt.js
+// Decrypts a per-call audit file for review. Every use is logged with the
+// reviewer and the stated reason, so access to PHI can be accounted for.
+//
+//   npm run audit:decrypt -- <file|callId> --reason "billing dispute" [--tenant id] [--out path]
+import dotenv from "dotenv";
+dotenv.config();
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const { logger, readCallAudit, auditDir } = await import("../utils/logger.js");
+const { getTenantRegistry } = await import("../tenants/registry.js");
+
+function parseArgs(argv) {
+  const args = { target: null, reason: null, out: null, tenant: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--reason") args.reason = argv[++i];
+    else if (argv[i] === "--out") args.out = argv[++i];
+    else if (argv[i] === "--tenant") args.tenant = argv[++i];
+    else if (!args.target) args.target = argv[i];
+  }
+  return args;
+}
+
+const { target, reason, out, tenant: tenantId } = parseArgs(process.argv.slice(2));
+if (!target || !reason) {
+  console.error('Usage: npm run audit:decrypt -- <file|callId> --reason "why you need it" [--tenant id] [--out path]');
+  process.exit(2);
+}
+
+const tenant = tenantId ? getTenantRegistry().get(tenantId) : getTenantRegistry().defaultTenant();
+if (!tenant) {
+  console.error(`❌ Unknown tenant ${tenantId}`);
+  process.exit(2);
+}
+
+// A call ID (in the tenant's audit directory), its audit JSON or its event log
+const isFile = fs.existsSync(target);
+const callId = isFile ? path.basename(target).replace(/(\.events\.jsonl|\.json)$/, "") : target;
+const dir = isFile ? path.dirname(target) : tenant.audit_dir || auditDir();
+const file = path.join(dir, `${callId}.json`);
+const eventsFile = path.join(dir, `${callId}.events.jsonl`);
+if (!fs.existsSync(file) && !fs.existsSync(eventsFile)) {
+  console.error(`❌ No audit file for ${target}`);
+  process.exit(1);
+}
+
+const reviewer = process.env.AUDIT_REVIEWER || os.userInfo().username;
+
+let audit;
+try {
+  // The event log is the source of truth; after a crash the JSON may be stale or missing
+  audit = readCallAudit(callId, dir);
+} catch (err) {
+  logger.warn({ event: "audit_access", callId, reviewer, reason, status: "failed", error: err.message });
+  console.error(`❌ Could not decrypt ${file}: ${err.message}`);
+  process.exit(1);
+}
+
+logger.info({ event: "audit_access", callId, reviewer, reason, status: "decrypted" });
+
+const text = JSON.stringify(audit, null, 2);
+if (out) {
+  fs.writeFileSync(out, text, { mode: 0o600 });
+  console.error(`✅ Decrypted ${callId} to ${out}`);
+} else {
+  process.stdout.write(text + "\n");
+}
@@ -0,0 +1,134 @@
+// src/audit/eventLog.js
+// Append-only per-call event log (`logs/{callId}.events.jsonl`). Transcript
+// turns, tool calls, slot changes and section updates (lifecycle, transfer,
+// identity, ...) are appended one line at a time as they happen, so a crash
+// mid-call loses at most the line being written. The audit JSON is a fold
+// over these events (`buildAudit`).
+import fs from "fs";
+import { encryptAudit, decryptAudit, isEncrypted } from "./crypto.js";
+
+export const EVENT_LOG_VERSION = 1;
+export const AUDIT_VERSION = 1;
+
+// file → seq of its last event. The agent, lifecycle callbacks and transfers
+// each open their own EventLog on a call's file; sharing the counter keeps
+// them in one sequence without re-reading the file on every append.
+const lastSeqs = new Map();
+
+export class EventLog {
+  /**
+   * `key` encrypts each line (AES-256-GCM, call ID as AAD); `keys` decrypt
+   */
+  constructor(file, callId, { key = null, keys = [] } = {}) {
+    this.file = file;
+    this.callId = callId;
+    this.key = key;
+    this.keys = keys;
+  }
+
+  exists() {
+    return fs.existsSync(this.file);
+  }
+
+  /**
+   * `seq` continues from the file's last event, read from the file the first
+   * time it's written to in this process and counted in memory after that
+   */
+  append(type, data) {
+    const seq = (lastSeqs.has(this.file) ? lastSeqs.get(this.file) : this.lastSeq()) + 1;
+    const event = { v: EVENT_LOG_VERSION, seq, ts: new Date().toISOString(), type, data };
+    const line = this.key ? encryptAudit(event, this.callId, this.key) : event;
+    fs.appendFileSync(this.file, JSON.stringify(line) + "\n", { mode: 0o600 });
+    lastSeqs.set(this.file, seq);
+    return event;
+  }
+
+  /**
+   * Drop the in-memory seq once the call is finalized; a late writer reads it
+   * from the file again
+   */
+  forget() {
+    lastSeqs.delete(this.file);
+  }
+
+  /**
+   * seq of the last complete event, or -1 when there is none
+   */
+  lastSeq() {
+    if (!this.exists()) return -1;
+    const lines = fs.readFileSync(this.file, "utf8").split("\n").filter(Boolean);
+    for (let i = lines.length - 1; i >= 0; i--) {
+      let parsed;
+      try {
+        parsed = JSON.parse(lines[i]);
+      } catch (err) {
+        continue; // torn last line
+      }
+      return (isEncrypted(parsed) ? decryptAudit(parsed, this.callId, this.keys) : parsed).seq;
+    }
+    return -1;
+  }
+
+  /**
+   * All events in order. A torn last line (crash mid-write) is skipped.
+   */
+  read() {
+    if (!this.exists()) return [];
+    const lines = fs.readFileSync(this.file, "utf8").split("\n").filter(Boolean);
+    const events = [];
+    lines.forEach((line, i) => {
+      let parsed;
+      try {
+        parsed = JSON.parse(line);
+      } catch (err) {
+        if (i === lines.length - 1) return;
+        throw new Error(`Corrupt event log ${this.file} at line ${i + 1}`);
+      }
+      events.push(isEncrypted(parsed) ? decryptAudit(parsed, this.callId, this.keys) : parsed);
+    });
+    return events;
+  }
+}
+
+/**
+ * Fold events into the audit JSON:
+ * - transcript / tool_call: appended to `transcript` / `tool_trace`
+ * - transcript_truncated: barge-in edit of an earlier transcript entry
+ * - turn_timings: stage latencies for an agent transcript entry
+ * - slots: changed slot values, intent: a new intent
+ * - section: replaces one top-level key (lifecycle, transfer, outcome, ...)
+ * - snapshot: replaces the whole audit (legacy `push`)
+ */
+export function buildAudit(callId, events) {
+  const empty = () => ({ audit_version: AUDIT_VERSION, call_id: callId, transcript: [], intents: [], slots: {}, tool_trace: [] });
+  let audit = empty();
+  for (const { type, data } of events) {
+    switch (type) {
+      case "transcript":
+        audit.transcript.push(data);
+        break;
+      case "transcript_truncated":
+        if (audit.transcript[data.index]) Object.assign(audit.transcript[data.index], data.entry);
+        break;
+      case "turn_timings":
+        if (audit.transcript[data.index]) audit.transcript[data.index].timings = data.timings;
+        break;
+      case "tool_call":
+        audit.tool_trace.push(data);
+        break;
+      case "slots":
+        audit.slots = { ...audit.slots, ...data };
+        break;
+      case "intent":
+        if (!audit.intents.includes(data.intent)) audit.intents.push(data.intent);
+        break;
+      case "section":
+        audit[data.key] = data.value;
+        break;
+      case "snapshot":
+        audit = { ...empty(), ...data, audit_version: AUDIT_VERSION, call_id: callId };
+        break;
+    }
+  }
+  return audit;
+}
@@ -0,0 +1,76 @@
+// src/audit/retention.js
+// Retention for per-call audits (DESIGN.md: 7 years). A background job
+// archives, or purges, every call that ended more than AUDIT_RETENTION_DAYS
+// ago and logs each one, in every tenant's audit directory.
+import path from "path";
+import { logger } from "../utils/logger.js";
+import { getAuditStore } from "./store.js";
+import { getTenantRegistry } from "../tenants/registry.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function retentionPolicy(env = process.env) {
+  return {
+    days: Number(env.AUDIT_RETENTION_DAYS || 2555),
+    action: env.AUDIT_RETENTION_ACTION === "purge" ? "purge" : "archive",
+    archiveDir: env.AUDIT_ARCHIVE_DIR ? path.resolve(env.AUDIT_ARCHIVE_DIR) : null, // null: <audit dir>/archive
+    intervalHours: Number(env.AUDIT_RETENTION_INTERVAL_HOURS || 24)
+  };
+}
+
+/**
+ * Archive or purge expired calls. Age is taken from when the call ended;
+ * audits that can't be read fall back to their files' modification time.
+ * Returns [{ call_id, action, ended_at }].
+ */
+export function enforceRetention({ store = getAuditStore(), policy = retentionPolicy(), now = Date.now() } = {}) {
+  const cutoff = now - policy.days * DAY_MS;
+  const archiveDir = policy.archiveDir || path.join(store.dir, "archive");
+  const removed = [];
+
+  for (const callId of store.callIds()) {
+    const endedAt = store.summary(callId)?.ended_at || new Date(store.lastModified(callId)).toISOString();
+    if (Date.parse(endedAt) >= cutoff) continue;
+
+    const files = store.remove(callId, policy.action === "archive" ? archiveDir : null);
+    logger.info({
+      event: "audit_retention",
+      callId,
+      action: policy.action,
+      ended_at: endedAt,
+      retention_days: policy.days,
+      files: files.map(f => path.basename(f))
+    });
+    removed.push({ call_id: callId, action: policy.action, ended_at: endedAt });
+  }
+
+  if (removed.length) console.log(`🗄️ Retention: ${policy.action}d ${removed.length} audit(s) older than ${policy.days} days`);
+  return removed;
+}
+
+/**
+ * Run now, then every `intervalHours`, over each tenant's audit directory
+ * (tenants sharing one are visited once). A shared AUDIT_ARCHIVE_DIR gets a
+ * subdirectory per tenant. The timer doesn't keep the process alive.
+ */
+export function startRetentionJob(policy = retentionPolicy()) {
+  const tenants = getTenantRegistry().list();
+  const run = () => {
+    const seen = new Set();
+    for (const tenant of tenants) {
+      const store = getAuditStore(tenant.audit_dir);
+      if (seen.has(store.dir)) continue;
+      seen.add(store.dir);
+      const archiveDir = policy.archiveDir && tenants.length > 1 ? path.join(policy.archiveDir, tenant.id) : policy.archiveDir;
+      try {
+        enforceRetention({ store, policy: { ...policy, archiveDir } });
+      } catch (err) {
+        logger.error({ event: "audit_retention", tenant: tenant.id, status: "failed", error: err.message });
+      }
+    }
+  };
+  run();
+  const timer = setInterval(run, policy.intervalHours * 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+}
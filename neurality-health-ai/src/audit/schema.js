@@ -0,0 +1,21 @@
+// src/audit/schema.js
+// Published audit JSON Schemas, one file per version in ./schemas. Audits are
+// validated against the version they declare in `audit_version`.
+import fs from "fs";
+import { validate } from "../utils/validator.js";
+
+const schemas = {
+  1: JSON.parse(fs.readFileSync(new URL("./schemas/audit.v1.json", import.meta.url), "utf8"))
+};
+
+export function auditSchema(version) {
+  return schemas[version] || null;
+}
+
+export function validateAudit(audit) {
+  const schema = auditSchema(audit?.audit_version);
+  if (!schema) {
+    return { ok: false, errors: [{ instancePath: "/audit_version", message: `unknown audit version ${audit?.audit_version}` }] };
+  }
+  return validate(schema, audit);
+}
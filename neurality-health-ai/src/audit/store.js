@@ -0,0 +1,163 @@
+// src/audit/store.js
+// Read side of the per-call audits: lists calls with a PHI-free summary
+// (when, outcome, intents, tool errors, caller last 4) for search, returns one
+// call's full audit, and archives or purges calls for retention.
+import fs from "fs";
+import path from "path";
+import { auditDir, readCallAudit } from "../utils/logger.js";
+
+export const OUTCOMES = ["booked", "cancelled", "rescheduled", "transferred", "denied", "callback", "none"];
+
+const CALL_ID_PATTERN = /^[\w-]+$/;
+const FILE_SUFFIXES = [".events.jsonl", ".json"];
+
+const lastFour = (phone) => {
+  const digits = String(phone || "").replace(/\D/g, "");
+  return digits.length >= 4 ? digits.slice(-4) : null;
+};
+
+/**
+ * Search fields for one audit; no names, numbers or transcript text
+ */
+export function summarizeAudit(callId, audit, mtimeMs) {
+  const trace = audit.tool_trace || [];
+  const outcome = audit.outcome || {};
+  const lifecycle = audit.lifecycle || {};
+
+  const outcomes = [];
+  if (outcome.booked) outcomes.push("booked");
+  if (outcome.cancelled) outcomes.push("cancelled");
+  if (outcome.rescheduled) outcomes.push("rescheduled");
+  if (outcome.transferred) outcomes.push("transferred");
+  // Denied: insurance didn't cover what the caller asked about
+  if (trace.some(t => t.tool === "check_insurance_coverage" && t.ok && t.output?.covered === false)) outcomes.push("denied");
+  if (audit.callback_request) outcomes.push("callback");
+  if (!outcomes.length) outcomes.push("none");
+
+  const startedAt = lifecycle.started_at || audit.transcript?.[0]?.ts || new Date(mtimeMs).toISOString();
+  return {
+    call_id: callId,
+    tenant_id: audit.tenant_id || null,
+    language: audit.language?.code || null,
+    started_at: startedAt,
+    ended_at: lifecycle.ended_at || audit.transcript?.at(-1)?.ts || startedAt,
+    duration_s: lifecycle.duration_s ?? null,
+    status: lifecycle.status || null,
+    outcomes,
+    next_steps: outcome.next_steps || null,
+    intents: audit.intents || [],
+    tool_errors: trace.filter(t => !t.ok).map(t => ({ tool: t.tool, error: t.output?.error || null })),
+    caller_last4: lastFour(lifecycle.from || audit.identity?.caller_id || audit.slots?.phone),
+    turns: (audit.transcript || []).filter(t => t.role === "user").length
+  };
+}
+
+export class AuditStore {
+  constructor({ dir = auditDir() } = {}) {
+    this.dir = dir;
+    this.summaries = new Map(); // callId → { mtimeMs, summary }
+  }
+
+  isCallId(callId) {
+    return typeof callId === "string" && CALL_ID_PATTERN.test(callId);
+  }
+
+  files(callId) {
+    return FILE_SUFFIXES.map(suffix => path.join(this.dir, callId + suffix)).filter(f => fs.existsSync(f));
+  }
+
+  /**
+   * Call IDs with an audit or event log (the archive subdirectory isn't read)
+   */
+  callIds() {
+    if (!fs.existsSync(this.dir)) return [];
+    const ids = new Set();
+    for (const name of fs.readdirSync(this.dir)) {
+      const suffix = FILE_SUFFIXES.find(s => name.endsWith(s));
+      if (suffix) ids.add(name.slice(0, -suffix.length));
+    }
+    return [...ids].filter(id => this.isCallId(id));
+  }
+
+  lastModified(callId) {
+    return Math.max(0, ...this.files(callId).map(f => fs.statSync(f).mtimeMs));
+  }
+
+  get(callId) {
+    if (!this.isCallId(callId)) return null;
+    return readCallAudit(callId, this.dir);
+  }
+
+  /**
+   * Summary for one call; cached until its files change. Null if the audit
+   * can't be read (e.g. encrypted with a key we no longer have).
+   */
+  summary(callId) {
+    const mtimeMs = this.lastModified(callId);
+    const cached = this.summaries.get(callId);
+    if (cached?.mtimeMs === mtimeMs) return cached.summary;
+
+    let summary = null;
+    try {
+      const audit = this.get(callId);
+      if (audit) summary = summarizeAudit(callId, audit, mtimeMs);
+    } catch {
+      summary = null; // unreadable; retention falls back to the file time
+    }
+    this.summaries.set(callId, { mtimeMs, summary });
+    return summary;
+  }
+
+  /**
+   * Filter calls. `from`/`to` bound the start time (ISO dates), `outcome`,
+   * `intent` and `last4` must match, `tool_error` is true or a tool name.
+   * Newest first; returns { total, calls }.
+   */
+  list({ from, to, outcome, intent, tool_error, last4, limit = 50, offset = 0 } = {}) {
+    const fromMs = from ? Date.parse(from) : -Infinity;
+    const toMs = to ? Date.parse(to) : Infinity;
+
+    const matches = this.callIds()
+      .map(id => this.summary(id))
+      .filter(Boolean)
+      .filter(s => {
+        const started = Date.parse(s.started_at);
+        if (started < fromMs || started > toMs) return false;
+        if (outcome && !s.outcomes.includes(outcome)) return false;
+        if (intent && !s.intents.includes(intent)) return false;
+        if (last4 && s.caller_last4 !== last4) return false;
+        if (tool_error === true && !s.tool_errors.length) return false;
+        if (typeof tool_error === "string" && !s.tool_errors.some(e => e.tool === tool_error)) return false;
+        return true;
+      })
+      .sort((a, b) => b.started_at.localeCompare(a.started_at));
+
+    return { total: matches.length, calls: matches.slice(offset, offset + limit) };
+  }
+
+  /**
+   * Move a call's files to `archiveDir`, or delete them when it's null.
+   * Returns the files affected.
+   */
+  remove(callId, archiveDir = null) {
+    const files = this.files(callId);
+    if (archiveDir) fs.mkdirSync(archiveDir, { recursive: true });
+    for (const file of files) {
+      if (archiveDir) fs.renameSync(file, path.join(archiveDir, path.basename(file)));
+      else fs.rmSync(file, { force: true });
+    }
+    this.summaries.delete(callId);
+    return files;
+  }
+}
+
+const sharedStores = new Map(); // directory → AuditStore
+
+/**
+ * Process-wide store per audit directory (a tenant's, else AUDIT_LOG_DIR)
+ */
+export function getAuditStore(dir = null) {
+  const storeDir = dir || auditDir();
+  if (!sharedStores.has(storeDir)) sharedStores.set(storeDir, new AuditStore({ dir: storeDir }));
+  return sharedStores.get(storeDir);
+}
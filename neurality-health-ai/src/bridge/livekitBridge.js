@@ -1,6 +1,7 @@
 // src/bridge/livekitBridge.js
 import { WebSocketServer } from "ws";
 import { v4 as uuidv4 } from "uuid";
+import { mulawDecode, mulawEncode } from "../audio/index.js";
 
 export async function startBridgeServer(port) {
   const wss = new WebSocketServer({ port });
@@ -20,16 +21,19 @@ export async function startBridgeServer(port) {
             ws.send(JSON.stringify({ event: "connected" }));
             break;
 
-          case "media":
-            // echo the same frame straight back
+          case "media": {
+            // Decode to PCM16 (what a LiveKit track would carry) and echo it
+            // back re-encoded, so this doubles as a codec loopback check
+            const pcm16 = mulawDecode(Buffer.from(data.media.payload, "base64"));
             ws.send(
               JSON.stringify({
                 event: "media",
                 streamSid: ws._streamSid,
-                media: { payload: data.media.payload },
+                media: { payload: mulawEncode(pcm16).toString("base64") },
               })
             );
             break;
+          }
 
           case "stop":
             console.log("📴 Stream stopped");
@@ -0,0 +1,113 @@
+// src/i18n/languages.js
+// Languages the phone agent can hold a call in. Each entry has what differs
+// per language: the TwiML <Say> voice, the DTMF menu option, the default
+// greeting, the agent's fixed replies and the words used to detect it. Add an
+// entry (plus prompt translations in the manifest) to support another one.
+
+export const LANGUAGES = {
+  en: {
+    name: "English",
+    say: { voice: "alice" },
+    digit: "1",
+    menu: "For English, press 1.",
+    greeting: (clinic) => `Hello! You are connected to ${clinic}. How can I help you today?`,
+    replies: {}, // the English replies are the defaults in the agent and transfer code
+    markers: ["hi", "hello", "the", "i", "i'm", "my", "want", "need", "would", "like", "appointment", "please", "thanks", "thank", "you", "yes", "is", "to", "have", "insurance", "can", "do", "book", "cleaning"],
+    // "in English" / "en inglés", said in either language
+    switchPattern: /\b(in english|speak english|english please|en ingl[eé]s|hablar ingl[eé]s)(?![\p{L}])/iu
+  },
+  es: {
+    name: "Spanish",
+    say: { voice: "alice", language: "es-MX" },
+    digit: "2",
+    menu: "Para español, oprima 2.",
+    greeting: (clinic) => `¡Hola! Se ha comunicado con ${clinic}. ¿En qué le puedo ayudar?`,
+    replies: {
+      fallback: "Perdón, tuve un problema con eso. ¿Me lo puede repetir?",
+      hold: "Claro. Le comunico con nuestra recepción, un momento.",
+      no_staff: "Lo siento, nuestra recepción no está disponible en este momento. Puedo seguir ayudándole aquí o pedir que alguien le devuelva la llamada.",
+      failure_hold: "Estoy teniendo problemas de mi lado, así que le comunico con nuestra recepción. Un momento.",
+      reminder_confirmed: "Perfecto, su cita queda confirmada. Le esperamos. ¡Hasta luego!",
+      transfer_hold: "Por favor espere mientras le comunico.",
+      transfer_unavailable: "Lo siento, nadie en la recepción pudo atender su llamada. Le devolveremos la llamada lo antes posible. Adiós."
+    },
+    markers: ["hola", "buenos", "buenas", "quiero", "quisiera", "necesito", "cita", "por", "favor", "gracias", "para", "una", "el", "la", "los", "de", "que", "mi", "con", "tengo", "seguro", "sí", "usted", "puedo", "hacer", "limpieza", "habla", "español"],
+    switchPattern: /\b(in spanish|speak spanish|spanish please|en espa[nñ]ol|hablar espa[nñ]ol|habla espa[nñ]ol)(?![\p{L}])/iu
+  }
+};
+
+export const DEFAULT_LANGUAGES = ["en", "es"];
+
+export function languageInfo(code) {
+  const info = LANGUAGES[code];
+  if (!info) throw new Error(`Unsupported language: ${code}`);
+  return info;
+}
+
+/**
+ * Languages offered when a tenant doesn't list its own: SUPPORTED_LANGUAGES
+ * (comma-separated, first is the default), else English and Spanish
+ */
+export function supportedLanguages(env = process.env) {
+  const codes = env.SUPPORTED_LANGUAGES
+    ? env.SUPPORTED_LANGUAGES.split(",").map(s => s.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_LANGUAGES;
+  codes.forEach(languageInfo);
+  return codes;
+}
+
+/**
+ * Best guess at the language of an utterance among `candidates`, by counting
+ * each language's common words. Null when nothing matches or it's a tie.
+ */
+export function detectLanguage(text, candidates = Object.keys(LANGUAGES)) {
+  const words = (text.toLowerCase().match(/[\p{L}']+/gu) || []);
+  const scores = candidates.map(code => ({
+    code,
+    score: words.filter(w => LANGUAGES[code].markers.includes(w)).length +
+      (code === "es" && /[ñ¿¡]/.test(text) ? 2 : 0)
+  })).sort((a, b) => b.score - a.score);
+
+  if (!scores.length || scores[0].score === 0) return null;
+  if (scores.length > 1 && scores[1].score === scores[0].score) return null;
+  return scores[0].code;
+}
+
+/**
+ * Language the caller explicitly asked for ("en español, por favor"), if any
+ */
+export function requestedLanguage(text, candidates = Object.keys(LANGUAGES)) {
+  return candidates.find(code => LANGUAGES[code].switchPattern.test(text)) || null;
+}
+
+/**
+ * Language picked from the /voice menu by keypad digit
+ */
+export function languageForDigit(digit, candidates = Object.keys(LANGUAGES)) {
+  return candidates.find(code => LANGUAGES[code].digit === String(digit || "").trim()) || null;
+}
+
+/**
+ * The tenant's greeting in `language`: its own `greetings` entry, its
+ * `greeting` for its first language, else the language's default
+ */
+export function greetingFor(tenant, language) {
+  if (tenant.greetings[language]) return tenant.greetings[language];
+  if (language === tenant.languages[0]) return tenant.greeting;
+  return languageInfo(language).greeting(tenant.name);
+}
+
+/**
+ * TTS voice for a language: TTS_VOICE_<CODE> (e.g. TTS_VOICE_ES), else null
+ * for the provider's default voice
+ */
+export function ttsVoice(language, env = process.env) {
+  return env[`TTS_VOICE_${String(language).toUpperCase()}`] || null;
+}
+
+/**
+ * One of the agent's fixed replies in `language`, else the English `fallback`
+ */
+export function localizedReply(language, key, fallback) {
+  return LANGUAGES[language]?.replies[key] || fallback;
+}
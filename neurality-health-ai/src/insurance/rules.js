@@ -0,0 +1,146 @@
+// src/insurance/rules.js
+// Coverage rules engine behind checkInsuranceCoverage. Procedures (CDT codes,
+// categories, clinic fees), the appointment-type → code mapping and each
+// in-network plan's coverage, deductible, frequency limits and waiting
+// periods are read from data/insurance.json.
+import fs from "fs";
+import { fileURLToPath } from "url";
+
+const DEFAULT_RULES_FILE = fileURLToPath(new URL("../../data/insurance.json", import.meta.url));
+
+const round = (usd) => Math.round(usd * 100) / 100;
+const capitalize = (text) => text[0].toUpperCase() + text.slice(1);
+
+function addMonths(date, months) {
+  const [y, m, d] = date.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1 + months, d)).toISOString().slice(0, 10);
+}
+
+export class CoverageRules {
+  constructor({ rulesFile = DEFAULT_RULES_FILE, now = Date.now } = {}) {
+    this.rules = JSON.parse(fs.readFileSync(rulesFile, "utf8"));
+    this.now = now;
+  }
+
+  /**
+   * Procedure codes for an appointment type; the first is the default
+   */
+  procedureCodes(appointmentType) {
+    return this.rules.appointment_types[appointmentType] || [];
+  }
+
+  /**
+   * The code to check: the given one if it fits the appointment type,
+   * otherwise the type's default (so a root canal is never checked as a cleaning)
+   */
+  resolveCode(procedureCode, appointmentType) {
+    const codes = this.procedureCodes(appointmentType);
+    if (!codes.length || codes.includes(procedureCode)) return procedureCode;
+    return codes[0];
+  }
+
+  /**
+   * In-network plans for a payer name as said by the caller
+   */
+  payerPlans(payer) {
+    const name = payer.toLowerCase();
+    return this.rules.plans.filter(p => p.aliases.some(alias => name.includes(alias)));
+  }
+
+  findPlan(plans, plan) {
+    const name = plan.toUpperCase();
+    return plans.find(p => [p.plan, ...(p.plan_aliases || [])].some(alias => name.includes(alias.toUpperCase()))) || null;
+  }
+
+  /**
+   * Coverage and estimated patient cost for one procedure. The deductible is
+   * assumed unmet; `used_this_year` and `coverage_start` (when known) decide
+   * frequency limits and waiting periods, otherwise they're only mentioned.
+   */
+  check({ payer, plan, procedure_code, appointment_type, coverage_start, used_this_year }) {
+    const code = this.resolveCode(procedure_code, appointment_type);
+    const procedure = this.rules.procedures[code];
+    if (!procedure) {
+      return {
+        covered: false,
+        copay_estimate: 0,
+        procedure_code: code,
+        notes: `We don't have a fee for procedure ${code}, so the front desk will need to confirm coverage.`
+      };
+    }
+
+    const service = `${procedure.name} (${code})`;
+    const selfPay = (inNetwork, notes) => ({
+      covered: false,
+      copay_estimate: procedure.fee_usd,
+      procedure_code: code,
+      in_network: inNetwork,
+      coverage_percent: 0,
+      fee_usd: procedure.fee_usd,
+      notes
+    });
+
+    const plans = this.payerPlans(payer);
+    if (!plans.length) {
+      return selfPay(false, `${payer} isn't in our network, so this would be self-pay: $${procedure.fee_usd} for the ${service}.`);
+    }
+    const rule = this.findPlan(plans, plan);
+    if (!rule) {
+      const accepted = [...new Set(plans.map(p => p.plan))].join(" and ");
+      return selfPay(false, `We're in network with ${plans[0].payer} ${accepted} plans, not ${plan}, so this would be self-pay: $${procedure.fee_usd} for the ${service}.`);
+    }
+
+    const planName = `${rule.payer} ${rule.plan}`;
+    const notes = [];
+    const limit = rule.frequency_limits[code];
+    if (limit !== undefined && used_this_year !== undefined && used_this_year >= limit) {
+      return selfPay(true, `${planName} covers ${limit} ${procedure.name}${limit === 1 ? "" : "s"} per calendar year and that limit has been reached, so this one would be self-pay: $${procedure.fee_usd}.`);
+    }
+
+    const waitMonths = rule.waiting_period_months[procedure.category];
+    if (waitMonths) {
+      if (coverage_start) {
+        const eligible = addMonths(coverage_start, waitMonths);
+        if (eligible > new Date(this.now()).toISOString().slice(0, 10)) {
+          return selfPay(true, `${planName} has a ${waitMonths}-month waiting period for ${procedure.category} services, so the ${service} isn't covered until ${eligible}. Until then it would be self-pay: $${procedure.fee_usd}.`);
+        }
+      } else {
+        notes.push(`There's a ${waitMonths}-month waiting period for ${procedure.category} services from the plan start date.`);
+      }
+    }
+
+    const percent = rule.coverage_percent[procedure.category] ?? 0;
+    const deductible = rule.deductible_exempt.includes(procedure.category) ? 0 : Math.min(rule.deductible_usd, procedure.fee_usd);
+    const copay = round(deductible + (procedure.fee_usd - deductible) * (100 - percent) / 100);
+
+    notes.unshift(
+      `${planName} is in network. ${capitalize(service)} is a ${procedure.category} service covered at ${percent}%` +
+      (deductible ? ` after the $${deductible} deductible (assuming it hasn't been met this year)` : " with no deductible") +
+      (copay ? `: about $${copay} of the $${procedure.fee_usd} fee.` : ", so there's nothing to pay.")
+    );
+    if (limit !== undefined) notes.push(`Limited to ${limit} per calendar year.`);
+
+    return {
+      covered: percent > 0,
+      copay_estimate: copay,
+      procedure_code: code,
+      in_network: true,
+      coverage_percent: percent,
+      fee_usd: procedure.fee_usd,
+      deductible_usd: deductible,
+      notes: notes.join(" ")
+    };
+  }
+}
+
+const sharedRules = new Map(); // rules file → CoverageRules
+
+/**
+ * Process-wide rules per data file (a tenant's, else INSURANCE_RULES_FILE or
+ * the bundled one)
+ */
+export function getCoverageRules(rulesFile = null) {
+  const file = rulesFile || process.env.INSURANCE_RULES_FILE || DEFAULT_RULES_FILE;
+  if (!sharedRules.has(file)) sharedRules.set(file, new CoverageRules({ rulesFile: file }));
+  return sharedRules.get(file);
+}
@@ -1,24 +1,275 @@
-import OpenAI from "openai";
 import { roomManager } from "./roomManager.js";
 import { logger, createAudit } from "../utils/logger.js";
-import { v4 as uuidv4 } from "uuid";
+import { toolNames, listTools } from "../mcp/tools/index.js";
+import { getMcpClient, MCP_ERRORS } from "../mcp/client.js";
+import { getProviders } from "../providers/index.js";
+import { getPatientRegistry } from "../patients/registry.js";
+import { getTenantRegistry } from "../tenants/registry.js";
+import { getPromptRegistry } from "../prompts/registry.js";
+import { detectLanguage, requestedLanguage, localizedReply } from "../i18n/languages.js";
+import { metrics } from "../utils/metrics.js";
+import {
+  resolveSlotChoice,
+  formatSlotTime,
+  buildReadBack,
+  buildConfirmationSms,
+  buildCancelReadBack,
+  buildRescheduleReadBack,
+  buildCancellationSms,
+  buildRescheduleSms,
+  bookingIdempotencyKey,
+  changeIdempotencyKey,
+  buildReminderIntro,
+  isAffirmative,
+  isNegative
+} from "./booking.js";
+import {
+  TRANSFER_REASONS,
+  HOLD_REPLY,
+  NO_STAFF_REPLY,
+  transferConfig,
+  wantsHuman,
+  buildTransferSummary
+} from "./escalation.js";
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+const MAX_TOOL_STEPS = 4; // model/tool round-trips per caller turn
+const FALLBACK_REPLY = "Sorry, I had trouble with that. Could you say it again?";
+
+// Intent recorded in the audit when a tool succeeds
+const TOOL_INTENTS = {
+  checkInsuranceCoverage: "coverage_check",
+  getProviderAvailability: "availability",
+  bookAppointment: "book_appointment",
+  lookupAppointments: "lookup_appointments",
+  cancelAppointment: "cancel_appointment",
+  rescheduleAppointment: "reschedule_appointment",
+  sendSms: "send_sms"
+};
+
+// What the model is told when a tool's backend is down rather than the call being wrong
+const OUTAGE_INSTRUCTIONS = "This system is unavailable right now. Apologize, don't guess the answer, and offer to take a message for a callback (takeMessage).";
+
+const FAILURE_HOLD_REPLY = "I'm having trouble on my end, so let me connect you with our front desk. One moment.";
+const REMINDER_CONFIRMED_REPLY = "Great, you're all set. We'll see you then. Goodbye!";
+
+// On a reminder call, a yes that mentions a change isn't a confirmation
+const WANTS_CHANGE = /\b(cancel|reschedul\w*|move|change|cancelar|cambiar|mover)\b/i;
+
+// Tools that disclose a patient's existing records: only after verifyIdentity
+const PROTECTED_TOOLS = ["lookupAppointments", "cancelAppointment", "rescheduleAppointment"];
+const MAX_VERIFY_ATTEMPTS = 3; // per call; the registry also limits per phone number
+
+// Agent-local tool for slot capture; everything else comes from the MCP schemas
+const RECORD_CALLER_DETAILS = {
+  name: "recordCallerDetails",
+  description: "Save details the caller has given. Only include fields that were actually said.",
+  parameters: {
+    type: "object",
+    properties: {
+      patient_first: { type: "string" },
+      patient_last: { type: "string" },
+      phone: { type: "string", description: "E.164 format, e.g. +14085551234" },
+      dob: { type: "string", description: "Date of birth, YYYY-MM-DD" },
+      payer: { type: "string", description: "Insurance company" },
+      plan: { type: "string", description: "Insurance plan, e.g. PPO" },
+      appointment_type: { type: "string", enum: ["cleaning", "checkup", "filling", "root_canal", "extraction", "consultation"] },
+      time_pref: { type: "string", description: "Preferred day/time as said by the caller" },
+      location_id: { type: "string" }
+    },
+    additionalProperties: false
+  }
+};
+
+// Agent-local tool: resolve the caller's pick among offered slots and start the read-back
+const SELECT_OFFERED_SLOT = {
+  name: "selectOfferedSlot",
+  description: "Call when the caller picks one of the offered appointment times. Pass their words, e.g. \"the 9am one\" or \"the second\".",
+  parameters: {
+    type: "object",
+    properties: {
+      choice: { type: "string", description: "The caller's choice, verbatim" }
+    },
+    required: ["choice"],
+    additionalProperties: false
+  }
+};
+
+// Agent-local tool: prove a returning patient is who they say before disclosing anything
+const VERIFY_IDENTITY = {
+  name: "verifyIdentity",
+  description: "Verify a returning patient by name and date of birth. Required before discussing their existing appointments or insurance on file.",
+  parameters: {
+    type: "object",
+    properties: {
+      first: { type: "string", description: "First name as said by the caller" },
+      last: { type: "string", description: "Last name as said by the caller" },
+      dob: { type: "string", pattern: "^\\d{4}-\\d{2}-\\d{2}$", description: "Date of birth, YYYY-MM-DD" }
+    },
+    required: ["first", "last", "dob"],
+    additionalProperties: false
+  }
+};
+
+// Agent-local tool: hand the call to front-desk staff
+const TRANSFER_TO_STAFF = {
+  name: "transferToStaff",
+  description: "Transfer the call to a human at the front desk. Use when the caller asks for a person, or for billing disputes, clinical questions, complaints or emergencies.",
+  parameters: {
+    type: "object",
+    properties: {
+      reason: { type: "string", enum: TRANSFER_REASONS.filter(r => r !== "repeated_failures") },
+      note: { type: "string", description: "Short context for staff, e.g. what the caller needs" }
+    },
+    required: ["reason"],
+    additionalProperties: false
+  }
+};
+
+// Agent-local tool: fallback when a request can't be completed on this call
+const TAKE_MESSAGE = {
+  name: "takeMessage",
+  description: "Take a message so staff can call the caller back, e.g. when a system is unavailable.",
+  parameters: {
+    type: "object",
+    properties: {
+      message: { type: "string", description: "What the caller needs, in their words" },
+      callback_phone: { type: "string", description: "E.164 format; omit to use the number already given" },
+      best_time: { type: "string", description: "When to call back, as said by the caller" }
+    },
+    required: ["message"],
+    additionalProperties: false
+  }
+};
+
+// Agent-local tool, reminder calls only: the patient will attend
+const CONFIRM_APPOINTMENT = {
+  name: "confirmAppointment",
+  description: "Call when the patient says they will attend the appointment this reminder call is about.",
+  parameters: { type: "object", properties: {}, additionalProperties: false }
+};
+
+const TOOL_DEFINITIONS = [
+  RECORD_CALLER_DETAILS,
+  SELECT_OFFERED_SLOT,
+  VERIFY_IDENTITY,
+  TRANSFER_TO_STAFF,
+  TAKE_MESSAGE,
+  ...listTools().map(t => ({ name: t.name, description: t.description, parameters: t.inputSchema }))
+].map(fn => ({ type: "function", function: fn }));
+
+const REMINDER_TOOL_DEFINITIONS = [...TOOL_DEFINITIONS, { type: "function", function: CONFIRM_APPOINTMENT }];
+
+function toSnakeCase(name) {
+  return name.replace(/[A-Z]/g, c => "_" + c.toLowerCase());
+}
 
 /**
  * LiveKit Agent that runs in a room and handles conversation
  * Note: Uses server-side room management, audio bridging handled by Twilio webhook
  */
 export class ConversationAgent {
-  constructor(callId) {
+  /**
+   * `tenant` is the clinic the call was made to (default tenant if omitted);
+   * its MCP client, patient registry, transfer target and audit directory are
+   * used throughout. `providers` overrides the configured STT/LLM/TTS
+   * backends, `mcp` the tenant's MCP client and `registry` its patient
+   * registry (tests pass fakes). `callerPhone` is the Twilio caller ID.
+   * `reminder` ({ appointment, patient, cancellation_policy }) makes this an
+   * outbound reminder call about that appointment; `callerPhone` is then the
+   * number we called. `channel` is "voice", or "sms" for a text conversation
+   * (see src/twilio/sms.js).
+   */
+  constructor(callId, { tenant, providers, mcp, registry, callerPhone, reminder, channel = "voice" } = {}) {
     this.callId = callId;
+    this.channel = channel;
+    this.tenant = tenant || getTenantRegistry().defaultTenant();
+    this.llm = (providers || getProviders()).llm;
+    this.mcp = mcp || getMcpClient(this.tenant);
+    this.registry = registry || getPatientRegistry(this.tenant.patient_registry_file);
     this.roomName = null;
     this.connected = false;
     this.transcript = [];
     this.toolTrace = [];
     this.slots = {};
     this.intents = [];
-    this.audit = createAudit(callId);
+    this.turn = 0;
+    this.offeredSlots = [];   // slots returned by the last getProviderAvailability
+    this.pendingBooking = null; // { slot, patient, location_id, appointment_type, status, readBack, turn, result, smsQueued }
+    this.appointments = [];   // the caller's appointments from the last lookupAppointments
+    this.cancellationPolicy = null;
+    this.pendingChange = null; // { type: "cancel" | "reschedule", appointment, slot, fee, reason, status, readBack, turn, result, smsQueued }
+    this.transferSettings = { ...transferConfig(), ...this.tenant.transfer }; // the clinic's own front desk
+    this.transfer = null;     // { reason, note, status, target, summary, turn, requested_at, sms_queued }
+    this.failedTurns = 0;     // consecutive turns where the model or a tool failed
+    this.turnFailed = false;
+    this.toolSignal = null;   // the running tool loop's barge-in signal, passed to its MCP calls
+    this.callbackRequest = null; // { message, callback_phone, best_time, reason, turn, ts }
+    this.lastToolError = null;
+    this.callerPhone = callerPhone || null;
+    this.turnPrompt = null;   // { name, version, language, template_hash, hash } of the last system prompt built
+    this.language = this.tenant.languages[0];
+    this.languageSource = "default"; // then "dtmf", "detected" or "caller_request"
+    this.languageChanges = [];   // { from, to, source, turn, at }
+    // Caller ID only says a record may exist; nothing from it is used until verified
+    this.identity = {
+      caller_id: this.callerPhone,
+      on_file: this.registry.findByPhone(this.callerPhone).length > 0,
+      status: "unverified",
+      patient_id: null,
+      registered_patient_id: null, // set when a booking adds the caller to the registry
+      decisions: []          // { decision, reason, tool, turn, at }
+    };
+    if (this.callerPhone) this.slots.phone = this.callerPhone;
+    this.audit = createAudit(callId, { dir: this.tenant.audit_dir });
+    this.logged = { slots: {}, intents: 0, sections: {} }; // what the event log already has
+    this.reminder = null;     // { appointment_id, appointment, phone, status, intro, confirmed_at }
+    this.endAfterTurn = false; // nothing left to do: hang up once this turn's reply has played
+    if (reminder) this.startReminder(reminder);
+  }
+
+  /**
+   * Reminder call: the appointment is the only one the agent may change, and
+   * the opening line (spoken by TwiML) starts the transcript
+   */
+  startReminder({ appointment, patient, cancellation_policy }) {
+    this.appointments = [appointment];
+    this.cancellationPolicy = cancellation_policy || null;
+    this.recordCallerDetails({
+      patient_first: patient.first,
+      patient_last: patient.last,
+      phone: patient.phone,
+      appointment_type: appointment.appointment_type,
+      location_id: appointment.location_id
+    });
+    const intro = buildReminderIntro({ patient, appointment, tenant: this.tenant }, this.language);
+    this.reminder = { appointment_id: appointment.appointment_id, appointment, phone: patient.phone, status: "awaiting_response", intro, confirmed_at: null };
+    this.addTranscript({ role: "agent", text: intro, ts: new Date().toISOString() });
+    this.checkpoint();
+  }
+
+  /**
+   * The patient will attend the appointment this reminder is about
+   */
+  confirmReminder() {
+    if (this.reminder.status !== "confirmed") {
+      this.reminder.status = "confirmed";
+      this.reminder.confirmed_at = new Date().toISOString();
+      this.endAfterTurn = true;
+      if (!this.intents.includes("confirm_appointment")) this.intents.push("confirm_appointment");
+      console.log(`👍 Reminder confirmed for call ${this.callId}`);
+    }
+    return { ok: true, status: "confirmed" };
+  }
+
+  /**
+   * How the reminder call ended, for the campaign: cancelled, rescheduled,
+   * confirmed, or reached (answered without a decision)
+   */
+  reminderResult() {
+    if (this.intents.includes("cancel_appointment")) return "cancelled";
+    if (this.intents.includes("reschedule_appointment")) return "rescheduled";
+    if (this.reminder.status === "confirmed") return "confirmed";
+    return "reached";
   }
 
   /**
@@ -26,7 +277,7 @@ export class ConversationAgent {
    */
   async connect() {
     try {
-      this.roomName = await roomManager.createRoom(this.callId);
+      this.roomName = await roomManager.createRoom(this.callId, this.tenant.room_prefix);
       this.connected = true;
       
       console.log(`🤖 Agent connected to room: ${this.roomName} (server-side)`);
@@ -35,7 +286,7 @@ export class ConversationAgent {
     } catch (err) {
       // Graceful degradation - continue without LiveKit if unavailable
       console.warn(`⚠️ LiveKit unavailable, running in standalone mode:`, err.message);
-      this.roomName = `call-${this.callId}`;
+      this.roomName = `${this.tenant.room_prefix}${this.callId}`;
       this.connected = true;
       return { roomName: this.roomName };
     }
@@ -51,31 +302,82 @@ export class ConversationAgent {
   }
 
   /**
-   * Process user utterance and generate response
+   * Process user utterance and generate response.
+   * With `onToken`, reply text is streamed as it is generated; `signal`
+   * aborts the turn (barge-in) and the reply is whatever was produced so far.
    */
-  async processUtterance(userText) {
+  async processUtterance(userText, { signal, onToken } = {}) {
     const timestamp = new Date().toISOString();
+    this.turn++;
     
     // Add to transcript
-    this.transcript.push({
+    this.addTranscript({
       role: "user",
       text: userText,
       ts: timestamp
     });
 
     console.log(`🗣️ User (${this.callId}):`, userText);
+    this.updateLanguage(userText);
 
-    // Call MCP tools based on conversation context
-    await this.extractSlotsAndCallTools(userText);
+    // A yes/no to the read-back decides the booking (or change) before the model runs
+    if (this.pendingBooking?.status === "awaiting_confirmation") {
+      if (isAffirmative(userText)) {
+        this.pendingBooking.status = "confirmed";
+        await this.completeBooking(0);
+      } else if (isNegative(userText)) {
+        console.log(`↩️ Caller declined read-back for call ${this.callId}`);
+        this.pendingBooking.status = "declined"; // the model asks what to change
+      }
+    } else if (this.pendingChange?.status === "awaiting_confirmation") {
+      if (isAffirmative(userText)) {
+        this.pendingChange.status = "confirmed";
+        await this.completeChange(0);
+      } else if (isNegative(userText)) {
+        console.log(`↩️ Caller declined ${this.pendingChange.type} read-back for call ${this.callId}`);
+        this.pendingChange.status = "declined";
+      }
+    }
+
+    let aiResponse;
+    let prompt = null; // which prompt the model saw, when it ran
+    if (!this.transfer && wantsHuman(userText)) {
+      // Asking for a person skips the model
+      const output = await this.requestTransfer("caller_request", null, 0);
+      aiResponse = output.ok ? this.reply("hold", HOLD_REPLY) : this.reply("no_staff", NO_STAFF_REPLY);
+      onToken?.(aiResponse);
+    } else if (this.reminder?.status === "awaiting_response" && (!this.pendingChange || this.pendingChange.status === "declined") &&
+      isAffirmative(userText) && !WANTS_CHANGE.test(userText)) {
+      // "Yes" to the reminder's question settles the call without the model
+      this.confirmReminder();
+      aiResponse = this.reply("reminder_confirmed", REMINDER_CONFIRMED_REPLY);
+      onToken?.(aiResponse);
+    } else {
+      // Let the model call MCP tools until it has an answer
+      this.turnFailed = false;
+      aiResponse = await this.runToolLoop({ signal, onToken });
+      prompt = this.turnPrompt;
 
-    // Generate AI response
-    const aiResponse = await this.generateResponse(userText);
+      this.failedTurns = this.turnFailed ? this.failedTurns + 1 : 0;
+      if (!signal?.aborted && this.shouldEscalateOnFailure()) {
+        const output = await this.requestTransfer("repeated_failures", null, 0);
+        if (output.ok) {
+          const chunk = (aiResponse ? " " : "") + this.reply("failure_hold", FAILURE_HOLD_REPLY);
+          aiResponse += chunk;
+          onToken?.(chunk);
+        }
+      }
+    }
     
-    this.transcript.push({
+    const entry = {
       role: "agent",
       text: aiResponse,
       ts: new Date().toISOString()
-    });
+    };
+    if (signal?.aborted) entry.interrupted = true;
+    if (prompt) entry.prompt = prompt;
+    this.addTranscript(entry);
+    this.checkpoint();
 
     console.log(`🤖 Agent (${this.callId}):`, aiResponse);
     
@@ -83,193 +385,870 @@ export class ConversationAgent {
   }
 
   /**
-   * Extract slots and call appropriate MCP tools
+   * Switch the call's language: prompts, read-backs, fixed replies, STT and
+   * TTS follow it from the next turn. `source` is how it was chosen (dtmf,
+   * detected, caller_request). Languages the tenant doesn't offer are ignored.
+   */
+  setLanguage(language, source) {
+    if (!this.tenant.languages.includes(language)) return false;
+    if (language !== this.language) {
+      this.languageChanges.push({ from: this.language, to: language, source, turn: this.turn, at: new Date().toISOString() });
+    }
+    this.language = language;
+    this.languageSource = source;
+    console.log(`🌐 Call ${this.callId} language: ${language} (${source})`);
+    this.checkpoint();
+    return true;
+  }
+
+  /**
+   * Follow an explicit request ("en español, por favor") at any point;
+   * until the language is settled, detect it from what the caller says
+   */
+  updateLanguage(text) {
+    if (this.tenant.languages.length < 2) return;
+    const requested = requestedLanguage(text, this.tenant.languages);
+    if (requested) {
+      if (requested !== this.language) this.setLanguage(requested, "caller_request");
+      return;
+    }
+    if (this.languageSource !== "default") return;
+    const detected = detectLanguage(text, this.tenant.languages);
+    if (detected) this.setLanguage(detected, "detected");
+  }
+
+  /**
+   * Language hint for STT: none while it's still being detected
+   */
+  sttLanguage() {
+    return this.languageSource === "default" && this.tenant.languages.length > 1 ? null : this.language;
+  }
+
+  /**
+   * A fixed reply in the call's language
+   */
+  reply(key, english) {
+    return localizedReply(this.language, key, english);
+  }
+
+  /**
+   * Barge-in: cut the last agent reply down to what the caller actually heard,
+   * so later turns don't assume they heard the rest
+   */
+  truncateLastReply(heardText) {
+    const entry = [...this.transcript].reverse().find(t => t.role === "agent");
+    if (!entry || entry.text === heardText) return;
+
+    entry.unheard_text = entry.text.startsWith(heardText) ? entry.text.slice(heardText.length).trim() : entry.text;
+    entry.text = heardText;
+    entry.interrupted = true;
+    this.audit.record("transcript_truncated", {
+      index: this.transcript.lastIndexOf(entry),
+      entry: { text: entry.text, unheard_text: entry.unheard_text, interrupted: true }
+    });
+    console.log(`✂️ Truncated agent reply to what was heard (${this.callId}): "${heardText}"`);
+  }
+
+  /**
+   * Attach a finished turn's stage timings (ms since end of utterance) to its
+   * agent transcript entry
+   */
+  recordTurnTimings(timings) {
+    const index = this.transcript.findLastIndex(t => t.role === "agent");
+    if (index === -1) return;
+    this.transcript[index].timings = timings;
+    this.audit.record("turn_timings", { index, timings });
+  }
+
+  /**
+   * Native function-calling loop: the model picks tools, results are fed back,
+   * and the loop ends when the model answers in text or the step cap is hit
    */
-  async extractSlotsAndCallTools(userText) {
-    // Use LLM to extract structured information
+  async runToolLoop({ signal, onToken } = {}) {
+    const messages = this.buildMessages();
+    const tools = this.reminder ? REMINDER_TOOL_DEFINITIONS : TOOL_DEFINITIONS;
+    let spoken = ""; // everything said this turn, including filler before tool calls
+
+    const say = (text) => {
+      const chunk = (spoken ? " " : "") + text;
+      spoken += chunk;
+      onToken?.(chunk);
+    };
+    // Separate text from consecutive steps with a space
+    const stream = () => {
+      if (!onToken) return undefined;
+      let first = true;
+      return (delta) => {
+        onToken(first && spoken ? " " + delta : delta);
+        first = false;
+      };
+    };
+
+    this.toolSignal = signal || null;
     try {
-      const extraction = await openai.chat.completions.create({
-        model: "gpt-4o-mini",
-        messages: [
-          {
-            role: "system",
-            content: `Extract patient information from the conversation. Return JSON with:
-{
-  "patient_first": "string or null",
-  "patient_last": "string or null",
-  "phone": "E.164 format or null",
-  "payer": "insurance company or null",
-  "plan": "insurance plan or null",
-  "appointment_type": "cleaning|checkup|filling|root_canal|extraction|consultation or null",
-  "time_pref": "time preference or null",
-  "location_id": "location or null",
-  "needs_coverage_check": boolean,
-  "needs_availability": boolean,
-  "needs_booking": boolean
-}`
-          },
-          { role: "user", content: userText }
-        ],
-        response_format: { type: "json_object" }
-      });
+      for (let step = 0; step < MAX_TOOL_STEPS; step++) {
+        const message = await this.llm.chat({ messages, tools, signal, onToken: stream() });
+        if (message.content) spoken += (spoken ? " " : "") + message.content;
 
-      const extracted = JSON.parse(extraction.choices[0].message.content);
-      
-      // Merge extracted slots
-      Object.assign(this.slots, extracted);
+        if (!message.tool_calls?.length) {
+          if (!spoken) say(this.reply("fallback", FALLBACK_REPLY));
+          return spoken;
+        }
 
-      // Call MCP tools based on extracted intents
-      if (extracted.needs_coverage_check && extracted.payer && extracted.plan) {
-        await this.callCheckInsurance(extracted.payer, extracted.plan);
-      }
+        messages.push(message);
+        for (const call of message.tool_calls) {
+          const output = await this.executeToolCall(call, step);
+          this.checkpoint();
+          messages.push({ role: "tool", tool_call_id: call.id, content: JSON.stringify(output) });
+        }
+        if (signal?.aborted) return spoken;
+
+        // A slot picked (or change requested) this turn is always read back verbatim
+        const pending = [this.pendingBooking, this.pendingChange]
+          .find(p => p?.status === "awaiting_confirmation" && p.turn === this.turn);
+        if (pending) {
+          say(pending.readBack);
+          return spoken;
+        }
 
-      if (extracted.needs_availability && extracted.location_id) {
-        await this.callGetAvailability(extracted.location_id, extracted.appointment_type);
+        // Transfer accepted: nothing more to do but put the caller on hold
+        if (this.transfer?.turn === this.turn) {
+          say(this.reply("hold", HOLD_REPLY));
+          return spoken;
+        }
       }
 
+      // Step cap reached: ask for a spoken answer from what we have
+      console.warn(`⚠️ Tool step cap (${MAX_TOOL_STEPS}) reached for call ${this.callId}`);
+      const message = await this.llm.chat({ messages, tools, toolChoice: "none", signal, onToken: stream() });
+      if (message.content) spoken += (spoken ? " " : "") + message.content;
+      if (!spoken) say(this.reply("fallback", FALLBACK_REPLY));
+      return spoken;
     } catch (err) {
-      console.error("Slot extraction error:", err);
+      if (signal?.aborted) return spoken;
+      console.error("Tool loop error:", err);
+      this.turnFailed = true;
+      // About to hand off to staff: the transfer message replaces the retry prompt
+      if (!this.shouldEscalateOnFailure(this.failedTurns + 1)) say(this.reply("fallback", FALLBACK_REPLY));
+      return spoken;
+    } finally {
+      this.toolSignal = null;
     }
   }
 
   /**
-   * Call MCP checkInsuranceCoverage tool
+   * System prompt + recent transcript. Tool exchanges from earlier turns are
+   * summarized through slots rather than replayed. The prompt version is
+   * picked per call (or pinned by the tenant), rendered in the call's
+   * language and noted in `this.turnPrompt`.
    */
-  async callCheckInsurance(payer, plan) {
-    try {
-      const response = await fetch(`http://localhost:${process.env.PORT_MCP || 3001}/checkInsuranceCoverage`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          payer,
-          plan,
-          procedure_code: "D1110" // Default to cleaning
-        })
-      });
+  buildMessages() {
+    const name = this.reminder ? "reminder_system" : "front_desk_system";
+    const { text, ref } = getPromptRegistry().render(name, this.promptVariables(), {
+      key: this.callId,
+      version: this.tenant.prompt_versions[name],
+      language: this.language
+    });
+    this.turnPrompt = ref;
+    const messages = [{ role: "system", content: text }];
 
-      const result = await response.json();
-      
-      this.toolTrace.push({
-        tool: "check_insurance_coverage",
-        input: { payer, plan, procedure_code: "D1110" },
-        output: result,
-        ok: response.ok
+    this.transcript.slice(-8).forEach(msg => {
+      messages.push({
+        role: msg.role === "user" ? "user" : "assistant",
+        content: msg.interrupted ? `${msg.text} [cut off by the caller]`.trim() : msg.text
       });
+    });
 
-      if (!this.intents.includes("coverage_check")) {
-        this.intents.push("coverage_check");
+    return messages;
+  }
+
+  /**
+   * Template variables for the system prompt: the clinic, the call's slots
+   * and what tools have returned so far
+   */
+  promptVariables() {
+    return {
+      clinic_name: this.tenant.name,
+      instructions: this.tenant.instructions,
+      locations: this.tenant.locations,
+      today: new Date().toISOString().slice(0, 10),
+      sms: this.channel === "sms",
+      slots: this.slots,
+      offered_slots: this.offeredSlots.map(s => this.slotTime(s.start)).join("; "),
+      identity: this.describeIdentity(),
+      booking: this.describeBooking(),
+      appointments: this.appointments.map(a => `${a.appointment_id}: ${a.appointment_type} ${this.slotTime(a.start, a.location_id)}${a.late_cancellation ? " (late to cancel)" : ""}`).join("; "),
+      change: this.describeChange(),
+      tool_count: this.toolTrace.length,
+      recent_tools: this.toolTrace.slice(-3).map(t => `${t.tool} (${t.ok ? "ok" : `failed: ${t.output?.error || "error"}`})`).join("; "),
+      reminder: this.reminder && {
+        appointment_id: this.reminder.appointment_id,
+        description: `${this.reminder.appointment.appointment_type} ${this.slotTime(this.reminder.appointment.start, this.reminder.appointment.location_id)} at ${this.reminder.appointment.location_id}` +
+          (this.reminder.appointment.late_cancellation ? " (late to cancel)" : "") +
+          (this.reminder.status === "confirmed" ? ", confirmed" : "")
       }
+    };
+  }
 
-      return result;
+  /**
+   * Run one tool call from the model and record it in toolTrace
+   */
+  async executeToolCall(call, step) {
+    const name = call.function.name;
+    let input;
+    try {
+      input = JSON.parse(call.function.arguments || "{}");
     } catch (err) {
-      console.error("Insurance check failed:", err);
-      return null;
+      input = null;
+    }
+
+    if (!input) {
+      return this.recordTrace(name, input, { ok: false, error: "Arguments were not valid JSON" }, false, step);
+    }
+    if (name === "recordCallerDetails") {
+      return this.recordTrace(name, input, this.recordCallerDetails(input), true, step);
+    }
+    if (name === "selectOfferedSlot") {
+      const output = this.selectOfferedSlot(input.choice);
+      return this.recordTrace(name, input, output, output.ok, step);
     }
+    if (name === "verifyIdentity") {
+      const output = this.verifyIdentity(input);
+      return this.recordTrace(name, input, output, output.ok, step);
+    }
+    if (name === "confirmAppointment" && this.reminder) {
+      return this.recordTrace(name, input, this.confirmReminder(), true, step);
+    }
+    if (this.isReminderChange(name, input)) {
+      // We called the number on the booking about this appointment
+      this.recordDecision("allowed", "reminder_appointment", name);
+    } else if (PROTECTED_TOOLS.includes(name) && this.identity.status !== "verified") {
+      this.recordDecision("denied", this.identity.status === "locked" ? "locked" : "not_verified", name);
+      const output = {
+        ok: false,
+        error: "verification_required",
+        message: this.identity.status === "locked"
+          ? "The caller couldn't be verified. Don't share any records; offer transferToStaff or takeMessage."
+          : "Verify the caller with verifyIdentity (first name, last name, date of birth) first."
+      };
+      return this.recordTrace(name, input, output, false, step);
+    }
+    if (name === "takeMessage") {
+      const output = this.takeMessage(input);
+      return this.recordTrace(name, input, output, output.ok, step);
+    }
+    if (name === "transferToStaff") {
+      return this.requestTransfer(input.reason, input.note, step);
+    }
+    if (input.location_id && this.tenant.locations && !this.tenant.locations.includes(input.location_id)) {
+      const output = {
+        ok: false,
+        error: MCP_ERRORS.INVALID_INPUT,
+        message: `Not one of this clinic's locations; use one of: ${this.tenant.locations.join(", ")}`
+      };
+      return this.recordTrace(name, input, output, false, step);
+    }
+    if (name === "bookAppointment") {
+      return this.requestBooking(input, step);
+    }
+    if (name === "checkInsuranceCoverage") {
+      return this.runMcpTool(name, this.coverageInput(input), step);
+    }
+    if (name === "lookupAppointments") {
+      // Only ever the verified patient's own appointments
+      const patient = this.registry.get(this.identity.patient_id);
+      return this.runMcpTool(name, { ...input, phone: this.appointmentPhone(), last_name: patient.last }, step);
+    }
+    if (name === "cancelAppointment" || name === "rescheduleAppointment") {
+      return this.requestChange(name, input, step);
+    }
+    if (toolNames.includes(name)) {
+      return this.runMcpTool(name, input, step);
+    }
+    return this.recordTrace(name, input, { ok: false, error: `Unknown tool: ${name}` }, false, step);
   }
 
   /**
-   * Call MCP getProviderAvailability tool
+   * A cancel/reschedule of the appointment this reminder call is about
    */
-  async callGetAvailability(locationId, appointmentType) {
-    try {
-      const tomorrow = new Date();
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      tomorrow.setHours(8, 0, 0, 0);
-      
-      const endDate = new Date(tomorrow);
-      endDate.setDate(endDate.getDate() + 7);
-
-      const response = await fetch(`http://localhost:${process.env.PORT_MCP || 3001}/getProviderAvailability`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          location_id: locationId,
-          date_range: {
-            start: tomorrow.toISOString(),
-            end: endDate.toISOString()
-          },
-          appointment_type: appointmentType || "cleaning"
-        })
-      });
+  isReminderChange(name, input) {
+    return Boolean(this.reminder) &&
+      (name === "cancelAppointment" || name === "rescheduleAppointment") &&
+      input.appointment_id === this.reminder.appointment_id;
+  }
 
-      const result = await response.json();
-      
-      this.toolTrace.push({
-        tool: "get_provider_availability",
-        input: {
-          location_id: locationId,
-          date_range: { start: tomorrow.toISOString(), end: endDate.toISOString() },
-          appointment_type: appointmentType || "cleaning"
-        },
-        output: result,
-        ok: response.ok
+  /**
+   * Check a returning patient's name and date of birth against the registry.
+   * Attempts are capped per call; every decision goes into the audit.
+   */
+  verifyIdentity({ first, last, dob }) {
+    if (this.identity.status === "verified") {
+      return { ok: true, verified: true };
+    }
+    if (this.identity.status === "locked") {
+      this.recordDecision("rejected", "locked");
+      return { ok: false, error: "verification_locked", message: "Too many failed attempts. Don't share any records; offer transferToStaff or takeMessage." };
+    }
+
+    const result = this.registry.verify({ first, last, dob, phone: this.callerPhone || this.slots.phone });
+    if (result.verified) {
+      const patient = result.patient;
+      this.identity.status = "verified";
+      this.identity.patient_id = patient.id;
+      this.recordDecision("verified", result.reason);
+      this.recordCallerDetails({
+        patient_first: patient.first,
+        patient_last: patient.last,
+        dob: patient.dob,
+        // Appointments are filed under a number on record
+        phone: patient.phones.includes(this.slots.phone) ? this.slots.phone : patient.phones[0],
+        payer: patient.insurance?.payer,
+        plan: patient.insurance?.plan
       });
+      return { ok: true, verified: true, insurance_on_file: Boolean(patient.insurance) };
+    }
+
+    const failures = this.identity.decisions.filter(d => d.decision === "rejected").length + 1;
+    const locked = result.reason === "locked" || failures >= MAX_VERIFY_ATTEMPTS;
+    if (locked) this.identity.status = "locked";
+    this.recordDecision("rejected", locked && result.reason !== "locked" ? "too_many_attempts" : result.reason);
+    // Same answer for "no such patient" and "wrong details"
+    return locked
+      ? { ok: false, error: "verification_locked", message: "Too many failed attempts. Don't share any records; offer transferToStaff or takeMessage." }
+      : { ok: false, error: "not_verified", message: "Those details don't match our records. Ask the caller to check them.", attempts_left: MAX_VERIFY_ATTEMPTS - failures };
+  }
+
+  /**
+   * The number the caller's appointments are filed under: one of the verified
+   * patient's numbers on record, or the number a reminder call went to. Never
+   * a number given during the call, which anyone could say.
+   */
+  appointmentPhone() {
+    if (this.identity.status === "verified") {
+      const { phones } = this.registry.get(this.identity.patient_id);
+      return [this.slots.phone, this.callerPhone].find(p => phones.includes(p)) || phones[0];
+    }
+    return this.reminder?.phone || null;
+  }
+
+  recordDecision(decision, reason, tool) {
+    this.identity.decisions.push({ decision, reason, tool: tool || null, turn: this.turn, at: new Date().toISOString() });
+    logger.info({ event: "identity_verification", callId: this.callId, decision, reason, tool: tool || null });
+  }
+
+  describeIdentity() {
+    switch (this.identity.status) {
+      case "verified": return `verified as ${this.slots.patient_first} ${this.slots.patient_last}`;
+      case "locked": return "could not be verified; don't share any records, offer a transfer or callback";
+      default: return this.identity.on_file ? "caller ID is on file but not verified" : "not verified";
+    }
+  }
 
-      if (!this.intents.includes("availability")) {
-        this.intents.push("availability");
+  /**
+   * Add (or update) the caller in the registry after a booking, once their
+   * date of birth is known, so they can be verified on later calls
+   */
+  registerPatient() {
+    const { patient_first: first, patient_last: last, dob, phone, payer, plan } = this.slots;
+    if (!first || !last || !dob) return;
+    const patient = this.registry.register({ first, last, dob, phone, insurance: payer ? { payer, plan: plan || null } : null });
+    this.identity.registered_patient_id = patient.id;
+  }
+
+  /**
+   * Check the service the caller actually wants: the appointment type (from
+   * the call or the slots) goes along, so a mismatched code gets replaced
+   */
+  coverageInput(input) {
+    const appointmentType = input.appointment_type || this.slots.appointment_type;
+    return appointmentType ? { ...input, appointment_type: appointmentType } : input;
+  }
+
+  /**
+   * Call an MCP tool, trace it and apply its result
+   */
+  async runMcpTool(name, input, step) {
+    const { ok, output: result, duration_ms } = await this.callMcpTool(name, input, { signal: this.toolSignal });
+    let output = result;
+    if (!ok && result.error !== MCP_ERRORS.CANCELLED) {
+      this.turnFailed = true;
+      this.lastToolError = result.error;
+      // Backend trouble (not bad arguments): steer the model to the message fallback
+      if (result.retryable || result.error === MCP_ERRORS.CIRCUIT_OPEN) {
+        output = { ...result, fallback: "take_message", instructions: OUTAGE_INSTRUCTIONS };
       }
+    }
+    this.recordTrace(name, input, output, ok, step, duration_ms);
+    if (ok) this.applyToolResult(name, input, output);
+    return output;
+  }
+
+  /**
+   * `durationMs` is given for MCP calls; local tools are instant
+   */
+  recordTrace(name, input, output, ok, step, durationMs) {
+    const entry = {
+      tool: toSnakeCase(name),
+      input,
+      output,
+      ok,
+      turn: this.turn,
+      step
+    };
+    if (durationMs !== undefined) {
+      entry.duration_ms = durationMs;
+      metrics.toolCallSeconds.observe({ tool: entry.tool, ok: String(ok) }, durationMs / 1000);
+    }
+    if (!ok) metrics.toolErrorsTotal.inc({ tool: entry.tool });
+    this.toolTrace.push(entry);
+    this.audit.record("tool_call", entry);
+    return output;
+  }
+
+  /**
+   * Resolve the caller's pick to an offered slot and prepare the read-back
+   */
+  selectOfferedSlot(choice) {
+    const slot = resolveSlotChoice(choice, this.offeredSlots, { tenant: this.tenant, location_id: this.slots.location_id });
+    if (!slot) {
+      return { ok: false, error: "slot_not_found", offered: this.offeredSlots };
+    }
+
+    const patient = {
+      first: this.slots.patient_first,
+      last: this.slots.patient_last,
+      phone: this.slots.phone
+    };
+    const missing = Object.entries({ patient_first: patient.first, patient_last: patient.last, phone: patient.phone })
+      .filter(([, v]) => !v)
+      .map(([k]) => k);
+    if (missing.length) {
+      return { ok: false, error: "missing_details", missing, slot };
+    }
+
+    const booking = {
+      slot,
+      patient,
+      location_id: this.slots.location_id,
+      appointment_type: this.slots.appointment_type || "cleaning"
+    };
+    this.pendingBooking = {
+      ...booking,
+      status: "awaiting_confirmation",
+      readBack: buildReadBack(booking, this.language, this.tenant),
+      turn: this.turn
+    };
+    return { ok: true, slot, read_back: this.pendingBooking.readBack, requires_confirmation: true };
+  }
+
+  /**
+   * Model-initiated booking: only goes through once the caller has said yes
+   */
+  async requestBooking(input, step) {
+    if (this.pendingBooking?.status === "booked") {
+      return this.pendingBooking.result;
+    }
+    if (this.pendingBooking?.status !== "confirmed") {
+      const output = {
+        ok: false,
+        error: "confirmation_required",
+        message: "Pick a slot with selectOfferedSlot and get the caller's yes to the read-back first."
+      };
+      return this.recordTrace("bookAppointment", input, output, false, step);
+    }
+    return this.completeBooking(step);
+  }
+
+  /**
+   * Book the confirmed slot and text the confirmation
+   */
+  async completeBooking(step) {
+    const booking = this.pendingBooking;
+    const input = {
+      patient: booking.patient,
+      slot: { start: booking.slot.start, end: booking.slot.end },
+      appointment_type: booking.appointment_type,
+      location_id: booking.location_id,
+      idempotency_key: bookingIdempotencyKey(this.callId, booking.slot)
+    };
+    if (booking.slot.provider_id) input.provider_id = booking.slot.provider_id;
 
+    const result = await this.runMcpTool("bookAppointment", input, step);
+    if (result?.status !== "booked") {
+      // Leave it confirmed so a retry reuses the same idempotency key
       return result;
-    } catch (err) {
-      console.error("Availability check failed:", err);
-      return null;
     }
+
+    booking.status = "booked";
+    booking.result = result;
+    this.registerPatient();
+    const sms = await this.runMcpTool("sendSms", {
+      to: booking.patient.phone,
+      message: buildConfirmationSms(booking, result.confirmation_id, this.tenant)
+    }, step);
+    booking.smsQueued = sms?.queued === true;
+
+    return { ...result, sms_queued: booking.smsQueued };
   }
 
   /**
-   * Generate conversational response
+   * Model-initiated cancel/reschedule: the appointment must come from
+   * lookupAppointments and a new slot from the offered ones. The first call
+   * starts a read-back; the change is made once the caller says yes.
    */
-  async generateResponse(userText) {
-    const contextMessages = [
-      {
-        role: "system",
-        content: `You are a professional front-desk assistant at Neurality Health. Be concise and helpful.
-Current context:
-- Patient: ${this.slots.patient_first || "unknown"} ${this.slots.patient_last || ""}
-- Phone: ${this.slots.phone || "unknown"}
-- Insurance: ${this.slots.payer || "unknown"} ${this.slots.plan || ""}
-- Recent tool calls: ${this.toolTrace.length} tools used
+  async requestChange(name, input, step) {
+    const type = name === "cancelAppointment" ? "cancel" : "reschedule";
+    const change = this.pendingChange;
+    if (change?.type === type && change.appointment.appointment_id === input.appointment_id) {
+      if (change.status === "done") return change.result;
+      if (change.status === "confirmed") return this.completeChange(step);
+    }
 
-Keep responses under 2 sentences. Guide the conversation toward booking.`
+    const fail = (error, message, extra = {}) =>
+      this.recordTrace(name, input, { ok: false, error, message, ...extra }, false, step);
+
+    const appointment = this.appointments.find(a => a.appointment_id === input.appointment_id);
+    if (!appointment) {
+      return fail("unknown_appointment", "Find the appointment with lookupAppointments first.");
+    }
+
+    let slot = null;
+    if (type === "reschedule") {
+      const start = Date.parse(input.slot?.start);
+      slot = this.offeredSlots.find(s => Date.parse(s.start) === start);
+      if (!slot) {
+        return fail("slot_not_offered", "Find new times with getProviderAvailability and use one of the offered slots.", { offered: this.offeredSlots });
       }
-    ];
+    }
 
-    // Add recent transcript
-    this.transcript.slice(-4).forEach(msg => {
-      contextMessages.push({
-        role: msg.role === "user" ? "user" : "assistant",
-        content: msg.text
-      });
-    });
+    const fee = type === "cancel" && appointment.late_cancellation ? this.cancellationPolicy?.late_fee_usd || 0 : 0;
+    this.pendingChange = {
+      type,
+      appointment,
+      slot,
+      fee,
+      reason: input.reason || null,
+      status: "awaiting_confirmation",
+      readBack: type === "cancel"
+        ? buildCancelReadBack(appointment, fee, this.language, this.tenant)
+        : buildRescheduleReadBack(appointment, slot, this.language, this.tenant),
+      turn: this.turn
+    };
+    const output = { ok: true, read_back: this.pendingChange.readBack, requires_confirmation: true };
+    return this.recordTrace(name, input, output, true, step);
+  }
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: contextMessages,
-      max_tokens: 150,
-      temperature: 0.7
-    });
+  /**
+   * Make the confirmed cancel/reschedule and text the caller about it
+   */
+  async completeChange(step) {
+    const change = this.pendingChange;
+    const { appointment, slot } = change;
+    const phone = this.appointmentPhone();
+    const idempotency_key = changeIdempotencyKey(this.callId, change.type, appointment.appointment_id, slot);
+
+    // A failed change stays confirmed so a retry reuses the same idempotency key
+    let result;
+    let message;
+    if (change.type === "cancel") {
+      const input = { appointment_id: appointment.appointment_id, phone, idempotency_key };
+      if (change.reason) input.reason = change.reason;
+      result = await this.runMcpTool("cancelAppointment", input, step);
+      if (result?.status !== "cancelled") return result;
+      message = buildCancellationSms(appointment, result.fee_usd, this.tenant);
+    } else {
+      const input = {
+        appointment_id: appointment.appointment_id,
+        phone,
+        slot: { start: slot.start, end: slot.end },
+        idempotency_key
+      };
+      if (slot.provider_id) input.provider_id = slot.provider_id;
+      result = await this.runMcpTool("rescheduleAppointment", input, step);
+      if (result?.status !== "rescheduled") return result;
+      message = buildRescheduleSms(appointment, slot, result.confirmation_id, this.tenant);
+    }
+
+    change.status = "done";
+    change.result = result;
+    const sms = await this.runMcpTool("sendSms", { to: phone, message }, step);
+    change.smsQueued = sms?.queued === true;
+
+    return { ...result, sms_queued: change.smsQueued };
+  }
 
-    return response.choices[0].message.content;
+  canTransfer() {
+    // A text conversation can't be put through to the front desk's phone
+    if (this.channel !== "voice") return false;
+    return Boolean(this.transferSettings.number || this.transferSettings.queue);
+  }
+
+  shouldEscalateOnFailure(failedTurns = this.failedTurns) {
+    return !this.transfer && this.canTransfer() && failedTurns >= this.transferSettings.maxFailures;
   }
 
   /**
-   * Save audit JSON
+   * Hand the call to staff. Records the transfer and texts staff the context
+   * summary; the Twilio side redirects the call once the hold message plays.
    */
-  saveAudit() {
-    const auditData = {
-      call_id: this.callId,
-      transcript: this.transcript,
-      intents: this.intents,
-      slots: this.slots,
-      tool_trace: this.toolTrace,
+  async requestTransfer(reason, note, step) {
+    const input = note ? { reason, note } : { reason };
+    if (this.transfer) {
+      return this.recordTrace("transferToStaff", input, { ok: true, status: this.transfer.status }, true, step);
+    }
+    if (!this.canTransfer()) {
+      return this.recordTrace("transferToStaff", input, { ok: false, error: "transfer_unavailable", message: "No staff line is configured; offer a callback." }, false, step);
+    }
+    const allowed = reason === "caller_request" || reason === "repeated_failures" || this.transferSettings.intents.includes(reason);
+    if (!allowed) {
+      return this.recordTrace("transferToStaff", input, { ok: false, error: "not_transferable", message: "Help the caller yourself or offer a callback." }, false, step);
+    }
+
+    const { number, queue, smsTo } = this.transferSettings;
+    this.transfer = {
+      reason,
+      note: note || null,
+      status: "requested",
+      target: number ? { type: "number", to: number } : { type: "queue", name: queue },
+      summary: buildTransferSummary({ slots: this.slots, intents: this.intents, reason, note, tenant: this.tenant }),
+      turn: this.turn,
+      requested_at: new Date().toISOString(),
+      sms_queued: false
+    };
+    if (!this.intents.includes("transfer")) this.intents.push("transfer");
+    console.log(`📞 Transfer requested for call ${this.callId} (${reason})`);
+
+    // Staff context by text; a staff sms isn't the caller's confirmation, so no intent
+    if (smsTo) {
+      const smsInput = { to: smsTo, message: this.transfer.summary };
+      const { ok, output, duration_ms } = await this.callMcpTool("sendSms", smsInput);
+      this.recordTrace("sendSms", smsInput, output, ok, step, duration_ms);
+      this.transfer.sms_queued = ok && output.queued === true;
+    }
+
+    return this.recordTrace("transferToStaff", input, { ok: true, status: "transferring" }, true, step);
+  }
+
+  /**
+   * The Twilio redirect failed: keep the caller and say so
+   */
+  transferFailed(error) {
+    this.transfer.status = "failed";
+    this.transfer.error = error;
+    const text = this.reply("no_staff", NO_STAFF_REPLY);
+    this.addTranscript({ role: "agent", text, ts: new Date().toISOString() });
+    this.checkpoint();
+    return text;
+  }
+
+  /**
+   * A slot time for the prompt, on the clock of the location (the caller's
+   * chosen one by default)
+   */
+  slotTime(iso, locationId = this.slots.location_id) {
+    return formatSlotTime(iso, "en", { tenant: this.tenant, location_id: locationId });
+  }
+
+  describeBooking() {
+    const booking = this.pendingBooking;
+    if (!booking) return "none";
+    const when = this.slotTime(booking.slot.start, booking.location_id);
+    switch (booking.status) {
+      case "awaiting_confirmation": return `read back ${when}, waiting for the caller's yes`;
+      case "declined": return `caller said no to ${when}; ask what they'd like instead`;
+      case "confirmed": return `caller confirmed ${when}, booking failed, offer to retry`;
+      case "booked":
+        return `booked ${when}, confirmation ${booking.result.confirmation_id}, ${booking.smsQueued ? "SMS sent" : "SMS failed"}`;
+      default: return "none";
+    }
+  }
+
+  describeChange() {
+    const change = this.pendingChange;
+    if (!change) return "none";
+    const what = change.type === "cancel"
+      ? `cancel ${this.slotTime(change.appointment.start, change.appointment.location_id)}`
+      : `move ${this.slotTime(change.appointment.start, change.appointment.location_id)} to ${this.slotTime(change.slot.start, change.appointment.location_id)}`;
+    switch (change.status) {
+      case "awaiting_confirmation": return `read back "${what}", waiting for the caller's yes`;
+      case "declined": return `caller said no to "${what}"; ask what they'd like instead`;
+      case "confirmed": return `caller confirmed "${what}", it failed, offer to retry`;
+      case "done": return `done: ${what}, ${change.smsQueued ? "SMS sent" : "SMS failed"}`;
+      default: return "none";
+    }
+  }
+
+  /**
+   * Merge caller details the model extracted into slots
+   */
+  recordCallerDetails(details) {
+    for (const [key, value] of Object.entries(details)) {
+      if (value !== null && value !== undefined && value !== "") this.slots[key] = value;
+    }
+    return { ok: true, slots: this.slots };
+  }
+
+  /**
+   * Call an MCP tool through the shared client (timeouts, retries, breaker).
+   * Failures resolve to { ok: false, output: { error, message, retryable } }.
+   * `duration_ms` covers the whole call, retries included. `signal` (a
+   * barge-in) cancels it.
+   */
+  async callMcpTool(name, input, { signal } = {}) {
+    const started = Date.now();
+    const result = await this.mcp.callTool(name, input, { signal: signal || undefined });
+    return { ...result, duration_ms: Date.now() - started };
+  }
+
+  /**
+   * Record a callback request for staff
+   */
+  takeMessage({ message, callback_phone, best_time }) {
+    const phone = callback_phone || this.slots.phone;
+    if (!phone) {
+      return { ok: false, error: "missing_details", missing: ["callback_phone"] };
+    }
+    if (callback_phone) this.recordCallerDetails({ phone: callback_phone });
+
+    this.callbackRequest = {
+      message,
+      callback_phone: phone,
+      best_time: best_time || null,
+      reason: this.lastToolError,
+      turn: this.turn,
+      ts: new Date().toISOString()
+    };
+    if (!this.intents.includes("callback_request")) this.intents.push("callback_request");
+    logger.info({ event: "callback_requested", callId: this.callId, reason: this.lastToolError });
+    return { ok: true, status: "recorded" };
+  }
+
+  /**
+   * Update slots and intents from a successful tool call
+   */
+  applyToolResult(name, input, output) {
+    switch (name) {
+      case "checkInsuranceCoverage":
+        this.recordCallerDetails({ payer: input.payer, plan: input.plan, appointment_type: input.appointment_type });
+        break;
+      case "getProviderAvailability":
+        this.recordCallerDetails({ location_id: input.location_id, appointment_type: input.appointment_type });
+        this.offeredSlots = output.slots || [];
+        break;
+      case "bookAppointment":
+        if (output.status !== "booked") return;
+        this.recordCallerDetails({
+          patient_first: input.patient.first,
+          patient_last: input.patient.last,
+          phone: input.patient.phone
+        });
+        break;
+      case "lookupAppointments":
+        this.recordCallerDetails({ phone: input.phone, patient_last: input.last_name });
+        this.appointments = output.appointments || [];
+        this.cancellationPolicy = output.cancellation_policy || null;
+        break;
+      case "cancelAppointment":
+        if (output.status !== "cancelled") return;
+        break;
+      case "rescheduleAppointment":
+        if (output.status !== "rescheduled") return;
+        break;
+      case "sendSms":
+        if (!output.queued) return;
+        break;
+    }
+
+    const intent = TOOL_INTENTS[name];
+    if (intent && !this.intents.includes(intent)) {
+      this.intents.push(intent);
+    }
+  }
+
+  nextSteps() {
+    if (this.transfer && this.transfer.status !== "failed") return "Transferred to front desk";
+    if (this.intents.includes("send_sms")) return "SMS sent";
+    if (this.callbackRequest) return "Callback requested";
+    return "Pending";
+  }
+
+  addTranscript(entry) {
+    this.transcript.push(entry);
+    this.audit.record("transcript", entry);
+  }
+
+  /**
+   * Audit sections that are replaced whole when they change
+   */
+  auditSections() {
+    return {
+      tenant_id: this.tenant.id,
+      channel: this.channel,
+      reminder: this.reminder && {
+        appointment_id: this.reminder.appointment_id,
+        status: this.reminder.status,
+        confirmed_at: this.reminder.confirmed_at,
+        result: this.reminderResult()
+      },
+      language: {
+        code: this.language,
+        source: this.languageSource,
+        changes: this.languageChanges
+      },
+      transfer: this.transfer,
+      callback_request: this.callbackRequest,
+      identity: this.identity,
+      appointment_change: this.pendingChange && {
+        type: this.pendingChange.type,
+        appointment_id: this.pendingChange.appointment.appointment_id,
+        new_start: this.pendingChange.slot?.start || null,
+        status: this.pendingChange.status,
+        result: this.pendingChange.result || null
+      },
       outcome: {
         booked: this.intents.includes("book_appointment"),
-        confirmation_id: this.toolTrace.find(t => t.tool === "book_appointment")?.output?.confirmation_id || null,
-        next_steps: this.intents.includes("send_sms") ? "SMS sent" : "Pending"
+        confirmation_id: this.toolTrace.find(t => t.tool === "book_appointment" && t.output?.status === "booked")?.output?.confirmation_id || null,
+        cancelled: this.intents.includes("cancel_appointment"),
+        rescheduled: this.intents.includes("reschedule_appointment"),
+        transferred: Boolean(this.transfer) && this.transfer.status !== "failed",
+        next_steps: this.nextSteps()
       }
     };
+  }
 
-    this.audit.push(auditData);
+  /**
+   * Append whatever changed since the last checkpoint to the event log:
+   * changed slots, new intents and sections that differ
+   */
+  checkpoint() {
+    const slots = Object.fromEntries(
+      Object.entries(this.slots).filter(([key, value]) => this.logged.slots[key] !== value)
+    );
+    if (Object.keys(slots).length) {
+      this.audit.record("slots", slots);
+      this.logged.slots = { ...this.slots };
+    }
+
+    for (const intent of this.intents.slice(this.logged.intents)) {
+      this.audit.record("intent", { intent });
+    }
+    this.logged.intents = this.intents.length;
+
+    for (const [key, value] of Object.entries(this.auditSections())) {
+      const json = JSON.stringify(value);
+      if (this.logged.sections[key] === json) continue;
+      this.audit.record("section", { key, value });
+      this.logged.sections[key] = json;
+    }
+  }
+
+  /**
+   * Flush pending changes to the event log and write the audit JSON derived
+   * from it
+   */
+  saveAudit() {
+    this.checkpoint();
+    this.audit.finalize();
     console.log(`💾 Saved audit for call ${this.callId}`);
   }
 
@@ -277,11 +1256,9 @@ Keep responses under 2 sentences. Guide the conversation toward booking.`
    * Disconnect and cleanup
    */
   async disconnect() {
-    if (this.connected) {
-      await this.handleDisconnect();
-    }
-    this.saveAudit();
-    
+    if (this.connected) await this.handleDisconnect();
+    else this.saveAudit();
+
     try {
       await roomManager.deleteRoom(this.callId);
     } catch (err) {
@@ -0,0 +1,278 @@
+// src/livekit/booking.js
+// Helpers for turning offered availability into a confirmed booking (and
+// for cancelling or moving one): slot resolution, read-back and SMS text,
+// confirmation detection, idempotency keys. Location names and timezones
+// come from the tenant's scheduling config, and texts are signed with its name.
+import crypto from "crypto";
+import { getSchedulingStore } from "../scheduling/store.js";
+
+const DEFAULT_TIME_ZONE = process.env.CLINIC_TIMEZONE || "America/Los_Angeles"; // locations without their own
+
+/**
+ * `tenant`'s location { id, name, timezone }, or null when it has none by that ID
+ */
+function clinicLocation(tenant, locationId) {
+  if (!tenant || !locationId) return null;
+  return getSchedulingStore({ configFile: tenant.scheduling_config_file, stateFile: tenant.scheduling_state_file }).location(locationId);
+}
+
+function locationTimeZone({ tenant, location_id } = {}) {
+  return clinicLocation(tenant, location_id)?.timezone || DEFAULT_TIME_ZONE;
+}
+
+const ORDINALS = {
+  first: 0, "1st": 0, one: 0,
+  second: 1, "2nd": 1, two: 1,
+  third: 2, "3rd": 2, three: 2,
+  fourth: 3, "4th": 3, four: 3
+};
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+function localParts(iso, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    weekday: "long",
+    hour: "numeric",
+    minute: "numeric",
+    hourCycle: "h23"
+  }).formatToParts(new Date(iso));
+  const get = type => parts.find(p => p.type === type)?.value;
+  return { weekday: get("weekday").toLowerCase(), hour: Number(get("hour")), minute: Number(get("minute")) };
+}
+
+/**
+ * Resolve a caller's pick ("the 9am one", "second", "Tuesday at 11") to one
+ * of the offered slots, on the clock of `place` ({ tenant, location_id }).
+ * Returns null when nothing matches.
+ */
+export function resolveSlotChoice(choice, offeredSlots, place = {}) {
+  if (!choice || !offeredSlots.length) return null;
+  const text = String(choice).toLowerCase();
+  const timeZone = locationTimeZone(place);
+
+  const exact = offeredSlots.find(s => s.start === choice);
+  if (exact) return exact;
+
+  // Narrow by weekday if one was mentioned
+  const day = WEEKDAYS.find(d => text.includes(d));
+  let candidates = day ? offeredSlots.filter(s => localParts(s.start, timeZone).weekday === day) : offeredSlots;
+
+  const time = text.match(/\b(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)?(?![\d:])/);
+  if (time || text.includes("noon")) {
+    let hour = time ? Number(time[1]) : 12;
+    const minute = time?.[2] ? Number(time[2]) : 0;
+    const meridiem = time?.[3]?.[0];
+    if (meridiem === "p" && hour < 12) hour += 12;
+    if (meridiem === "a" && hour === 12) hour = 0;
+    // No am/pm: clinic hours make 1-6 afternoon times
+    if (!meridiem && hour >= 1 && hour <= 6) hour += 12;
+
+    const match = candidates.find(s => {
+      const p = localParts(s.start, timeZone);
+      return p.hour === hour && p.minute === minute;
+    });
+    if (match) return match;
+  }
+
+  if (/\blast\b/.test(text)) return candidates[candidates.length - 1] || null;
+  for (const [word, index] of Object.entries(ORDINALS)) {
+    if (new RegExp(`\\b${word}\\b`).test(text)) return candidates[index] || null;
+  }
+
+  return day && candidates.length === 1 ? candidates[0] : null;
+}
+
+// What read-backs need per language; languages missing here use English
+const SPOKEN = {
+  en: {
+    locale: "en-US",
+    at: "at",
+    types: {}
+  },
+  es: {
+    locale: "es-US",
+    at: "a las",
+    types: {
+      appointment: "cita",
+      cleaning: "limpieza",
+      checkup: "revisión",
+      filling: "empaste",
+      root_canal: "endodoncia",
+      extraction: "extracción",
+      consultation: "consulta"
+    }
+  }
+};
+
+const spoken = (language) => SPOKEN[language] || SPOKEN.en;
+
+/**
+ * "Tuesday, Nov 3 at 9:00 AM" on the clock of `place` ({ tenant, location_id })
+ */
+export function formatSlotTime(iso, language = "en", place = {}) {
+  const { locale, at } = spoken(language);
+  const timeZone = locationTimeZone(place);
+  const date = new Date(iso);
+  const day = date.toLocaleDateString(locale, { timeZone, weekday: "long", month: "short", day: "numeric" });
+  const time = date.toLocaleTimeString(locale, { timeZone, hour: "numeric", minute: "2-digit" });
+  return `${day} ${at} ${time}`;
+}
+
+export function locationName(tenant, locationId) {
+  return clinicLocation(tenant, locationId)?.name || locationId;
+}
+
+/**
+ * Speak phone numbers digit groups, e.g. +14085551234 → 408-555-1234
+ */
+export function formatPhone(phone) {
+  const m = String(phone).match(/^\+1(\d{3})(\d{3})(\d{4})$/);
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : phone;
+}
+
+function appointmentLabel(type, language = "en") {
+  const key = type || "appointment";
+  return spoken(language).types[key] || key.replace(/_/g, " ");
+}
+
+export function buildReadBack({ patient, slot, location_id, appointment_type }, language = "en", tenant = null) {
+  const when = formatSlotTime(slot.start, language, { tenant, location_id });
+  const office = locationName(tenant, location_id);
+  if (language === "es") {
+    return `Para confirmar: ${patient.first} ${patient.last}, una cita de ${appointmentLabel(appointment_type, language)} el ${when} ` +
+      `en nuestra oficina de ${office}, y le enviaré la confirmación por mensaje al ${formatPhone(patient.phone)}. ¿La reservo?`;
+  }
+  return `Just to confirm: ${patient.first} ${patient.last}, a ${appointmentLabel(appointment_type)} on ${when} ` +
+    `at our ${office} office, and I'll text the confirmation to ${formatPhone(patient.phone)}. Shall I book it?`;
+}
+
+export function buildConfirmationSms({ slot, location_id, appointment_type }, confirmationId, tenant) {
+  return `${tenant.name}: Your ${appointmentLabel(appointment_type)} appointment is confirmed for ${formatSlotTime(slot.start, "en", { tenant, location_id })} ` +
+    `at our ${locationName(tenant, location_id)} office. Confirmation: ${confirmationId}`;
+}
+
+function lateNotice(fee, language = "en") {
+  if (!(fee > 0)) return "";
+  return language === "es"
+    ? ` Como falta menos de un día, hay un cargo de $${fee} por cancelación tardía.`
+    : ` Since it's less than a day away, there's a $${fee} late-cancellation fee.`;
+}
+
+export function buildCancelReadBack(appointment, fee = 0, language = "en", tenant = null) {
+  const place = { tenant, location_id: appointment.location_id };
+  const label = appointmentLabel(appointment.appointment_type, language);
+  const when = formatSlotTime(appointment.start, language, place);
+  const office = locationName(tenant, appointment.location_id);
+  if (language === "es") {
+    return `Para confirmar: ¿cancelar su cita de ${label} del ${when} en nuestra oficina de ${office}?${lateNotice(fee, language)} ¿La cancelo?`;
+  }
+  return `Just to confirm: cancel your ${label} on ${when} at our ${office} office?${lateNotice(fee)} Shall I cancel it?`;
+}
+
+export function buildRescheduleReadBack(appointment, slot, language = "en", tenant = null) {
+  const place = { tenant, location_id: appointment.location_id };
+  const label = appointmentLabel(appointment.appointment_type, language);
+  const from = formatSlotTime(appointment.start, language, place);
+  const to = formatSlotTime(slot.start, language, place);
+  const office = locationName(tenant, appointment.location_id);
+  if (language === "es") {
+    return `Para confirmar: ¿cambiar su cita de ${label} del ${from} al ${to} en nuestra oficina de ${office}? ¿Hago el cambio?`;
+  }
+  return `Just to confirm: move your ${label} from ${from} to ${to} at our ${office} office? Shall I make the change?`;
+}
+
+export function buildCancellationSms(appointment, fee = 0, tenant) {
+  const when = formatSlotTime(appointment.start, "en", { tenant, location_id: appointment.location_id });
+  return `${tenant.name}: Your ${appointmentLabel(appointment.appointment_type)} appointment on ${when} ` +
+    `has been cancelled.${fee > 0 ? ` A $${fee} late-cancellation fee applies.` : ""}`;
+}
+
+export function buildRescheduleSms(appointment, slot, confirmationId, tenant) {
+  const when = formatSlotTime(slot.start, "en", { tenant, location_id: appointment.location_id });
+  return `${tenant.name}: Your ${appointmentLabel(appointment.appointment_type)} appointment has been moved to ${when} ` +
+    `at our ${locationName(tenant, appointment.location_id)} office. Confirmation: ${confirmationId}`;
+}
+
+/**
+ * Opening line of a reminder call from `tenant`, once a person has answered
+ */
+export function buildReminderIntro({ patient, appointment, tenant }, language = "en") {
+  const clinic = tenant.name;
+  const label = appointmentLabel(appointment.appointment_type, language);
+  const when = formatSlotTime(appointment.start, language, { tenant, location_id: appointment.location_id });
+  const office = locationName(tenant, appointment.location_id);
+  if (language === "es") {
+    return `Hola ${patient.first}, le llamamos de ${clinic} para recordarle su cita de ${label} el ${when} en nuestra oficina de ${office}. ` +
+      "¿Podrá asistir? También puede decirme si quiere cancelarla o cambiarla.";
+  }
+  return `Hi ${patient.first}, this is ${clinic} calling to remind you of your ${label} on ${when} at our ${office} office. ` +
+    "Can you make it? You can also tell me if you'd like to cancel or reschedule.";
+}
+
+/**
+ * Voicemail left when a machine answers: no name or appointment type, since
+ * anyone may play it back. The callback number is the tenant's first.
+ */
+export function buildReminderVoicemail({ appointment, tenant }, language = "en") {
+  const clinic = tenant.name;
+  const callback = tenant.numbers[0];
+  const when = formatSlotTime(appointment.start, language, { tenant, location_id: appointment.location_id });
+  if (language === "es") {
+    return `Hola, le llamamos de ${clinic} para recordarle su cita del ${when}. ` +
+      `Si necesita cancelarla o cambiarla, llámenos${callback ? ` al ${formatPhone(callback)}` : ""}. ¡Gracias!`;
+  }
+  return `Hello, this is ${clinic} with a reminder about your appointment on ${when}. ` +
+    `If you need to cancel or reschedule, please call us${callback ? ` at ${formatPhone(callback)}` : ""}. Thank you!`;
+}
+
+/**
+ * Same call + same slot ⇒ same key, so retries never double-book
+ */
+export function bookingIdempotencyKey(callId, slot) {
+  const digest = crypto.createHash("sha256")
+    .update(`${callId}|${slot.provider_id || "any"}|${slot.start}`)
+    .digest("hex");
+  return `bk_${digest.slice(0, 24)}`;
+}
+
+/**
+ * Same call + same appointment (+ same new slot) ⇒ same key, so a retried
+ * cancel or reschedule only happens once
+ */
+export function changeIdempotencyKey(callId, type, appointmentId, slot) {
+  const digest = crypto.createHash("sha256")
+    .update(`${callId}|${type}|${appointmentId}|${slot?.start || ""}`)
+    .digest("hex");
+  return `${type === "cancel" ? "cx" : "rs"}_${digest.slice(0, 24)}`;
+}
+
+// Answers to a read-back. What the caller leads with decides it: "Yes, no
+// problem" is a yes and "No, Tuesday" a no. "No problem" is a yes, too.
+const LEADING_FILLER = /^(?:(?:um+|uh+|er+|oh|well|so|hmm+|mm+|eh|pues|este)(?![\p{L}'])[\s,.!]*)+/iu;
+const LEADING_YES = /^(?:yes|yeah|yep|yup|sure|correct|right|ok|okay|please do|go ahead|book it|confirm|perfect|sounds good|absolutely|no problem|no worries|not a problem|sí|si|claro|correcto|de acuerdo|está bien|adelante|perfecto|exacto|reservela|resérvela)(?![\p{L}'])/iu;
+const LEADING_NO = /^(?:no|nope|nah|not|don't|do not|wrong|wait|hold on|actually|change|espere|cambiar)(?![\p{L}'])/iu;
+const YES_ANYWHERE = /(?<![\p{L}])(yes|yeah|yep|yup|sure|correct|right|ok|okay|please do|go ahead|book it|confirm|perfect|sounds good|absolutely|sí|si|claro|correcto|de acuerdo|está bien|adelante|perfecto|exacto|reservela|resérvela)(?![\p{L}])/iu;
+const NO_ANYWHERE = /(?<![\p{L}])(no|nope|nah|not|don't|do not|wrong|wait|actually|change|espere|cambiar)(?![\p{L}])/iu;
+const BUT = /(?<![\p{L}])(but|pero)(?![\p{L}])/iu;
+
+const answerStart = (text) => String(text || "").trim().replace(LEADING_FILLER, "");
+
+/**
+ * The caller leads with a no ("No.", "Actually, make it Wednesday")
+ */
+export function isNegative(text) {
+  const start = answerStart(text);
+  return !LEADING_YES.test(start) && LEADING_NO.test(start);
+}
+
+/**
+ * The caller leads with a yes that no "but" takes back, or says yes
+ * somewhere without any negation ("That sounds good")
+ */
+export function isAffirmative(text) {
+  const start = answerStart(text);
+  if (LEADING_YES.test(start)) return !BUT.test(start);
+  if (LEADING_NO.test(start) || NO_ANYWHERE.test(start)) return false;
+  return YES_ANYWHERE.test(start);
+}
@@ -0,0 +1,54 @@
+// src/livekit/escalation.js
+// When and how to hand a call to front-desk staff: transfer config, the
+// "I want a person" check, and the context summary staff get before answering.
+import { locationName, formatPhone } from "./booking.js";
+
+export const TRANSFER_REASONS = ["caller_request", "repeated_failures", "billing", "clinical_question", "complaint", "emergency", "other"];
+
+export const HOLD_REPLY = "Of course. Let me connect you with our front desk, one moment.";
+export const NO_STAFF_REPLY = "I'm sorry, our front desk isn't available right now. I can keep helping you here, or have someone call you back.";
+
+/**
+ * Transfer settings from the environment:
+ * TRANSFER_NUMBER (staff phone) or TRANSFER_QUEUE (Twilio queue name),
+ * TRANSFER_SMS_TO (staff phone for the SMS summary), TRANSFER_INTENTS
+ * (reasons the model may escalate on), TRANSFER_MAX_FAILURES.
+ */
+export function transferConfig(env = process.env) {
+  return {
+    number: env.TRANSFER_NUMBER || null,
+    queue: env.TRANSFER_QUEUE || null,
+    smsTo: env.TRANSFER_SMS_TO || null,
+    intents: (env.TRANSFER_INTENTS || "billing,clinical_question,complaint,emergency")
+      .split(",").map(s => s.trim()).filter(Boolean),
+    maxFailures: Number(env.TRANSFER_MAX_FAILURES || 2)
+  };
+}
+
+/**
+ * Caller explicitly asking for a human, in English or Spanish
+ */
+export function wantsHuman(text) {
+  return /\b(real|live|actual) (person|human)\b|\b(talk|speak|connect me|put me through) (to|with) (a |an |the |someone|somebody)?\s*(person|human|someone|somebody|representative|receptionist|front desk|staff|operator|agent)\b|\b(representative|operator|receptionist)\b/i.test(text) ||
+    /\b(hablar|comunicarme|comun[ií]queme|p[aá]seme) con (una persona|alguien|un humano|un representante|la recepci[oó]n|recepci[oó]n|la recepcionista)\b|\b(persona real|representante|recepcionista|operadora?)\b/i.test(text);
+}
+
+/**
+ * One-line context for staff (SMS and whisper): who, what, why
+ */
+export function buildTransferSummary({ slots, intents, reason, note, tenant = null }) {
+  const name = [slots.patient_first, slots.patient_last].filter(Boolean).join(" ") || "Unknown caller";
+  const details = [
+    slots.phone && formatPhone(slots.phone),
+    [slots.payer, slots.plan].filter(Boolean).join(" "),
+    slots.appointment_type && slots.appointment_type.replace(/_/g, " "),
+    slots.location_id && locationName(tenant, slots.location_id)
+  ].filter(Boolean);
+
+  let summary = `Transfer from AI assistant: ${name}`;
+  if (details.length) summary += ` (${details.join(", ")})`;
+  summary += `. Reason: ${reason.replace(/_/g, " ")}`;
+  if (note) summary += ` - ${note}`;
+  summary += `. So far: ${intents.length ? intents.join(", ").replace(/_/g, " ") : "nothing completed"}.`;
+  return summary;
+}
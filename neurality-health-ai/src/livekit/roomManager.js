@@ -19,10 +19,10 @@ export class LiveKitRoomManager {
   }
 
   /**
-   * Create a new LiveKit room for a call
+   * Create a new LiveKit room for a call; `prefix` keeps tenants' rooms apart
    */
-  async createRoom(callId) {
-    const roomName = `call-${callId}`;
+  async createRoom(callId, prefix = "call-") {
+    const roomName = `${prefix}${callId}`;
     
     if (!this.enabled || !this.roomService) {
       console.log(`📺 Mock room created: ${roomName} (LiveKit unavailable)`);
@@ -0,0 +1,220 @@
+// src/mcp/client.js
+// Client for the MCP tool routes with per-tool timeouts, backoff retries for
+// idempotent calls, and a circuit breaker. Failures come back as typed error
+// results ({ ok: false, error, message, retryable }) instead of throwing.
+import { logger } from "../utils/logger.js";
+import { getTenantRegistry } from "../tenants/registry.js";
+
+export const MCP_ERRORS = {
+  TIMEOUT: "timeout",
+  NETWORK: "network_error",
+  UNAVAILABLE: "service_unavailable", // 5xx that may clear up
+  CIRCUIT_OPEN: "circuit_open",
+  INVALID_INPUT: "invalid_input",     // 400: the arguments were wrong
+  TOOL_FAILED: "tool_failed",         // 500: the tool ran but its output was bad
+  BAD_RESPONSE: "bad_response",
+  CANCELLED: "cancelled"              // the caller's signal aborted it (barge-in)
+};
+
+// Errors that mean the service itself is struggling: retried and counted by the breaker
+const TRANSIENT = [MCP_ERRORS.TIMEOUT, MCP_ERRORS.NETWORK, MCP_ERRORS.UNAVAILABLE];
+
+// Idempotent tools are safe to retry; state changes only with an idempotency key
+const hasKey = input => Boolean(input?.idempotency_key);
+const TOOL_POLICIES = {
+  checkInsuranceCoverage: { timeoutMs: 2000, idempotent: true },
+  getProviderAvailability: { timeoutMs: 3000, idempotent: true },
+  bookAppointment: { timeoutMs: 5000, idempotent: hasKey },
+  lookupAppointments: { timeoutMs: 3000, idempotent: true },
+  cancelAppointment: { timeoutMs: 5000, idempotent: hasKey },
+  rescheduleAppointment: { timeoutMs: 5000, idempotent: hasKey },
+  sendSms: { timeoutMs: 3000, idempotent: false }
+};
+
+const DEFAULT_POLICY = { timeoutMs: 3000, idempotent: false };
+
+const DEFAULTS = {
+  maxAttempts: 3,
+  backoffMs: 250,           // 250ms, 500ms (+ jitter): callers are waiting on the line
+  failureThreshold: 5,      // consecutive transient failures before the breaker opens
+  resetTimeoutMs: 15000     // open → half-open after this long
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function errorResult(error, message, extra = {}) {
+  return { ok: false, error, message, retryable: TRANSIENT.includes(error), ...extra };
+}
+
+/**
+ * Closed → (threshold failures) → open → (reset timeout) → half-open, where
+ * one probe call decides between closed and open again
+ */
+export class CircuitBreaker {
+  constructor({ failureThreshold = DEFAULTS.failureThreshold, resetTimeoutMs = DEFAULTS.resetTimeoutMs, now = Date.now } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.now = now;
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = 0;
+    this.probing = false;
+  }
+
+  /**
+   * May a call go through right now?
+   */
+  allow() {
+    if (this.state === "closed") return true;
+    if (this.state === "open" && this.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.transition("half-open");
+    }
+    if (this.state === "half-open" && !this.probing) {
+      this.probing = true;
+      return true;
+    }
+    return false;
+  }
+
+  success() {
+    this.failures = 0;
+    this.probing = false;
+    if (this.state !== "closed") this.transition("closed");
+  }
+
+  failure() {
+    this.failures++;
+    this.probing = false;
+    if (this.state === "half-open" || (this.state === "closed" && this.failures >= this.failureThreshold)) {
+      this.openedAt = this.now();
+      this.transition("open");
+    }
+  }
+
+  transition(state) {
+    logger.warn({ event: "mcp_circuit", from: this.state, to: state, failures: this.failures });
+    console.warn(`⚡ MCP circuit ${this.state} → ${state}`);
+    this.state = state;
+  }
+}
+
+export class McpClient {
+  /**
+   * `baseUrl` defaults to the local MCP server on PORT_MCP (read per call);
+   * `headers` go on every request (tenant, credentials); `fetch` is
+   * injectable for tests
+   */
+  constructor({ baseUrl, headers = {}, policies = {}, fetch: fetchImpl = fetch, breaker, ...options } = {}) {
+    this.baseUrl = baseUrl;
+    this.headers = headers;
+    this.policies = { ...TOOL_POLICIES, ...policies };
+    this.fetch = fetchImpl;
+    this.options = { ...DEFAULTS, ...options };
+    this.breaker = breaker || new CircuitBreaker(this.options);
+  }
+
+  url(name) {
+    return `${this.baseUrl || `http://localhost:${process.env.PORT_MCP || 3001}`}/${name}`;
+  }
+
+  /**
+   * Call a tool. Resolves to { ok: true, output } or { ok: false, output }
+   * where output is a typed error result. Aborting `signal` stops the call
+   * in flight and any retries; the breaker doesn't count it.
+   */
+  async callTool(name, input, { signal } = {}) {
+    const policy = this.policies[name] || DEFAULT_POLICY;
+    const idempotent = typeof policy.idempotent === "function" ? policy.idempotent(input) : policy.idempotent;
+    const attempts = idempotent ? this.options.maxAttempts : 1;
+
+    let output;
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      if (signal?.aborted) return { ok: false, output: errorResult(MCP_ERRORS.CANCELLED, `${name} was cancelled`) };
+      if (!this.breaker.allow()) {
+        output = errorResult(MCP_ERRORS.CIRCUIT_OPEN, "The scheduling system is temporarily unavailable.");
+        break;
+      }
+
+      output = await this.attempt(name, input, policy.timeoutMs, signal);
+      if (output.error === MCP_ERRORS.CANCELLED) return { ok: false, output };
+      if (output.ok !== false) {
+        this.breaker.success();
+        return { ok: true, output };
+      }
+
+      if (!output.retryable) {
+        // The service answered; only the request was bad
+        this.breaker.success();
+        break;
+      }
+      this.breaker.failure();
+      logger.warn({ event: "mcp_call_failed", tool: name, attempt, error: output.error });
+
+      if (attempt < attempts) {
+        const delay = this.options.backoffMs * 2 ** (attempt - 1);
+        await sleep(delay + Math.random() * delay * 0.2);
+      }
+    }
+
+    console.error(`MCP ${name} failed: ${output.error} (${output.message})`);
+    return { ok: false, output };
+  }
+
+  async attempt(name, input, timeoutMs, signal) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const cancel = () => controller.abort();
+    signal?.addEventListener("abort", cancel, { once: true });
+    let response;
+    let body;
+    try {
+      response = await this.fetch(this.url(name), {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...this.headers },
+        body: JSON.stringify(input),
+        signal: controller.signal
+      });
+      body = await response.json().catch(() => undefined);
+    } catch (err) {
+      if (signal?.aborted) return errorResult(MCP_ERRORS.CANCELLED, `${name} was cancelled`);
+      if (controller.signal.aborted) {
+        return errorResult(MCP_ERRORS.TIMEOUT, `${name} timed out after ${timeoutMs}ms`);
+      }
+      return errorResult(MCP_ERRORS.NETWORK, err.message);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", cancel);
+    }
+
+    if (body === undefined) {
+      if (response.status >= 500) return errorResult(MCP_ERRORS.UNAVAILABLE, `HTTP ${response.status}`);
+      return errorResult(MCP_ERRORS.BAD_RESPONSE, `Unreadable response (HTTP ${response.status})`);
+    }
+
+    if (response.ok) return body;
+    if (response.status === 400) return errorResult(MCP_ERRORS.INVALID_INPUT, "Invalid arguments", { errors: body.errors });
+    if (response.status === 500) return errorResult(MCP_ERRORS.TOOL_FAILED, "Tool returned an invalid result", { errors: body.errors });
+    if (response.status >= 500) return errorResult(MCP_ERRORS.UNAVAILABLE, `HTTP ${response.status}`);
+    return errorResult(MCP_ERRORS.BAD_RESPONSE, `HTTP ${response.status}`);
+  }
+}
+
+const sharedClients = new Map(); // tenant id → McpClient
+
+/**
+ * Process-wide client per tenant (the default tenant's when null), so a
+ * tenant's calls share one breaker and one clinic's outage doesn't open
+ * another's. Requests name the tenant in X-Tenant-Id and carry its MCP token,
+ * if any, as a bearer token.
+ */
+export function getMcpClient(tenant = null) {
+  tenant = tenant || getTenantRegistry().defaultTenant();
+  if (!sharedClients.has(tenant.id)) {
+    const headers = {};
+    // The environment's tenant, when the tenants file has no default, is known to no server
+    if (getTenantRegistry().get(tenant.id)) headers["X-Tenant-Id"] = tenant.id;
+    if (tenant.mcp.token) headers.Authorization = `Bearer ${tenant.mcp.token}`;
+    sharedClients.set(tenant.id, new McpClient({ baseUrl: tenant.mcp.url || undefined, headers }));
+  }
+  return sharedClients.get(tenant.id);
+}
@@ -0,0 +1,128 @@
+// src/mcp/protocol.js
+// Minimal Model Context Protocol (JSON-RPC 2.0) dispatcher shared by the
+// stdio and HTTP/SSE transports.
+
+export const SUPPORTED_PROTOCOL_VERSIONS = ["2025-03-26", "2024-11-05"];
+
+export const RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603
+};
+
+const SERVER_INFO = { name: "neurality-health-mcp", version: "1.0.0" };
+
+function rpcResult(id, result) {
+  return { jsonrpc: "2.0", id, result };
+}
+
+function rpcError(id, code, message, data) {
+  const error = { code, message };
+  if (data !== undefined) error.data = data;
+  return { jsonrpc: "2.0", id: id ?? null, error };
+}
+
+/**
+ * Build an MCP message handler.
+ *
+ * `listTools()` returns tool definitions; `callTool(name, args)` resolves to
+ * `{ ok, result, errors, stage }` as produced by the server's executeTool.
+ * The returned function takes one parsed JSON-RPC message (or a batch) and
+ * resolves to the response, or null for notifications.
+ */
+export function createMcpHandler({ listTools, callTool }) {
+  async function handleOne(msg) {
+    if (!msg || typeof msg !== "object" || msg.jsonrpc !== "2.0" || typeof msg.method !== "string") {
+      return rpcError(msg?.id, RPC_ERRORS.INVALID_REQUEST, "Invalid Request");
+    }
+
+    const response = await dispatch(msg);
+    // A notification (no id) never gets a reply, whatever its method
+    return msg.id === undefined ? null : response;
+  }
+
+  async function dispatch(msg) {
+    const params = msg.params || {};
+
+    try {
+      switch (msg.method) {
+        case "initialize": {
+          const requested = params.protocolVersion;
+          const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(requested)
+            ? requested
+            : SUPPORTED_PROTOCOL_VERSIONS[0];
+          return rpcResult(msg.id, {
+            protocolVersion,
+            capabilities: { tools: { listChanged: false } },
+            serverInfo: SERVER_INFO
+          });
+        }
+
+        case "notifications/initialized":
+        case "notifications/cancelled":
+          return null;
+
+        case "ping":
+          return rpcResult(msg.id, {});
+
+        case "tools/list":
+          return rpcResult(msg.id, { tools: listTools() });
+
+        case "tools/call": {
+          const { name, arguments: args = {} } = params;
+          if (typeof name !== "string" || !args || typeof args !== "object" || Array.isArray(args)) {
+            return rpcError(msg.id, RPC_ERRORS.INVALID_PARAMS, "Invalid params: expected { name, arguments }");
+          }
+          if (!listTools().some(t => t.name === name)) {
+            return rpcError(msg.id, RPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${name}`);
+          }
+
+          const { ok, result, errors, stage } = await callTool(name, args);
+          if (!ok) {
+            // Tool-level failures are reported in the result so the model can see them
+            const message = stage === "input"
+              ? `Invalid arguments for ${name}`
+              : `Tool ${name} failed`;
+            return rpcResult(msg.id, {
+              content: [{ type: "text", text: JSON.stringify({ error: message, errors }) }],
+              isError: true
+            });
+          }
+
+          return rpcResult(msg.id, {
+            content: [{ type: "text", text: JSON.stringify(result) }],
+            structuredContent: result,
+            isError: false
+          });
+        }
+
+        default:
+          return rpcError(msg.id, RPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${msg.method}`);
+      }
+    } catch (err) {
+      return rpcError(msg.id, RPC_ERRORS.INTERNAL_ERROR, err.message);
+    }
+  }
+
+  return async function handleMessage(msg) {
+    if (Array.isArray(msg)) {
+      if (msg.length === 0) return rpcError(null, RPC_ERRORS.INVALID_REQUEST, "Invalid Request");
+      const responses = (await Promise.all(msg.map(handleOne))).filter(Boolean);
+      return responses.length ? responses : null;
+    }
+    return handleOne(msg);
+  };
+}
+
+/**
+ * Parse a raw JSON-RPC payload, returning a parse-error response on failure
+ */
+export function parseMessage(raw) {
+  try {
+    return { msg: JSON.parse(raw) };
+  } catch (err) {
+    return { error: rpcError(null, RPC_ERRORS.PARSE_ERROR, "Parse error") };
+  }
+}
@@ -1,84 +1,207 @@
+import crypto from "crypto";
 import express from "express";
 import bodyParser from "body-parser";
+import readline from "readline";
+import { v4 as uuidv4 } from "uuid";
 import { validate } from "../utils/validator.js";
 import { logger } from "../utils/logger.js";
-import fs from "fs";
-import path from "path";
+import { toolNames, getToolSchema, listTools } from "./tools/index.js";
+import { createMcpHandler, parseMessage } from "./protocol.js";
+import { getSchedulingStore } from "../scheduling/store.js";
+import { getCoverageRules } from "../insurance/rules.js";
+import { getTenantRegistry } from "../tenants/registry.js";
+import { logSecurityEvent } from "../twilio/security.js";
 
-const schemasDir = path.resolve("src/mcp/tools/schemas");
-const tools = ["checkInsuranceCoverage","getProviderAvailability","bookAppointment","sendSms"];
+const digest = (value) => crypto.createHash("sha256").update(value).digest();
+
+/**
+ * Validate input, run the tool and validate its output against `tenant`'s
+ * data (the default tenant's when null).
+ * `stage` tells callers which side failed ("input" | "output").
+ */
+export async function executeTool(tool, input, tenant = null) {
+  const schema = getToolSchema(tool);
+
+  const { ok, errors } = validate(schema.input, input);
+  if (!ok) {
+    logger.warn({ tool, input, errors, ok:false, stage:"input" });
+    return { ok:false, errors, stage:"input" };
+  }
+
+  const result = await runTool(tool, input, tenant || getTenantRegistry().defaultTenant());
+  const { ok: outOk, errors: outErr } = validate(schema.output, result);
+  if (!outOk) {
+    logger.error({ tool, input, output:result, errors:outErr, ok:false, stage:"output" });
+    return { ok:false, errors: outErr, stage:"output" };
+  }
+
+  logger.info({ tool, tenant: tenant?.id, input, output:result, ok:true });
+  return { ok:true, result };
+}
+
+// One MCP handler per tenant, so tools/call runs against that tenant's data
+const mcpHandlers = new Map();
+function mcpHandlerFor(tenant) {
+  const id = tenant?.id || "";
+  if (!mcpHandlers.has(id)) {
+    mcpHandlers.set(id, createMcpHandler({ listTools, callTool: (name, args) => executeTool(name, args, tenant) }));
+  }
+  return mcpHandlers.get(id);
+}
+
+/**
+ * Which tenant a request acts for: X-Tenant-Id, else the registry's default
+ * tenant. A tenant with an MCP token must present it as a bearer token. With
+ * neither a header nor a default, the request only gets the environment's
+ * data, and only while no tenant has a token.
+ * Returns { tenant } (null: the environment's) or { status, reason }.
+ */
+export function authorizeTenant(headers, registry = getTenantRegistry()) {
+  const id = headers["x-tenant-id"];
+  const tenant = id ? registry.get(id) : registry.get(registry.defaultId);
+  if (id && !tenant) return { status: 403, reason: "unknown_tenant" };
+  if (!tenant) {
+    return registry.list().some(t => t.mcp.token) ? { status: 401, reason: "tenant_required" } : { tenant: null };
+  }
+  if (tenant.mcp.token) {
+    const token = (headers.authorization || "").replace(/^Bearer\s+/i, "");
+    if (!crypto.timingSafeEqual(digest(token), digest(tenant.mcp.token))) return { status: 401, reason: "unauthorized" };
+  }
+  return { tenant };
+}
+
+/**
+ * Express middleware: set `req.tenant` from authorizeTenant, or refuse the request
+ */
+function resolveTenant(req, res, next) {
+  const { tenant, status, reason } = authorizeTenant(req.headers);
+  if (status) {
+    logSecurityEvent(status === 403 ? "mcp_unknown_tenant" : "mcp_unauthorized", {
+      path: req.path, ip: req.ip, tenant: req.headers["x-tenant-id"] || null, reason
+    });
+    return res.status(status).json({ ok:false, errors: [{ message: status === 403 ? "Unknown tenant" : "Unauthorized" }] });
+  }
+  req.tenant = tenant;
+  next();
+}
 
 export async function startMCPServer(port) {
   const app = express();
   app.use(bodyParser.json());
+  app.use(resolveTenant);
 
-  for (const tool of tools) {
-    const schema = JSON.parse(fs.readFileSync(path.join(schemasDir, `${tool}.json`)));
-    app.post(`/${tool}`, (req, res) => {
+  // Legacy REST routes, still used by ConversationAgent. A tool that throws
+  // (e.g. an unreadable scheduling state file) is a 500, as on /mcp.
+  for (const tool of toolNames) {
+    app.post(`/${tool}`, async (req, res) => {
+      try {
+        const { ok, result, errors, stage } = await executeTool(tool, req.body, req.tenant);
+        if (!ok) return res.status(stage === "input" ? 400 : 500).json({ ok:false, errors });
+        res.json(result);
+      } catch (err) {
+        logger.error({ tool, tenant: req.tenant?.id, ok:false, stage:"run", error: err.message });
+        res.status(500).json({ ok:false, errors: [{ message: err.message }] });
+      }
+    });
+  }
 
-      const { ok, errors } = validate(schema.input, req.body);
-      if (!ok) return res.status(400).json({ ok:false, errors });
+  // MCP over HTTP: one JSON-RPC message (or batch) per POST
+  app.post("/mcp", async (req, res) => {
+    const response = await mcpHandlerFor(req.tenant)(req.body);
+    if (!response) return res.status(202).end();
+    res.json(response);
+  });
 
-      const result = simulateTool(tool, req.body);
-      const { ok: outOk, errors: outErr } = validate(schema.output, result);
-      if (!outOk) return res.status(500).json({ ok:false, errors: outErr });
-      logger.info({ tool, input:req.body, output:result, ok:true });
-      res.json(result);
+  // MCP over SSE: client holds GET /sse open and POSTs to the advertised endpoint
+  const sseSessions = new Map();
+
+  app.get("/sse", (req, res) => {
+    const sessionId = uuidv4();
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive"
     });
-  }
+    res.write(`event: endpoint\ndata: /messages?sessionId=${sessionId}\n\n`);
+    sseSessions.set(sessionId, { stream: res, tenant: req.tenant });
+    req.on("close", () => sseSessions.delete(sessionId));
+  });
+
+  app.post("/messages", async (req, res) => {
+    const session = sseSessions.get(req.query.sessionId);
+    if (!session) return res.status(404).json({ ok:false, errors: [{ message: "Unknown session" }] });
 
-  return new Promise(resolve => app.listen(port, () => {
-    console.log("✅ MCP server on", port);
-    resolve();
-  }));
+    res.status(202).end();
+    const { stream, tenant } = session;
+    const response = await mcpHandlerFor(tenant)(req.body);
+    if (response) stream.write(`event: message\ndata: ${JSON.stringify(response)}\n\n`);
+  });
+
+  // Malformed JSON bodies become JSON-RPC parse errors on the MCP routes
+  app.use((err, req, res, next) => {
+    if (err.type === "entity.parse.failed" && (req.path === "/mcp" || req.path === "/messages")) {
+      return res.status(400).json(parseMessage(err.body).error);
+    }
+    next(err);
+  });
+
+  return new Promise(resolve => {
+    const server = app.listen(port, () => {
+      console.log("✅ MCP server on", port);
+      resolve(server);
+    });
+  });
 }
 
-// In-memory booking store for idempotency
-const bookingStore = new Map();
+/**
+ * MCP over stdio: newline-delimited JSON-RPC on stdin/stdout.
+ * Messages are handled concurrently, but responses are written in the order
+ * their requests arrived. Nothing else may write to `output` while this is
+ * running.
+ */
+export function startMCPStdio(input = process.stdin, output = process.stdout) {
+  const rl = readline.createInterface({ input, terminal: false });
+  let written = Promise.resolve();
 
-function simulateTool(name, input){
-  switch(name){
+  rl.on("line", (line) => {
+    if (!line.trim()) return;
+    const { msg, error } = parseMessage(line);
+    const pending = error ? Promise.resolve(error) : mcpHandlerFor(null)(msg);
+    written = written.then(async () => {
+      const response = await pending;
+      if (response) output.write(JSON.stringify(response) + "\n");
+    });
+  });
+
+  return rl;
+}
+
+/**
+ * Scheduling tools are backed by the tenant's scheduling store and coverage
+ * by its rules engine; the rest are simulated
+ */
+async function runTool(name, input, tenant) {
+  const store = () => getSchedulingStore({ configFile: tenant.scheduling_config_file, stateFile: tenant.scheduling_state_file });
+  switch (name) {
     case "checkInsuranceCoverage":
-      // Simulate coverage check
-      const covered = input.payer.toLowerCase().includes("delta") || 
-                      input.payer.toLowerCase().includes("blue") ||
-                      input.payer.toLowerCase().includes("dental");
-      return { 
-        covered, 
-        copay_estimate: covered ? 25 : 0, 
-        notes: covered ? "Covered under preventive care" : "Not in network - cash pay available" 
-      };
-      
+      return getCoverageRules(tenant.insurance_rules_file).check(input);
     case "getProviderAvailability":
-      // Generate realistic slots
-      const startDate = new Date(input.date_range.start);
-      const slots = [];
-      for (let i = 0; i < 3; i++) {
-        const slotStart = new Date(startDate);
-        slotStart.setHours(9 + i * 2, 0, 0, 0);
-        const slotEnd = new Date(slotStart);
-        slotEnd.setHours(slotStart.getHours() + 1);
-        slots.push({
-          start: slotStart.toISOString(),
-          end: slotEnd.toISOString(),
-          provider_id: input.provider_id || "DR001"
-        });
-      }
-      return { slots };
-      
+      return store().findAvailability(input);
     case "bookAppointment":
-      // Idempotent booking
-      const key = input.idempotency_key;
-      if (bookingStore.has(key)) {
-        return bookingStore.get(key);
-      }
-      const result = {
-        confirmation_id: "CONF-" + Math.random().toString(36).slice(2, 10).toUpperCase(),
-        status: "booked"
-      };
-      bookingStore.set(key, result);
-      return result;
-      
+      return store().book(input);
+    case "lookupAppointments":
+      return store().lookup(input);
+    case "cancelAppointment":
+      return store().cancel(input);
+    case "rescheduleAppointment":
+      return store().reschedule(input);
+    default:
+      return simulateTool(name, input);
+  }
+}
+
+function simulateTool(name, input){
+  switch(name){
     case "sendSms":
       return { 
         queued: true, 
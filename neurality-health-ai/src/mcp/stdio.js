@@ -0,0 +1,8 @@
+// src/mcp/stdio.js
+// Entry point for MCP clients that launch the server as a subprocess.
+// stdout carries the protocol, so nothing here may console.log.
+import dotenv from "dotenv";
+dotenv.config();
+
+const { startMCPStdio } = await import("./server.js");
+startMCPStdio();
@@ -0,0 +1,40 @@
+import fs from "fs";
+import { fileURLToPath } from "url";
+
+const schemasDir = fileURLToPath(new URL("./schemas/", import.meta.url));
+
+export const toolNames = [
+  "checkInsuranceCoverage",
+  "getProviderAvailability",
+  "bookAppointment",
+  "lookupAppointments",
+  "cancelAppointment",
+  "rescheduleAppointment",
+  "sendSms"
+];
+
+const schemas = new Map(
+  toolNames.map(name => [name, JSON.parse(fs.readFileSync(`${schemasDir}${name}.json`, "utf8"))])
+);
+
+/**
+ * Input/output JSON schemas for a tool, or undefined if the tool doesn't exist
+ */
+export function getToolSchema(name) {
+  return schemas.get(name);
+}
+
+/**
+ * Tool definitions in MCP `tools/list` shape
+ */
+export function listTools() {
+  return toolNames.map(name => {
+    const schema = schemas.get(name);
+    return {
+      name,
+      description: schema.description,
+      inputSchema: schema.input,
+      outputSchema: schema.output
+    };
+  });
+}
@@ -0,0 +1,121 @@
+// src/patients/registry.js
+// File-backed patient registry: who a caller is (name, date of birth, phone
+// numbers, insurance on file) and whether they have proved it. Callers are
+// matched by caller ID, but only verified by name + date of birth; failed
+// attempts per phone number are limited across calls.
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+const DEFAULT_REGISTRY_FILE = fileURLToPath(new URL("../../data/patients.json", import.meta.url));
+
+const MAX_FAILURES = 5;                 // per phone number within the window
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const normalizeName = (name) => String(name || "").toLowerCase().replace(/[^a-z]/g, "");
+
+export class PatientRegistry {
+  constructor({ file = DEFAULT_REGISTRY_FILE, now = Date.now } = {}) {
+    this.file = file;
+    this.now = now;
+    this.state = fs.existsSync(file)
+      ? JSON.parse(fs.readFileSync(file, "utf8"))
+      : { patients: [], failures: {} };
+  }
+
+  /**
+   * Patients with this phone number on file (caller ID pre-population)
+   */
+  findByPhone(phone) {
+    return phone ? this.state.patients.filter(p => p.phones.includes(phone)) : [];
+  }
+
+  get(id) {
+    return this.state.patients.find(p => p.id === id) || null;
+  }
+
+  recentFailures(phone) {
+    const since = this.now() - FAILURE_WINDOW_MS;
+    return (this.state.failures[phone] || []).filter(t => t > since);
+  }
+
+  isLocked(phone) {
+    return Boolean(phone) && this.recentFailures(phone).length >= MAX_FAILURES;
+  }
+
+  /**
+   * Verify a caller by first name, last name and date of birth. Exactly one
+   * patient must match; one whose number is the caller's wins a tie.
+   * Returns { verified, reason, patient?, attempts_left }.
+   */
+  verify({ first, last, dob, phone }) {
+    if (this.isLocked(phone)) {
+      return { verified: false, reason: "locked", attempts_left: 0 };
+    }
+
+    let matches = this.state.patients.filter(p =>
+      normalizeName(p.first) === normalizeName(first) &&
+      normalizeName(p.last) === normalizeName(last) &&
+      p.dob === dob);
+    if (matches.length > 1) matches = matches.filter(p => p.phones.includes(phone));
+
+    if (matches.length === 1) {
+      if (phone && this.state.failures[phone]) {
+        delete this.state.failures[phone];
+        this.save();
+      }
+      return { verified: true, reason: "verified", patient: matches[0] };
+    }
+
+    if (phone) {
+      this.state.failures[phone] = [...this.recentFailures(phone), this.now()];
+      this.save();
+    }
+    const reason = matches.length ? "ambiguous" : "no_match";
+    return { verified: false, reason, attempts_left: phone ? MAX_FAILURES - this.recentFailures(phone).length : null };
+  }
+
+  /**
+   * Add a patient, or add the phone number and insurance to the one with the
+   * same name and date of birth
+   */
+  register({ first, last, dob, phone, insurance }) {
+    let patient = this.state.patients.find(p =>
+      normalizeName(p.first) === normalizeName(first) &&
+      normalizeName(p.last) === normalizeName(last) &&
+      p.dob === dob);
+
+    if (!patient) {
+      patient = { id: crypto.randomUUID(), first, last, dob, phones: [], insurance: null, created_at: new Date(this.now()).toISOString() };
+      this.state.patients.push(patient);
+    }
+    if (phone && !patient.phones.includes(phone)) patient.phones.push(phone);
+    if (insurance?.payer) patient.insurance = insurance;
+    patient.updated_at = new Date(this.now()).toISOString();
+    this.save();
+    return patient;
+  }
+
+  /**
+   * Write to a temp file and rename, so a crash never leaves half a file
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.state, null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+const sharedRegistries = new Map(); // file → PatientRegistry
+
+/**
+ * Process-wide registry per data file (a tenant's, else PATIENT_REGISTRY_FILE
+ * or the bundled one)
+ */
+export function getPatientRegistry(file = null) {
+  const registryFile = file || process.env.PATIENT_REGISTRY_FILE || DEFAULT_REGISTRY_FILE;
+  if (!sharedRegistries.has(registryFile)) sharedRegistries.set(registryFile, new PatientRegistry({ file: registryFile }));
+  return sharedRegistries.get(registryFile);
+}
@@ -0,0 +1,129 @@
+// src/prompts/registry.js
+// Versioned prompt templates from src/prompts/manifest.json. Each prompt has
+// one or more versions (a template file, an A/B weight and optional
+// translations); a version is picked per call, rendered in the call's
+// language with its variables and identified in the audit by name, version,
+// language and hash.
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+const DEFAULT_MANIFEST_FILE = fileURLToPath(new URL("./manifest.json", import.meta.url));
+const BASE_LANGUAGE = "en"; // the language of each version's `file`
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+function lookup(vars, key) {
+  return key.split(".").reduce((value, part) => (value == null ? undefined : value[part]), vars);
+}
+
+const isEmpty = (value) => value == null || value === "" || value === false || (Array.isArray(value) && !value.length);
+
+/**
+ * Fill a template. `{{name}}` inserts a variable (dot paths reach into
+ * objects, arrays are joined with ", "), `{{name|fallback}}` uses the
+ * fallback when it's empty, and `{{#name}}...{{/name}}` keeps its contents
+ * only when the variable isn't empty.
+ */
+export function renderTemplate(template, vars) {
+  return template
+    .replace(/\{\{#([\w.]+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (_, key, body) => (isEmpty(lookup(vars, key)) ? "" : body))
+    .replace(/\{\{([\w.]+)(?:\|([^}]*))?\}\}/g, (_, key, fallback = "") => {
+      const value = lookup(vars, key);
+      if (isEmpty(value)) return fallback;
+      return Array.isArray(value) ? value.join(", ") : String(value);
+    });
+}
+
+export class PromptRegistry {
+  /**
+   * Template paths in the manifest are relative to the manifest file.
+   * `translations` maps a language code to the same version's template in
+   * that language.
+   */
+  constructor({ file = DEFAULT_MANIFEST_FILE } = {}) {
+    const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+    this.manifestVersion = manifest.version || null;
+    this.prompts = new Map(); // name → Map(version → { template, weight, hash, translations })
+
+    for (const [name, prompt] of Object.entries(manifest.prompts || {})) {
+      const versions = new Map();
+      for (const [version, spec] of Object.entries(prompt.versions || {})) {
+        const read = (templateFile) => fs.readFileSync(path.resolve(path.dirname(file), templateFile), "utf8").replace(/\n$/, "");
+        const template = read(spec.file);
+        const weight = spec.weight ?? 0;
+        if (!(weight >= 0)) throw new Error(`Prompt ${name}@${version}: weight must be 0 or more`);
+        const translations = new Map(Object.entries(spec.translations || {}).map(([language, templateFile]) => {
+          const text = read(templateFile);
+          return [language, { template: text, hash: sha256(text) }];
+        }));
+        versions.set(version, { template, weight, hash: sha256(template), translations });
+      }
+      if (![...versions.values()].some(v => v.weight > 0)) {
+        throw new Error(`Prompt ${name} needs at least one version with a weight above 0`);
+      }
+      this.prompts.set(name, versions);
+    }
+  }
+
+  versions(name) {
+    const versions = this.prompts.get(name);
+    if (!versions) throw new Error(`Unknown prompt: ${name}`);
+    return versions;
+  }
+
+  /**
+   * Pick a version: `version` pins one; otherwise weighted by the manifest.
+   * With a `key` (the call ID) the pick is stable, so a call keeps the same
+   * version on every turn, whatever its language. The template is the
+   * version's translation into `language` when it has one.
+   */
+  select(name, { key, version, language } = {}) {
+    const versions = this.versions(name);
+    const localize = (id, { translations, ...v }) => {
+      const translation = language && translations.get(language);
+      return translation
+        ? { name, version: id, ...v, ...translation, language }
+        : { name, version: id, ...v, language: BASE_LANGUAGE };
+    };
+    if (version) {
+      if (!versions.has(version)) throw new Error(`Unknown version ${version} of prompt ${name}`);
+      return localize(version, versions.get(version));
+    }
+
+    const weighted = [...versions].filter(([, v]) => v.weight > 0);
+    const total = weighted.reduce((sum, [, v]) => sum + v.weight, 0);
+    const point = key
+      ? (parseInt(sha256(`${name}:${key}`).slice(0, 8), 16) / 0x100000000) * total
+      : Math.random() * total;
+    let upTo = 0;
+    for (const [id, v] of weighted) {
+      upTo += v.weight;
+      if (point < upTo) return localize(id, v);
+    }
+    const [id, v] = weighted.at(-1);
+    return localize(id, v);
+  }
+
+  /**
+   * Select and fill a prompt. Returns { text, ref }, where `ref` is what the
+   * audit records: name, version, the template's language and hash, and the
+   * hash of the text sent.
+   */
+  render(name, vars, options = {}) {
+    const { version, language, template, hash } = this.select(name, options);
+    const text = renderTemplate(template, vars);
+    return { text, ref: { name, version, language, template_hash: hash, hash: sha256(text) } };
+  }
+}
+
+let sharedRegistry = null;
+
+/**
+ * Process-wide registry; PROMPT_MANIFEST_FILE overrides the manifest
+ */
+export function getPromptRegistry() {
+  if (!sharedRegistry) sharedRegistry = new PromptRegistry({ file: process.env.PROMPT_MANIFEST_FILE || DEFAULT_MANIFEST_FILE });
+  return sharedRegistry;
+}
@@ -0,0 +1,89 @@
+// src/providers/fake.js
+// Deterministic scripted providers so the agent and eval harness run offline.
+// Nothing here touches the network; the same script always yields the same call.
+
+const DEFAULT_REPLY = "Is there anything else I can help you with?";
+
+/**
+ * Chat provider that replays a script. Each entry answers one model call:
+ *   { content: "..." }
+ *   { tool_calls: [{ name, arguments }] }
+ *   (request) => entry   // for replies that depend on the conversation
+ * When the script runs out, every call gets DEFAULT_REPLY.
+ */
+export class FakeChat {
+  constructor({ script = [] } = {}) {
+    this.script = [...script];
+    this.calls = []; // every request, for assertions
+    this.nextId = 0;
+  }
+
+  async chat(request) {
+    const { signal, onToken } = request;
+    if (signal?.aborted) throw abortError();
+    this.calls.push(request);
+
+    let entry = this.script.length ? this.script.shift() : { content: DEFAULT_REPLY };
+    if (typeof entry === "function") entry = entry(request);
+
+    const message = { role: "assistant", content: entry.content ?? null };
+    if (entry.tool_calls?.length && request.toolChoice !== "none") {
+      message.tool_calls = entry.tool_calls.map(call => ({
+        id: `call_fake_${this.nextId++}`,
+        type: "function",
+        function: {
+          name: call.name,
+          arguments: typeof call.arguments === "string" ? call.arguments : JSON.stringify(call.arguments || {})
+        }
+      }));
+    }
+
+    // Stream word by word, like token deltas
+    if (onToken && message.content) {
+      for (const word of message.content.match(/\S+\s*/g)) {
+        if (signal?.aborted) throw abortError();
+        onToken(word);
+      }
+    }
+    return message;
+  }
+}
+
+/**
+ * STT that returns queued transcripts in order, then empty strings
+ */
+export class FakeSpeechToText {
+  constructor({ transcripts = [] } = {}) {
+    this.transcripts = [...transcripts];
+  }
+
+  async transcribe(int16, { signal } = {}) {
+    if (signal?.aborted) throw abortError();
+    return this.transcripts.shift() || "";
+  }
+}
+
+/**
+ * TTS that renders a quiet 24kHz tone, 60ms per character, so downstream
+ * resampling, pacing and barge-in see realistic buffer sizes
+ */
+export class FakeTextToSpeech {
+  constructor({ sampleRate = 24000, msPerChar = 60 } = {}) {
+    this.sampleRate = sampleRate;
+    this.msPerChar = msPerChar;
+  }
+
+  async synthesize(text, { signal } = {}) {
+    if (signal?.aborted) throw abortError();
+    const length = Math.round(this.sampleRate * text.length * this.msPerChar / 1000);
+    const int16 = new Int16Array(length);
+    for (let i = 0; i < length; i++) int16[i] = Math.round(3000 * Math.sin(2 * Math.PI * 220 * i / this.sampleRate));
+    return { int16, sampleRate: this.sampleRate };
+  }
+}
+
+function abortError() {
+  const err = new Error("Request was aborted.");
+  err.name = "AbortError";
+  return err;
+}
@@ -0,0 +1,56 @@
+// src/providers/index.js
+// Pluggable STT / LLM / TTS backends, chosen by config.
+//
+// Interfaces:
+//   stt.transcribe(int16, { sampleRate, signal, language })        → Promise<string>
+//   llm.chat({ messages, tools, toolChoice, maxTokens, temperature,
+//              responseFormat, signal, onToken })                  → Promise<assistant message>
+//   tts.synthesize(text, { signal, voice })                        → Promise<{ int16, sampleRate }>
+import { OpenAISpeechToText, OpenAIChat, OpenAITextToSpeech } from "./openai.js";
+import { FakeSpeechToText, FakeChat, FakeTextToSpeech } from "./fake.js";
+
+export { FakeSpeechToText, FakeChat, FakeTextToSpeech };
+
+/**
+ * Provider settings from the environment. `AI_PROVIDER` picks the backend for
+ * all three; `STT_PROVIDER`, `LLM_PROVIDER`, `TTS_PROVIDER` override one each.
+ */
+export function providerConfig(env = process.env) {
+  const backend = env.AI_PROVIDER || "openai";
+  return {
+    stt: { provider: env.STT_PROVIDER || backend, model: env.STT_MODEL || "whisper-1" },
+    llm: { provider: env.LLM_PROVIDER || backend, model: env.LLM_MODEL || "gpt-4o-mini" },
+    tts: {
+      provider: env.TTS_PROVIDER || backend,
+      model: env.TTS_MODEL || "tts-1",
+      voice: env.TTS_VOICE || "alloy",
+      speed: Number(env.TTS_SPEED || 1.1) // Slightly faster for snappier responses
+    }
+  };
+}
+
+const FACTORIES = {
+  stt: { openai: c => new OpenAISpeechToText(c), fake: () => new FakeSpeechToText() },
+  llm: { openai: c => new OpenAIChat(c), fake: () => new FakeChat() },
+  tts: { openai: c => new OpenAITextToSpeech(c), fake: () => new FakeTextToSpeech() }
+};
+
+export function createProviders(config = providerConfig()) {
+  const providers = {};
+  for (const kind of ["stt", "llm", "tts"]) {
+    const factory = FACTORIES[kind][config[kind].provider];
+    if (!factory) throw new Error(`Unknown ${kind} provider: ${config[kind].provider}`);
+    providers[kind] = factory(config[kind]);
+  }
+  return providers;
+}
+
+let defaults = null;
+
+/**
+ * Process-wide providers from config, created on first use
+ */
+export function getProviders() {
+  if (!defaults) defaults = createProviders();
+  return defaults;
+}
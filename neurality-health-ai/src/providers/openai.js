@@ -0,0 +1,90 @@
+// src/providers/openai.js
+// OpenAI-backed STT (Whisper), chat/tool-calling and TTS.
+import OpenAI from "openai";
+import { encodeWav } from "../audio/index.js";
+
+// Created on first use so importing this module never needs an API key
+let client = null;
+function getClient() {
+  if (!client) client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  return client;
+}
+
+export class OpenAISpeechToText {
+  constructor({ model }) {
+    this.model = model;
+  }
+
+  /**
+   * `language` (ISO 639-1, e.g. "es") skips Whisper's own detection
+   */
+  async transcribe(int16, { sampleRate = 8000, signal, language } = {}) {
+    // OpenAI SDK in Node expects a File object
+    const file = new File([encodeWav(int16, sampleRate)], "audio.wav", { type: "audio/wav" });
+    const params = { file, model: this.model };
+    if (language) params.language = language;
+    const resp = await getClient().audio.transcriptions.create(params, { signal });
+    return resp.text?.trim() || "";
+  }
+}
+
+export class OpenAIChat {
+  constructor({ model }) {
+    this.model = model;
+  }
+
+  async chat({ messages, tools, toolChoice, maxTokens = 150, temperature = 0.7, responseFormat, signal, onToken }) {
+    const params = { model: this.model, messages, max_tokens: maxTokens, temperature };
+    if (tools?.length) params.tools = tools;
+    if (toolChoice) params.tool_choice = toolChoice;
+    if (responseFormat) params.response_format = responseFormat;
+
+    if (!onToken) {
+      const response = await getClient().chat.completions.create(params, { signal });
+      return response.choices[0].message;
+    }
+
+    // Streaming: text deltas go to onToken, tool-call deltas are reassembled
+    const stream = await getClient().chat.completions.create({ ...params, stream: true }, { signal });
+    let content = "";
+    const toolCalls = [];
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta;
+      if (!delta) continue;
+      if (delta.content) {
+        content += delta.content;
+        onToken(delta.content);
+      }
+      for (const tc of delta.tool_calls || []) {
+        const call = toolCalls[tc.index] ||= { id: tc.id, type: "function", function: { name: "", arguments: "" } };
+        if (tc.id) call.id = tc.id;
+        if (tc.function?.name) call.function.name += tc.function.name;
+        if (tc.function?.arguments) call.function.arguments += tc.function.arguments;
+      }
+    }
+
+    const message = { role: "assistant", content: content || null };
+    if (toolCalls.length) message.tool_calls = toolCalls;
+    return message;
+  }
+}
+
+export class OpenAITextToSpeech {
+  constructor({ model, voice, speed }) {
+    this.model = model;
+    this.voice = voice;
+    this.speed = speed;
+  }
+
+  async synthesize(text, { signal, voice } = {}) {
+    const speech = await getClient().audio.speech.create({
+      model: this.model,
+      voice: voice || this.voice,
+      input: text,
+      response_format: "pcm",
+      speed: this.speed
+    }, { signal });
+    const arrayBuffer = await speech.arrayBuffer();
+    return { int16: new Int16Array(arrayBuffer), sampleRate: 24000 }; // OpenAI pcm is 24kHz
+  }
+}
@@ -0,0 +1,250 @@
+// src/reminders/campaign.js
+// Outbound appointment reminders. Each tenant has a campaign that picks
+// booked appointments starting soon from its scheduling store and calls the
+// patient through the Twilio REST API (/reminder/voice then runs the agent in
+// reminder mode, or leaves a voicemail). Calls only go out inside calling
+// hours, up to a retry limit, and every attempt and its result is recorded on
+// the appointment as `reminder`.
+import { logger } from "../utils/logger.js";
+import { getSchedulingStore } from "../scheduling/store.js";
+import { getTenantRegistry } from "../tenants/registry.js";
+import { localDate, weekdayKey, zonedTime } from "../scheduling/time.js";
+import { placeCall } from "../twilio/outbound.js";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Attempt results, ranked: a later report never replaces a more decisive one
+// (the status callback's "reached" arrives around the agent's "confirmed")
+const RESULT_RANK = {
+  calling: 0,
+  no_answer: 1,
+  busy: 1,
+  failed: 1,
+  reached: 2,
+  voicemail: 3,
+  confirmed: 3,
+  cancelled: 3,
+  rescheduled: 3
+};
+const RETRY_RESULTS = ["calling", "no_answer", "busy", "failed"];
+
+// Twilio's final CallStatus → attempt result
+const CALL_STATUS_RESULTS = {
+  completed: "reached",
+  busy: "busy",
+  "no-answer": "no_answer",
+  failed: "failed",
+  canceled: "failed"
+};
+
+/**
+ * Campaign settings from the environment: which appointments (REMINDER_LEAD_HOURS
+ * ahead, at least REMINDER_MIN_LEAD_HOURS), when to call (REMINDER_CALL_HOURS
+ * and REMINDER_CALL_DAYS in the location's timezone), how often to retry
+ * (REMINDER_MAX_ATTEMPTS, REMINDER_RETRY_MINUTES) and how often the job runs.
+ */
+export function reminderPolicy(env = process.env) {
+  const [from, to] = (env.REMINDER_CALL_HOURS || "09:00-19:00").split("-").map(s => s.trim());
+  return {
+    enabled: env.REMINDERS_ENABLED === "true",
+    leadHours: Number(env.REMINDER_LEAD_HOURS || 48),
+    minLeadHours: Number(env.REMINDER_MIN_LEAD_HOURS || 2),
+    callHours: { from, to },
+    callDays: (env.REMINDER_CALL_DAYS || "mon,tue,wed,thu,fri,sat").split(",").map(s => s.trim().toLowerCase()),
+    maxAttempts: Number(env.REMINDER_MAX_ATTEMPTS || 3),
+    retryMinutes: Number(env.REMINDER_RETRY_MINUTES || 120),
+    intervalMinutes: Number(env.REMINDER_INTERVAL_MINUTES || 15)
+  };
+}
+
+/**
+ * Is instant `t` inside the calling window, on the patient's local clock?
+ */
+export function withinCallingHours(t, timeZone, policy = reminderPolicy()) {
+  const date = localDate(t, timeZone);
+  if (!policy.callDays.includes(weekdayKey(date))) return false;
+  return t >= zonedTime(date, policy.callHours.from, timeZone) && t < zonedTime(date, policy.callHours.to, timeZone);
+}
+
+/**
+ * Reminder status from its attempts: the decisive result if there is one,
+ * "exhausted" once retries run out, else the last attempt's result
+ */
+function reminderStatus(attempts, maxAttempts) {
+  const decisive = attempts.findLast(a => RESULT_RANK[a.result] >= RESULT_RANK.reached);
+  if (decisive) return decisive.result;
+  const last = attempts.at(-1);
+  if (!last) return "pending";
+  if (last.result !== "calling" && attempts.length >= maxAttempts) return "exhausted";
+  return last.result;
+}
+
+export class ReminderCampaign {
+  /**
+   * `dialer` places the call and resolves with its CallSid (tests pass a
+   * fake); `baseUrl` is where Twilio reaches our webhooks (PUBLIC_URL).
+   */
+  constructor({ tenant, store, policy = reminderPolicy(), dialer = placeCall, baseUrl = process.env.PUBLIC_URL, now = Date.now } = {}) {
+    this.tenant = tenant;
+    this.store = store || getSchedulingStore({ configFile: tenant.scheduling_config_file, stateFile: tenant.scheduling_state_file });
+    this.policy = policy;
+    this.dialer = dialer;
+    this.baseUrl = (baseUrl || "").replace(/\/+$/, "");
+    this.now = now;
+  }
+
+  /**
+   * Appointments to call right now: at one of the tenant's locations (tenants
+   * without their own state file share a store), booked, starting inside the
+   * lead window, not settled, under the attempt limit, past the retry delay
+   * and inside calling hours. A reschedule made on a reminder call isn't
+   * reminded again.
+   */
+  due() {
+    const now = this.now();
+    const { leadHours, minLeadHours, maxAttempts, retryMinutes } = this.policy;
+    const { locations } = this.tenant;
+    return this.store.upcoming({ from: now + minLeadHours * HOUR, to: now + leadHours * HOUR }).filter(a => {
+      if (locations && !locations.includes(a.location_id)) return false;
+      const reminder = a.reminder || { status: "pending", attempts: [] };
+      if (!["pending", ...RETRY_RESULTS].includes(reminder.status)) return false;
+      if (reminder.attempts.length >= maxAttempts) return false;
+      const last = reminder.attempts.at(-1);
+      if (last && now - Date.parse(last.at) < retryMinutes * MINUTE) return false;
+      if (a.rescheduled_from && this.store.get(a.rescheduled_from)?.reminder?.status === "rescheduled") return false;
+      const timeZone = this.store.location(a.location_id)?.timezone || process.env.CLINIC_TIMEZONE || "America/Los_Angeles";
+      return withinCallingHours(now, timeZone, this.policy);
+    });
+  }
+
+  /**
+   * Call every due appointment, one after another. Resolves with
+   * [{ appointment_id, call_sid, result }].
+   */
+  async run() {
+    const placed = [];
+    for (const appointment of this.due()) {
+      placed.push(await this.call(appointment));
+    }
+    if (placed.length) console.log(`📣 Reminders (${this.tenant.id}): placed ${placed.length} call(s)`);
+    return placed;
+  }
+
+  async call(appointment) {
+    const from = this.tenant.numbers[0];
+    const query = new URLSearchParams({ tenant: this.tenant.id, appointment: appointment.id });
+    const at = new Date(this.now()).toISOString();
+    const attemptNumber = (appointment.reminder?.attempts.length || 0) + 1;
+
+    let callSid = null;
+    let result = "calling";
+    let error = null;
+    try {
+      if (!this.baseUrl) throw new Error("PUBLIC_URL is not set");
+      if (!from) throw new Error(`Tenant ${this.tenant.id} has no number to call from`);
+      callSid = await this.dialer({
+        to: appointment.patient.phone,
+        from,
+        url: `${this.baseUrl}/reminder/voice?${query}`,
+        statusCallback: `${this.baseUrl}/reminder/status?${query}`
+      });
+    } catch (err) {
+      result = "failed";
+      error = err.message;
+    }
+
+    const attempt = { call_sid: callSid, at, result };
+    if (error) attempt.error = error;
+    await this.store.updateReminder(appointment.id, (reminder) => {
+      reminder.attempts.push(attempt);
+      reminder.status = reminderStatus(reminder.attempts, this.policy.maxAttempts);
+      return reminder;
+    });
+    logger[error ? "error" : "info"]({
+      event: "reminder_call",
+      tenant: this.tenant.id,
+      appointment_id: appointment.id,
+      callSid,
+      attempt: attemptNumber,
+      result,
+      error
+    });
+    return { appointment_id: appointment.id, call_sid: callSid, result };
+  }
+
+  /**
+   * Record how a reminder call went: from the voice webhook (voicemail), the
+   * agent when the call ends (confirmed, cancelled, rescheduled, reached) or
+   * Twilio's final status. Resolves with the appointment's reminder record.
+   */
+  recordResult(appointmentId, callSid, result, details = {}) {
+    return this.store.updateReminder(appointmentId, (reminder) => {
+      let attempt = reminder.attempts.find(a => a.call_sid === callSid);
+      if (!attempt) {
+        attempt = { call_sid: callSid, at: new Date(this.now()).toISOString(), result: "calling" };
+        reminder.attempts.push(attempt);
+      }
+      if (RESULT_RANK[result] >= RESULT_RANK[attempt.result]) {
+        Object.assign(attempt, { result, ...details, updated_at: new Date(this.now()).toISOString() });
+      }
+      reminder.status = reminderStatus(reminder.attempts, this.policy.maxAttempts);
+      logger.info({ event: "reminder_result", tenant: this.tenant.id, appointment_id: appointmentId, callSid, result: attempt.result, status: reminder.status });
+      return reminder;
+    });
+  }
+
+  /**
+   * Twilio's final CallStatus for a reminder call
+   */
+  recordCallStatus(appointmentId, callSid, callStatus) {
+    const result = CALL_STATUS_RESULTS[callStatus];
+    return result ? this.recordResult(appointmentId, callSid, result) : Promise.resolve(null);
+  }
+
+  /**
+   * What the agent needs for a reminder call about `appointmentId`, or null
+   * when it's gone or no longer booked
+   */
+  context(appointmentId) {
+    const appointment = this.store.get(appointmentId);
+    if (!appointment || appointment.status !== "booked") return null;
+    return {
+      appointment: this.store.describe(appointment),
+      patient: appointment.patient,
+      cancellation_policy: this.store.policy()
+    };
+  }
+}
+
+const sharedCampaigns = new Map(); // tenant id → ReminderCampaign
+
+export function getReminderCampaign(tenant) {
+  if (!sharedCampaigns.has(tenant.id)) sharedCampaigns.set(tenant.id, new ReminderCampaign({ tenant }));
+  return sharedCampaigns.get(tenant.id);
+}
+
+/**
+ * Run every tenant's campaign now, then every `intervalMinutes`. Runs don't
+ * overlap, and the timer doesn't keep the process alive.
+ */
+export function startReminderJob(policy = reminderPolicy()) {
+  const tenants = getTenantRegistry().list();
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    for (const tenant of tenants) {
+      try {
+        await getReminderCampaign(tenant).run();
+      } catch (err) {
+        logger.error({ event: "reminder_campaign", tenant: tenant.id, status: "failed", error: err.message });
+      }
+    }
+    running = false;
+  };
+  run();
+  const timer = setInterval(run, policy.intervalMinutes * MINUTE);
+  timer.unref();
+  return timer;
+}
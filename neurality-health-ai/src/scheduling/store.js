@@ -0,0 +1,413 @@
+// src/scheduling/store.js
+// File-backed scheduling store behind the availability, booking, lookup,
+// cancel and reschedule tools. Clinic setup (locations, providers, hours,
+// durations, holidays, cancellation policy) is read from data/scheduling.json;
+// appointments (with their reminder calls) and idempotency keys live in a
+// state file that is rewritten atomically.
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { logger } from "../utils/logger.js";
+import { zonedTime, localDate, weekdayKey, addDays } from "./time.js";
+
+const DEFAULT_CONFIG_FILE = fileURLToPath(new URL("../../data/scheduling.json", import.meta.url));
+const DEFAULT_STATE_FILE = fileURLToPath(new URL("../../data/appointments.json", import.meta.url));
+
+const MAX_SLOTS = 6;        // offered per request; spread across the range
+const MAX_RANGE_DAYS = 31;  // bound the search window
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Allowed status changes; anything else is an invalid_status_transition
+const TRANSITIONS = {
+  booked: ["cancelled", "rescheduled"],
+  cancelled: [],
+  rescheduled: []
+};
+
+function overlaps(aStart, aEnd, bStart, bEnd) {
+  return aStart < bEnd && bStart < aEnd;
+}
+
+/**
+ * Pick `count` evenly spaced items, always keeping the first and last
+ */
+function spread(items, count) {
+  if (items.length <= count) return items;
+  return Array.from({ length: count }, (_, i) => items[Math.round(i * (items.length - 1) / (count - 1))]);
+}
+
+export class SchedulingStore {
+  constructor({ configFile = DEFAULT_CONFIG_FILE, stateFile = DEFAULT_STATE_FILE, now = Date.now } = {}) {
+    this.config = JSON.parse(fs.readFileSync(configFile, "utf8"));
+    this.stateFile = stateFile;
+    this.now = now;
+    this.state = fs.existsSync(stateFile)
+      ? JSON.parse(fs.readFileSync(stateFile, "utf8"))
+      : { appointments: [], idempotency: {} };
+    this.lock = Promise.resolve(); // serializes writes within this process
+  }
+
+  location(id) {
+    return this.config.locations.find(l => l.id === id) || null;
+  }
+
+  duration(appointmentType) {
+    return (this.config.appointment_types[appointmentType]?.duration_minutes || 60) * MINUTE;
+  }
+
+  isHoliday(date, locationId) {
+    return this.config.holidays.some(h => h.date === date && (!h.location_id || h.location_id === locationId));
+  }
+
+  /**
+   * Providers at a location who do this appointment type (optionally one provider)
+   */
+  providersFor(locationId, appointmentType, providerId) {
+    return this.config.providers.filter(p =>
+      p.location_id === locationId &&
+      p.appointment_types.includes(appointmentType) &&
+      (!providerId || p.id === providerId));
+  }
+
+  /**
+   * Working intervals [start, end) in ms for a provider on a local date
+   */
+  workingIntervals(provider, date, timeZone) {
+    if (this.isHoliday(date, provider.location_id)) return [];
+    return (provider.hours[weekdayKey(date)] || []).map(([from, to]) => [
+      zonedTime(date, from, timeZone),
+      zonedTime(date, to, timeZone)
+    ]);
+  }
+
+  /**
+   * Does the provider have a booked appointment overlapping [start, end)?
+   * `ignoreId` leaves out the appointment being moved.
+   */
+  isBusy(providerId, start, end, ignoreId) {
+    return this.state.appointments.some(a =>
+      a.id !== ignoreId &&
+      a.provider_id === providerId &&
+      a.status === "booked" &&
+      overlaps(start, end, Date.parse(a.start), Date.parse(a.end)));
+  }
+
+  policy() {
+    return { late_window_hours: 24, late_fee_usd: 0, ...this.config.cancellation_policy };
+  }
+
+  /**
+   * Inside the late-cancellation window (but not yet started)?
+   */
+  isLate(appointment) {
+    return Date.parse(appointment.start) - this.now() < this.policy().late_window_hours * HOUR;
+  }
+
+  /**
+   * Free slots across the whole date range. One slot per start time (first
+   * free provider wins), at most MAX_SLOTS spread over the range.
+   */
+  findAvailability({ location_id, provider_id, date_range, appointment_type }) {
+    const location = this.location(location_id);
+    if (!location) return { slots: [] };
+
+    const rangeStart = Math.max(Date.parse(date_range.start), this.now());
+    const rangeEnd = Date.parse(date_range.end);
+    const duration = this.duration(appointment_type);
+    const step = (this.config.slot_step_minutes || 30) * MINUTE;
+    const providers = this.providersFor(location_id, appointment_type, provider_id);
+
+    const byStart = new Map();
+    const firstDay = localDate(rangeStart, location.timezone);
+    const lastDay = localDate(rangeEnd, location.timezone);
+    for (let day = firstDay, i = 0; day <= lastDay && i < MAX_RANGE_DAYS; day = addDays(day, 1), i++) {
+      for (const provider of providers) {
+        for (const [from, to] of this.workingIntervals(provider, day, location.timezone)) {
+          for (let start = from; start + duration <= to; start += step) {
+            const end = start + duration;
+            if (start < rangeStart || end > rangeEnd || byStart.has(start)) continue;
+            if (this.isBusy(provider.id, start, end)) continue;
+            byStart.set(start, { start: new Date(start).toISOString(), end: new Date(end).toISOString(), provider_id: provider.id });
+          }
+        }
+      }
+    }
+
+    const slots = [...byStart.entries()].sort((a, b) => a[0] - b[0]).map(([, slot]) => slot);
+    return { slots: spread(slots, MAX_SLOTS) };
+  }
+
+  /**
+   * Book a slot. Same idempotency key ⇒ same result, even after a restart;
+   * overlapping bookings for a provider are rejected.
+   */
+  book(input) {
+    return this.withLock(() => this.bookNow(input));
+  }
+
+  /**
+   * Run a state change after the ones already queued
+   */
+  withLock(fn) {
+    const run = this.lock.then(fn);
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  bookNow({ patient, provider_id, slot, appointment_type, location_id, idempotency_key }) {
+    const previous = this.state.idempotency[idempotency_key];
+    if (previous) return previous;
+
+    const checked = this.checkSlot({ location_id, appointment_type, provider_id, slot });
+    if (checked.reason) return { status: "failed", reason: checked.reason };
+
+    const appointment = this.createAppointment({
+      idempotency_key, location_id, appointment_type, patient, provider: checked.provider, start: checked.start, end: checked.end
+    });
+    const result = { confirmation_id: appointment.confirmation_id, status: "booked" };
+
+    this.state.appointments.push(appointment);
+    this.state.idempotency[idempotency_key] = result;
+    this.save();
+
+    logger.info({ event: "appointment_booked", appointment_id: appointment.id, provider_id: appointment.provider_id, start: appointment.start });
+    return result;
+  }
+
+  /**
+   * Is the slot bookable? Inside a provider's hours and free; a named provider
+   * must be that one. Returns { provider, start, end } or { reason }.
+   */
+  checkSlot({ location_id, appointment_type, provider_id, slot }, ignoreId) {
+    const location = this.location(location_id);
+    if (!location) return { reason: "unknown_location" };
+
+    const start = Date.parse(slot.start);
+    const end = Date.parse(slot.end);
+    if (!(end > start)) return { reason: "invalid_slot" };
+    if (start < this.now()) return { reason: "slot_in_past" };
+
+    const date = localDate(start, location.timezone);
+    const candidates = this.providersFor(location_id, appointment_type, provider_id)
+      .filter(p => this.workingIntervals(p, date, location.timezone).some(([from, to]) => start >= from && end <= to));
+    if (!candidates.length) return { reason: "outside_provider_hours" };
+
+    const provider = candidates.find(p => !this.isBusy(p.id, start, end, ignoreId));
+    if (!provider) return { reason: "slot_taken" };
+    return { provider, start, end };
+  }
+
+  createAppointment({ idempotency_key, location_id, appointment_type, patient, provider, start, end, ...extra }) {
+    const now = new Date(this.now()).toISOString();
+    return {
+      id: crypto.randomUUID(),
+      confirmation_id: "CONF-" + crypto.randomBytes(4).toString("hex").toUpperCase(),
+      idempotency_key,
+      status: "booked",
+      location_id,
+      provider_id: provider.id,
+      appointment_type,
+      start: new Date(start).toISOString(),
+      end: new Date(end).toISOString(),
+      patient,
+      created_at: now,
+      history: [{ status: "booked", at: now }],
+      ...extra
+    };
+  }
+
+  /**
+   * The caller's appointments, matched on phone and last name so a phone
+   * number alone doesn't reveal someone else's bookings. Upcoming booked
+   * ones only, unless `include_past`.
+   */
+  lookup({ phone, last_name, location_id, include_past = false }) {
+    const appointments = this.state.appointments
+      .filter(a =>
+        a.patient.phone === phone &&
+        a.patient.last.toLowerCase() === last_name.toLowerCase() &&
+        (!location_id || a.location_id === location_id) &&
+        (include_past || (a.status === "booked" && Date.parse(a.start) >= this.now())))
+      .sort((a, b) => Date.parse(a.start) - Date.parse(b.start))
+      .map(a => this.describe(a));
+    return { appointments, cancellation_policy: this.policy() };
+  }
+
+  get(appointmentId) {
+    return this.state.appointments.find(a => a.id === appointmentId) || null;
+  }
+
+  /**
+   * Booked appointments starting in [from, to) (ms), soonest first
+   */
+  upcoming({ from, to }) {
+    return this.state.appointments
+      .filter(a => a.status === "booked" && Date.parse(a.start) >= from && Date.parse(a.start) < to)
+      .sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+  }
+
+  /**
+   * Replace an appointment's reminder record with `update(current)`, where
+   * current is { status, attempts } (see src/reminders/campaign.js).
+   * Resolves with the new record, or null for an unknown appointment.
+   */
+  updateReminder(appointmentId, update) {
+    return this.withLock(() => {
+      const appointment = this.get(appointmentId);
+      if (!appointment) return null;
+      const current = appointment.reminder || { status: "pending", attempts: [] };
+      appointment.reminder = update(structuredClone(current));
+      this.save();
+      return appointment.reminder;
+    });
+  }
+
+  describe(appointment) {
+    return {
+      appointment_id: appointment.id,
+      confirmation_id: appointment.confirmation_id,
+      status: appointment.status,
+      appointment_type: appointment.appointment_type,
+      location_id: appointment.location_id,
+      provider_id: appointment.provider_id,
+      start: appointment.start,
+      end: appointment.end,
+      late_cancellation: appointment.status === "booked" && this.isLate(appointment)
+    };
+  }
+
+  /**
+   * Find an appointment the caller may change: the phone must match, and the
+   * appointment must be allowed to move to `status`. Returns { appointment } or { reason }.
+   */
+  changeable(appointment_id, phone, status) {
+    const appointment = this.state.appointments.find(a => a.id === appointment_id);
+    // A wrong phone looks the same as a missing appointment
+    if (!appointment || appointment.patient.phone !== phone) return { reason: "not_found" };
+    if (!TRANSITIONS[appointment.status]?.includes(status)) return { reason: "invalid_status_transition" };
+    if (Date.parse(appointment.start) < this.now()) return { reason: "appointment_in_past" };
+    return { appointment };
+  }
+
+  transition(appointment, status, extra = {}) {
+    const at = new Date(this.now()).toISOString();
+    Object.assign(appointment, { status, updated_at: at, ...extra });
+    appointment.history = [...(appointment.history || []), { status, at }];
+  }
+
+  /**
+   * Cancel a booked appointment. Inside the policy window it still goes
+   * through but is flagged late, with the fee that applies.
+   */
+  cancel(input) {
+    return this.withLock(() => this.cancelNow(input));
+  }
+
+  cancelNow({ appointment_id, phone, reason, idempotency_key }) {
+    const previous = this.state.idempotency[idempotency_key];
+    if (previous) return previous;
+
+    const found = this.changeable(appointment_id, phone, "cancelled");
+    if (found.reason) return { status: "failed", appointment_id, reason: found.reason };
+
+    const { appointment } = found;
+    const late = this.isLate(appointment);
+    this.transition(appointment, "cancelled", { cancel_reason: reason || null, late_cancellation: late });
+    const result = {
+      status: "cancelled",
+      appointment_id,
+      late_cancellation: late,
+      fee_usd: late ? this.policy().late_fee_usd : 0
+    };
+
+    this.state.idempotency[idempotency_key] = result;
+    this.save();
+
+    logger.info({ event: "appointment_cancelled", appointment_id, late });
+    return result;
+  }
+
+  /**
+   * Move a booked appointment to a new slot in one step: the new slot is
+   * checked and booked and the old one released under the same lock, so the
+   * caller never ends up with both or neither.
+   */
+  reschedule(input) {
+    return this.withLock(() => this.rescheduleNow(input));
+  }
+
+  rescheduleNow({ appointment_id, phone, slot, provider_id, idempotency_key }) {
+    const previous = this.state.idempotency[idempotency_key];
+    if (previous) return previous;
+
+    const fail = (reason) => ({ status: "failed", appointment_id, reason });
+    const found = this.changeable(appointment_id, phone, "rescheduled");
+    if (found.reason) return fail(found.reason);
+
+    const old = found.appointment;
+    const checked = this.checkSlot({
+      location_id: old.location_id,
+      appointment_type: old.appointment_type,
+      provider_id,
+      slot
+    }, old.id);
+    if (checked.reason) return fail(checked.reason);
+
+    const late = this.isLate(old);
+    const appointment = this.createAppointment({
+      idempotency_key,
+      location_id: old.location_id,
+      appointment_type: old.appointment_type,
+      patient: old.patient,
+      provider: checked.provider,
+      start: checked.start,
+      end: checked.end,
+      rescheduled_from: old.id
+    });
+    this.transition(old, "rescheduled", { rescheduled_to: appointment.id, late_change: late });
+    const result = {
+      status: "rescheduled",
+      appointment_id: appointment.id,
+      confirmation_id: appointment.confirmation_id,
+      previous_appointment_id: old.id,
+      late_change: late
+    };
+
+    this.state.appointments.push(appointment);
+    this.state.idempotency[idempotency_key] = result;
+    this.save();
+
+    logger.info({ event: "appointment_rescheduled", appointment_id: appointment.id, previous_appointment_id: old.id, late });
+    return result;
+  }
+
+  /**
+   * Write to a temp file and rename, so a crash never leaves half a file
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+    const tmp = `${this.stateFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.state, null, 2));
+    fs.renameSync(tmp, this.stateFile);
+  }
+}
+
+const sharedStores = new Map(); // state file → SchedulingStore
+
+/**
+ * Process-wide store per state file. A tenant's files come first, then
+ * SCHEDULING_CONFIG_FILE / SCHEDULING_STATE_FILE, then the bundled data.
+ */
+export function getSchedulingStore({ configFile = null, stateFile = null } = {}) {
+  const state = stateFile || process.env.SCHEDULING_STATE_FILE || DEFAULT_STATE_FILE;
+  if (!sharedStores.has(state)) {
+    sharedStores.set(state, new SchedulingStore({
+      configFile: configFile || process.env.SCHEDULING_CONFIG_FILE || DEFAULT_CONFIG_FILE,
+      stateFile: state
+    }));
+  }
+  return sharedStores.get(state);
+}
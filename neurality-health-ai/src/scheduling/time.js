@@ -0,0 +1,66 @@
+// src/scheduling/time.js
+// Wall-clock ↔ UTC conversion for clinic timezones using Intl only.
+// Dates are "YYYY-MM-DD" strings in the location's zone, times "HH:MM".
+
+const WEEKDAY_KEYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const formatters = new Map();
+function formatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit"
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function wallClock(t, timeZone) {
+  const parts = Object.fromEntries(formatter(timeZone).formatToParts(new Date(t)).map(p => [p.type, p.value]));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    utcEquivalent: Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second)
+  };
+}
+
+/**
+ * Offset of `timeZone` from UTC at instant `t`, in ms
+ */
+function offsetAt(t, timeZone) {
+  return wallClock(t, timeZone).utcEquivalent - Math.floor(t / 1000) * 1000;
+}
+
+/**
+ * Instant (ms) of a local date + time in `timeZone`
+ */
+export function zonedTime(date, time, timeZone) {
+  const [y, m, d] = date.split("-").map(Number);
+  const [h, min] = time.split(":").map(Number);
+  const guess = Date.UTC(y, m - 1, d, h, min);
+  // Second pass settles times near a DST change
+  const first = guess - offsetAt(guess, timeZone);
+  return guess - offsetAt(first, timeZone);
+}
+
+/**
+ * Local calendar date of instant `t`
+ */
+export function localDate(t, timeZone) {
+  return wallClock(t, timeZone).date;
+}
+
+export function weekdayKey(date) {
+  const [y, m, d] = date.split("-").map(Number);
+  return WEEKDAY_KEYS[new Date(Date.UTC(y, m - 1, d)).getUTCDay()];
+}
+
+export function addDays(date, days) {
+  const [y, m, d] = date.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
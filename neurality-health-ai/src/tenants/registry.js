@@ -0,0 +1,141 @@
+// src/tenants/registry.js
+// Clinics served by this deployment, keyed by the Twilio number that was
+// dialed. A tenant carries everything that differs per clinic: LiveKit room
+// prefix, languages and greetings, prompt instructions and versions,
+// locations, front-desk transfer target, MCP endpoint and credentials, data
+// files and audit directory. Without TENANTS_FILE there is one tenant built
+// from the environment.
+import fs from "fs";
+import path from "path";
+import { languageInfo, supportedLanguages } from "../i18n/languages.js";
+
+export const DEFAULT_TENANT_ID = "default";
+const DEFAULT_GREETING = "Hello! You are connected to Neurality Health. How can I help you today?";
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+const resolvePath = (file) => (file ? path.resolve(file) : null);
+
+/**
+ * The single-clinic setup from the environment (TWILIO_PHONE_NUMBER,
+ * TRANSFER_NUMBER, INSURANCE_RULES_FILE, AUDIT_LOG_DIR, ...), as before
+ * tenants existed
+ */
+export function envTenant(env = process.env) {
+  return normalizeTenant({
+    id: DEFAULT_TENANT_ID,
+    name: "Neurality Health",
+    numbers: env.TWILIO_PHONE_NUMBER ? [env.TWILIO_PHONE_NUMBER] : [],
+    transfer: { number: env.TRANSFER_NUMBER, queue: env.TRANSFER_QUEUE, sms_to: env.TRANSFER_SMS_TO },
+    insurance_rules_file: env.INSURANCE_RULES_FILE,
+    patient_registry_file: env.PATIENT_REGISTRY_FILE,
+    scheduling_config_file: env.SCHEDULING_CONFIG_FILE,
+    scheduling_state_file: env.SCHEDULING_STATE_FILE,
+    audit_dir: env.AUDIT_LOG_DIR
+  }, env);
+}
+
+/**
+ * Fill defaults and resolve paths. Unset files (null) mean the process-wide
+ * default for that data; the MCP token is read from the variable named by
+ * `mcp.token_env`, so secrets stay out of the tenants file.
+ */
+export function normalizeTenant(raw, env = process.env) {
+  if (!TENANT_ID_PATTERN.test(raw.id || "")) throw new Error(`Invalid tenant id: ${JSON.stringify(raw.id)}`);
+  const mcp = raw.mcp || {};
+  const transfer = raw.transfer || {};
+  const languages = raw.languages || supportedLanguages(env);
+  languages.forEach(languageInfo);
+  return Object.freeze({
+    id: raw.id,
+    name: raw.name || raw.id,
+    numbers: raw.numbers || [],
+    room_prefix: raw.room_prefix || (raw.id === DEFAULT_TENANT_ID ? "call-" : `${raw.id}_`),
+    greeting: raw.greeting || DEFAULT_GREETING, // in the first of `languages`
+    greetings: raw.greetings || {}, // language → greeting for the others
+    languages, // offered on the /voice menu; the first is the default
+    instructions: raw.instructions || "",
+    prompt_versions: raw.prompt_versions || {}, // prompt name → version, overriding the A/B weights
+    locations: raw.locations || null, // null: any location the scheduling data has
+    transfer: {
+      number: transfer.number || null,
+      queue: transfer.queue || null,
+      smsTo: transfer.sms_to || null
+    },
+    mcp: {
+      url: mcp.url || null, // null: the local MCP server on PORT_MCP
+      token: mcp.token_env ? env[mcp.token_env] || null : null
+    },
+    insurance_rules_file: resolvePath(raw.insurance_rules_file),
+    patient_registry_file: resolvePath(raw.patient_registry_file),
+    scheduling_config_file: resolvePath(raw.scheduling_config_file),
+    scheduling_state_file: resolvePath(raw.scheduling_state_file),
+    audit_dir: resolvePath(raw.audit_dir)
+  });
+}
+
+export class TenantRegistry {
+  /**
+   * `file` is JSON { tenants: [...], default?: id }. `default` takes calls to
+   * numbers no tenant lists; without it those calls are refused.
+   */
+  constructor({ file = null, env = process.env } = {}) {
+    this.tenants = new Map();
+    this.byNumber = new Map();
+
+    if (!file) {
+      this.add(envTenant(env));
+      this.defaultId = DEFAULT_TENANT_ID;
+      return;
+    }
+
+    const config = JSON.parse(fs.readFileSync(file, "utf8"));
+    for (const raw of config.tenants || []) this.add(normalizeTenant(raw, env));
+    if (config.default && !this.tenants.has(config.default)) {
+      throw new Error(`Default tenant ${config.default} is not defined in ${file}`);
+    }
+    this.defaultId = config.default || null;
+  }
+
+  add(tenant) {
+    if (this.tenants.has(tenant.id)) throw new Error(`Duplicate tenant id: ${tenant.id}`);
+    for (const number of tenant.numbers) {
+      if (this.byNumber.has(number)) throw new Error(`${number} is assigned to both ${this.byNumber.get(number)} and ${tenant.id}`);
+      this.byNumber.set(number, tenant.id);
+    }
+    this.tenants.set(tenant.id, tenant);
+  }
+
+  get(id) {
+    return this.tenants.get(id) || null;
+  }
+
+  list() {
+    return [...this.tenants.values()];
+  }
+
+  /**
+   * Tenant for a dialed number (Twilio's `To`), else the default tenant.
+   * Null when the number isn't ours and there is no default.
+   */
+  forNumber(number) {
+    return this.get(this.byNumber.get(number) || this.defaultId);
+  }
+
+  /**
+   * For code running outside a call's context (tests, CLI tools): the default
+   * tenant, or the environment's when the tenants file has none
+   */
+  defaultTenant() {
+    return this.get(this.defaultId) || envTenant();
+  }
+}
+
+let sharedRegistry = null;
+
+/**
+ * Process-wide registry; TENANTS_FILE lists the clinics
+ */
+export function getTenantRegistry() {
+  if (!sharedRegistry) sharedRegistry = new TenantRegistry({ file: process.env.TENANTS_FILE || null });
+  return sharedRegistry;
+}
@@ -0,0 +1,127 @@
+// src/twilio/callLifecycle.js
+// Per-call lifecycle record built from the voice webhook, the media stream and
+// Twilio status callbacks. Every update is merged into the call's audit under
+// `lifecycle`, so it survives whichever side finishes last, and the final
+// status writes the audit JSON.
+import { createAudit, logger } from "../utils/logger.js";
+
+// Later statuses never move a call back to an earlier one (callbacks can arrive out of order)
+const STATUS_RANK = {
+  queued: 0,
+  initiated: 1,
+  ringing: 2,
+  "in-progress": 3,
+  completed: 4,
+  busy: 4,
+  "no-answer": 4,
+  canceled: 4,
+  failed: 4
+};
+
+const FINAL_STATUSES = ["completed", "busy", "no-answer", "canceled", "failed"];
+
+const calls = new Map(); // callSid → lifecycle record
+const auditDirs = new Map(); // callSid → the tenant's audit directory (null: default)
+
+function getOrCreate(callSid, dir) {
+  if (dir !== undefined) auditDirs.set(callSid, dir);
+  let record = calls.get(callSid);
+  if (!record) {
+    // A late callback for a finished call picks up where the audit left off
+    record = createAudit(callSid, { dir: auditDirs.get(callSid) }).read().lifecycle || {
+      call_sid: callSid,
+      from: null,
+      to: null,
+      direction: null,
+      stream_sid: null,
+      status: null,
+      events: [],          // [{ status, at }]
+      started_at: null,    // first seen (ringing)
+      answered_at: null,   // in-progress
+      ended_at: null,
+      duration_s: null,
+      hangup_by: null      // "caller" | "agent" | "transfer" | null
+    };
+    calls.set(callSid, record);
+  }
+  return record;
+}
+
+function persist(record) {
+  const audit = createAudit(record.call_sid, { dir: auditDirs.get(record.call_sid) });
+  audit.merge({ lifecycle: record });
+  if (FINAL_STATUSES.includes(record.status)) audit.finalize();
+}
+
+/**
+ * Apply a status change. `params` are Twilio's webhook form fields
+ * (CallSid, CallStatus, From, To, Direction, CallDuration, Timestamp);
+ * `tenant` is the clinic the call belongs to.
+ */
+export function recordCallStatus(params, tenant = null) {
+  const { CallSid: callSid, CallStatus: status } = params;
+  if (!callSid || !status) return null;
+
+  const record = getOrCreate(callSid, tenant ? tenant.audit_dir : undefined);
+  const at = params.Timestamp ? new Date(params.Timestamp).toISOString() : new Date().toISOString();
+  record.from = record.from || params.From || null;
+  record.to = record.to || params.To || null;
+  record.direction = record.direction || params.Direction || null;
+  record.events.push({ status, at });
+
+  const current = STATUS_RANK[record.status] ?? -1;
+  if ((STATUS_RANK[status] ?? -1) >= current && !FINAL_STATUSES.includes(record.status)) {
+    record.status = status;
+  }
+
+  if (!record.started_at) record.started_at = at;
+  if (status === "in-progress" && !record.answered_at) record.answered_at = at;
+
+  if (FINAL_STATUSES.includes(status)) {
+    record.ended_at = record.ended_at || at;
+    if (params.CallDuration !== undefined) {
+      record.duration_s = Number(params.CallDuration);
+    } else if (record.answered_at) {
+      record.duration_s = Math.round((Date.parse(record.ended_at) - Date.parse(record.answered_at)) / 1000);
+    } else {
+      record.duration_s = 0;
+    }
+    // Nobody on our side ended it ⇒ the caller hung up (or never picked up)
+    if (!record.hangup_by && (status === "completed" || status === "canceled")) record.hangup_by = "caller";
+  }
+
+  persist(record);
+  logger.info({ event: "call_status", callSid, status, duration_s: record.duration_s });
+
+  if (FINAL_STATUSES.includes(status)) {
+    calls.delete(callSid);
+    auditDirs.delete(callSid);
+  }
+  return record;
+}
+
+/**
+ * The media stream for this call authenticated and started
+ */
+export function recordStreamStart(callSid, { streamSid, from, to, tenant } = {}) {
+  const record = getOrCreate(callSid, tenant ? tenant.audit_dir : undefined);
+  record.stream_sid = streamSid || record.stream_sid;
+  record.from = record.from || from || null;
+  record.to = record.to || to || null;
+  return recordCallStatus({ CallSid: callSid, CallStatus: "in-progress" });
+}
+
+/**
+ * Note that our side is ending the call (agent hangup, transfer), before
+ * Twilio reports it completed
+ */
+export function markHangup(callSid, side) {
+  const record = calls.get(callSid);
+  if (!record) return;
+  record.hangup_by = side;
+  persist(record);
+}
+
+export function getCallLifecycle(callSid) {
+  return calls.get(callSid) || null;
+}
@@ -0,0 +1,190 @@
+// src/twilio/mediaPlayer.js
+// Real-time paced outbound audio for a Twilio Media Stream. Frames are sent at
+// playback speed (plus a small lead) with a `mark` after each segment, so we
+// always know what the caller has actually heard and `clear` can stop it.
+import { mulawEncode } from "../audio/index.js";
+
+const FRAME_SAMPLES = 160; // 20ms at 8kHz
+const FRAME_MS = 20;
+const LEAD_FRAMES = 5; // keep ~100ms queued at Twilio to ride out timer jitter
+const MARK_GRACE_MS = 1000; // give up waiting for a mark this long after expected playback end
+
+export class MediaStreamPlayer {
+  /**
+   * `now` is the playback clock (tests pass a fake one)
+   */
+  constructor(ws, { onIdle, now = Date.now } = {}) {
+    this.ws = ws;
+    this.onIdle = onIdle;
+    this.now = now;
+    this.streamSid = null;
+    this.queue = [];      // { frame, segment } | { mark, segment }
+    this.segments = [];   // segments of the current reply, in order
+    this.nextSegmentId = 0;
+    this.timer = null;
+    this.runStart = 0;    // when the first frame of the current continuous run was sent
+    this.runFrames = 0;   // frames sent in the current run
+  }
+
+  /**
+   * True while audio is queued or Twilio hasn't confirmed playing it
+   */
+  get active() {
+    return this.queue.length > 0 || this.segments.some(s => !s.played);
+  }
+
+  /**
+   * Queue 8kHz PCM16 audio for `text`. Resolves once every frame is sent
+   * (or the segment is cleared).
+   */
+  enqueue(int16, text) {
+    const segment = {
+      id: `seg-${this.nextSegmentId++}`,
+      text,
+      frames: Math.floor(int16.length / FRAME_SAMPLES),
+      playAt: null,
+      played: false
+    };
+    if (!segment.frames) return Promise.resolve(0);
+
+    segment.sent = new Promise(resolve => { segment.resolveSent = resolve; });
+    for (let i = 0; i + FRAME_SAMPLES <= int16.length; i += FRAME_SAMPLES) {
+      this.queue.push({ frame: int16.subarray(i, i + FRAME_SAMPLES), segment });
+    }
+    this.queue.push({ mark: segment.id, segment });
+    this.segments.push(segment);
+
+    this.start();
+    return segment.sent;
+  }
+
+  /**
+   * Twilio echoes a mark once everything before it has played
+   */
+  handleMark(name) {
+    const index = this.segments.findIndex(s => s.id === name);
+    if (index === -1) return;
+    for (let i = 0; i <= index; i++) this.segments[i].played = true;
+    this.checkIdle();
+  }
+
+  /**
+   * Barge-in: drop queued audio, tell Twilio to flush its buffer, and return
+   * the text the caller actually heard
+   */
+  clear() {
+    const heard = this.heardText();
+    this.drop();
+    this.send({ event: "clear", streamSid: this.streamSid });
+    return heard;
+  }
+
+  /**
+   * Best estimate of what has played: acknowledged segments in full, the
+   * current one by elapsed playback time
+   */
+  heardText() {
+    const now = this.now();
+    const parts = [];
+    for (const segment of this.segments) {
+      if (segment.played) {
+        parts.push(segment.text);
+        continue;
+      }
+      if (segment.playAt === null || now <= segment.playAt) break;
+
+      const fraction = Math.min(1, (now - segment.playAt) / (segment.frames * FRAME_MS));
+      const words = segment.text.split(/\s+/);
+      const heardWords = words.slice(0, Math.floor(words.length * fraction));
+      if (heardWords.length) parts.push(heardWords.join(" "));
+      break;
+    }
+    return parts.join(" ");
+  }
+
+  /**
+   * The socket is gone: drop everything without telling Twilio
+   */
+  stop() {
+    this.drop();
+  }
+
+  /**
+   * Forget queued audio and segments; whoever awaits a segment's `sent`
+   * gets 0 instead of waiting forever
+   */
+  drop() {
+    for (const item of this.queue) item.segment.resolveSent(0);
+    this.queue = [];
+    this.segments = [];
+    this.stopTimer();
+    this.runStart = 0;
+    this.runFrames = 0;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.pump();
+    this.timer = setInterval(() => this.pump(), FRAME_MS);
+  }
+
+  stopTimer() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  pump() {
+    const now = this.now();
+
+    // Twilio's buffer drained since the last run: restart the playback clock
+    if (this.queue.length && (!this.runStart || now >= this.runStart + this.runFrames * FRAME_MS)) {
+      this.runStart = now;
+      this.runFrames = 0;
+    }
+
+    const playedByClock = Math.floor((now - this.runStart) / FRAME_MS);
+    while (this.queue.length && this.runFrames - playedByClock < LEAD_FRAMES) {
+      const item = this.queue.shift();
+      const { segment } = item;
+
+      if (item.mark) {
+        this.send({ event: "mark", streamSid: this.streamSid, mark: { name: item.mark } });
+        segment.resolveSent(segment.frames);
+        continue;
+      }
+
+      if (segment.playAt === null) segment.playAt = this.runStart + this.runFrames * FRAME_MS;
+      const payload = mulawEncode(item.frame).toString("base64");
+      if (!this.send({ event: "media", streamSid: this.streamSid, media: { payload } })) {
+        console.error(`WebSocket not open (readyState=${this.ws.readyState}), dropping outbound audio`);
+        this.stop();
+        return;
+      }
+      this.runFrames++;
+    }
+
+    // Marks normally arrive; don't hang forever if Twilio never echoes one
+    if (!this.queue.length && now > this.runStart + this.runFrames * FRAME_MS + MARK_GRACE_MS) {
+      for (const segment of this.segments) segment.played = true;
+    }
+    this.checkIdle();
+  }
+
+  checkIdle() {
+    if (this.active) return;
+    this.stopTimer();
+    this.segments = [];
+    this.onIdle?.();
+  }
+
+  send(message) {
+    try {
+      if (this.ws.readyState !== 1) return false; // WebSocket.OPEN
+      this.ws.send(JSON.stringify(message));
+      return true;
+    } catch (e) {
+      console.error("Error sending to media stream:", e);
+      return false;
+    }
+  }
+}
@@ -0,0 +1,44 @@
+// src/twilio/outbound.js
+// Outbound calls through the Twilio REST API. Answering-machine detection
+// waits for the greeting to end, so the voice URL learns who answered
+// (`AnsweredBy`) and a voicemail starts after the beep.
+import { getTwilioClient } from "./transfer.js";
+import { logger } from "../utils/logger.js";
+
+const RING_TIMEOUT_S = 30;
+
+// AnsweredBy values that mean nobody is listening live
+const MACHINE_ANSWERS = ["machine_end_beep", "machine_end_silence", "machine_end_other", "machine_start", "fax"];
+
+export function answeredByMachine(answeredBy) {
+  return MACHINE_ANSWERS.includes(answeredBy);
+}
+
+/**
+ * Dial `to` from one of our numbers. Twilio fetches TwiML from `url` once the
+ * call is answered and posts the final status to `statusCallback`.
+ * Resolves with the CallSid.
+ */
+export async function placeCall({ to, from, url, statusCallback }) {
+  const call = await getTwilioClient().calls.create({
+    to,
+    from,
+    url,
+    method: "POST",
+    statusCallback,
+    statusCallbackMethod: "POST",
+    statusCallbackEvent: ["completed"],
+    machineDetection: "DetectMessageEnd",
+    timeout: RING_TIMEOUT_S
+  });
+  logger.info({ event: "outbound_call", callSid: call.sid, status: call.status });
+  return call.sid;
+}
+
+/**
+ * Hang up a live call from our side
+ */
+export async function endCall(callSid) {
+  await getTwilioClient().calls(callSid).update({ status: "completed" });
+  logger.info({ event: "call_ended_by_agent", callSid });
+}
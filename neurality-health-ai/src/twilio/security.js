@@ -0,0 +1,94 @@
+// src/twilio/security.js
+// Authentication for Twilio traffic: X-Twilio-Signature on webhook routes and
+// a short-lived signed token for the media stream WebSocket.
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import pkg from "twilio";
+import { logger } from "../utils/logger.js";
+const { validateRequest } = pkg;
+
+const STREAM_TOKEN_TTL_SECONDS = 60; // Twilio opens the stream right after fetching TwiML
+const STREAM_TOKEN_AUDIENCE = "media-stream";
+
+// Per-process fallback; set STREAM_TOKEN_SECRET when several instances share traffic
+const fallbackSecret = crypto.randomBytes(32).toString("hex");
+
+function streamTokenSecret() {
+  return process.env.STREAM_TOKEN_SECRET || fallbackSecret;
+}
+
+/**
+ * Record a rejected or suspicious request. Goes to system.log as
+ * { event: "security", type, ... }.
+ */
+export function logSecurityEvent(type, details = {}) {
+  logger.warn({ event: "security", type, ...details });
+  console.warn(`🚫 Security: ${type} ${JSON.stringify(details)}`);
+}
+
+/**
+ * Public base URL Twilio uses to reach us (no trailing slash)
+ */
+export function publicBaseUrl(req) {
+  return (process.env.PUBLIC_URL || `https://${req.headers["host"]}`).replace(/\/+$/, "");
+}
+
+/**
+ * Express middleware: reject requests without a valid X-Twilio-Signature.
+ * TWILIO_VALIDATE_SIGNATURE=false skips the check (local testing only).
+ */
+export function validateTwilioSignature(req, res, next) {
+  if (process.env.TWILIO_VALIDATE_SIGNATURE === "false") return next();
+
+  const details = { path: req.path, ip: req.ip, callSid: req.body?.CallSid };
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!authToken) {
+    logSecurityEvent("twilio_auth_token_missing", details);
+    return res.status(500).send("Webhook authentication is not configured");
+  }
+
+  const signature = req.headers["x-twilio-signature"];
+  if (!signature) {
+    logSecurityEvent("twilio_signature_missing", details);
+    return res.status(403).send("Forbidden");
+  }
+
+  const url = publicBaseUrl(req) + req.originalUrl;
+  if (!validateRequest(authToken, signature, url, req.body || {})) {
+    logSecurityEvent("twilio_signature_invalid", { ...details, url });
+    return res.status(403).send("Forbidden");
+  }
+
+  next();
+}
+
+/**
+ * Token passed to <Stream> as a custom parameter, bound to one call and the
+ * tenant it was made to. Reminder calls also carry the appointment they're
+ * about (`reminder`).
+ */
+export function createStreamToken(callSid, tenantId = null, { reminder = null } = {}) {
+  const claims = { callSid, tenant: tenantId };
+  if (reminder) claims.reminder = reminder;
+  return jwt.sign(claims, streamTokenSecret(), {
+    audience: STREAM_TOKEN_AUDIENCE,
+    expiresIn: STREAM_TOKEN_TTL_SECONDS
+  });
+}
+
+/**
+ * Check the token from a media stream `start` event.
+ * Returns { ok: true, tenantId, reminder? } or { ok: false, reason }.
+ */
+export function verifyStreamToken(token, callSid) {
+  if (!token) return { ok: false, reason: "stream_token_missing" };
+  try {
+    const claims = jwt.verify(token, streamTokenSecret(), { audience: STREAM_TOKEN_AUDIENCE });
+    if (claims.callSid !== callSid) return { ok: false, reason: "stream_token_call_mismatch" };
+    const result = { ok: true, tenantId: claims.tenant || null };
+    if (claims.reminder) result.reminder = claims.reminder;
+    return result;
+  } catch (err) {
+    return { ok: false, reason: err.name === "TokenExpiredError" ? "stream_token_expired" : "stream_token_invalid" };
+  }
+}
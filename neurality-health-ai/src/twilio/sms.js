@@ -0,0 +1,204 @@
+// src/twilio/sms.js
+// Two-way text conversations. Each phone number texting a clinic gets a
+// text-mode ConversationAgent session (the same slots, tools and audit as a
+// call, without STT/TTS) until SMS_SESSION_TTL_MINUTES pass without a message.
+// Replies go out through the REST API, so /sms can acknowledge Twilio at once.
+// STOP/START/HELP keywords are answered here and never reach the agent, and
+// numbers that opted out are remembered in SMS_OPT_OUT_FILE.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { ConversationAgent } from "../livekit/agent.js";
+import { getTwilioClient } from "./transfer.js";
+import { logger } from "../utils/logger.js";
+
+const DEFAULT_OPT_OUT_FILE = fileURLToPath(new URL("../../data/sms-opt-outs.json", import.meta.url));
+const MINUTE = 60 * 1000;
+
+// Twilio's standard keywords, less CANCEL: a patient texting "Cancel" means
+// their appointment. They only count as the whole message
+const KEYWORDS = {
+  stop: ["stop", "stopall", "unsubscribe", "end", "quit"],
+  start: ["start", "unstop", "yes"],
+  help: ["help", "info"]
+};
+
+/**
+ * "stop", "start" or "help" when the text is one of their keywords, else null
+ */
+export function smsKeyword(text) {
+  const word = String(text || "").trim().toLowerCase().replace(/[.!]+$/, "");
+  return Object.keys(KEYWORDS).find(k => KEYWORDS[k].includes(word)) || null;
+}
+
+/**
+ * Text `body` to `to` from one of our numbers. Resolves with the MessageSid.
+ */
+export async function sendText({ to, from, body }) {
+  const message = await getTwilioClient().messages.create({ to, from, body });
+  logger.info({ event: "sms_reply", messageSid: message.sid, status: message.status });
+  return message.sid;
+}
+
+/**
+ * File-backed opt-outs: { tenant id: { phone: opted out at } }
+ */
+export class SmsOptOuts {
+  constructor({ file = DEFAULT_OPT_OUT_FILE, now = Date.now } = {}) {
+    this.file = file;
+    this.now = now;
+    this.state = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+  }
+
+  has(tenantId, phone) {
+    return Boolean(this.state[tenantId]?.[phone]);
+  }
+
+  add(tenantId, phone) {
+    this.state[tenantId] = { ...this.state[tenantId], [phone]: new Date(this.now()).toISOString() };
+    this.save();
+  }
+
+  remove(tenantId, phone) {
+    if (!this.has(tenantId, phone)) return;
+    delete this.state[tenantId][phone];
+    this.save();
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.state, null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+export class SmsSessions {
+  /**
+   * `agentOptions` are passed to every session's ConversationAgent and
+   * `sender` sends the replies (tests pass fakes for both)
+   */
+  constructor({ ttlMinutes = Number(process.env.SMS_SESSION_TTL_MINUTES || 30), optOuts, agentOptions = {}, sender = sendText, now = Date.now } = {}) {
+    this.ttl = ttlMinutes * MINUTE;
+    this.optOuts = optOuts || new SmsOptOuts({ file: process.env.SMS_OPT_OUT_FILE || DEFAULT_OPT_OUT_FILE });
+    this.agentOptions = agentOptions;
+    this.sender = sender;
+    this.now = now;
+    this.sessions = new Map(); // `${tenant id}:${phone}` → { agent, started_at, last_at }
+    this.queues = new Map();   // same key → the text being handled, so a number's texts run in order
+    this.timer = null;
+  }
+
+  /**
+   * Handle one inbound text. Resolves with the reply, or null to send none.
+   */
+  handle({ tenant, from, body, messageSid }) {
+    const key = `${tenant.id}:${from}`;
+    const run = (this.queues.get(key) || Promise.resolve())
+      .then(() => this.handleNow(key, { tenant, from, body: String(body || "").trim(), messageSid }));
+    const tail = run.catch(() => {});
+    this.queues.set(key, tail);
+    tail.then(() => {
+      if (this.queues.get(key) === tail) this.queues.delete(key);
+    });
+    return run;
+  }
+
+  /**
+   * Handle one inbound text to our number `to` and send the reply from it.
+   * Resolves once it's sent; failures are logged, never thrown.
+   */
+  async respond({ tenant, from, to, body, messageSid }) {
+    try {
+      const reply = await this.handle({ tenant, from, body, messageSid });
+      if (reply) await this.sender({ to: from, from: to, body: reply });
+    } catch (err) {
+      console.error("SMS handling failed:", err);
+      logger.error({ event: "sms_message", messageSid, status: "failed", error: err.message });
+    }
+  }
+
+  async handleNow(key, { tenant, from, body, messageSid }) {
+    const keyword = smsKeyword(body);
+    if (keyword === "stop") {
+      this.optOuts.add(tenant.id, from);
+      this.end(key, "opted_out");
+      logger.info({ event: "sms_opt_out", tenant: tenant.id, from });
+      return `You're unsubscribed from ${tenant.name} texts and won't get any more. Reply START to resubscribe.`;
+    }
+    if (this.optOuts.has(tenant.id, from)) {
+      // Nothing but START gets an answer once a number has opted out
+      if (keyword !== "start") return null;
+      this.optOuts.remove(tenant.id, from);
+      logger.info({ event: "sms_opt_in", tenant: tenant.id, from });
+      return `You're resubscribed to ${tenant.name} texts. How can we help?`;
+    }
+    if (keyword === "help") {
+      const call = tenant.numbers[0] ? ` To talk to us, call ${tenant.numbers[0]}.` : "";
+      return `${tenant.name}: text us to book, change or cancel an appointment or to check your insurance.${call} Reply STOP to unsubscribe.`;
+    }
+    if (!body) return null;
+
+    let session = this.sessions.get(key);
+    if (session && this.now() - session.last_at >= this.ttl) {
+      this.end(key, "expired");
+      session = null;
+    }
+    if (!session) {
+      const agent = new ConversationAgent(messageSid, { ...this.agentOptions, tenant, callerPhone: from, channel: "sms" });
+      session = { agent, started_at: this.now(), last_at: this.now() };
+      this.sessions.set(key, session);
+      console.log(`💬 SMS session ${messageSid} started (${tenant.id})`);
+      logger.info({ event: "sms_session", callSid: messageSid, tenant: tenant.id, status: "started" });
+    }
+    session.last_at = this.now();
+    const reply = await session.agent.processUtterance(body);
+    session.agent.saveAudit(); // a session can run for the whole TTL; keep its audit current
+    return reply;
+  }
+
+  /**
+   * Close a session and write its audit
+   */
+  end(key, reason) {
+    const session = this.sessions.get(key);
+    if (!session) return;
+    this.sessions.delete(key);
+    session.agent.saveAudit();
+    logger.info({
+      event: "sms_session",
+      callSid: session.agent.callId,
+      tenant: session.agent.tenant.id,
+      status: "ended",
+      reason,
+      turns: session.agent.turn
+    });
+  }
+
+  /**
+   * Close every session idle for longer than the TTL. Returns how many.
+   */
+  expire() {
+    const idle = [...this.sessions].filter(([, s]) => this.now() - s.last_at >= this.ttl);
+    for (const [key] of idle) this.end(key, "expired");
+    return idle.length;
+  }
+
+  /**
+   * Check for idle sessions every minute; the timer doesn't keep the process alive
+   */
+  startExpiryTimer() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.expire(), MINUTE);
+      this.timer.unref();
+    }
+    return this.timer;
+  }
+}
+
+let sharedSessions = null;
+
+export function getSmsSessions() {
+  if (!sharedSessions) sharedSessions = new SmsSessions();
+  return sharedSessions;
+}
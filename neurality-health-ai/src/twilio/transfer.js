@@ -0,0 +1,111 @@
+// src/twilio/transfer.js
+// Warm transfer: redirect the live call to <Dial> a staff number (who hears a
+// whispered summary before being connected) or <Enqueue> it, then record how
+// the hand-off ended in the call's audit.
+import pkg from "twilio";
+import { createAudit, logger } from "../utils/logger.js";
+import { languageInfo, localizedReply } from "../i18n/languages.js";
+const { twiml } = pkg;
+
+export const AGENT_STREAM_NAME = "agent"; // <Start><Stream> name, so the transfer can stop it
+
+// English defaults; other languages' versions are replies in src/i18n/languages.js
+const HOLD_MESSAGE = "Please hold while I connect you.";
+const UNAVAILABLE_MESSAGE = "Sorry, no one at the front desk could take your call. We'll call you back as soon as we can. Goodbye.";
+const DEFAULT_WHISPER = "Incoming transfer from the AI assistant.";
+const DIAL_TIMEOUT_S = 25;
+
+const summaries = new Map(); // callSid → summary, read by the whisper when staff answer
+
+let client = null;
+export function getTwilioClient() {
+  if (!client) client = pkg(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+  return client;
+}
+
+/**
+ * TwiML that replaces the agent: stop the media stream, hold message in the
+ * call's `language`, then ring staff or join the queue. Staff see `callerId`,
+ * the clinic's number the call came in on (or was placed from). The status
+ * action names the tenant and call, since `To` is the patient on a reminder.
+ */
+export function buildTransferTwiml(transfer, baseUrl, { callSid, tenantId, callerId, language = "en" } = {}) {
+  const vr = new twiml.VoiceResponse();
+  vr.stop().stream({ name: AGENT_STREAM_NAME });
+  vr.say(languageInfo(language).say, localizedReply(language, "transfer_hold", HOLD_MESSAGE));
+
+  const query = new URLSearchParams({ ...(tenantId && { tenant: tenantId }), ...(callSid && { call: callSid }) });
+  const action = `${baseUrl}/transfer/status${query.size ? `?${query}` : ""}`;
+  if (transfer.target.type === "number") {
+    const dial = vr.dial({
+      action,
+      timeout: DIAL_TIMEOUT_S,
+      ...(callerId && { callerId })
+    });
+    dial.number({ url: `${baseUrl}/transfer/whisper` }, transfer.target.to);
+  } else {
+    vr.enqueue({ action }, transfer.target.name);
+  }
+  return vr.toString();
+}
+
+/**
+ * Redirect the live call via the REST API
+ */
+export async function transferCall(callSid, transfer, baseUrl, options = {}) {
+  summaries.set(callSid, transfer.summary);
+  try {
+    await getTwilioClient().calls(callSid).update({ twiml: buildTransferTwiml(transfer, baseUrl, { ...options, callSid }) });
+  } catch (err) {
+    summaries.delete(callSid);
+    throw err;
+  }
+  logger.info({ event: "transfer", callSid, status: "redirected", reason: transfer.reason, target: transfer.target.type });
+}
+
+/**
+ * Played to staff when they answer (<Number url>) or dequeue the caller
+ * (<Queue url>); the two legs are joined once it finishes
+ */
+export function whisperTwiml(params) {
+  const summary = summaries.get(params.ParentCallSid) || summaries.get(params.CallSid);
+  const vr = new twiml.VoiceResponse();
+  vr.say({ voice: "alice" }, summary || DEFAULT_WHISPER);
+  return vr.toString();
+}
+
+/**
+ * <Dial>/<Enqueue> action: record the result (in `tenant`'s audits) and end
+ * or apologize, in the language the audit last recorded for the call
+ */
+export function handleTransferStatus(params, tenant = null) {
+  const callSid = params.CallSid;
+  const result = params.DialCallStatus || params.QueueResult || "unknown";
+  const connected = result === "completed" || result === "answered" || result === "bridged";
+  summaries.delete(callSid);
+
+  const audit = createAudit(callSid, { dir: tenant?.audit_dir });
+  const current = audit.read();
+  const staffSeconds = params.DialCallDuration ?? params.QueueTime;
+  audit.merge({
+    transfer: {
+      ...current.transfer,
+      status: connected ? "connected" : "failed",
+      result,
+      staff_duration_s: staffSeconds !== undefined ? Number(staffSeconds) : null,
+      ended_at: new Date().toISOString()
+    },
+    outcome: {
+      ...current.outcome,
+      transferred: connected,
+      next_steps: connected ? "Transferred to front desk" : "Callback needed"
+    }
+  });
+  logger.info({ event: "transfer", callSid, status: connected ? "connected" : "failed", result });
+
+  const language = current.language?.code || tenant?.languages[0] || "en";
+  const vr = new twiml.VoiceResponse();
+  if (!connected) vr.say(languageInfo(language).say, localizedReply(language, "transfer_unavailable", UNAVAILABLE_MESSAGE));
+  vr.hangup();
+  return vr.toString();
+}
@@ -1,199 +1,314 @@
+import crypto from "crypto";
 import express from "express";
 import pkg from "twilio";
 import { WebSocketServer } from "ws";
-import OpenAI from "openai";
-import wav from "node-wav";
-import { encode as muLawEncode } from "mulaw-js";
-import { respondToUser } from "../agent/AiAgent.js";
 import { ConversationAgent } from "../livekit/agent.js";
-import { v4 as uuidv4 } from "uuid";
+import { SentenceSplitter } from "../utils/sentenceSplitter.js";
+import { MediaStreamPlayer } from "./mediaPlayer.js";
+import { VoiceActivityDetector, mulawDecode, concatInt16, resample } from "../audio/index.js";
+import { getProviders } from "../providers/index.js";
+import { getTenantRegistry } from "../tenants/registry.js";
+import { languageInfo, languageForDigit, greetingFor, ttsVoice } from "../i18n/languages.js";
+import { validateTwilioSignature, createStreamToken, verifyStreamToken, logSecurityEvent, publicBaseUrl } from "./security.js";
+import { recordCallStatus, recordStreamStart, markHangup } from "./callLifecycle.js";
+import { AGENT_STREAM_NAME, transferCall, whisperTwiml, handleTransferStatus } from "./transfer.js";
+import { answeredByMachine, endCall } from "./outbound.js";
+import { getSmsSessions } from "./sms.js";
+import { getReminderCampaign, reminderPolicy, startReminderJob } from "../reminders/campaign.js";
+import { buildReminderIntro, buildReminderVoicemail } from "../livekit/booking.js";
+import { logger } from "../utils/logger.js";
+import { metrics, observeTurnTimings, renderMetrics } from "../utils/metrics.js";
 const { twiml } = pkg;
 
+// Agents by CallSid while their stream is open, and languages picked on the
+// /voice menu before the stream started
+const liveAgents = new Map();
+const chosenLanguages = new Map();
+
+const TERMINAL_STATUSES = ["completed", "busy", "failed", "no-answer", "canceled"];
+
+/**
+ * Start this call's media stream to /bridge. The token authorizes it and
+ * carries its tenant (and, for reminder calls, the appointment); it's checked
+ * on `start`.
+ */
+function startAgentStream(vr, req, tenant, tokenOptions) {
+  // Use ngrok URL if available, otherwise construct from request
+  const host = publicBaseUrl(req).replace(/^https?:\/\//, ""); // e.g., abc.ngrok-free.app
+  const wssUrl = `wss://${host}/bridge`;
+  console.log(`📡 Using WebSocket URL: ${wssUrl}`);
+
+  const stream = vr.start().stream({ url: wssUrl, name: AGENT_STREAM_NAME });
+  stream.parameter({ name: "token", value: createStreamToken(req.body.CallSid, tenant.id, tokenOptions) });
+  stream.parameter({ name: "from", value: req.body.From || "" });
+  stream.parameter({ name: "to", value: req.body.To || "" });
+}
+
+const digest = (value) => crypto.createHash("sha256").update(value).digest();
+
 export async function startTwilioWebhook(port) {
   const app = express();
   app.use(express.urlencoded({ extended: false }));
 
-  app.post("/voice", (req, res) => {
+  // The clinic a call belongs to is the number the caller dialed
+  const tenantFor = (params) => getTenantRegistry().forNumber(params.To);
+
+  app.post("/voice", validateTwilioSignature, (req, res) => {
     const vr = new twiml.VoiceResponse();
-    
-    // Use ngrok URL if available, otherwise construct from request
-    const publicUrl = process.env.PUBLIC_URL || `https://${req.headers["host"]}`;
-    const host = publicUrl.replace(/^https?:\/\//, "").replace(/^http:\/\//, ""); // e.g., abc.ngrok-free.app
-    const wssUrl = `wss://${host}/bridge`;
-    
-    console.log(`📡 Using WebSocket URL: ${wssUrl}`);
+    const tenant = tenantFor(req.body);
+    if (!tenant) {
+      logSecurityEvent("unknown_tenant", { path: req.path, callSid: req.body.CallSid, to: req.body.To });
+      vr.say({ voice: "alice" }, "Sorry, this number is not in service.");
+      vr.hangup();
+      return res.type("text/xml").send(vr.toString());
+    }
 
     // Start stream in background, play greeting via TTS, then keep call open
-    const start = vr.start();
-    start.stream({ url: wssUrl });
-    
-    vr.say({ voice: "alice" }, "Hello! You are connected to Neurality Health. How can I help you today?");
+    startAgentStream(vr, req, tenant);
+
+    // Greet in the clinic's first language; each other language gets a
+    // keypad option, answered by /voice/language
+    const [primary, ...others] = tenant.languages;
+    if (others.length) {
+      const menu = vr.gather({ input: "dtmf", numDigits: 1, timeout: 3, action: "/voice/language" });
+      menu.say(languageInfo(primary).say, greetingFor(tenant, primary));
+      for (const code of others) menu.say(languageInfo(code).say, languageInfo(code).menu);
+    } else {
+      vr.say(languageInfo(primary).say, greetingFor(tenant, primary));
+    }
     
     // Keep call alive for conversation
     vr.pause({ length: 600 });
 
+    recordCallStatus({ ...req.body, CallStatus: req.body.CallStatus || "ringing" }, tenant);
     res.type("text/xml").send(vr.toString());
   });
 
+  // Keypad choice from the /voice menu: switch the call's language and greet in it
+  app.post("/voice/language", validateTwilioSignature, (req, res) => {
+    const vr = new twiml.VoiceResponse();
+    const tenant = tenantFor(req.body);
+    const language = tenant && languageForDigit(req.body.Digits, tenant.languages);
+    if (language) {
+      const agent = liveAgents.get(req.body.CallSid);
+      if (agent) agent.setLanguage(language, "dtmf");
+      else chosenLanguages.set(req.body.CallSid, language);
+      console.log(`🌐 Caller ${req.body.CallSid} chose ${languageInfo(language).name}`);
+      vr.say(languageInfo(language).say, greetingFor(tenant, language));
+    }
+    vr.pause({ length: 600 });
+    res.type("text/xml").send(vr.toString());
+  });
+
+  // Outbound reminder call answered (placed by src/reminders/campaign.js; the
+  // query names the tenant and appointment). A machine gets a voicemail; a
+  // person hears the reminder and talks to the agent in reminder mode. If the
+  // store fails, the call is hung up rather than left waiting on us.
+  app.post("/reminder/voice", validateTwilioSignature, async (req, res) => {
+    const vr = new twiml.VoiceResponse();
+    const { CallSid: callSid, AnsweredBy: answeredBy } = req.body;
+    const appointmentId = req.query.appointment;
+    try {
+      const tenant = getTenantRegistry().get(req.query.tenant);
+      const campaign = tenant && getReminderCampaign(tenant);
+      const context = campaign?.context(appointmentId);
+      if (!context) {
+        logger.warn({ event: "reminder_call", callSid, tenant: req.query.tenant, appointment_id: appointmentId, status: "appointment_not_booked" });
+        vr.hangup();
+        return res.type("text/xml").send(vr.toString());
+      }
+
+      recordCallStatus({ ...req.body, CallStatus: req.body.CallStatus || "in-progress" }, tenant);
+      const language = tenant.languages[0];
+      const details = { patient: context.patient, appointment: context.appointment, tenant };
+      if (answeredByMachine(answeredBy)) {
+        vr.say(languageInfo(language).say, buildReminderVoicemail(details, language));
+        vr.hangup();
+        await campaign.recordResult(appointmentId, callSid, answeredBy === "fax" ? "failed" : "voicemail", { answered_by: answeredBy });
+        console.log(`📼 Reminder voicemail for appointment ${appointmentId} (${callSid})`);
+      } else {
+        startAgentStream(vr, req, tenant, { reminder: appointmentId });
+        vr.say(languageInfo(language).say, buildReminderIntro(details, language));
+        vr.pause({ length: 600 });
+        await campaign.recordResult(appointmentId, callSid, "calling", { answered_by: answeredBy || null });
+      }
+      res.type("text/xml").send(vr.toString());
+    } catch (err) {
+      console.error("Reminder call failed:", err);
+      logger.error({ event: "reminder_call", callSid, tenant: req.query.tenant, appointment_id: appointmentId, status: "failed", error: err.message });
+      const hangup = new twiml.VoiceResponse();
+      hangup.hangup();
+      res.type("text/xml").send(hangup.toString());
+    }
+  });
+
+  // Final status of a reminder call (no answer, busy, failed or completed)
+  app.post("/reminder/status", validateTwilioSignature, async (req, res) => {
+    try {
+      const tenant = getTenantRegistry().get(req.query.tenant);
+      if (tenant) {
+        recordCallStatus(req.body, tenant);
+        await getReminderCampaign(tenant).recordCallStatus(req.query.appointment, req.body.CallSid, req.body.CallStatus);
+      }
+      res.sendStatus(204);
+    } catch (err) {
+      console.error("Reminder status failed:", err);
+      logger.error({ event: "reminder_call", callSid: req.body.CallSid, appointment_id: req.query.appointment, status: "failed", error: err.message });
+      res.sendStatus(500);
+    }
+  });
+
+  // Inbound texts (configure the number's "A message comes in" URL to /sms).
+  // Twilio gets an empty <Response> straight away, before its webhook timeout;
+  // the agent's reply is sent through the REST API once it's ready.
+  app.post("/sms", validateTwilioSignature, (req, res) => {
+    const tenant = tenantFor(req.body);
+    if (!tenant) {
+      logSecurityEvent("unknown_tenant", { path: req.path, messageSid: req.body.MessageSid, to: req.body.To });
+    } else {
+      getSmsSessions().respond({ tenant, from: req.body.From, to: req.body.To, body: req.body.Body, messageSid: req.body.MessageSid });
+    }
+    res.type("text/xml").send(new twiml.MessagingResponse().toString());
+  });
+
+  // Twilio status callbacks (configure the number's "Call status changes" URL to /status)
+  app.post("/status", validateTwilioSignature, (req, res) => {
+    if (TERMINAL_STATUSES.includes(req.body.CallStatus)) chosenLanguages.delete(req.body.CallSid);
+    const record = recordCallStatus(req.body, tenantFor(req.body));
+    if (record) console.log(`📶 Call ${record.call_sid} → ${req.body.CallStatus}`);
+    res.sendStatus(204);
+  });
+
+  // Warm transfer: whisper to staff on answer, then the <Dial>/<Enqueue> result
+  app.post("/transfer/whisper", validateTwilioSignature, (req, res) => {
+    res.type("text/xml").send(whisperTwiml(req.body));
+  });
+
+  // The action URL names the tenant and call (see buildTransferTwiml); `To`
+  // is the patient on a reminder call, so it can't pick the tenant here
+  app.post("/transfer/status", validateTwilioSignature, (req, res) => {
+    const params = { ...req.body, CallSid: req.query.call || req.body.CallSid };
+    const tenant = req.query.tenant ? getTenantRegistry().get(req.query.tenant) : tenantFor(req.body);
+    console.log(`📞 Transfer result for ${params.CallSid}: ${params.DialCallStatus || params.QueueResult}`);
+    res.type("text/xml").send(handleTransferStatus(params, tenant));
+  });
+
+  // Prometheus scrape endpoint; METRICS_TOKEN, when set, is required as a
+  // bearer token. Without it anyone who can reach the server can scrape.
+  app.get("/metrics", (req, res) => {
+    const token = process.env.METRICS_TOKEN;
+    const presented = (req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+    // Compare digests so the check takes the same time whatever was sent
+    if (token && !crypto.timingSafeEqual(digest(presented), digest(token))) {
+      logSecurityEvent("metrics_unauthorized", { path: req.path, ip: req.ip });
+      return res.status(401).send("Unauthorized");
+    }
+    res.type("text/plain; version=0.0.4").send(renderMetrics());
+  });
+
   // Start HTTP server and attach a WebSocket server at /bridge so Twilio can connect
   return new Promise((resolve) => {
     const server = app.listen(port, () => {
       console.log(`✅ Twilio webhook running on port ${port}`);
+      if (!process.env.METRICS_TOKEN && process.env.NODE_ENV === "production") {
+        logger.warn({ event: "metrics_unauthenticated", message: "METRICS_TOKEN is not set; /metrics is open to anyone who can reach this server" });
+      }
     });
 
     const wss = new WebSocketServer({ server, path: "/bridge" });
-    wss.on("connection", async (ws) => {
+    wss.on("connection", (ws, req) => {
       console.log("🔗 Twilio Media Stream connected (on /bridge)");
+      const remoteIp = req.socket.remoteAddress;
+      const baseUrl = publicBaseUrl(req);
       
       ws.on("error", (error) => {
         console.error("❌ WebSocket error:", error);
       });
 
       // ----- Per-connection state -----
-      const callId = uuidv4();
-      const agent = new ConversationAgent(callId);
+      // The agent is only created once the `start` event carries a valid stream token;
+      // its callId is Twilio's CallSid so audits line up with Twilio's records
+      let callId = null;
+      let agent = null;
+      let clinicNumber = null; // the tenant's number on this call: dialed, or the reminder's caller ID
       
-      // Connect agent to LiveKit room
-      try {
-        await agent.connect();
-        console.log(`✅ LiveKit agent connected for call ${callId}`);
-      } catch (err) {
-        console.error("Failed to connect LiveKit agent:", err);
-      }
-      
-      const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+      const { stt, tts } = getProviders();
       let pcmBuffer = [];
-      let lastMediaAt = Date.now();
+      let preRoll = []; // recent non-utterance audio, so speech onsets aren't clipped
+      let lastSpeechAt = Date.now();
       let firstMediaAt = 0;
       let processing = false;
       let aiSpeaking = false; // Flag to prevent buffering while AI talks
-      let aiSpeakingTimeout = null; // Timeout handle for AI speech
       let streamSid = null;
-      const SILENCE_MS = 800; // 0.8s inactivity ⇒ end of utterance (fast responses)
+      let currentTurn = null; // { controller, heard } for the in-flight STT → LLM → TTS turn
+      let transferring = false; // call is being handed to staff; stop listening
+
+      // Outbound audio, paced in real time; marks tell us when it has really played
+      const player = new MediaStreamPlayer(ws, {
+        onIdle: () => {
+          if (processing) return; // more sentences may still be coming
+          aiSpeaking = false;
+          console.log("🎤 AI finished, listening for user...");
+        }
+      });
+      const SILENCE_MS = 500; // after the VAD's 300ms hangover ⇒ ~0.8s end of utterance
       const MAX_UTTERANCE_MS = 6000; // hard cap per utterance
       const MIN_AUDIO_SAMPLES = 4000; // Minimum 0.5 second of audio at 8kHz before processing (reduced for speed)
-      const BARGE_IN_THRESHOLD = 3200; // 0.4s of audio triggers barge-in
+      const BARGE_IN_MS = 300; // this much detected speech over the AI triggers barge-in
+      const PRE_ROLL_CHUNKS = 25; // 500ms of 20ms Twilio frames
+      const START_TIMEOUT_MS = 10000; // unauthenticated sockets are dropped after this
+      const HANDOFF_WAIT_MS = 15000; // max wait for the hold message to finish before transferring
+      const vad = new VoiceActivityDetector({ sampleRate: 8000 });
+
+      const startTimer = setTimeout(() => {
+        if (agent) return;
+        logSecurityEvent("stream_start_timeout", { ip: remoteIp });
+        ws.close(1008, "Unauthorized");
+      }, START_TIMEOUT_MS);
 
       function base64ToBytes(b64){
         return Buffer.from(b64, "base64");
       }
 
-      function mulawToPcm16(muBuf){
-        // mulaw-js encode takes PCM16 -> mu-law, but we need decode.
-        // Implement μ-law decode (256 values) quickly here.
-        const MULAW_MAX = 0x1FFF;
-        const BIAS = 0x84;
-        const SIGN_BIT = 0x80;
-        const QUANT_MASK = 0x0F;
-        const SEG_SHIFT = 4;
-        const SEG_MASK = 0x70;
-
-        const out = new Int16Array(muBuf.length);
-        for (let i = 0; i < muBuf.length; i++){
-          let uVal = ~muBuf[i] & 0xff;
-          let t = ((uVal & QUANT_MASK) << 3) + BIAS;
-          t <<= ((uVal & SEG_MASK) >>> SEG_SHIFT);
-          t -= BIAS;
-          out[i] = (uVal & SIGN_BIT) ? -t : t;
-        }
-        return out;
-      }
-
-      function concatInt16(chunks){
-        const total = chunks.reduce((n, c) => n + c.length, 0);
-        const out = new Int16Array(total);
-        let o = 0;
-        for (const c of chunks){ out.set(c, o); o += c.length; }
-        return out;
-      }
-
-      function int16ToWav(int16, sampleRate = 8000){
-        const float32 = new Float32Array(int16.length);
-        for (let i=0;i<int16.length;i++) float32[i] = int16[i] / 32768;
-        const buffer = wav.encode([float32], { sampleRate, float: true, bitDepth: 32 });
-        return Buffer.from(buffer);
-      }
-
-      async function transcribePcm16(int16){
+      async function transcribePcm16(int16, signal){
         try {
-          const wavBuf = int16ToWav(int16, 8000);
-          // OpenAI SDK in Node expects a File object
-          const file = new File([wavBuf], "audio.wav", { type: "audio/wav" });
-          const resp = await openai.audio.transcriptions.create({
-            file: file,
-            model: "whisper-1"
-          });
-          return resp.text?.trim() || "";
+          return await stt.transcribe(int16, { sampleRate: 8000, signal, language: agent.sttLanguage() });
         } catch (e){
-          console.error("STT error (whisper-1)", e);
+          if (!signal?.aborted) console.error("STT error", e);
           return "";
         }
       }
 
-      async function textToAudio(text){
-        // Use tts-1 with speed optimization for fastest response
+      async function textToAudio(text, signal){
         try {
-          const speech = await openai.audio.speech.create({
-            model: "tts-1",
-            voice: "alloy",
-            input: text,
-            response_format: "pcm",
-            speed: 1.1 // Slightly faster for snappier responses
-          });
-          const arrayBuffer = await speech.arrayBuffer();
-          const int16Buffer = new Int16Array(arrayBuffer);
-          return { int16: int16Buffer, sampleRate: 24000 }; // tts-1 default is 24kHz
+          return await tts.synthesize(text, { signal, voice: ttsVoice(agent.language) });
         } catch (e){
-          console.error("TTS error (tts-1)", e);
+          if (!signal?.aborted) console.error("TTS error", e);
           return null;
         }
       }
 
-      async function sendPcm16AsMulaw(int16, sampleRate){
-        // Resample if not 8000 (simple drop/downsample for demo)
-        let src = int16;
-        if (sampleRate !== 8000){
-          const ratio = sampleRate / 8000;
-          const outLen = Math.floor(int16.length / ratio);
-          const out = new Int16Array(outLen);
-          for (let i=0;i<outLen;i++) out[i] = int16[Math.floor(i*ratio)];
-          src = out;
-        }
-        console.log(`📤 Sending ${src.length} samples as mulaw over ${Math.ceil(src.length/160)} frames`);
-        
-        // 20ms frames at 8kHz ⇒ 160 samples per frame
-        const FRAME_SAMPLES = 160;
-        let frameCount = 0;
-        
-        for (let i=0;i<src.length; i+=FRAME_SAMPLES){
-          const slice = src.subarray(i, i+FRAME_SAMPLES);
-          if (slice.length < FRAME_SAMPLES) break;
-          // Use mulaw-js encode on the whole frame
-          const muArr = Buffer.from(muLawEncode(slice));
-          try {
-            if (ws.readyState === 1) { // WebSocket.OPEN
-              ws.send(JSON.stringify({
-                event: "media",
-                streamSid,
-                media: { payload: muArr.toString("base64") }
-              }));
-              frameCount++;
-            } else {
-              console.error(`WebSocket not open (readyState=${ws.readyState}), stopping at frame ${frameCount}`);
-              break;
-            }
-          } catch (e) {
-            console.error("Error sending media frame:", e);
-            break;
-          }
-          // No delay - send all frames immediately and let Twilio buffer them
-        }
-        console.log(`✅ Sent ${frameCount} frames of audio`);
+      async function sendPcm16AsMulaw(int16, sampleRate, text){
+        // Anti-aliased resample to telephony rate
+        const src = resample(int16, sampleRate, 8000);
+        console.log(`📤 Queueing ${src.length} samples as mulaw over ${Math.floor(src.length/160)} frames`);
+        return player.enqueue(src, text);
       }
 
       async function processUtterance(){
         if (processing) return;
         processing = true;
+        const controller = new AbortController();
+        const { signal } = controller;
+        const turn = { controller, heard: null };
+        currentTurn = turn;
+
+        // Per-stage timings, in ms since the end of the caller's utterance
+        const t0 = Date.now();
+        const timings = {};
+        const markStage = (name) => { if (timings[name] === undefined) timings[name] = Date.now() - t0; };
+        let replied = false;
+
         try {
           const samples = concatInt16(pcmBuffer);
           pcmBuffer = [];
@@ -204,89 +319,245 @@ export async function startTwilioWebhook(port) {
             return;
           }
           
-          const text = await transcribePcm16(samples);
+          const text = await transcribePcm16(samples, signal);
+          markStage("stt_ms");
+          if (signal.aborted) return;
           if (!text || text.length < 3) {
             console.log("⏭️ Skipping empty or very short transcript");
             return;
           }
           console.log("🗣️ User:", text);
 
-          // Use LiveKit agent to process utterance (includes tool calling)
-          const reply = await agent.processUtterance(text);
+          // Each finished sentence goes to TTS right away; playback stays in order
+          let playback = Promise.resolve();
+          const splitter = new SentenceSplitter((sentence) => {
+            if (signal.aborted) return;
+            const audio = textToAudio(sentence, signal).then((result) => {
+              if (result) markStage("tts_first_audio_ms");
+              return result;
+            });
+            playback = playback.then(async () => {
+              const audioResult = await audio;
+              if (!audioResult || signal.aborted) return;
+
+              // Block audio buffering while AI speaks
+              if (!aiSpeaking) pcmBuffer = [];
+              aiSpeaking = true;
+
+              const sent = sendPcm16AsMulaw(audioResult.int16, audioResult.sampleRate, sentence);
+              markStage("first_frame_sent_ms"); // the player sends the first frames synchronously
+              await sent;
+            });
+          });
+
+          // Use LiveKit agent to process utterance (includes tool calling), streaming the reply
+          const reply = await agent.processUtterance(text, {
+            signal,
+            onToken: (delta) => {
+              markStage("llm_first_token_ms");
+              splitter.push(delta);
+            }
+          });
+          markStage("llm_done_ms");
+          replied = true;
+          splitter.flush();
+          await playback;
           console.log("🤖 AI:", reply);
 
-          const audioResult = await textToAudio(reply);
-          if (!audioResult){
-            console.error("No TTS audio produced");
-            return;
+          // Interrupted: the transcript keeps only what the caller heard
+          if (signal.aborted && turn.heard !== null) {
+            agent.truncateLastReply(turn.heard);
           }
-          console.log(`🔊 Generated audio: ${audioResult.int16.length} samples at ${audioResult.sampleRate}Hz`);
-          
-          // Block audio buffering while AI speaks
-          aiSpeaking = true;
-          pcmBuffer = []; // Clear any buffered audio
-          
-          await sendPcm16AsMulaw(audioResult.int16, audioResult.sampleRate);
-          
-          // Calculate playback duration (reduced buffer for faster interaction)
-          const durationMs = (audioResult.int16.length / audioResult.sampleRate) * 1000;
-          aiSpeakingTimeout = setTimeout(() => {
-            aiSpeaking = false;
-            aiSpeakingTimeout = null;
-            console.log("🎤 AI finished, listening for user...");
-          }, durationMs + 200); // Reduced to 200ms buffer for faster response
+
+          if (agent.transfer?.status === "requested") handOff();
+          else if (agent.endAfterTurn) hangUp();
         } catch (e){
           console.error("processUtterance error:", e);
         } finally {
+          timings.total_ms = Date.now() - t0;
+          if (timings.stt_ms !== undefined) {
+            logger.info({ event: "turn_timings", callId, turn: agent.turn, interrupted: signal.aborted, ...timings });
+            console.log(`⏱️ Turn timings: ${JSON.stringify(timings)}`);
+            observeTurnTimings(timings, { interrupted: signal.aborted });
+            if (replied) agent.recordTurnTimings(timings);
+          }
+          if (currentTurn === turn) currentTurn = null;
           processing = false;
           firstMediaAt = 0;
+          // Everything already played while we were finishing up
+          if (aiSpeaking && !player.active) {
+            aiSpeaking = false;
+            console.log("🎤 AI finished, listening for user...");
+          }
+        }
+      }
+      /**
+       * Redirect the call to staff once the hold message has played. If Twilio
+       * refuses, stay on the line and tell the caller.
+       */
+      async function handOff(){
+        transferring = true;
+        pcmBuffer = [];
+        const deadline = Date.now() + HANDOFF_WAIT_MS;
+        while (player.active && ws.readyState === 1 && Date.now() < deadline) {
+          await new Promise(r => setTimeout(r, 100));
+        }
+
+        try {
+          await transferCall(callId, agent.transfer, baseUrl, { tenantId: agent.tenant.id, callerId: clinicNumber, language: agent.language });
+          agent.transfer.status = "redirected";
+          markHangup(callId, "transfer");
+          console.log(`📞 Call ${callId} handed to staff`);
+          ws.close(); // the new TwiML stops the stream; nothing left for us to do
+        } catch (err) {
+          console.error("Transfer failed:", err);
+          logger.error({ event: "transfer", callSid: callId, status: "failed", error: err.message });
+          const text = agent.transferFailed(err.message);
+          transferring = false;
+          const audio = await textToAudio(text);
+          if (audio) {
+            aiSpeaking = true;
+            sendPcm16AsMulaw(audio.int16, audio.sampleRate, text);
+          }
+        }
+      }
+
+      /**
+       * End the call from our side once the goodbye has played
+       */
+      async function hangUp(){
+        transferring = true; // stop listening
+        const deadline = Date.now() + HANDOFF_WAIT_MS;
+        while (player.active && ws.readyState === 1 && Date.now() < deadline) {
+          await new Promise(r => setTimeout(r, 100));
+        }
+        try {
+          markHangup(callId, "agent");
+          await endCall(callId);
+        } catch (err) {
+          console.error("Hang-up failed:", err);
+          logger.error({ event: "call_ended_by_agent", callSid: callId, status: "failed", error: err.message });
         }
       }
+
       ws.on("message", (msg) => {
         try {
           const data = JSON.parse(msg.toString());
+          // Nothing but `connected`/`start` is accepted before the stream is authorized
+          if (!agent && data.event !== "connected" && data.event !== "start") return;
+
           switch (data.event) {
-            case "start":
+            case "start": {
+              if (agent) break; // Twilio sends one start per stream
+              const { callSid, streamSid: sid, customParameters } = data.start;
+              const auth = verifyStreamToken(customParameters?.token, callSid);
+              if (!auth.ok) {
+                logSecurityEvent(auth.reason, { callSid, streamSid: sid, ip: remoteIp });
+                ws.close(1008, "Unauthorized");
+                return;
+              }
+
+              const tenant = getTenantRegistry().get(auth.tenantId);
+              if (!tenant) {
+                logSecurityEvent("unknown_tenant", { callSid, tenant: auth.tenantId, ip: remoteIp });
+                ws.close(1008, "Unauthorized");
+                return;
+              }
+
+              // Reminder calls are about one booked appointment; we called the patient
+              const reminder = auth.reminder ? getReminderCampaign(tenant).context(auth.reminder) : null;
+              if (auth.reminder && !reminder) {
+                logger.warn({ event: "reminder_call", callSid, appointment_id: auth.reminder, status: "appointment_not_booked" });
+                ws.close(1008, "Appointment not found");
+                return;
+              }
+
+              callId = callSid;
+              clinicNumber = (reminder ? customParameters?.from : customParameters?.to) || tenant.numbers[0] || null;
+              recordStreamStart(callSid, { streamSid: sid, from: customParameters?.from, to: customParameters?.to, tenant });
+              agent = new ConversationAgent(callId, {
+                tenant,
+                callerPhone: reminder ? customParameters?.to : customParameters?.from,
+                reminder
+              });
+              liveAgents.set(callId, agent);
+              if (chosenLanguages.has(callId)) {
+                agent.setLanguage(chosenLanguages.get(callId), "dtmf");
+                chosenLanguages.delete(callId);
+              }
+              metrics.activeCalls.inc();
+              // Connect agent to LiveKit room
+              agent.connect()
+                .then(() => console.log(`✅ LiveKit agent connected for call ${callId}`))
+                .catch((err) => console.error("Failed to connect LiveKit agent:", err));
+
               ws._streamSid = data.start.streamSid;
               streamSid = ws._streamSid;
+              player.streamSid = streamSid;
               console.log(`📞 Stream started (${ws._streamSid}), streamSid=${streamSid}`);
               console.log(`🎙️ VAD active: SILENCE_MS=${SILENCE_MS}, aiSpeaking=${aiSpeaking}`);
               // Greeting handled by Twilio Say in TwiML
               break;
-            case "media":
+            }
+            case "media": {
+              if (transferring) break;
               const mu = base64ToBytes(data.media.payload);
-              const pcm16 = mulawToPcm16(mu);
+              const pcm16 = mulawDecode(mu);
+              const now = Date.now();
+
+              // Twilio sends frames continuously, silence included: only real speech counts
+              const speech = vad.process(pcm16).some(f => f.speech);
               
               // BARGE-IN: If AI is speaking and user starts talking, interrupt AI
               if (aiSpeaking) {
-                pcmBuffer.push(pcm16);
-                const totalSamples = pcmBuffer.reduce((sum, buf) => sum + buf.length, 0);
+                preRoll.push(pcm16);
+                if (preRoll.length > PRE_ROLL_CHUNKS) preRoll.shift();
                 
-                if (totalSamples > BARGE_IN_THRESHOLD) {
-                  console.log("🛑 BARGE-IN detected! Stopping AI...");
-                  aiSpeaking = false;
-                  if (aiSpeakingTimeout) {
-                    clearTimeout(aiSpeakingTimeout);
-                    aiSpeakingTimeout = null;
+                if (vad.speechMs >= BARGE_IN_MS) {
+                  console.log(`🛑 BARGE-IN detected (${vad.speechMs}ms of speech)! Stopping AI...`);
+                  metrics.bargeInsTotal.inc();
+                  // Flush Twilio's buffer and note what the caller actually heard
+                  const heard = player.clear();
+                  if (currentTurn) {
+                    currentTurn.heard = heard;
+                    currentTurn.controller.abort(); // cancels STT, LLM, TTS and frame sending
+                  } else {
+                    agent.truncateLastReply(heard);
                   }
-                  // Continue buffering for user input
-                  firstMediaAt = Date.now();
-                  lastMediaAt = Date.now();
+                  aiSpeaking = false;
+                  // The interruption itself starts the next utterance
+                  pcmBuffer = preRoll;
+                  preRoll = [];
+                  firstMediaAt = now;
+                  lastSpeechAt = now;
                 }
                 break;
               }
               
-              // Append mu-law -> PCM16 to buffer
-              const now = Date.now();
-              lastMediaAt = now;
-              if (!firstMediaAt) firstMediaAt = now;
-              pcmBuffer.push(pcm16);
+              if (pcmBuffer.length) {
+                // Utterance in progress: keep pauses between words too
+                pcmBuffer.push(pcm16);
+                if (speech) lastSpeechAt = now;
+              } else if (speech) {
+                // Speech onset: include the pre-roll so the first syllable isn't clipped
+                pcmBuffer = [...preRoll, pcm16];
+                preRoll = [];
+                firstMediaAt = now;
+                lastSpeechAt = now;
+              } else {
+                preRoll.push(pcm16);
+                if (preRoll.length > PRE_ROLL_CHUNKS) preRoll.shift();
+              }
               
               // Debug: log buffer size periodically
-              if (pcmBuffer.length % 100 === 0) {
+              if (pcmBuffer.length && pcmBuffer.length % 100 === 0) {
                 console.log(`📊 Buffer size: ${pcmBuffer.length} chunks, ${pcmBuffer.reduce((s,b)=>s+b.length,0)} samples`);
               }
               break;
+            }
+            case "mark":
+              player.handleMark(data.mark?.name);
+              break;
             case "stop":
               console.log("📴 Stream stopped");
               break;
@@ -297,7 +568,18 @@ export async function startTwilioWebhook(port) {
       });
       ws.on("close", async () => {
         console.log("❌ Socket closed");
-        await agent.disconnect();
+        clearTimeout(startTimer);
+        currentTurn?.controller.abort();
+        player.stop();
+        if (agent) {
+          metrics.activeCalls.dec();
+          liveAgents.delete(callId);
+        }
+        if (agent?.reminder) {
+          await getReminderCampaign(agent.tenant).recordResult(agent.reminder.appointment_id, callId, agent.reminderResult())
+            .catch((err) => console.error("Failed to record reminder result:", err));
+        }
+        await agent?.disconnect();
       });
 
       // Silence timeout checker
@@ -316,7 +598,7 @@ export async function startTwilioWebhook(port) {
         }
         
         if (hasBuffer){
-          const silenceDuration = now - lastMediaAt;
+          const silenceDuration = now - lastSpeechAt;
           const utteranceDuration = now - (firstMediaAt || now);
           
           // Always log when we have buffer
@@ -335,6 +617,8 @@ export async function startTwilioWebhook(port) {
     });
 
     console.log(`✅ WebSocket bridge attached at wss://<host>/bridge`);
-    resolve();
+    if (reminderPolicy().enabled) startReminderJob();
+    getSmsSessions().startExpiryTimer();
+    resolve(server);
   });
 }
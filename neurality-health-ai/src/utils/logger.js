@@ -1,19 +1,115 @@
 import fs from "fs";
 import path from "path";
 import winston from "winston";
+import { redactInfo } from "./redact.js";
+import { auditKeys, encryptAudit, decryptAudit, isEncrypted } from "../audit/crypto.js";
+import { EventLog, buildAudit } from "../audit/eventLog.js";
+import { validateAudit } from "../audit/schema.js";
 
-const logsDir = path.resolve("logs");
+// system.log, and per-call audits unless AUDIT_LOG_DIR says otherwise
+const logsDir = path.resolve(process.env.LOG_DIR || "logs");
 if (!fs.existsSync(logsDir)) fs.mkdirSync(logsDir, { recursive: true });
 
+const redactFormat = winston.format(info => redactInfo(info));
+
 export const logger = winston.createLogger({
   level: "info",
-  format: winston.format.json(),
+  format: winston.format.combine(redactFormat(), winston.format.json()),
   transports: [new winston.transports.File({ filename: path.join(logsDir, "system.log") })]
 });
 
-export function createAudit(callId) {
-  const file = path.join(logsDir, `${callId}.json`);
+let warnedPlaintext = false;
+
+// Audits hold PHI, so production refuses to write them unencrypted
+function encryptionKey() {
+  const { current } = auditKeys();
+  if (!current) {
+    if (process.env.NODE_ENV === "production") {
+      throw new Error("AUDIT_ENCRYPTION_KEY is required in production");
+    }
+    if (!warnedPlaintext) {
+      warnedPlaintext = true;
+      logger.warn({ event: "audit_plaintext", reason: "AUDIT_ENCRYPTION_KEY not set" });
+    }
+  }
+  return current;
+}
+
+/**
+ * Parse an audit file's contents, decrypting it if it's encrypted
+ */
+export function readAuditFile(file, callId = path.basename(file, ".json")) {
+  const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+  return isEncrypted(parsed) ? decryptAudit(parsed, callId, auditKeys().all) : parsed;
+}
+
+/**
+ * Where per-call audits and event logs live (AUDIT_LOG_DIR, default LOG_DIR)
+ */
+export function auditDir() {
+  return process.env.AUDIT_LOG_DIR ? path.resolve(process.env.AUDIT_LOG_DIR) : logsDir;
+}
+
+/**
+ * A call's audit: derived from its event log, or its JSON file for calls from
+ * before the event log. Null when neither exists.
+ */
+export function readCallAudit(callId, dir = auditDir()) {
+  const eventsFile = path.join(dir, `${callId}.events.jsonl`);
+  if (fs.existsSync(eventsFile)) {
+    return buildAudit(callId, new EventLog(eventsFile, callId, { keys: auditKeys().all }).read());
+  }
+  const file = path.join(dir, `${callId}.json`);
+  return fs.existsSync(file) ? readAuditFile(file, callId) : null;
+}
+
+/**
+ * Per-call audit. Writers append events (`record`, `merge`) to the call's
+ * event log; the audit JSON is derived from it, validated against the audit
+ * schema and written by `finalize` when the call ends (`read` always folds
+ * the log, so it never waits for that). `dir` is the tenant's audit
+ * directory, if it has its own.
+ */
+export function createAudit(callId, { dir } = {}) {
+  dir = dir || auditDir();
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${callId}.json`);
+  const events = new EventLog(path.join(dir, `${callId}.events.jsonl`), callId, {
+    key: encryptionKey(),
+    keys: auditKeys().all
+  });
+
+  const read = () => readCallAudit(callId, dir) || {};
+
+  const finalize = () => {
+    const audit = read();
+    const { ok, errors } = validateAudit(audit);
+    if (!ok) logger.warn({ event: "audit_invalid", callId, errors: errors.map(e => `${e.instancePath} ${e.message}`) });
+    const key = encryptionKey();
+    const body = key ? encryptAudit(audit, callId, key) : audit;
+    fs.writeFileSync(file, JSON.stringify(body, null, 2), { mode: 0o600 });
+    events.forget();
+    return audit;
+  };
+
+  // A late update to a call from before the event log starts from its JSON
+  const append = (type, data) => {
+    if (!events.exists() && fs.existsSync(file)) events.append("snapshot", readAuditFile(file, callId));
+    return events.append(type, data);
+  };
+
   return {
-    push: (data) => fs.writeFileSync(file, JSON.stringify(data, null, 2))
+    read,
+    record: append,
+    push: (data) => {
+      append("snapshot", data);
+      return finalize();
+    },
+    // Each top-level key replaces that section only, so writers that finish at
+    // different times (agent, Twilio status callbacks) don't overwrite each other
+    merge: (data) => {
+      for (const [key, value] of Object.entries(data)) append("section", { key, value });
+    },
+    finalize
   };
 }
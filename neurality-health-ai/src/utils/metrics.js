@@ -0,0 +1,122 @@
+// src/utils/metrics.js
+// Process-wide counters, gauges and histograms in the Prometheus text format
+// (served on the webhook server's /metrics). Latencies are recorded in
+// seconds, per Prometheus convention.
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+function labelText(labels) {
+  const entries = Object.entries(labels);
+  return entries.length ? `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}` : "";
+}
+
+class Metric {
+  constructor(name, help, type) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.series = new Map(); // label text → value (or histogram state)
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help) {
+    super(name, help, "counter");
+  }
+
+  inc(labels = {}, by = 1) {
+    const key = labelText(labels);
+    this.series.set(key, (this.series.get(key) || 0) + by);
+  }
+
+  get(labels = {}) {
+    return this.series.get(labelText(labels)) || 0;
+  }
+
+  render() {
+    return [...this.header(), ...[...this.series].map(([labels, value]) => `${this.name}${labels} ${value}`)];
+  }
+}
+
+export class Gauge extends Counter {
+  constructor(name, help) {
+    super(name, help);
+    this.type = "gauge";
+    this.series.set("", 0);
+  }
+
+  dec(labels = {}, by = 1) {
+    this.inc(labels, -by);
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(name, help, buckets = LATENCY_BUCKETS) {
+    super(name, help, "histogram");
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const key = labelText(labels);
+    let state = this.series.get(key);
+    if (!state) {
+      state = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, state);
+    }
+    this.buckets.forEach((le, i) => { if (value <= le) state.counts[i]++; });
+    state.sum += value;
+    state.count++;
+  }
+
+  get(labels = {}) {
+    return this.series.get(labelText(labels)) || null;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const [key, { labels, counts, sum, count }] of this.series) {
+      this.buckets.forEach((le, i) => {
+        lines.push(`${this.name}_bucket${labelText({ ...labels, le })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${labelText({ ...labels, le: "+Inf" })} ${count}`);
+      lines.push(`${this.name}_sum${key} ${sum}`);
+      lines.push(`${this.name}_count${key} ${count}`);
+    }
+    return lines;
+  }
+}
+
+export const metrics = {
+  turnStageSeconds: new Histogram(
+    "neurality_turn_stage_seconds",
+    "Time from the end of the caller's utterance to each stage of the reply (stt, llm_first_token, llm_done, tts_first_audio, first_frame_sent, total)"
+  ),
+  toolCallSeconds: new Histogram("neurality_tool_call_seconds", "MCP tool call duration, retries included"),
+  turnsTotal: new Counter("neurality_turns_total", "Caller turns processed"),
+  toolErrorsTotal: new Counter("neurality_tool_errors_total", "Tool calls that failed or were refused, by tool"),
+  bargeInsTotal: new Counter("neurality_barge_ins_total", "Agent replies interrupted by the caller"),
+  activeCalls: new Gauge("neurality_active_calls", "Media streams with an agent attached")
+};
+
+/**
+ * All metrics in the Prometheus text exposition format
+ */
+export function renderMetrics() {
+  return Object.values(metrics).flatMap(m => m.render()).join("\n") + "\n";
+}
+
+/**
+ * Record one turn's stage timings (ms since end of utterance, as in the audit)
+ */
+export function observeTurnTimings(timings, { interrupted = false } = {}) {
+  for (const [key, ms] of Object.entries(timings)) {
+    if (typeof ms === "number") metrics.turnStageSeconds.observe({ stage: key.replace(/_ms$/, "") }, ms / 1000);
+  }
+  metrics.turnsTotal.inc({ interrupted: String(interrupted) });
+}
@@ -0,0 +1,194 @@
+// src/utils/redact.js
+// PHI redaction for winston and console output. Field rules act on values by
+// key (phone → last 4 digits, names → initial, DOB/member IDs → removed) and
+// pattern rules scrub free text. REDACTION_RULES_FILE adds to or overrides
+// the defaults; LOG_REDACTION=false turns redaction off for local debugging.
+import fs from "fs";
+
+const REDACTED = "[REDACTED]";
+
+const DEFAULT_RULES = {
+  fields: {
+    phone: "phone",
+    phones: "phone",
+    to: "phone",
+    from: "phone",
+    From: "phone",
+    To: "phone",
+    Caller: "phone",
+    Called: "phone",
+    caller_id: "phone",
+    callback_phone: "phone",
+    first: "name",
+    last: "name",
+    last_name: "name",
+    patient_first: "name",
+    patient_last: "name",
+    dob: "remove",
+    member_id: "remove",
+    subscriber_id: "remove",
+    text: "text",
+    message: "text",
+    unheard_text: "text",
+    summary: "text",
+    note: "text",
+    read_back: "text",
+    readBack: "text"
+  },
+  patterns: [
+    // (408) 555-1234, 408-555-1234, +14085551234; not digits inside IDs
+    { name: "phone", regex: "(?<![\\w+])(?:\\+?1[\\s.-]?)?\\(?\\d{3}\\)?[\\s.-]?\\d{3}[\\s.-]?\\d{4}(?!\\w)", strategy: "phone" },
+    // Birth dates: years before 2020, so appointment dates stay readable
+    { name: "dob_iso", regex: "\\b(?:19\\d{2}|20[01]\\d)-\\d{2}-\\d{2}\\b(?!T)", strategy: "remove" },
+    { name: "dob_us", regex: "\\b\\d{1,2}/\\d{1,2}/(?:19\\d{2}|20[01]\\d)\\b", strategy: "remove" },
+    { name: "dob_spoken", regex: "\\b(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+(?:19\\d{2}|20[01]\\d)\\b", flags: "i", strategy: "remove" },
+    { name: "member_id", regex: "\\b[A-Z]{1,3}\\d{8,12}\\b", strategy: "remove" },
+    { name: "api_key", regex: "\\bsk-[A-Za-z0-9_-]{6,}", strategy: "remove" }
+  ]
+};
+
+const MAX_KNOWN_NAMES = 500;
+const knownNames = new Set(); // names seen in name fields, scrubbed from free text later
+let namesRegex = null;        // rebuilt when knownNames changes
+
+function loadRules() {
+  const file = process.env.REDACTION_RULES_FILE;
+  const custom = file ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+
+  // A field mapped to null drops the default rule; a pattern with a default's name replaces it
+  const fields = Object.fromEntries(
+    Object.entries({ ...DEFAULT_RULES.fields, ...custom.fields }).filter(([, strategy]) => strategy)
+  );
+  const overridden = new Set((custom.patterns || []).map(p => p.name));
+  const patterns = [...DEFAULT_RULES.patterns.filter(p => !overridden.has(p.name)), ...(custom.patterns || [])]
+    .map(p => ({ ...p, regex: new RegExp(p.regex, "g" + (p.flags || "")) }));
+  return { fields, patterns };
+}
+
+let rules = null;
+function getRules() {
+  if (!rules) rules = loadRules();
+  return rules;
+}
+
+/**
+ * Re-read REDACTION_RULES_FILE (tests, config reloads)
+ */
+export function resetRedactionRules() {
+  rules = null;
+}
+
+export function redactionEnabled() {
+  return process.env.LOG_REDACTION !== "false";
+}
+
+export function maskPhone(value) {
+  const digits = String(value).replace(/\D/g, "");
+  return digits.length >= 7 ? `***-***-${digits.slice(-4)}` : REDACTED;
+}
+
+function maskName(value) {
+  const name = String(value).trim();
+  if (!name) return name;
+  rememberName(name);
+  return `${name[0].toUpperCase()}.`;
+}
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+function rememberName(name) {
+  if (name.length < 2 || knownNames.has(name)) return;
+  knownNames.add(name);
+  if (knownNames.size > MAX_KNOWN_NAMES) knownNames.delete(knownNames.values().next().value);
+  namesRegex = null;
+}
+
+function getNamesRegex() {
+  if (!namesRegex && knownNames.size) {
+    namesRegex = new RegExp(`\\b(?:${[...knownNames].map(escapeRegex).join("|")})\\b`, "gi");
+  }
+  return namesRegex;
+}
+
+/**
+ * Scrub phones, birth dates, member IDs, keys and names already seen
+ */
+export function redactText(text) {
+  if (!redactionEnabled() || typeof text !== "string") return text;
+  let out = text;
+  for (const { regex, strategy } of getRules().patterns) {
+    out = out.replace(regex, match => strategy === "phone" ? maskPhone(match) : REDACTED);
+  }
+  const names = getNamesRegex();
+  return names ? out.replace(names, name => `${name[0].toUpperCase()}.`) : out;
+}
+
+function applyStrategy(strategy, value) {
+  if (value === null || value === undefined || value === "") return value;
+  if (Array.isArray(value)) return value.map(v => applyStrategy(strategy, v));
+  if (typeof value === "object") return redact(value);
+  switch (strategy) {
+    // "to"/"from" also carry states (circuit breaker, status changes)
+    case "phone": return /\d/.test(String(value)) ? maskPhone(value) : value;
+    case "name": return maskName(value);
+    case "text": return redactText(String(value));
+    default: return REDACTED;
+  }
+}
+
+/**
+ * Redacted deep copy of a value. Names in the object are collected first, so
+ * they're also scrubbed from its free text.
+ */
+export function redact(value) {
+  if (!redactionEnabled()) return value;
+  collectNames(value);
+  return redactValue(value);
+}
+
+function collectNames(value, depth = 0) {
+  if (!value || typeof value !== "object" || depth > 8) return;
+  const { fields } = getRules();
+  for (const [key, v] of Object.entries(value)) {
+    if (fields[key] === "name" && typeof v === "string") rememberName(v.trim());
+    else collectNames(v, depth + 1);
+  }
+}
+
+function redactValue(value, depth = 0) {
+  if (typeof value === "string") return redactText(value);
+  if (!value || typeof value !== "object" || depth > 8) return value;
+  if (Array.isArray(value)) return value.map(v => redactValue(v, depth + 1));
+  if (Object.getPrototypeOf(value) !== Object.prototype) return value; // Errors, Dates, Buffers
+
+  const { fields } = getRules();
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    out[key] = fields[key] ? applyStrategy(fields[key], v) : redactValue(v, depth + 1);
+  }
+  return out;
+}
+
+/**
+ * Redact a winston info object in place (keeps its Symbol keys)
+ */
+export function redactInfo(info) {
+  if (!redactionEnabled()) return info;
+  const clean = redact({ ...info });
+  for (const key of Object.keys(info)) info[key] = clean[key];
+  return info;
+}
+
+let consoleInstalled = false;
+
+/**
+ * Route console.log/info/warn/error/debug through the redactor
+ */
+export function installConsoleRedaction() {
+  if (consoleInstalled) return;
+  consoleInstalled = true;
+  for (const method of ["log", "info", "warn", "error", "debug"]) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => original(...args.map(arg => redact(arg)));
+  }
+}
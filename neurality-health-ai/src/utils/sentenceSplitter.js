@@ -0,0 +1,52 @@
+// src/utils/sentenceSplitter.js
+// Cuts a stream of LLM tokens into sentences so each can go to TTS as soon as
+// it is complete.
+
+const ABBREVIATIONS = ["dr", "mr", "mrs", "ms", "st", "jr", "sr", "vs", "etc", "a.m", "p.m", "e.g", "i.e"];
+const MAX_CHARS = 160; // long run-ons are cut at a comma so TTS can start
+
+export class SentenceSplitter {
+  constructor(onSentence) {
+    this.onSentence = onSentence;
+    this.buffer = "";
+  }
+
+  push(text) {
+    this.buffer += text;
+
+    let boundary;
+    while ((boundary = this.findBoundary()) !== -1) {
+      const sentence = this.buffer.slice(0, boundary).trim();
+      this.buffer = this.buffer.slice(boundary);
+      if (sentence) this.onSentence(sentence);
+    }
+  }
+
+  /**
+   * Emit whatever is left (end of the reply)
+   */
+  flush() {
+    const sentence = this.buffer.trim();
+    this.buffer = "";
+    if (sentence) this.onSentence(sentence);
+  }
+
+  findBoundary() {
+    // Terminal punctuation followed by whitespace; wait for the space since
+    // the next token may still turn "a." into "a.m."
+    const re = /[.!?]+["')\]]*\s+/g;
+    let m;
+    while ((m = re.exec(this.buffer))) {
+      const before = this.buffer.slice(0, m.index).toLowerCase();
+      const word = before.split(/\s+/).pop();
+      if (ABBREVIATIONS.includes(word)) continue;
+      return m.index + m[0].length;
+    }
+
+    if (this.buffer.length > MAX_CHARS) {
+      const comma = this.buffer.lastIndexOf(", ", MAX_CHARS);
+      if (comma > 0) return comma + 2;
+    }
+    return -1;
+  }
+}
@@ -1,5 +1,7 @@
 import Ajv from "ajv";
+import addFormats from "ajv-formats";
 const ajv = new Ajv({ allErrors: true });
+addFormats(ajv);
 
 export function validate(schema, data) {
   const validate = ajv.compile(schema);
@@ -0,0 +1,179 @@
+import {
+  mulawEncode,
+  mulawDecode,
+  resample,
+  encodeWav,
+  decodeWav,
+  concatInt16,
+  chunkFrames,
+  applyGain,
+  peakLevel,
+  normalize
+} from "../src/audio/index.js";
+import crypto from "crypto";
+import assert from "assert";
+import { runTests } from "./helpers/run.js";
+
+/**
+ * Golden tests for the shared audio library
+ */
+function tone(freq, rate, ms, amplitude = 10000) {
+  const out = new Int16Array(rate * ms / 1000);
+  for (let i = 0; i < out.length; i++) out[i] = Math.round(amplitude * Math.sin(2 * Math.PI * freq * i / rate));
+  return out;
+}
+
+function rms(int16) {
+  let sum = 0;
+  for (let i = 0; i < int16.length; i++) sum += int16[i] * int16[i];
+  return Math.sqrt(sum / int16.length);
+}
+
+function levelDb(int16, reference) {
+  return 20 * Math.log10(rms(int16) / reference);
+}
+
+function sha256(buf) {
+  return crypto.createHash("sha256").update(buf).digest("hex");
+}
+
+const tests = {
+  "μ-law decode golden values"() {
+    const golden = { 0x00: -32124, 0x0f: -16764, 0x70: -120, 0x7f: 0, 0x80: 32124, 0xef: 132, 0xfe: 8, 0xff: 0 };
+    for (const [byte, value] of Object.entries(golden)) {
+      assert.strictEqual(mulawDecode(Uint8Array.of(Number(byte)))[0], value, `decode 0x${Number(byte).toString(16)}`);
+    }
+    const table = mulawDecode(Uint8Array.from({ length: 256 }, (_, i) => i));
+    assert.strictEqual(sha256(Buffer.from(table.buffer)), "3dab54339e520bb2c924826e3b72a917a2b612e9fd12fc867500f1d983a75827");
+  },
+
+  "μ-law encode golden values"() {
+    const golden = [[0, 0xff], [-1, 0x7f], [100, 0xf2], [-100, 0x72], [1000, 0xce], [-1000, 0x4e], [8159, 0x9f], [32767, 0x80], [-32768, 0x00]];
+    for (const [sample, byte] of golden) {
+      assert.strictEqual(mulawEncode(Int16Array.of(sample))[0], byte, `encode ${sample}`);
+    }
+    // Full 16-bit table, byte-identical to the reference G.711 encoder
+    const all = Int16Array.from({ length: 65536 }, (_, i) => i - 32768);
+    assert.strictEqual(sha256(mulawEncode(all)), "5ee7cf5f273f842d2234121e4cb0c98d6b20a99ac29026f94e05b36955b195be");
+  },
+
+  "μ-law round-trip stays within quantization error"() {
+    for (let byte = 0; byte < 256; byte++) {
+      const decoded = mulawDecode(Uint8Array.of(byte));
+      const reencoded = mulawEncode(decoded)[0];
+      // 0x7f and 0xff both mean zero
+      assert(reencoded === byte || decoded[0] === 0, `byte 0x${byte.toString(16)} not stable`);
+    }
+    const signal = tone(440, 8000, 100, 12000);
+    const back = mulawDecode(mulawEncode(signal));
+    for (let i = 0; i < signal.length; i++) {
+      // Segment step is 2^(exponent+3); relative error stays under ~3.2%
+      assert(Math.abs(back[i] - signal[i]) <= Math.max(8, Math.abs(signal[i]) * 0.033), `sample ${i}: ${signal[i]} → ${back[i]}`);
+    }
+  },
+
+  "resampler output length"() {
+    assert.strictEqual(resample(new Int16Array(24000), 24000, 8000).length, 8000);
+    assert.strictEqual(resample(new Int16Array(8000), 8000, 16000).length, 16000);
+    assert.strictEqual(resample(new Int16Array(44100), 44100, 8000).length, 8000);
+    const same = new Int16Array(10);
+    assert.strictEqual(resample(same, 8000, 8000), same);
+  },
+
+  "24k→8k keeps the passband"() {
+    for (const freq of [300, 1000, 3000]) {
+      const out = resample(tone(freq, 24000, 500), 24000, 8000);
+      const db = levelDb(out.subarray(200, out.length - 200), 10000 / Math.SQRT2);
+      assert(Math.abs(db) < 0.5, `${freq}Hz changed by ${db.toFixed(2)}dB`);
+    }
+  },
+
+  "24k→8k rejects content above 4kHz instead of aliasing"() {
+    // Plain decimation would fold 5kHz down to 3kHz at full level
+    const out = resample(tone(5000, 24000, 500), 24000, 8000);
+    const db = levelDb(out.subarray(200, out.length - 200), 10000 / Math.SQRT2);
+    assert(db < -40, `5kHz only attenuated by ${(-db).toFixed(1)}dB`);
+  },
+
+  "arbitrary ratios (44.1k→8k, 8k→16k)"() {
+    const down = resample(tone(1000, 44100, 300), 44100, 8000);
+    assert(Math.abs(levelDb(down.subarray(200, down.length - 200), 10000 / Math.SQRT2)) < 0.5);
+    const up = resample(tone(1000, 8000, 300), 8000, 16000);
+    assert(Math.abs(levelDb(up.subarray(400, up.length - 400), 10000 / Math.SQRT2)) < 0.5);
+  },
+
+  "WAV encode header and round-trip"() {
+    const samples = tone(440, 8000, 50);
+    const wav = encodeWav(samples, 8000);
+    assert.strictEqual(wav.length, 44 + samples.length * 2);
+    assert.strictEqual(wav.toString("ascii", 0, 4), "RIFF");
+    assert.strictEqual(wav.readUInt16LE(20), 1); // PCM
+    assert.strictEqual(wav.readUInt32LE(24), 8000);
+    assert.strictEqual(wav.readUInt16LE(34), 16);
+
+    const decoded = decodeWav(wav);
+    assert.strictEqual(decoded.sampleRate, 8000);
+    assert.deepStrictEqual(Array.from(decoded.samples), Array.from(samples));
+  },
+
+  "WAV decode: float32 stereo and μ-law"() {
+    const floatWav = Buffer.alloc(44 + 16);
+    floatWav.write("RIFF", 0, "ascii");
+    floatWav.writeUInt32LE(36 + 16, 4);
+    floatWav.write("WAVEfmt ", 8, "ascii");
+    floatWav.writeUInt32LE(16, 16);
+    floatWav.writeUInt16LE(3, 20);
+    floatWav.writeUInt16LE(2, 22);
+    floatWav.writeUInt32LE(16000, 24);
+    floatWav.writeUInt32LE(16000 * 8, 28);
+    floatWav.writeUInt16LE(8, 32);
+    floatWav.writeUInt16LE(32, 34);
+    floatWav.write("data", 36, "ascii");
+    floatWav.writeUInt32LE(16, 40);
+    [0.5, 0.5, -0.25, -0.75].forEach((v, i) => floatWav.writeFloatLE(v, 44 + i * 4));
+    const stereo = decodeWav(floatWav);
+    assert.strictEqual(stereo.channels, 2);
+    assert.deepStrictEqual(Array.from(stereo.samples), [16384, -16384]);
+
+    const muWav = Buffer.from(floatWav.subarray(0, 44 + 2));
+    muWav.writeUInt32LE(36 + 2, 4);
+    muWav.writeUInt16LE(7, 20);
+    muWav.writeUInt16LE(1, 22);
+    muWav.writeUInt16LE(8, 34);
+    muWav.writeUInt32LE(2, 40);
+    muWav[44] = 0x80;
+    muWav[45] = 0x00;
+    assert.deepStrictEqual(Array.from(decodeWav(muWav).samples), [32124, -32124]);
+
+    assert.throws(() => decodeWav(Buffer.from("not a wav file at all")), /RIFF/);
+  },
+
+  "frame chunking and concat"() {
+    const pcm = Int16Array.from({ length: 400 }, (_, i) => i);
+    const frames = chunkFrames(pcm, 160);
+    assert.strictEqual(frames.length, 2);
+    assert.strictEqual(frames[1][0], 160);
+    const padded = chunkFrames(pcm, 160, { pad: true });
+    assert.strictEqual(padded.length, 3);
+    assert.strictEqual(padded[2][79], 399);
+    assert.strictEqual(padded[2][80], 0);
+    assert.deepStrictEqual(Array.from(concatInt16(padded).subarray(0, 400)), Array.from(pcm));
+  },
+
+  "gain and normalization"() {
+    const quiet = tone(440, 8000, 100, 1000);
+    assert(Math.abs(peakLevel(applyGain(quiet, 6)) - 1995) <= 2, "+6dB should roughly double");
+    const loud = tone(440, 8000, 100, 30000);
+    const boosted = applyGain(loud, 12);
+    assert(boosted.every((v, i) => Math.sign(v) === Math.sign(loud[i])), "gain must clip, not wrap");
+    assert.strictEqual(Math.max(...boosted), 32767);
+
+    const normalized = normalize(quiet, { targetDbfs: -6, maxGainDb: 30 });
+    assert(Math.abs(20 * Math.log10(peakLevel(normalized) / 32768) + 6) < 0.1);
+    // Near-silence is capped at maxGainDb
+    assert(peakLevel(normalize(Int16Array.of(0, 3, -3), { maxGainDb: 20 })) <= 30);
+    assert.strictEqual(peakLevel(normalize(new Int16Array(10))), 0);
+  }
+};
+
+await runTests("Audio library tests", tests);
@@ -0,0 +1,130 @@
+import fs from "fs";
+import path from "path";
+import assert from "assert";
+import "./helpers/tmpDir.js";
+import { runTests } from "./helpers/run.js";
+import { EventLog, buildAudit } from "../src/audit/eventLog.js";
+import { validateAudit } from "../src/audit/schema.js";
+import { createAudit } from "../src/utils/logger.js";
+import { ConversationAgent } from "../src/livekit/agent.js";
+import { FakeChat } from "../src/providers/index.js";
+
+/**
+ * Append-only audit event log, the audit derived from it, and the audit schema
+ */
+const dir = process.env.AUDIT_LOG_DIR;
+
+const samplesDir = path.resolve("sample_outputs");
+const samples = fs.readdirSync(samplesDir).filter(f => f.endsWith(".json"));
+
+const tests = {
+  async "sample outputs match the published schema"() {
+    assert(samples.length >= 2, "no sample outputs found");
+    for (const file of samples) {
+      const { ok, errors } = validateAudit(JSON.parse(fs.readFileSync(path.join(samplesDir, file), "utf8")));
+      assert(ok, `${file}: ${JSON.stringify(errors)}`);
+    }
+  },
+
+  async "the schema rejects malformed audits"() {
+    const sample = JSON.parse(fs.readFileSync(path.join(samplesDir, samples[0]), "utf8"));
+    assert.strictEqual(validateAudit({ ...sample, audit_version: 99 }).ok, false, "unknown version");
+    assert.strictEqual(validateAudit({ ...sample, surprise: true }).ok, false, "unknown section");
+    const badTurn = { ...sample, transcript: [{ role: "robot", text: "hi", ts: "yesterday" }] };
+    assert.strictEqual(validateAudit(badTurn).errors.length, 2);
+  },
+
+  async "sample outputs replay through the event log unchanged"() {
+    for (const file of samples) {
+      const sample = JSON.parse(fs.readFileSync(path.join(samplesDir, file), "utf8"));
+      const log = new EventLog(path.join(dir, `replay-${file}l`), sample.call_id);
+      for (const turn of sample.transcript) log.append("transcript", turn);
+      for (const call of sample.tool_trace) log.append("tool_call", call);
+      log.append("slots", sample.slots);
+      for (const intent of sample.intents) log.append("intent", { intent });
+      log.append("section", { key: "outcome", value: sample.outcome });
+      log.append("section", { key: "lifecycle", value: sample.lifecycle });
+      assert.deepStrictEqual(buildAudit(sample.call_id, log.read()), sample, file);
+    }
+  },
+
+  async "a crash mid-write loses only the torn line"() {
+    const file = path.join(dir, "crash.events.jsonl");
+    const log = new EventLog(file, "crash");
+    log.append("transcript", { role: "user", text: "Hi", ts: new Date().toISOString() });
+    log.append("intent", { intent: "coverage_check" });
+    fs.appendFileSync(file, '{"v":1,"seq":2,"type":"transc');
+
+    const audit = buildAudit("crash", new EventLog(file, "crash").read());
+    assert.strictEqual(audit.transcript.length, 1);
+    assert.deepStrictEqual(audit.intents, ["coverage_check"]);
+  },
+
+  async "writers with their own handle on a call's log don't reuse seq numbers"() {
+    const callId = "test-events-writers";
+    const agent = createAudit(callId);
+    agent.record("transcript", { role: "user", text: "Hi", ts: new Date().toISOString() });
+    createAudit(callId).merge({ lifecycle: { call_sid: callId, status: "in-progress" } });
+    agent.record("intent", { intent: "coverage_check" });
+    createAudit(callId).merge({ transfer: { status: "connected" } });
+    agent.record("intent", { intent: "transfer" });
+
+    const events = new EventLog(path.join(dir, `${callId}.events.jsonl`), callId).read();
+    assert.deepStrictEqual(events.map(e => e.seq), [0, 1, 2, 3, 4]);
+
+    // A torn last line is skipped when numbering the next event, too
+    const file = path.join(dir, "torn.events.jsonl");
+    const log = new EventLog(file, "torn");
+    log.append("intent", { intent: "coverage_check" });
+    fs.appendFileSync(file, '{"v":1,"seq":1,"type":"transc');
+    assert.strictEqual(new EventLog(file, "torn").lastSeq(), 0);
+  },
+
+  async "agent turns are in the event log before the call ends"() {
+    const callId = "test-events-live";
+    const llm = new FakeChat({
+      script: [
+        { tool_calls: [{ name: "recordCallerDetails", arguments: { patient_first: "Maya", payer: "Delta Dental" } }] },
+        { content: "Thanks Maya, let me check that." }
+      ]
+    });
+    const agent = new ConversationAgent(callId, { providers: { llm } });
+    await agent.processUtterance("Hi, I'm Maya, I have Delta Dental.");
+    agent.truncateLastReply("Thanks Maya,");
+
+    // No saveAudit: this is what survives if the process dies now
+    const audit = createAudit(callId).read();
+    assert.deepStrictEqual(audit.transcript.map(t => t.role), ["user", "agent"]);
+    assert.strictEqual(audit.transcript[1].text, "Thanks Maya,");
+    assert.strictEqual(audit.transcript[1].unheard_text, "let me check that.");
+    assert.strictEqual(audit.tool_trace[0].tool, "record_caller_details");
+    assert.strictEqual(audit.slots.patient_first, "Maya");
+    assert.strictEqual(audit.identity.status, "unverified");
+    assert.strictEqual(fs.existsSync(path.join(dir, `${callId}.json`)), false);
+
+    agent.saveAudit();
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, `${callId}.json`), "utf8"));
+    assert.deepStrictEqual(saved, audit);
+    assert(validateAudit(saved).ok, JSON.stringify(validateAudit(saved).errors));
+  },
+
+  async "updates to a pre-event-log audit keep its contents"() {
+    const callId = "CAlegacy";
+    const legacy = { call_id: callId, transcript: [{ role: "user", text: "Hello", ts: "2025-10-28T19:15:00.000Z" }], intents: [], slots: {}, tool_trace: [] };
+    fs.writeFileSync(path.join(dir, `${callId}.json`), JSON.stringify(legacy));
+
+    const writer = createAudit(callId);
+    writer.merge({ lifecycle: { call_sid: callId, status: "completed", events: [] } });
+    const audit = writer.read();
+    assert.strictEqual(audit.audit_version, 1);
+    assert.strictEqual(audit.transcript[0].text, "Hello");
+    assert.strictEqual(audit.lifecycle.status, "completed");
+
+    // The JSON is only rewritten when the call is finalized, not on every merge
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dir, `${callId}.json`), "utf8")), legacy);
+    writer.finalize();
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dir, `${callId}.json`), "utf8")), audit);
+  }
+};
+
+await runTests("Audit event log tests", tests);
@@ -0,0 +1,129 @@
+import fs from "fs";
+import path from "path";
+import assert from "assert";
+import "./helpers/tmpDir.js";
+import { runTests } from "./helpers/run.js";
+import { AuditStore } from "../src/audit/store.js";
+import { createAuditApp } from "../src/audit/api.js";
+import { enforceRetention } from "../src/audit/retention.js";
+import { createAudit, logger } from "../src/utils/logger.js";
+
+/**
+ * Audit search/retrieval API and retention enforcement
+ */
+const dir = process.env.AUDIT_LOG_DIR;
+
+// Fixtures: the two sample calls plus one live call with a failed tool
+const samples = {};
+for (const file of fs.readdirSync("sample_outputs")) {
+  const audit = JSON.parse(fs.readFileSync(path.join("sample_outputs", file), "utf8"));
+  samples[file] = audit;
+  fs.writeFileSync(path.join(dir, `${audit.call_id}.json`), JSON.stringify(audit));
+}
+const BOOKED = samples["success-path.json"].call_id;
+const DENIED = samples["error-path-coverage-denied.json"].call_id;
+const FAILED = "CAtoolerror";
+const live = createAudit(FAILED);
+live.record("transcript", { role: "user", text: "Can I book?", ts: "2026-11-02T17:00:00.000Z" });
+live.record("tool_call", { tool: "book_appointment", input: {}, output: { ok: false, error: "slot_taken" }, ok: false, turn: 1, step: 0 });
+live.merge({ lifecycle: { call_sid: FAILED, from: "+14085557777", status: "completed", events: [], started_at: "2026-11-02T17:00:00.000Z", ended_at: "2026-11-02T17:02:00.000Z" } });
+
+const KEYS = new Map([["alice", "alice-secret-key"]]);
+const app = createAuditApp({ store: new AuditStore({ dir }), keys: KEYS });
+const server = await new Promise(resolve => { const s = app.listen(0, () => resolve(s)); });
+const base = `http://127.0.0.1:${server.address().port}`;
+
+async function get(url, key = "alice-secret-key") {
+  const res = await fetch(base + url, { headers: key ? { Authorization: `Bearer ${key}` } : {} });
+  return { status: res.status, body: await res.json() };
+}
+
+// Captures logger.info events while `fn` runs
+async function logged(fn) {
+  const events = [];
+  const original = logger.info;
+  logger.info = (entry) => { events.push(entry); return logger; };
+  try {
+    await fn();
+  } finally {
+    logger.info = original;
+  }
+  return events;
+}
+
+const tests = {
+  async "requests need a valid API key"() {
+    assert.strictEqual((await get("/audits", null)).status, 401);
+    assert.strictEqual((await get("/audits", "wrong-key")).status, 401);
+
+    const unconfigured = createAuditApp({ store: new AuditStore({ dir }), keys: new Map() });
+    const s = await new Promise(resolve => { const x = unconfigured.listen(0, () => resolve(x)); });
+    try {
+      const res = await fetch(`http://127.0.0.1:${s.address().port}/audits`);
+      assert.strictEqual(res.status, 503);
+    } finally {
+      s.close();
+    }
+  },
+
+  async "calls are listed newest first without PHI"() {
+    const { status, body } = await get("/audits");
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.total, 3);
+    assert.deepStrictEqual(body.calls.map(c => c.call_id), [FAILED, DENIED, BOOKED]);
+    assert.doesNotMatch(JSON.stringify(body), /Maya|Patel|5551234/);
+  },
+
+  async "calls filter by outcome, intent, tool errors, last 4 and date"() {
+    const ids = async (query) => (await get(`/audits?${query}`)).body.calls.map(c => c.call_id);
+    assert.deepStrictEqual(await ids("outcome=booked"), [BOOKED]);
+    assert.deepStrictEqual(await ids("outcome=denied"), [DENIED]);
+    assert.deepStrictEqual(await ids("intent=send_sms"), [BOOKED]);
+    assert.deepStrictEqual(await ids("tool_error=true"), [FAILED]);
+    assert.deepStrictEqual(await ids("tool_error=send_sms"), []);
+    assert.deepStrictEqual(await ids("last4=0199"), [DENIED]);
+    assert.deepStrictEqual(await ids("from=2026-01-01&to=2026-12-31"), [FAILED]);
+    assert.deepStrictEqual(await ids("limit=1&offset=1"), [DENIED]);
+
+    assert.strictEqual((await get("/audits?outcome=happy")).status, 400);
+    assert.strictEqual((await get("/audits?last4=12")).status, 400);
+    assert.strictEqual((await get("/audits?from=someday")).status, 400);
+  },
+
+  async "one call's audit needs a reason and is logged"() {
+    assert.strictEqual((await get(`/audits/${BOOKED}`)).status, 400);
+    assert.strictEqual((await get("/audits/unknown-call?reason=qa")).status, 404);
+
+    let res;
+    const events = await logged(async () => { res = await get(`/audits/${BOOKED}?reason=quality%20review`); });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body, samples["success-path.json"]);
+    const access = events.find(e => e.event === "audit_access");
+    assert.deepStrictEqual([access.callId, access.reviewer, access.reason], [BOOKED, "alice", "quality review"]);
+  },
+
+  async "retention archives expired calls"() {
+    const store = new AuditStore({ dir });
+    const archiveDir = path.join(dir, "archive");
+    const now = Date.parse("2026-11-03T00:00:00Z");
+    const policy = { days: 365, action: "archive", archiveDir };
+
+    const events = await logged(() => { enforceRetention({ store, policy, now }); });
+    assert.deepStrictEqual(events.map(e => [e.event, e.callId, e.action]).sort(), [
+      ["audit_retention", BOOKED, "archive"],
+      ["audit_retention", DENIED, "archive"]
+    ].sort());
+    assert.deepStrictEqual(store.callIds(), [FAILED]);
+    assert(fs.existsSync(path.join(archiveDir, `${BOOKED}.json`)));
+  },
+
+  async "retention purges when configured"() {
+    const store = new AuditStore({ dir });
+    const removed = enforceRetention({ store, policy: { days: 0, action: "purge" }, now: Date.parse("2026-11-03T00:00:00Z") });
+    assert.deepStrictEqual(removed.map(r => r.call_id), [FAILED]);
+    assert.strictEqual(fs.existsSync(path.join(dir, `${FAILED}.events.jsonl`)), false);
+    assert.strictEqual(fs.existsSync(path.join(dir, `${FAILED}.json`)), false);
+  }
+};
+
+await runTests("Audit API and retention tests", tests, { after: () => server.close() });
@@ -0,0 +1,64 @@
+import fs from "fs";
+import path from "path";
+import assert from "assert";
+import { tmpDir } from "./helpers/tmpDir.js";
+import { runTests } from "./helpers/run.js";
+
+/**
+ * Yes/no answers to a read-back: the leading answer decides, and a declined
+ * read-back is kept so the agent asks what to change
+ */
+
+const { isAffirmative, isNegative } = await import("../src/livekit/booking.js");
+const { ConversationAgent } = await import("../src/livekit/agent.js");
+const { FakeChat } = await import("../src/providers/index.js");
+
+const SLOT = { start: "2026-11-03T17:00:00Z", end: "2026-11-03T18:00:00Z", provider_id: "dr-lee" };
+
+// An MCP stand-in that offers one slot
+const mcp = { callTool: async () => ({ ok: true, output: { slots: [SLOT] } }) };
+
+const answer = (text) => (isAffirmative(text) ? "yes" : isNegative(text) ? "no" : null);
+
+const tests = {
+  async "a leading yes wins over later negations"() {
+    for (const text of ["Yes, no problem", "Yes, actually that works", "yes, I can't wait", "Yeah, don't worry about it", "Um, yes please", "Sí, no hay problema"]) {
+      assert.strictEqual(answer(text), "yes", text);
+    }
+    assert.strictEqual(answer("No problem, go ahead"), "yes");
+    assert.strictEqual(answer("That sounds good"), "yes", "a yes anywhere, with nothing against it");
+  },
+
+  async "a leading or standalone no declines"() {
+    for (const text of ["No.", "Nope", "No, make it Wednesday", "Actually, can we do Thursday?", "Wait", "Oh, no", "Hold on, that's wrong", "No, gracias"]) {
+      assert.strictEqual(answer(text), "no", text);
+    }
+  },
+
+  async "anything else is neither, and goes to the model"() {
+    for (const text of ["Yes, but change it to ten", "That's not right", "I said Tuesday, not Wednesday", "What time was that?", ""]) {
+      assert.strictEqual(answer(text), null, text);
+    }
+  },
+
+  async "a declined read-back is kept, and the model is told to ask what to change"() {
+    const llm = new FakeChat({
+      script: [
+        { tool_calls: [{ name: "recordCallerDetails", arguments: { patient_first: "Maya", patient_last: "Patel", phone: "+14085551234", appointment_type: "cleaning", location_id: "sj-001" } }] },
+        { tool_calls: [{ name: "getProviderAvailability", arguments: { location_id: "sj-001", appointment_type: "cleaning", date_range: { start: "2026-11-03", end: "2026-11-03" } } }] },
+        { content: "I have Tuesday at 9. Does that work?" },
+        { tool_calls: [{ name: "selectOfferedSlot", arguments: { choice: "Tuesday at 9" } }] },
+        { content: "No problem. What day would suit you better?" }
+      ]
+    });
+    const agent = new ConversationAgent("test-booking-declined", { providers: { llm }, mcp });
+    await agent.processUtterance("Hi, I'm Maya Patel and I need a cleaning in San Jose");
+    assert.match(await agent.processUtterance("Tuesday at 9"), /Shall I book it\?$/);
+
+    assert.strictEqual(await agent.processUtterance("No, sorry, not Tuesday"), "No problem. What day would suit you better?");
+    assert.strictEqual(agent.pendingBooking.status, "declined");
+    assert.match(llm.calls.at(-1).messages[0].content, /Booking: caller said no to Tuesday, Nov 3 at 9:00 AM; ask what they'd like instead/);
+  }
+};
+
+await runTests("Read-back answer tests", tests);
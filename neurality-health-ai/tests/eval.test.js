@@ -1,14 +1,32 @@
+import { tmpDir } from "./helpers/tmpDir.js";
 import { ConversationAgent } from "../src/livekit/agent.js";
+import { startMCPServer } from "../src/mcp/server.js";
+import { FakeChat } from "../src/providers/index.js";
+import { validateAudit } from "../src/audit/schema.js";
+import { zonedTime, localDate, weekdayKey, addDays } from "../src/scheduling/time.js";
 import assert from "assert";
+import path from "path";
+
+// Scenarios run offline against a scripted model; EVAL_PROVIDER=openai uses the configured live one
+const useLiveModel = process.env.EVAL_PROVIDER === "openai";
+
+// Bookings go to a throwaway state file so runs don't see each other's appointments
+process.env.SCHEDULING_STATE_FILE = path.join(tmpDir, "appointments.json");
+process.env.PATIENT_REGISTRY_FILE = path.join(tmpDir, "patients.json");
+
+// Staff line for the escalation scenarios
+process.env.TRANSFER_NUMBER = process.env.TRANSFER_NUMBER || "+14085550100";
+process.env.TRANSFER_SMS_TO = process.env.TRANSFER_SMS_TO || "+14085550100";
 
 /**
  * Simple evaluation harness for agent
  */
-async function runScenario(name, turns) {
+async function runScenario(name, turns, script = [], options = {}) {
   console.log(`\n📝 Running scenario: ${name}`);
   console.log("=".repeat(60));
   
-  const agent = new ConversationAgent("test-" + Date.now());
+  const providers = useLiveModel ? undefined : { llm: new FakeChat({ script }) };
+  const agent = new ConversationAgent("test-" + Date.now(), { providers, ...options });
   
   try {
     // Note: We skip LiveKit connection for testing
@@ -38,6 +56,17 @@ async function runScenario(name, turns) {
         assert(toolCalled, `Expected tool '${expectations.shouldCallTool}' not called`);
         console.log(`✅ Tool called: ${expectations.shouldCallTool}`);
       }
+      
+      if (expectations.shouldVerify) {
+        assert.strictEqual(agent.identity.status, "verified", "Caller was not verified");
+        console.log(`✅ Caller verified`);
+      }
+      
+      if (expectations.shouldTransfer) {
+        assert.strictEqual(agent.transfer?.reason, expectations.shouldTransfer, "Expected a transfer");
+        assert(agent.transfer.summary, "Transfer has no staff summary");
+        console.log(`✅ Transfer requested: ${agent.transfer.reason}`);
+      }
     }
     
     // Validate final audit JSON
@@ -48,6 +77,12 @@ async function runScenario(name, turns) {
     console.log(`  - Slots: ${JSON.stringify(agent.slots, null, 2)}`);
     
     assert(agent.transcript.length >= turns.length * 2, "Transcript incomplete");
+    agent.saveAudit();
+    const audit = agent.audit.read();
+    const { ok, errors } = validateAudit(audit);
+    assert(ok, `Audit JSON invalid: ${JSON.stringify(errors)}`);
+    assert.strictEqual(audit.transcript.length, agent.transcript.length, "Event log is missing transcript turns");
+    assert.strictEqual(audit.tool_trace.length, agent.toolTrace.length, "Event log is missing tool calls");
     console.log("✅ Audit JSON structure valid");
     
     console.log(`\n✅ Scenario passed: ${name}\n`);
@@ -82,7 +117,7 @@ async function testSuccessPath() {
       }
     ],
     [
-      "If yes, next Tuesday morning in San Jose. My number is 408-555-1234.",
+      "If yes, next Tuesday morning in San Jose. My number is 408-555-1234 and I was born April 12, 1990.",
       {
         shouldExtractSlot: { phone: "+14085551234" },
         shouldCallTool: "get_provider_availability"
@@ -91,13 +126,14 @@ async function testSuccessPath() {
     [
       "Perfect, let's book the 9am slot.",
       {
-        // This would trigger booking in full implementation
+        shouldCallTool: "select_offered_slot"
       }
     ],
     [
       "Yes, please send me a confirmation SMS.",
       {
-        // This would trigger SMS in full implementation
+        shouldIncludeIntent: "book_appointment",
+        shouldCallTool: "send_sms"
       }
     ],
     [
@@ -106,7 +142,37 @@ async function testSuccessPath() {
     ]
   ];
   
-  return await runScenario("Success Path: Coverage → Availability → Booking → SMS", turns);
+  // Next Tuesday morning, San Jose office time
+  const zone = "America/Los_Angeles";
+  let tuesday = addDays(localDate(Date.now(), zone), 1);
+  while (weekdayKey(tuesday) !== "tue") tuesday = addDays(tuesday, 1);
+  const morning = {
+    start: new Date(zonedTime(tuesday, "08:00", zone)).toISOString(),
+    end: new Date(zonedTime(tuesday, "12:00", zone)).toISOString()
+  };
+
+  // One entry per model call
+  const script = [
+    { tool_calls: [
+      { name: "recordCallerDetails", arguments: { patient_first: "Maya", patient_last: "Patel", payer: "Delta Dental", plan: "PPO", appointment_type: "cleaning" } },
+      { name: "checkInsuranceCoverage", arguments: { payer: "Delta Dental", plan: "PPO", procedure_code: "D1110" } }
+    ] },
+    { content: "Yes, we accept Delta Dental PPO, and a cleaning is fully covered with no deductible. What day works for you?" },
+    { tool_calls: [
+      { name: "recordCallerDetails", arguments: { phone: "+14085551234", dob: "1990-04-12", location_id: "sj-001", time_pref: "next Tuesday morning" } },
+      { name: "getProviderAvailability", arguments: {
+        location_id: "sj-001",
+        date_range: morning,
+        appointment_type: "cleaning"
+      } }
+    ] },
+    { content: "On Tuesday morning I have 8, 9, 10 and 11am at our San Jose office. Which works best?" },
+    { tool_calls: [{ name: "selectOfferedSlot", arguments: { choice: "the 9am slot" } }] },
+    { content: "You're all set for Tuesday at 9am, and your confirmation text is on its way." },
+    { content: "You're welcome, see you Tuesday!" }
+  ];
+  
+  return await runScenario("Success Path: Coverage → Availability → Booking → SMS", turns, script);
 }
 
 /**
@@ -131,7 +197,143 @@ async function testCoverageDenied() {
     ]
   ];
   
-  return await runScenario("Error Path: Coverage Denied", turns);
+  const script = [
+    { tool_calls: [
+      { name: "recordCallerDetails", arguments: { payer: "UnitedHealthcare", appointment_type: "root_canal" } },
+      { name: "checkInsuranceCoverage", arguments: { payer: "UnitedHealthcare", plan: "PPO", procedure_code: "D3310" } }
+    ] },
+    { content: "I'm sorry, UnitedHealthcare isn't in our network, but cash pay is available." },
+    { content: "I can have our billing team give you an exact cash estimate." },
+    { content: "Of course. Call us back any time." }
+  ];
+  
+  return await runScenario("Error Path: Coverage Denied", turns, script);
+}
+
+/**
+ * Scenario 3: Caller asks for a person mid-call
+ */
+async function testCallerAsksForPerson() {
+  const turns = [
+    [
+      "Hi, this is Maya Patel, I have a question about a bill.",
+      {}
+    ],
+    [
+      "Can I just talk to a real person please?",
+      {
+        shouldIncludeIntent: "transfer",
+        shouldCallTool: "transfer_to_staff",
+        shouldTransfer: "caller_request"
+      }
+    ]
+  ];
+  
+  const script = [
+    { tool_calls: [{ name: "recordCallerDetails", arguments: { patient_first: "Maya", patient_last: "Patel" } }] },
+    { content: "Sure, I can help with billing questions. What's going on with your bill?" }
+  ];
+  
+  return await runScenario("Escalation: Caller Asks for a Person", turns, script);
+}
+
+/**
+ * Scenario 4: The agent keeps failing, so it hands off
+ */
+async function testRepeatedFailures() {
+  const turns = [
+    ["I need to move my appointment.", {}],
+    [
+      "I said I need to move my appointment.",
+      {
+        shouldIncludeIntent: "transfer",
+        shouldTransfer: "repeated_failures"
+      }
+    ]
+  ];
+  
+  const modelDown = () => { throw new Error("model unavailable"); };
+  
+  return await runScenario("Escalation: Repeated Failures", turns, useLiveModel ? [] : [modelDown, modelDown]);
+}
+
+/**
+ * Scenario 5: Move the appointment booked in scenario 1 to Thursday. Maya
+ * calls from the number she booked with and has to verify before anything is read out.
+ */
+async function testReschedule() {
+  const turns = [
+    [
+      "Hi, I need to move my cleaning.",
+      {}
+    ],
+    [
+      "It's Maya Patel, born April 12, 1990.",
+      {
+        shouldVerify: true,
+        shouldIncludeIntent: "lookup_appointments",
+        shouldCallTool: "lookup_appointments"
+      }
+    ],
+    [
+      "Could I do Thursday at 9 instead?",
+      {
+        shouldCallTool: "reschedule_appointment"
+      }
+    ],
+    [
+      "Yes, that works.",
+      {
+        shouldIncludeIntent: "reschedule_appointment",
+        shouldCallTool: "send_sms"
+      }
+    ]
+  ];
+
+  // Thursday after next Tuesday, San Jose office time
+  const zone = "America/Los_Angeles";
+  let thursday = addDays(localDate(Date.now(), zone), 1);
+  while (weekdayKey(thursday) !== "tue") thursday = addDays(thursday, 1);
+  thursday = addDays(thursday, 2);
+  const nineAm = new Date(zonedTime(thursday, "09:00", zone)).toISOString();
+
+  const lastToolResult = (request) => JSON.parse(request.messages[request.messages.length - 1].content);
+  let appointmentId = null;
+
+  const script = [
+    // Looking up before verifying is refused
+    { tool_calls: [{ name: "lookupAppointments", arguments: { phone: "+14085551234", last_name: "Patel" } }] },
+    (request) => {
+      assert.strictEqual(lastToolResult(request).error, "verification_required");
+      return { content: "I can help with that. Can I have your full name and date of birth first?" };
+    },
+    { tool_calls: [{ name: "verifyIdentity", arguments: { first: "Maya", last: "Patel", dob: "1990-04-12" } }] },
+    { tool_calls: [{ name: "lookupAppointments", arguments: { phone: "+14085551234", last_name: "Patel" } }] },
+    (request) => {
+      appointmentId = lastToolResult(request).appointments[0]?.appointment_id;
+      return { content: "I see your cleaning on Tuesday at 9am. When would you like to come in instead?" };
+    },
+    { tool_calls: [{ name: "getProviderAvailability", arguments: {
+      location_id: "sj-001",
+      date_range: {
+        start: new Date(zonedTime(thursday, "08:00", zone)).toISOString(),
+        end: new Date(zonedTime(thursday, "12:00", zone)).toISOString()
+      },
+      appointment_type: "cleaning"
+    } }] },
+    (request) => {
+      const slot = lastToolResult(request).slots.find(s => s.start === nineAm);
+      return { tool_calls: [{ name: "rescheduleAppointment", arguments: {
+        appointment_id: appointmentId,
+        phone: "+14085551234",
+        slot: { start: slot.start, end: slot.end },
+        idempotency_key: "model-supplied"
+      } }] };
+    },
+    { content: "All done, you're now booked for Thursday at 9am and I've texted you the new confirmation." }
+  ];
+
+  return await runScenario("Reschedule: Verify → Lookup → New Time → Confirm → SMS", turns, script, { callerPhone: "+14085551234" });
 }
 
 /**
@@ -141,10 +343,17 @@ async function runAllTests() {
   console.log("\n🧪 Starting Evaluation Harness");
   console.log("=".repeat(60));
   
+  // Agent tools go through the MCP REST routes; serve them on a free port
+  const mcpServer = await startMCPServer(0);
+  process.env.PORT_MCP = String(mcpServer.address().port);
+  
   const results = [];
   
   results.push(await testSuccessPath());
   results.push(await testCoverageDenied());
+  results.push(await testCallerAsksForPerson());
+  if (!useLiveModel) results.push(await testRepeatedFailures());
+  results.push(await testReschedule());
   
   // Summary
   console.log("\n" + "=".repeat(60));
@@ -171,5 +380,5 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   runAllTests().catch(console.error);
 }
 
-export { runScenario, testSuccessPath, testCoverageDenied };
+export { runScenario, testSuccessPath, testCoverageDenied, testCallerAsksForPerson, testRepeatedFailures, testReschedule };
 
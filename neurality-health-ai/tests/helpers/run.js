@@ -0,0 +1,28 @@
+// tests/helpers/run.js
+// The runner each test file ends with: runs its tests in order, prints a
+// ✅/❌ line per test and a summary, and exits non-zero if any failed.
+
+/**
+ * `tests` maps names to (possibly async) test functions; `after` runs once
+ * they're done, pass or fail (closing servers and the like)
+ */
+export async function runTests(title, tests, { after } = {}) {
+  console.log(`\n🧪 ${title}`);
+  console.log("=".repeat(60));
+
+  let failed = 0;
+  for (const [name, fn] of Object.entries(tests)) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+    } catch (err) {
+      failed++;
+      console.error(`❌ ${name}: ${err.message}`);
+    }
+  }
+  await after?.();
+
+  const total = Object.keys(tests).length;
+  console.log(`\n${failed ? "💥" : "🎉"} ${total - failed}/${total} passed`);
+  process.exit(failed ? 1 : 0);
+}
@@ -0,0 +1,15 @@
+// tests/helpers/tmpDir.js
+// Import before anything from src/: system.log (LOG_DIR) and call audits
+// (AUDIT_LOG_DIR) go to a fresh temp directory, removed when the test process
+// exits, so a test run never writes to logs/.
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+export const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), `neurality-${path.basename(process.argv[1], ".test.js")}-`));
+
+process.env.LOG_DIR = tmpDir;
+process.env.AUDIT_LOG_DIR = path.join(tmpDir, "audits");
+fs.mkdirSync(process.env.AUDIT_LOG_DIR);
+
+process.on("exit", () => fs.rmSync(tmpDir, { recursive: true, force: true }));
@@ -0,0 +1,103 @@
+import assert from "assert";
+import "./helpers/tmpDir.js";
+import { runTests } from "./helpers/run.js";
+import { CoverageRules } from "../src/insurance/rules.js";
+import { executeTool } from "../src/mcp/server.js";
+import { ConversationAgent } from "../src/livekit/agent.js";
+import { FakeChat } from "../src/providers/index.js";
+
+/**
+ * Coverage rules engine: networks, coverage percentages, deductibles,
+ * frequency limits, waiting periods and appointment-type code mapping
+ */
+
+const NOW = Date.parse("2026-11-02T12:00:00Z");
+const rules = new CoverageRules({ now: () => NOW });
+
+const tests = {
+  async "preventive care is covered in full with no deductible"() {
+    const result = rules.check({ payer: "Delta Dental", plan: "PPO", procedure_code: "D1110" });
+    assert.strictEqual(result.covered, true);
+    assert.strictEqual(result.in_network, true);
+    assert.strictEqual(result.copay_estimate, 0);
+    assert.strictEqual(result.deductible_usd, 0);
+    assert.match(result.notes, /Limited to 2 per calendar year/);
+  },
+
+  async "basic and major services apply the deductible and percentage"() {
+    // $210 filling: $50 deductible + 20% of $160
+    const filling = rules.check({ payer: "Delta Dental of California", plan: "PPO", procedure_code: "D2391" });
+    assert.strictEqual(filling.copay_estimate, 82);
+    assert.strictEqual(filling.coverage_percent, 80);
+    assert.match(filling.notes, /\$50 deductible/);
+
+    // $950 root canal: $50 deductible + 50% of $900, plus a waiting period mention
+    const rootCanal = rules.check({ payer: "Delta Dental", plan: "PPO", procedure_code: "D3310" });
+    assert.strictEqual(rootCanal.copay_estimate, 500);
+    assert.match(rootCanal.notes, /12-month waiting period for major services/);
+  },
+
+  async "unknown payers and plans are self-pay"() {
+    const payer = rules.check({ payer: "UnitedHealthcare", plan: "PPO", procedure_code: "D3310" });
+    assert.strictEqual(payer.covered, false);
+    assert.strictEqual(payer.in_network, false);
+    assert.strictEqual(payer.copay_estimate, 950);
+    assert.match(payer.notes, /isn't in our network/);
+
+    const plan = rules.check({ payer: "Delta Dental", plan: "HMO", procedure_code: "D1110" });
+    assert.strictEqual(plan.covered, false);
+    assert.match(plan.notes, /PPO and Premier plans, not HMO/);
+  },
+
+  async "frequency limits and waiting periods deny coverage when known"() {
+    const third = rules.check({ payer: "Delta Dental", plan: "PPO", procedure_code: "D1110", used_this_year: 2 });
+    assert.strictEqual(third.covered, false);
+    assert.strictEqual(third.copay_estimate, 120);
+    assert.match(third.notes, /limit has been reached/);
+
+    const waiting = rules.check({ payer: "Anthem Blue Cross", plan: "PPO", procedure_code: "D2391", coverage_start: "2026-08-01" });
+    assert.strictEqual(waiting.covered, false);
+    assert.match(waiting.notes, /isn't covered until 2027-02-01/);
+
+    const eligible = rules.check({ payer: "Anthem Blue Cross", plan: "PPO", procedure_code: "D2391", coverage_start: "2025-01-15" });
+    assert.strictEqual(eligible.covered, true);
+  },
+
+  async "the appointment type overrides a mismatched procedure code"() {
+    assert.strictEqual(rules.check({ payer: "Cigna", plan: "DPPO", procedure_code: "D1110", appointment_type: "root_canal" }).procedure_code, "D3310");
+    assert.strictEqual(rules.check({ payer: "Cigna", plan: "PPO", procedure_code: "D3330", appointment_type: "root_canal" }).procedure_code, "D3330");
+  },
+
+  async "the tool output matches its schema"() {
+    const { ok, result } = await executeTool("checkInsuranceCoverage", { payer: "Blue Shield", plan: "PPO", appointment_type: "extraction", procedure_code: "D1110" });
+    assert.strictEqual(ok, true);
+    assert.strictEqual(result.procedure_code, "D7140");
+  },
+
+  async "the agent checks the caller's appointment type"() {
+    const mcp = {
+      async callTool(name, input) {
+        const { ok, result, errors } = await executeTool(name, input);
+        return ok ? { ok: true, output: result } : { ok: false, output: { ok: false, error: "invalid_input", errors } };
+      }
+    };
+    const llm = new FakeChat({
+      script: [
+        { tool_calls: [
+          { name: "recordCallerDetails", arguments: { appointment_type: "root_canal" } },
+          { name: "checkInsuranceCoverage", arguments: { payer: "Delta Dental", plan: "PPO", procedure_code: "D1110" } }
+        ] },
+        { content: "A root canal is covered at 50% after your deductible." }
+      ]
+    });
+    const agent = new ConversationAgent("test-coverage-mapping", { providers: { llm }, mcp });
+    agent.saveAudit = () => {};
+
+    await agent.processUtterance("Does Delta Dental PPO cover a root canal?");
+    const trace = agent.toolTrace.find(t => t.tool === "check_insurance_coverage");
+    assert.strictEqual(trace.input.appointment_type, "root_canal");
+    assert.strictEqual(trace.output.procedure_code, "D3310");
+  }
+};
+
+await runTests("Insurance coverage rules tests", tests);
@@ -0,0 +1,193 @@
+import fs from "fs";
+import path from "path";
+import assert from "assert";
+import { tmpDir } from "./helpers/tmpDir.js";
+import { runTests } from "./helpers/run.js";
+
+/**
+ * Languages: detection and switching, the /voice keypad menu, localized
+ * prompts, read-backs and replies, and the language recorded in the audit
+ */
+const BILINGUAL = "+14085550100";
+const ENGLISH_ONLY = "+16505550100";
+
+fs.writeFileSync(path.join(tmpDir, "tenants.json"), JSON.stringify({
+  tenants: [
+    {
+      id: "north",
+      name: "North Dental",
+      numbers: [BILINGUAL],
+      greeting: "Thanks for calling North Dental.",
+      greetings: { es: "Gracias por llamar a North Dental." },
+      audit_dir: path.join(tmpDir, "north")
+    },
+    { id: "south", name: "South Smiles", numbers: [ENGLISH_ONLY], languages: ["en"], audit_dir: path.join(tmpDir, "south") }
+  ]
+}));
+
+process.env.TENANTS_FILE = path.join(tmpDir, "tenants.json");
+process.env.AUDIT_LOG_DIR = path.join(tmpDir, "default");
+process.env.TWILIO_VALIDATE_SIGNATURE = "false";
+process.env.STREAM_TOKEN_SECRET = "test-stream-secret";
+delete process.env.SUPPORTED_LANGUAGES;
+
+const { detectLanguage, requestedLanguage, languageForDigit, supportedLanguages, greetingFor } = await import("../src/i18n/languages.js");
+const { getTenantRegistry, normalizeTenant } = await import("../src/tenants/registry.js");
+const { getPromptRegistry } = await import("../src/prompts/registry.js");
+const { startTwilioWebhook } = await import("../src/twilio/webhook.js");
+const { ConversationAgent } = await import("../src/livekit/agent.js");
+const { FakeChat } = await import("../src/providers/index.js");
+const { validateAudit } = await import("../src/audit/schema.js");
+const { buildTransferTwiml, handleTransferStatus } = await import("../src/twilio/transfer.js");
+
+const north = getTenantRegistry().get("north");
+const south = getTenantRegistry().get("south");
+
+const SLOT = { start: "2026-11-03T17:00:00Z", end: "2026-11-03T18:00:00Z", provider_id: "dr-lee" };
+
+// An MCP stand-in that offers one slot
+const mcp = { callTool: async () => ({ ok: true, output: { slots: [SLOT] } }) };
+
+const tests = {
+  async "the language is detected from what the caller says"() {
+    assert.strictEqual(detectLanguage("Hola, quiero hacer una cita para una limpieza"), "es");
+    assert.strictEqual(detectLanguage("Hi, I'd like to book a cleaning please"), "en");
+    assert.strictEqual(detectLanguage("¿Mañana?"), "es");
+    assert.strictEqual(detectLanguage("Okay"), null, "nothing to go on");
+    assert.strictEqual(detectLanguage("Hola, I need a cita"), null, "a tie is not a guess");
+
+    assert.strictEqual(requestedLanguage("¿Puedo hablar en español?"), "es");
+    assert.strictEqual(requestedLanguage("Can we do this in English?"), "en");
+    assert.strictEqual(requestedLanguage("En inglés, por favor"), "en");
+    assert.strictEqual(requestedLanguage("I need a cleaning"), null);
+    assert.strictEqual(requestedLanguage("en español", ["en"]), null, "only the tenant's languages");
+
+    assert.strictEqual(languageForDigit("2"), "es");
+    assert.strictEqual(languageForDigit("9"), null);
+    assert.deepStrictEqual(supportedLanguages({}), ["en", "es"]);
+    assert.deepStrictEqual(supportedLanguages({ SUPPORTED_LANGUAGES: "es, en" }), ["es", "en"]);
+    assert.throws(() => supportedLanguages({ SUPPORTED_LANGUAGES: "en,xx" }), /Unsupported language: xx/);
+    assert.throws(() => normalizeTenant({ id: "bad", languages: ["en", "fr"] }), /Unsupported language: fr/);
+
+    assert.strictEqual(greetingFor(north, "es"), "Gracias por llamar a North Dental.");
+    assert.match(greetingFor(south, "en"), /Neurality Health/);
+    assert.match(greetingFor(normalizeTenant({ id: "east", name: "East Dental" }), "es"), /comunicado con East Dental/);
+  },
+
+  async "/voice offers a keypad menu and /voice/language greets in the choice"() {
+    const server = await startTwilioWebhook(0);
+    try {
+      const post = async (route, params) => {
+        const res = await fetch(`http://127.0.0.1:${server.address().port}${route}`, {
+          method: "POST",
+          headers: { "Content-Type": "application/x-www-form-urlencoded" },
+          body: new URLSearchParams(params)
+        });
+        return res.text();
+      };
+
+      const twiml = await post("/voice", { CallSid: "CAmenu1", From: "+14085551234", To: BILINGUAL });
+      assert.match(twiml, /<Gather input="dtmf" numDigits="1" timeout="3" action="\/voice\/language">/);
+      assert.match(twiml, /<Say voice="alice">Thanks for calling North Dental\.<\/Say>/);
+      assert.match(twiml, /<Say voice="alice" language="es-MX">Para español, oprima 2\.<\/Say><\/Gather>/);
+      assert.match(twiml, /<Stream/);
+
+      const chosen = await post("/voice/language", { CallSid: "CAmenu1", To: BILINGUAL, Digits: "2" });
+      assert.match(chosen, /<Say voice="alice" language="es-MX">Gracias por llamar a North Dental\.<\/Say><Pause length="600"\/>/);
+      const wrongKey = await post("/voice/language", { CallSid: "CAmenu1", To: BILINGUAL, Digits: "7" });
+      assert.doesNotMatch(wrongKey, /<Say/);
+      assert.match(wrongKey, /<Pause length="600"\/>/);
+
+      const single = await post("/voice", { CallSid: "CAmenu2", From: "+14085551234", To: ENGLISH_ONLY });
+      assert.doesNotMatch(single, /<Gather|español/);
+      assert.match(single, /<Say voice="alice">Hello! You are connected to Neurality Health/);
+    } finally {
+      server.close();
+    }
+  },
+
+  async "prompts use the version's translation, and fall back to the original"() {
+    const registry = getPromptRegistry();
+    const es = registry.render("front_desk_system", { clinic_name: "North Dental" }, { key: "CAx", language: "es" });
+    const en = registry.render("front_desk_system", { clinic_name: "North Dental" }, { key: "CAx" });
+    assert.match(es.text, /^Eres un asistente profesional de recepción en North Dental\./);
+    assert.strictEqual(es.ref.language, "es");
+    assert.strictEqual(es.ref.version, en.ref.version, "the A/B pick doesn't depend on language");
+    assert.notStrictEqual(es.ref.template_hash, en.ref.template_hash);
+    assert.strictEqual(en.ref.language, "en");
+
+    const quick = registry.render("quick_reply_system", { clinic_name: "North Dental" }, { language: "es" });
+    assert.strictEqual(quick.ref.language, "en", "no translation: the original is used and recorded as such");
+  },
+
+  async "a Spanish caller gets Spanish prompts, read-backs and replies"() {
+    const llm = new FakeChat({
+      script: [
+        { tool_calls: [{ name: "recordCallerDetails", arguments: { patient_first: "María", patient_last: "López", phone: "+14085551234", appointment_type: "cleaning", location_id: "sj-001" } }] },
+        { tool_calls: [{ name: "getProviderAvailability", arguments: { location_id: "sj-001", appointment_type: "cleaning", date_range: { start: "2026-11-03", end: "2026-11-03" } } }] },
+        { content: "Tengo el martes a las 9. ¿Le funciona?" },
+        { tool_calls: [{ name: "selectOfferedSlot", arguments: { choice: "martes a las 9" } }] },
+        { content: "" }
+      ]
+    });
+    const agent = new ConversationAgent("test-lang-es", { tenant: north, providers: { llm }, mcp });
+    assert.strictEqual(agent.sttLanguage(), null, "STT detects the language until the caller speaks");
+
+    await agent.processUtterance("Hola, soy María López, quiero una cita de limpieza");
+    assert.strictEqual(agent.language, "es");
+    assert.strictEqual(agent.sttLanguage(), "es");
+    assert.match(llm.calls[0].messages[0].content, /Habla siempre en español/);
+
+    const readBack = await agent.processUtterance("El martes a las 9, por favor");
+    assert.match(readBack, /^Para confirmar: María López, una cita de limpieza el martes, 3 de nov a las 9:00/);
+    assert.match(readBack, /oficina de San Jose.*¿La reservo\?$/);
+
+    // An empty answer from the model, and asking for a person, get Spanish replies too
+    assert.strictEqual(await agent.processUtterance("¿Cómo?"), "Perdón, tuve un problema con eso. ¿Me lo puede repetir?");
+    assert.match(await agent.processUtterance("¿Puedo hablar con una persona?"), /^Lo siento, nuestra recepción no está disponible/);
+  },
+
+  async "the transfer hold and no-answer messages are in the call's language"() {
+    const transfer = { target: { type: "queue", name: "front-desk" } };
+    const hold = buildTransferTwiml(transfer, "https://example.test", { language: "es" });
+    assert.match(hold, /<Say voice="alice" language="es-MX">Por favor espere mientras le comunico\.<\/Say>/);
+    assert.match(buildTransferTwiml(transfer, "https://example.test"), /<Say voice="alice">Please hold while I connect you\.<\/Say>/);
+
+    // /transfer/status is a later request: the language comes from the call's audit
+    const agent = new ConversationAgent("CAtransfer-es", { tenant: north, providers: { llm: new FakeChat() }, mcp });
+    agent.setLanguage("es", "dtmf");
+    const missed = handleTransferStatus({ CallSid: "CAtransfer-es", QueueResult: "hangup" }, north);
+    assert.match(missed, /<Say voice="alice" language="es-MX">Lo siento, nadie en la recepción/);
+    assert.match(handleTransferStatus({ CallSid: "CAtransfer-en", QueueResult: "hangup" }, south), /<Say voice="alice">Sorry, no one at the front desk/);
+  },
+
+  async "the caller can switch language mid-call, and the audit records it"() {
+    const llm = new FakeChat({ script: [{ content: "¿En qué le puedo ayudar?" }, { content: "Sure, how can I help?" }] });
+    const agent = new ConversationAgent("test-lang-switch", { tenant: north, providers: { llm }, mcp });
+    agent.setLanguage("es", "dtmf");
+    assert.strictEqual(agent.sttLanguage(), "es", "a keypad choice is final until the caller asks otherwise");
+    assert.strictEqual(agent.setLanguage("fr", "caller_request"), false);
+
+    await agent.processUtterance("Hola, buenos días");
+    await agent.processUtterance("Sorry, can we speak in English?");
+    assert.strictEqual(agent.language, "en");
+    assert.strictEqual(agent.reply("hold", "Hold on"), "Hold on");
+
+    agent.saveAudit();
+    const audit = agent.audit.read();
+    assert.strictEqual(audit.language.code, "en");
+    assert.strictEqual(audit.language.source, "caller_request");
+    assert.deepStrictEqual(audit.language.changes.map(c => [c.from, c.to, c.source, c.turn]), [["en", "es", "dtmf", 0], ["es", "en", "caller_request", 2]]);
+    const prompts = audit.transcript.filter(t => t.role === "agent").map(t => t.prompt.language);
+    assert.deepStrictEqual(prompts, ["es", "en"]);
+    assert(validateAudit(audit).ok, JSON.stringify(validateAudit(audit).errors));
+
+    // A single-language clinic never switches or guesses
+    const english = new ConversationAgent("test-lang-single", { tenant: south, providers: { llm: new FakeChat({ script: [{ content: "Hi!" }] }) }, mcp });
+    await english.processUtterance("Hola, ¿habla español?");
+    assert.strictEqual(english.language, "en");
+    assert.strictEqual(english.sttLanguage(), "en");
+  }
+};
+
+await runTests("Language tests", tests);
@@ -0,0 +1,75 @@
+import fs from "fs";
+import path from "path";
+import assert from "assert";
+import "./helpers/tmpDir.js";
+import { runTests } from "./helpers/run.js";
+import { recordCallStatus, recordStreamStart, markHangup, getCallLifecycle } from "../src/twilio/callLifecycle.js";
+import { ConversationAgent } from "../src/livekit/agent.js";
+import { FakeChat } from "../src/providers/index.js";
+
+/**
+ * Call lifecycle records and their merge into the audit JSON
+ */
+function sid(name) {
+  return `CAtest${name}${Date.now()}`;
+}
+
+function readAudit(callSid) {
+  return JSON.parse(fs.readFileSync(path.join(process.env.AUDIT_LOG_DIR, `${callSid}.json`), "utf8"));
+}
+
+const tests = {
+  "caller hangup after a normal call"() {
+    const callSid = sid("caller");
+    recordCallStatus({ CallSid: callSid, CallStatus: "ringing", From: "+14085551234", To: "+14085550000", Direction: "inbound" });
+    recordStreamStart(callSid, { streamSid: "MZ1" });
+    recordCallStatus({ CallSid: callSid, CallStatus: "completed", CallDuration: "42" });
+
+    const { lifecycle } = readAudit(callSid);
+    assert.strictEqual(lifecycle.status, "completed");
+    assert.deepStrictEqual(lifecycle.events.map(e => e.status), ["ringing", "in-progress", "completed"]);
+    assert.strictEqual(lifecycle.duration_s, 42);
+    assert.strictEqual(lifecycle.hangup_by, "caller");
+    assert.strictEqual(lifecycle.stream_sid, "MZ1");
+    assert.strictEqual(lifecycle.from, "+14085551234");
+    assert(lifecycle.answered_at && lifecycle.ended_at);
+    assert.strictEqual(getCallLifecycle(callSid), null, "finished calls are evicted");
+  },
+
+  "our side ending the call is kept"() {
+    const callSid = sid("agent");
+    recordStreamStart(callSid, { streamSid: "MZ2" });
+    markHangup(callSid, "agent");
+    recordCallStatus({ CallSid: callSid, CallStatus: "completed", CallDuration: "10" });
+    assert.strictEqual(readAudit(callSid).lifecycle.hangup_by, "agent");
+  },
+
+  "late callbacks don't move a finished call backwards"() {
+    const callSid = sid("late");
+    recordCallStatus({ CallSid: callSid, CallStatus: "failed" });
+    recordCallStatus({ CallSid: callSid, CallStatus: "ringing" });
+    const { lifecycle } = readAudit(callSid);
+    assert.strictEqual(lifecycle.status, "failed");
+    assert.strictEqual(lifecycle.hangup_by, null);
+    assert.strictEqual(lifecycle.events.length, 2);
+  },
+
+  "agent audit and lifecycle merge in either order"() {
+    const callSid = sid("merge");
+    recordStreamStart(callSid, { streamSid: "MZ3" });
+
+    const agent = new ConversationAgent(callSid, { providers: { llm: new FakeChat() } });
+    agent.saveAudit();
+    recordCallStatus({ CallSid: callSid, CallStatus: "completed", CallDuration: "5" });
+
+    const audit = readAudit(callSid);
+    assert.strictEqual(audit.call_id, callSid);
+    assert(Array.isArray(audit.transcript), "agent fields survive the status callback");
+    assert.strictEqual(audit.lifecycle.status, "completed");
+
+    agent.saveAudit();
+    assert.strictEqual(readAudit(callSid).lifecycle.status, "completed", "lifecycle survives a later agent save");
+  }
+};
+
+await runTests("Call lifecycle tests", tests);
@@ -0,0 +1,184 @@
+import assert from "assert";
+import "./helpers/tmpDir.js";
+import { runTests } from "./helpers/run.js";
+import { McpClient, CircuitBreaker, MCP_ERRORS } from "../src/mcp/client.js";
+import { ConversationAgent } from "../src/livekit/agent.js";
+import { FakeChat } from "../src/providers/index.js";
+
+/**
+ * MCP client timeouts, retries, circuit breaker, and the agent's fallback
+ */
+
+// fetch stand-in: each call takes the next scripted response
+function scriptedFetch(responses) {
+  const calls = [];
+  const impl = async (url, options) => {
+    calls.push({ url, body: JSON.parse(options.body) });
+    const next = responses.length > 1 ? responses.shift() : responses[0];
+    if (next === "hang") {
+      return new Promise((_, reject) => options.signal.addEventListener("abort", () => reject(options.signal.reason)));
+    }
+    if (next instanceof Error) throw next;
+    return { ok: next.status < 400, status: next.status, json: async () => next.body };
+  };
+  impl.calls = calls;
+  return impl;
+}
+
+const ok = (body) => ({ status: 200, body });
+const unavailable = { status: 503, body: { ok: false } };
+
+function client(fetchImpl, options = {}) {
+  return new McpClient({ baseUrl: "http://mcp.test", fetch: fetchImpl, backoffMs: 1, ...options });
+}
+
+const tests = {
+  async "success passes the tool result through"() {
+    const result = await client(scriptedFetch([ok({ covered: true })])).callTool("checkInsuranceCoverage", {});
+    assert.deepStrictEqual(result, { ok: true, output: { covered: true } });
+  },
+
+  async "idempotent tools retry transient failures"() {
+    const fetchImpl = scriptedFetch([unavailable, new Error("ECONNRESET"), ok({ slots: [] })]);
+    const result = await client(fetchImpl).callTool("getProviderAvailability", {});
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(fetchImpl.calls.length, 3);
+  },
+
+  async "non-idempotent tools are tried once"() {
+    const fetchImpl = scriptedFetch([unavailable]);
+    const result = await client(fetchImpl).callTool("sendSms", { to: "+14085551234", message: "hi" });
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.output.error, MCP_ERRORS.UNAVAILABLE);
+    assert.strictEqual(fetchImpl.calls.length, 1);
+  },
+
+  async "bookings retry only with an idempotency key"() {
+    const without = scriptedFetch([unavailable]);
+    await client(without).callTool("bookAppointment", {});
+    assert.strictEqual(without.calls.length, 1);
+
+    const withKey = scriptedFetch([unavailable, ok({ status: "booked" })]);
+    const result = await client(withKey).callTool("bookAppointment", { idempotency_key: "bk_1" });
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(withKey.calls.length, 2);
+  },
+
+  async "timeouts are typed and retried"() {
+    const fetchImpl = scriptedFetch(["hang"]);
+    const c = client(fetchImpl, { policies: { checkInsuranceCoverage: { timeoutMs: 20, idempotent: true } } });
+    const result = await c.callTool("checkInsuranceCoverage", {});
+    assert.strictEqual(result.output.error, MCP_ERRORS.TIMEOUT);
+    assert.strictEqual(result.output.retryable, true);
+    assert.strictEqual(fetchImpl.calls.length, 3);
+  },
+
+  async "invalid input is not retried and doesn't trip the breaker"() {
+    const fetchImpl = scriptedFetch([{ status: 400, body: { ok: false, errors: [{ message: "bad" }] } }]);
+    const c = client(fetchImpl, { failureThreshold: 1 });
+    const result = await c.callTool("getProviderAvailability", {});
+    assert.strictEqual(result.output.error, MCP_ERRORS.INVALID_INPUT);
+    assert.strictEqual(result.output.retryable, false);
+    assert.deepStrictEqual(result.output.errors, [{ message: "bad" }]);
+    assert.strictEqual(fetchImpl.calls.length, 1);
+    assert.strictEqual(c.breaker.state, "closed");
+  },
+
+  async "breaker opens, fails fast, then probes half-open"() {
+    let now = 0;
+    const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 1000, now: () => now });
+    const fetchImpl = scriptedFetch([unavailable, unavailable, ok({ covered: true })]);
+    const c = client(fetchImpl, { breaker, maxAttempts: 1 });
+
+    await c.callTool("checkInsuranceCoverage", {});
+    await c.callTool("checkInsuranceCoverage", {});
+    assert.strictEqual(breaker.state, "open");
+
+    const fast = await c.callTool("checkInsuranceCoverage", {});
+    assert.strictEqual(fast.output.error, MCP_ERRORS.CIRCUIT_OPEN);
+    assert.strictEqual(fetchImpl.calls.length, 2, "open breaker still called the server");
+
+    now = 1000;
+    assert(breaker.allow(), "half-open should let one probe through");
+    assert(!breaker.allow(), "only one probe at a time");
+    breaker.failure();
+    assert.strictEqual(breaker.state, "open", "failed probe reopens");
+
+    now = 2000;
+    const probe = await c.callTool("checkInsuranceCoverage", {});
+    assert.strictEqual(probe.ok, true);
+    assert.strictEqual(breaker.state, "closed");
+  },
+
+  async "an aborted signal cancels the call in flight and its retries"() {
+    const fetchImpl = scriptedFetch(["hang"]);
+    const c = client(fetchImpl, { failureThreshold: 1 });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+    const result = await c.callTool("getProviderAvailability", {}, { signal: controller.signal });
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.output.error, MCP_ERRORS.CANCELLED);
+    assert.strictEqual(result.output.retryable, false);
+    assert.strictEqual(fetchImpl.calls.length, 1, "not retried");
+    assert.strictEqual(c.breaker.state, "closed", "a barge-in isn't the service failing");
+
+    const again = await c.callTool("getProviderAvailability", {}, { signal: controller.signal });
+    assert.strictEqual(again.output.error, MCP_ERRORS.CANCELLED);
+    assert.strictEqual(fetchImpl.calls.length, 1, "an already-aborted signal sends nothing");
+  },
+
+  async "a barge-in during a tool call cancels it without failing the turn"() {
+    const controller = new AbortController();
+    const fetchImpl = scriptedFetch(["hang"]);
+    const llm = new FakeChat({
+      script: [
+        (request) => {
+          setTimeout(() => controller.abort(), 20);
+          return { tool_calls: [{ name: "getProviderAvailability", arguments: { location_id: "sj-001", appointment_type: "cleaning", date_range: { start: "2026-11-03", end: "2026-11-03" } } }] };
+        },
+        { content: "This is never reached." }
+      ]
+    });
+    const agent = new ConversationAgent("test-mcp-barge-in", { providers: { llm }, mcp: client(fetchImpl) });
+    agent.saveAudit = () => {};
+
+    const reply = await agent.processUtterance("Any cleanings on Tuesday?", { signal: controller.signal });
+    assert.strictEqual(reply, "");
+    assert.strictEqual(fetchImpl.calls.length, 1);
+    assert.strictEqual(agent.toolTrace[0].output.error, MCP_ERRORS.CANCELLED);
+    assert.strictEqual(agent.failedTurns, 0);
+    assert.strictEqual(llm.calls.length, 1, "the model wasn't asked again");
+    assert.strictEqual(agent.transcript.at(-1).interrupted, true);
+  },
+
+  async "agent falls back to taking a message when MCP is down"() {
+    const mcp = client(scriptedFetch([new Error("ECONNREFUSED")]));
+    const llm = new FakeChat({
+      script: [
+        { tool_calls: [{ name: "checkInsuranceCoverage", arguments: { payer: "Aetna", plan: "PPO", procedure_code: "D1110" } }] },
+        (request) => {
+          const toolMessage = request.messages[request.messages.length - 1];
+          assert.strictEqual(JSON.parse(toolMessage.content).fallback, "take_message");
+          return { content: "I'm sorry, I can't check coverage right now. Can I take a message?" };
+        },
+        { tool_calls: [{ name: "takeMessage", arguments: { message: "Check Aetna PPO coverage for a cleaning", callback_phone: "+14085551234" } }] },
+        { content: "Got it, someone will call you back." }
+      ]
+    });
+    const agent = new ConversationAgent("test-mcp-outage", { providers: { llm }, mcp });
+    agent.saveAudit = () => {};
+
+    await agent.processUtterance("Do you take Aetna PPO for a cleaning?");
+    const trace = agent.toolTrace.find(t => t.tool === "check_insurance_coverage");
+    assert.strictEqual(trace.ok, false);
+    assert.strictEqual(trace.output.error, MCP_ERRORS.NETWORK);
+
+    await agent.processUtterance("Yes, please call me back at 408-555-1234.");
+    assert.strictEqual(agent.callbackRequest.callback_phone, "+14085551234");
+    assert.strictEqual(agent.callbackRequest.reason, MCP_ERRORS.NETWORK);
+    assert(agent.intents.includes("callback_request"));
+    assert.strictEqual(agent.nextSteps(), "Callback requested");
+  }
+};
+
+await runTests("MCP client tests", tests);
@@ -0,0 +1,205 @@
+import fs from "fs";
+import path from "path";
+import assert from "assert";
+import { PassThrough } from "stream";
+import { tmpDir } from "./helpers/tmpDir.js";
+import { runTests } from "./helpers/run.js";
+import { createMcpHandler, parseMessage, RPC_ERRORS, SUPPORTED_PROTOCOL_VERSIONS } from "../src/mcp/protocol.js";
+import { startMCPServer, startMCPStdio } from "../src/mcp/server.js";
+
+/**
+ * MCP JSON-RPC: the dispatcher, and the /mcp, /sse and stdio transports
+ */
+const TOOL = { name: "echo", description: "Echo the input", inputSchema: { type: "object" } };
+
+// A dispatcher over one fake tool; "fail" in the arguments makes it fail validation
+function handler() {
+  const calls = [];
+  const handle = createMcpHandler({
+    listTools: () => [TOOL],
+    callTool: async (name, args) => {
+      calls.push([name, args]);
+      return args.fail ? { ok: false, errors: [{ message: "bad" }], stage: "input" } : { ok: true, result: { echoed: args } };
+    }
+  });
+  handle.calls = calls;
+  return handle;
+}
+
+const request = (id, method, params) => ({ jsonrpc: "2.0", id, method, ...(params && { params }) });
+const SMS = { to: "+14085551234", message: "See you soon" };
+
+const tests = {
+  async "initialize negotiates the protocol version"() {
+    const handle = handler();
+    const res = await handle(request(1, "initialize", { protocolVersion: "2024-11-05" }));
+    assert.deepStrictEqual(Object.keys(res), ["jsonrpc", "id", "result"]);
+    assert.strictEqual(res.result.protocolVersion, "2024-11-05");
+    assert.deepStrictEqual(res.result.capabilities, { tools: { listChanged: false } });
+    assert.strictEqual(res.result.serverInfo.name, "neurality-health-mcp");
+
+    const unknown = await handle(request(2, "initialize", { protocolVersion: "1999-01-01" }));
+    assert.strictEqual(unknown.result.protocolVersion, SUPPORTED_PROTOCOL_VERSIONS[0], "an unknown version gets our latest");
+  },
+
+  async "tools/list and tools/call"() {
+    const handle = handler();
+    assert.deepStrictEqual(await handle(request(1, "tools/list")), { jsonrpc: "2.0", id: 1, result: { tools: [TOOL] } });
+
+    const ok = await handle(request(2, "tools/call", { name: "echo", arguments: { a: 1 } }));
+    assert.deepStrictEqual(ok.result.structuredContent, { echoed: { a: 1 } });
+    assert.deepStrictEqual(JSON.parse(ok.result.content[0].text), { echoed: { a: 1 } });
+    assert.strictEqual(ok.result.isError, false);
+
+    // A tool's own failure is a result the model can read, not a JSON-RPC error
+    const failed = await handle(request(3, "tools/call", { name: "echo", arguments: { fail: true } }));
+    assert.strictEqual(failed.result.isError, true);
+    assert.deepStrictEqual(JSON.parse(failed.result.content[0].text), { error: "Invalid arguments for echo", errors: [{ message: "bad" }] });
+  },
+
+  async "unknown methods, invalid params and invalid requests are JSON-RPC errors"() {
+    const handle = handler();
+    const code = async (msg) => (await handle(msg)).error.code;
+    assert.strictEqual(await code(request(1, "resources/list")), RPC_ERRORS.METHOD_NOT_FOUND);
+    assert.strictEqual(await code(request(2, "tools/call", { name: "nope", arguments: {} })), RPC_ERRORS.INVALID_PARAMS);
+    assert.strictEqual(await code(request(3, "tools/call", { arguments: {} })), RPC_ERRORS.INVALID_PARAMS);
+    assert.strictEqual(await code(request(4, "tools/call", { name: "echo", arguments: [1, 2] })), RPC_ERRORS.INVALID_PARAMS);
+    assert.strictEqual(handle.calls.length, 0, "nothing reached the tool");
+
+    assert.deepStrictEqual(await handle({ id: 5, method: "ping" }), { jsonrpc: "2.0", id: 5, error: { code: RPC_ERRORS.INVALID_REQUEST, message: "Invalid Request" } });
+    assert.strictEqual((await handle("ping")).id, null);
+    assert.deepStrictEqual(parseMessage("{not json").error, { jsonrpc: "2.0", id: null, error: { code: RPC_ERRORS.PARSE_ERROR, message: "Parse error" } });
+  },
+
+  async "notifications never get a reply, whatever the method"() {
+    const handle = handler();
+    for (const method of ["notifications/initialized", "initialize", "ping", "tools/list", "resources/list"]) {
+      assert.strictEqual(await handle({ jsonrpc: "2.0", method }), null, method);
+    }
+    assert.strictEqual(await handle({ jsonrpc: "2.0", method: "tools/call", params: { name: "echo", arguments: { a: 1 } } }), null);
+    assert.deepStrictEqual(handle.calls, [["echo", { a: 1 }]], "a notification still runs");
+    assert.strictEqual((await handle(request(null, "ping"))).id, null, "a null id is a request");
+  },
+
+  async "batches answer each request and skip notifications"() {
+    const handle = handler();
+    const res = await handle([
+      request(1, "ping"),
+      { jsonrpc: "2.0", method: "notifications/initialized" },
+      request(2, "nope"),
+      { jsonrpc: "2.0", method: "ping" }
+    ]);
+    assert.deepStrictEqual(res.map(r => [r.id, r.result ? "result" : r.error.code]), [[1, "result"], [2, RPC_ERRORS.METHOD_NOT_FOUND]]);
+    assert.strictEqual(await handle([{ jsonrpc: "2.0", method: "ping" }]), null, "all notifications: no reply");
+    assert.strictEqual((await handle([])).error.code, RPC_ERRORS.INVALID_REQUEST);
+  },
+
+  async "/mcp and /sse serve the same dispatcher over HTTP"() {
+    const server = await startMCPServer(0);
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const post = (url, body) => fetch(`${base}${url}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: typeof body === "string" ? body : JSON.stringify(body)
+    });
+    const sse = new AbortController();
+    try {
+      const listed = await (await post("/mcp", request(1, "tools/list"))).json();
+      assert(listed.result.tools.some(t => t.name === "sendSms"));
+      const sent = await (await post("/mcp", request(2, "tools/call", { name: "sendSms", arguments: SMS }))).json();
+      assert.strictEqual(sent.result.structuredContent.queued, true);
+      const batch = await (await post("/mcp", [request(3, "ping"), request(4, "ping")])).json();
+      assert.deepStrictEqual(batch.map(r => r.id), [3, 4]);
+
+      const notified = await post("/mcp", { jsonrpc: "2.0", method: "notifications/initialized" });
+      assert.strictEqual(notified.status, 202);
+      assert.strictEqual(await notified.text(), "");
+
+      const bad = await post("/mcp", "{not json");
+      assert.strictEqual(bad.status, 400);
+      assert.strictEqual((await bad.json()).error.code, RPC_ERRORS.PARSE_ERROR);
+
+      // SSE: the stream names the endpoint, and replies come back as events on it
+      const stream = await fetch(`${base}/sse`, { signal: sse.signal });
+      assert.match(stream.headers.get("content-type"), /text\/event-stream/);
+      const reader = stream.body.getReader();
+      const decoder = new TextDecoder();
+      let buffered = "";
+      const nextEvent = async () => {
+        while (!buffered.includes("\n\n")) buffered += decoder.decode((await reader.read()).value, { stream: true });
+        const [event, ...rest] = buffered.split("\n\n");
+        buffered = rest.join("\n\n");
+        const [, name] = event.match(/^event: (.*)$/m);
+        const [, data] = event.match(/^data: (.*)$/m);
+        return { name, data };
+      };
+
+      const endpoint = await nextEvent();
+      assert.strictEqual(endpoint.name, "endpoint");
+      assert.match(endpoint.data, /^\/messages\?sessionId=/);
+
+      assert.strictEqual((await post(endpoint.data, { jsonrpc: "2.0", method: "notifications/initialized" })).status, 202);
+      assert.strictEqual((await post(endpoint.data, request(7, "initialize", {}))).status, 202);
+      const reply = await nextEvent();
+      assert.strictEqual(reply.name, "message");
+      assert.strictEqual(JSON.parse(reply.data).id, 7, "the notification sent nothing before it");
+
+      assert.strictEqual((await post("/messages?sessionId=nope", request(8, "ping"))).status, 404);
+    } finally {
+      sse.abort();
+      server.closeAllConnections();
+      server.close();
+    }
+  },
+
+  async "a tool that throws is a 500 on its REST route and an internal error on /mcp"() {
+    const corrupt = path.join(tmpDir, "corrupt-appointments.json");
+    fs.writeFileSync(corrupt, "{not json");
+    process.env.SCHEDULING_STATE_FILE = corrupt;
+    const server = await startMCPServer(0);
+    const post = (url, body) => fetch(`http://127.0.0.1:${server.address().port}${url}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body)
+    });
+    const input = { location_id: "sj-001", appointment_type: "cleaning", date_range: { start: "2026-11-03T08:00:00Z", end: "2026-11-04T08:00:00Z" } };
+    try {
+      const rest = await post("/getProviderAvailability", input);
+      assert.strictEqual(rest.status, 500);
+      const body = await rest.json();
+      assert.strictEqual(body.ok, false);
+      assert.match(body.errors[0].message, /JSON/);
+
+      const rpc = await (await post("/mcp", request(1, "tools/call", { name: "getProviderAvailability", arguments: input }))).json();
+      assert.strictEqual(rpc.error.code, RPC_ERRORS.INTERNAL_ERROR);
+    } finally {
+      delete process.env.SCHEDULING_STATE_FILE;
+      server.close();
+    }
+  },
+
+  async "stdio answers line by line, in the order requests arrived"() {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const rl = startMCPStdio(input, output);
+    const lines = [];
+    output.on("data", chunk => lines.push(...chunk.toString().split("\n").filter(Boolean)));
+
+    // The tool call is slower than the ping after it, but its reply still comes first
+    input.write(JSON.stringify(request(1, "tools/call", { name: "sendSms", arguments: SMS })) + "\n");
+    input.write(JSON.stringify(request(2, "ping")) + "\n");
+    input.write(JSON.stringify({ jsonrpc: "2.0", method: "notifications/initialized" }) + "\n");
+    input.write("\n{not json\n");
+    input.write(JSON.stringify(request(3, "nope")) + "\n");
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    rl.close();
+    const responses = lines.map(line => JSON.parse(line));
+    assert.deepStrictEqual(responses.map(r => r.id), [1, 2, null, 3]);
+    assert.strictEqual(responses[0].result.structuredContent.queued, true);
+    assert.strictEqual(responses[2].error.code, RPC_ERRORS.PARSE_ERROR);
+    assert.strictEqual(responses[3].error.code, RPC_ERRORS.METHOD_NOT_FOUND);
+  }
+};
+
+await runTests("MCP JSON-RPC tests", tests);
@@ -0,0 +1,126 @@
+import assert from "assert";
+import { runTests } from "./helpers/run.js";
+import { MediaStreamPlayer } from "../src/twilio/mediaPlayer.js";
+
+/**
+ * Outbound media pacing: 20ms frames with a small lead, a mark per segment,
+ * clear() on barge-in with what was heard, and stop() when the socket goes
+ */
+const FRAME = 160; // 20ms at 8kHz
+
+// A WebSocket stand-in that records what was sent
+function fakeSocket() {
+  return {
+    readyState: 1,
+    messages: [],
+    send(data) { this.messages.push(JSON.parse(data)); }
+  };
+}
+
+// A player on a clock the test moves by hand
+function player(ws = fakeSocket(), options = {}) {
+  let t = 1000;
+  const p = new MediaStreamPlayer(ws, { now: () => t, ...options });
+  p.streamSid = "MZtest";
+  // Move the clock in 20ms ticks, as the player's own timer would
+  p.advance = (ms) => {
+    for (let left = ms; left > 0; left -= 20) {
+      t += Math.min(20, left);
+      p.pump();
+    }
+  };
+  return { p, ws };
+}
+
+const audio = (frames) => new Int16Array(frames * FRAME).fill(1000);
+const media = (ws) => ws.messages.filter(m => m.event === "media");
+const marks = (ws) => ws.messages.filter(m => m.event === "mark").map(m => m.mark.name);
+
+// Resolves with `promise`'s value, or "pending" if it hasn't settled by the next tick
+const settled = (promise) => Promise.race([promise, new Promise(r => setTimeout(() => r("pending"), 10))]);
+
+const tests = {
+  async "frames go out at playback speed, 100ms ahead"() {
+    const { p, ws } = player();
+    const sent = p.enqueue(audio(50), "Hello there.");
+    try {
+      assert.strictEqual(media(ws).length, 5, "the lead is sent right away");
+      assert.strictEqual(Buffer.from(media(ws)[0].media.payload, "base64").length, FRAME, "one μ-law byte per sample");
+      assert.strictEqual(media(ws)[0].streamSid, "MZtest");
+
+      p.advance(20);
+      assert.strictEqual(media(ws).length, 6);
+      p.advance(10);
+      assert.strictEqual(media(ws).length, 6, "nothing until the next frame is due");
+      p.advance(190);
+      assert.strictEqual(media(ws).length, 16);
+      assert.strictEqual(await settled(sent), "pending");
+
+      p.advance(1000);
+      assert.strictEqual(media(ws).length, 50);
+      assert.deepStrictEqual(marks(ws), ["seg-0"]);
+      assert.strictEqual(await settled(sent), 50, "resolves with the frames sent");
+    } finally {
+      p.stop();
+    }
+  },
+
+  async "a mark per segment, and idle once Twilio echoes the last one"() {
+    let idle = 0;
+    const { p, ws } = player(fakeSocket(), { onIdle: () => idle++ });
+    p.enqueue(audio(3), "One.");
+    p.enqueue(audio(3), "Two.");
+    p.advance(200);
+    assert.deepStrictEqual(marks(ws), ["seg-0", "seg-1"]);
+    assert.strictEqual(p.active, true, "sent, but not played yet");
+
+    p.handleMark("seg-0");
+    assert.strictEqual(p.active, true);
+    p.handleMark("seg-1");
+    assert.strictEqual(p.active, false);
+    assert.strictEqual(idle, 1);
+    assert.strictEqual(p.timer, null);
+
+    assert.strictEqual(await p.enqueue(new Int16Array(FRAME - 1), "Too short."), 0, "less than a frame is nothing to play");
+  },
+
+  async "clear() flushes Twilio and returns what the caller heard"() {
+    const { p, ws } = player();
+    const first = p.enqueue(audio(10), "Your appointment is booked.");
+    const second = p.enqueue(audio(10), "We will text you a confirmation now.");
+    p.advance(100);
+    p.handleMark("seg-0");
+
+    // The second segment started at 1200ms; by 1300ms half of its 200ms has played
+    p.advance(200);
+    assert.strictEqual(p.segments[1].playAt, 1200);
+    assert.strictEqual(p.heardText(), "Your appointment is booked. We will text");
+
+    assert.strictEqual(p.clear(), "Your appointment is booked. We will text");
+    assert.deepStrictEqual(ws.messages.at(-1), { event: "clear", streamSid: "MZtest" });
+    assert.strictEqual(await settled(first), 10);
+    assert.strictEqual(await settled(second), 0, "a cleared segment doesn't leave its sender waiting");
+    assert.strictEqual(p.active, false);
+    assert.strictEqual(p.heardText(), "");
+  },
+
+  async "stop() and a closed socket release whoever is waiting on playback"() {
+    const { p, ws } = player();
+    const sent = p.enqueue(audio(50), "This will be cut off.");
+    p.advance(40);
+    p.stop();
+    assert.strictEqual(await settled(sent), 0);
+    assert.strictEqual(p.active, false);
+    assert.strictEqual(p.timer, null);
+    assert(!ws.messages.some(m => m.event === "clear"), "nothing is sent to a socket that's going away");
+
+    const closed = player();
+    const pending = closed.p.enqueue(audio(50), "Hello?");
+    closed.ws.readyState = 3; // CLOSED
+    closed.p.advance(100);
+    assert.strictEqual(await settled(pending), 0);
+    assert.strictEqual(closed.p.timer, null);
+  }
+};
+
+await runTests("Media stream player tests", tests);
@@ -0,0 +1,133 @@
+import path from "path";
+import assert from "assert";
+import { tmpDir } from "./helpers/tmpDir.js";
+import { runTests } from "./helpers/run.js";
+import { PatientRegistry } from "../src/patients/registry.js";
+import { ConversationAgent } from "../src/livekit/agent.js";
+import { FakeChat } from "../src/providers/index.js";
+
+/**
+ * Patient registry and caller verification before records are disclosed
+ */
+
+const file = path.join(tmpDir, "patients.json");
+let now = Date.parse("2026-11-02T12:00:00Z");
+
+function registry() {
+  return new PatientRegistry({ file, now: () => now });
+}
+
+const MAYA = { first: "Maya", last: "Patel", dob: "1990-04-12", phone: "+14085551234" };
+
+function agentWith(script, options = {}) {
+  const agent = new ConversationAgent("test-verify-" + Date.now(), {
+    providers: { llm: new FakeChat({ script }) },
+    mcp: { callTool: async () => { throw new Error("MCP should not be called"); } },
+    registry: registry(),
+    ...options
+  });
+  agent.saveAudit = () => {};
+  return agent;
+}
+
+const tests = {
+  async "registration merges on name and date of birth"() {
+    const r = registry();
+    const first = r.register({ ...MAYA, insurance: { payer: "Delta Dental", plan: "PPO" } });
+    const again = registry().register({ ...MAYA, first: "maya", phone: "+14085559999" });
+    assert.strictEqual(again.id, first.id);
+    assert.deepStrictEqual(again.phones, ["+14085551234", "+14085559999"]);
+    assert.deepStrictEqual(again.insurance, { payer: "Delta Dental", plan: "PPO" });
+    assert.strictEqual(registry().findByPhone("+14085559999")[0].id, first.id);
+  },
+
+  async "verification needs the name and date of birth"() {
+    const r = registry();
+    assert.strictEqual(r.verify({ first: "MAYA", last: "patel", dob: "1990-04-12", phone: "+14085550000" }).verified, true);
+    const wrong = r.verify({ first: "Maya", last: "Patel", dob: "1990-04-21", phone: "+14085550000" });
+    assert.deepStrictEqual([wrong.verified, wrong.reason], [false, "no_match"]);
+  },
+
+  async "failed attempts lock a phone number for a day"() {
+    const r = registry();
+    const phone = "+14085550001";
+    for (let i = 0; i < 5; i++) r.verify({ first: "Maya", last: "Patel", dob: "2000-01-01", phone });
+    assert.strictEqual(registry().verify({ ...MAYA, phone }).reason, "locked", "lockout not persisted");
+
+    now += 24 * 60 * 60 * 1000 + 1;
+    assert.strictEqual(registry().verify({ ...MAYA, phone }).verified, true);
+  },
+
+  async "records stay closed until the caller is verified"() {
+    const agent = agentWith([
+      { tool_calls: [{ name: "lookupAppointments", arguments: { phone: "+14085551234", last_name: "Patel" } }] },
+      { content: "Can I have your full name and date of birth?" }
+    ], { callerPhone: "+14085551234" });
+
+    assert.strictEqual(agent.identity.on_file, true);
+    assert.strictEqual(agent.slots.patient_first, undefined, "caller ID filled in the name");
+    await agent.processUtterance("When is my appointment?");
+
+    const trace = agent.toolTrace.find(t => t.tool === "lookup_appointments");
+    assert.strictEqual(trace.output.error, "verification_required");
+    assert.deepStrictEqual(agent.identity.decisions.map(d => [d.decision, d.tool]), [["denied", "lookupAppointments"]]);
+  },
+
+  async "a verified caller's details come from the registry"() {
+    const agent = agentWith([
+      { tool_calls: [{ name: "verifyIdentity", arguments: { first: "Maya", last: "Patel", dob: "1990-04-12" } }] },
+      { content: "Thanks Maya, you're verified." }
+    ], { callerPhone: "+14085559999" });
+
+    await agent.processUtterance("Maya Patel, April 12 1990.");
+    assert.strictEqual(agent.identity.status, "verified");
+    assert.strictEqual(agent.slots.payer, "Delta Dental");
+    assert.strictEqual(agent.slots.phone, "+14085559999");
+    assert.strictEqual(agent.identity.decisions[0].decision, "verified");
+  },
+
+  async "lookups and changes use the verified patient's numbers, not one said on the call"() {
+    const calls = [];
+    const appointment = {
+      appointment_id: "appt-1", confirmation_id: "CONF-1", status: "booked", appointment_type: "cleaning",
+      location_id: "sj-001", provider_id: "dr-lee", start: "2026-11-10T17:00:00Z", end: "2026-11-10T18:00:00Z", late_cancellation: false
+    };
+    const mcp = {
+      callTool: async (name, input) => {
+        calls.push([name, input.phone || input.to]);
+        if (name === "lookupAppointments") return { ok: true, output: { appointments: [appointment], cancellation_policy: { late_window_hours: 24, late_fee_usd: 50 } } };
+        if (name === "cancelAppointment") return { ok: true, output: { status: "cancelled", appointment_id: "appt-1", late_cancellation: false, fee_usd: 0 } };
+        return { ok: true, output: { queued: true } };
+      }
+    };
+    const agent = agentWith([
+      { tool_calls: [{ name: "verifyIdentity", arguments: { first: "Maya", last: "Patel", dob: "1990-04-12" } }] },
+      { tool_calls: [{ name: "recordCallerDetails", arguments: { phone: "+14085550042" } }] },
+      { tool_calls: [{ name: "lookupAppointments", arguments: { phone: "+14085550042", last_name: "Patel" } }] },
+      { tool_calls: [{ name: "cancelAppointment", arguments: { appointment_id: "appt-1" } }] },
+      { content: "" }
+    ], { callerPhone: "+14085559999", mcp });
+
+    await agent.processUtterance("Maya Patel, April 12 1990. My number is 408 555 0042, cancel my cleaning.");
+    await agent.processUtterance("Yes");
+    assert.deepStrictEqual(calls, [
+      ["lookupAppointments", "+14085559999"],
+      ["cancelAppointment", "+14085559999"],
+      ["sendSms", "+14085559999"]
+    ]);
+  },
+
+  async "three wrong answers end verification for the call"() {
+    const wrong = { tool_calls: [{ name: "verifyIdentity", arguments: { first: "Maya", last: "Patel", dob: "1991-01-01" } }] };
+    const script = Array.from({ length: 4 }, () => [wrong, { content: "Sorry, that doesn't match." }]).flat();
+    const agent = agentWith(script, { callerPhone: "+14085550002" });
+
+    for (let i = 0; i < 4; i++) await agent.processUtterance("Maya Patel, January 1 1991.");
+    assert.strictEqual(agent.identity.status, "locked");
+    assert.deepStrictEqual(agent.identity.decisions.map(d => d.reason), ["no_match", "no_match", "too_many_attempts", "locked"]);
+    assert.strictEqual(agent.toolTrace[agent.toolTrace.length - 1].output.error, "verification_locked");
+    assert.match(agent.describeIdentity(), /don't share any records/);
+  }
+};
+
+await runTests("Patient registry tests", tests);
@@ -0,0 +1,110 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import assert from "assert";
+import { tmpDir } from "./helpers/tmpDir.js";
+import { runTests } from "./helpers/run.js";
+
+/**
+ * Prompt registry: templating, weighted version selection and the prompt
+ * reference recorded on each turn
+ */
+process.env.AUDIT_LOG_DIR = path.join(tmpDir, "audits");
+
+// The bundled front-desk prompt as v1, and a short v2 to A/B against it
+fs.writeFileSync(path.join(tmpDir, "front_desk.v2.txt"), "You answer the phone for {{clinic_name}}. Caller: {{slots.patient_first|unknown}}.\n");
+fs.writeFileSync(path.join(tmpDir, "manifest.json"), JSON.stringify({
+  version: "test",
+  prompts: {
+    front_desk_system: {
+      versions: {
+        v1: { file: path.resolve("src/prompts/templates/front_desk_system.v1.txt"), weight: 3 },
+        v2: { file: "front_desk.v2.txt", weight: 1 },
+        v3: { file: "front_desk.v2.txt", weight: 0 }
+      }
+    }
+  }
+}));
+process.env.PROMPT_MANIFEST_FILE = path.join(tmpDir, "manifest.json");
+
+const { PromptRegistry, renderTemplate, getPromptRegistry } = await import("../src/prompts/registry.js");
+const { normalizeTenant } = await import("../src/tenants/registry.js");
+const { ConversationAgent } = await import("../src/livekit/agent.js");
+const { FakeChat } = await import("../src/providers/index.js");
+const { validateAudit } = await import("../src/audit/schema.js");
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+const tests = {
+  async "templates interpolate variables, fallbacks and optional sections"() {
+    const vars = { clinic: "North Dental", slots: { payer: "Cigna" }, locations: ["sj-001", "sf-downtown"], none: [] };
+    assert.strictEqual(renderTemplate("Hi from {{clinic}} ({{slots.payer}} {{slots.plan}})", vars), "Hi from North Dental (Cigna )");
+    assert.strictEqual(renderTemplate("Plan: {{slots.plan|unknown}}", vars), "Plan: unknown");
+    assert.strictEqual(renderTemplate("At {{locations}}", vars), "At sj-001, sf-downtown");
+    assert.strictEqual(renderTemplate("A{{#locations}}\nSites: {{locations}}{{/locations}}{{#none}}!{{/none}}", vars), "A\nSites: sj-001, sf-downtown");
+  },
+
+  async "the bundled manifest loads every prompt"() {
+    const registry = new PromptRegistry();
+    for (const name of ["front_desk_system", "quick_reply_system", "structured_agent_system", "reminder_system"]) {
+      const { text, ref } = registry.render(name, { clinic_name: "Neurality Health" });
+      assert.doesNotMatch(text, /\{\{/, name);
+      assert.strictEqual(ref.hash, sha256(text));
+      assert.strictEqual(ref.version, "v1");
+    }
+  },
+
+  async "versions are picked by weight, stable per call, and can be pinned"() {
+    const registry = getPromptRegistry();
+    const counts = { v1: 0, v2: 0, v3: 0 };
+    for (let i = 0; i < 400; i++) counts[registry.select("front_desk_system", { key: `CA${i}` }).version]++;
+    assert.strictEqual(counts.v3, 0, "weight 0 is never picked");
+    assert(counts.v1 > 250 && counts.v1 < 350, `v1 picked ${counts.v1}/400 at weight 3:1`);
+
+    const first = registry.select("front_desk_system", { key: "CAsticky" }).version;
+    for (let i = 0; i < 5; i++) assert.strictEqual(registry.select("front_desk_system", { key: "CAsticky" }).version, first);
+    assert.strictEqual(registry.select("front_desk_system", { key: "CAsticky", version: "v3" }).version, "v3");
+    assert.throws(() => registry.select("front_desk_system", { version: "v9" }), /Unknown version v9/);
+    assert.throws(() => registry.select("nope"), /Unknown prompt/);
+
+    const unweighted = path.join(tmpDir, "unweighted.json");
+    fs.writeFileSync(unweighted, JSON.stringify({ prompts: { p: { versions: { v1: { file: "front_desk.v2.txt", weight: 0 } } } } }));
+    assert.throws(() => new PromptRegistry({ file: unweighted }), /at least one version/);
+  },
+
+  async "each turn records the prompt version and hash in the audit"() {
+    const tenant = normalizeTenant({ id: "north", name: "North Dental", prompt_versions: { front_desk_system: "v2" }, audit_dir: path.join(tmpDir, "north") });
+    const llm = new FakeChat({
+      script: [
+        { tool_calls: [{ name: "recordCallerDetails", arguments: { patient_first: "Maya" } }] },
+        { content: "Hi Maya!" },
+        { content: "Anything else?" }
+      ]
+    });
+    const agent = new ConversationAgent("test-prompts-pinned", { tenant, providers: { llm }, mcp: {} });
+    await agent.processUtterance("Hi, I'm Maya.");
+    await agent.processUtterance("Thanks.");
+
+    const audit = agent.audit.read();
+    const [first, second] = audit.transcript.filter(t => t.role === "agent").map(t => t.prompt);
+    // The prompt is built before this turn's slots are recorded
+    assert.deepStrictEqual(first, {
+      name: "front_desk_system",
+      version: "v2",
+      language: "en",
+      template_hash: getPromptRegistry().select("front_desk_system", { version: "v2" }).hash,
+      hash: sha256("You answer the phone for North Dental. Caller: unknown.")
+    });
+    // Slots changed, so the second turn's prompt text (and hash) differ; the version doesn't
+    assert.strictEqual(second.version, "v2");
+    assert.strictEqual(second.hash, sha256("You answer the phone for North Dental. Caller: Maya."));
+    assert(validateAudit(audit).ok, JSON.stringify(validateAudit(audit).errors));
+
+    // Skipping the model (caller asks for a person) records no prompt
+    const direct = new ConversationAgent("test-prompts-human", { tenant, providers: { llm: new FakeChat() }, mcp: {} });
+    await direct.processUtterance("Can I speak to a real person?");
+    assert.strictEqual(direct.transcript[1].prompt, undefined);
+  }
+};
+
+await runTests("Prompt registry tests", tests);
@@ -0,0 +1,117 @@
+import fs from "fs";
+import path from "path";
+import assert from "assert";
+import crypto from "crypto";
+import { spawnSync } from "child_process";
+import { tmpDir } from "./helpers/tmpDir.js";
+import { runTests } from "./helpers/run.js";
+import { redact, redactText, resetRedactionRules } from "../src/utils/redact.js";
+import { encryptAudit, decryptAudit, parseKey, isEncrypted } from "../src/audit/crypto.js";
+import { logger, createAudit } from "../src/utils/logger.js";
+
+/**
+ * PHI redaction in logs and encryption of per-call audit files
+ */
+const KEY = crypto.randomBytes(32).toString("hex");
+const OLD_KEY = crypto.randomBytes(32).toString("base64");
+const callId = `test-redaction-${process.pid}`;
+const auditFile = path.join(process.env.AUDIT_LOG_DIR, `${callId}.json`);
+const eventsFile = path.join(process.env.AUDIT_LOG_DIR, `${callId}.events.jsonl`);
+const rulesFile = path.join(tmpDir, "redaction-rules.json");
+
+const tests = {
+  async "fields are masked by key"() {
+    const out = redact({
+      event: "booking",
+      phone: "+14085551234",
+      patient: { first: "Maya", last: "Patel", dob: "1990-04-12", member_id: "XJP123456789" },
+      circuit: { from: "closed", to: "open" }
+    });
+    assert.strictEqual(out.phone, "***-***-1234");
+    assert.deepStrictEqual(out.patient, { first: "M.", last: "P.", dob: "[REDACTED]", member_id: "[REDACTED]" });
+    assert.deepStrictEqual(out.circuit, { from: "closed", to: "open" }, "states are not phone numbers");
+  },
+
+  async "free text is scrubbed, appointment dates are kept"() {
+    redact({ last_name: "Okonkwo" });
+    const text = redactText("Okonkwo, born March 3, 1985 (03/03/1985), call back on (408) 555-0199 about 2026-11-03T09:00. Member W123456789.");
+    assert.doesNotMatch(text, /Okonkwo|1985|555-0199|W123456789/);
+    assert.match(text, /O\., born \[REDACTED\]/);
+    assert.match(text, /\*\*\*-\*\*\*-0199/);
+    assert.match(text, /2026-11-03T09:00/);
+  },
+
+  async "winston output is redacted"() {
+    const info = logger.format.transform({ level: "info", event: "identity_verification", phone: "+14085551234", dob: "1990-04-12" });
+    const line = info[Symbol.for("message")];
+    assert.doesNotMatch(line, /5551234|1990-04-12/);
+    assert.match(line, /\*\*\*-\*\*\*-1234/);
+  },
+
+  async "rules file adds and overrides rules"() {
+    fs.writeFileSync(rulesFile, JSON.stringify({
+      fields: { dob: null, chart_number: "remove" },
+      patterns: [{ name: "member_id", regex: "\\bMBR-\\d+\\b", strategy: "remove" }]
+    }));
+    process.env.REDACTION_RULES_FILE = rulesFile;
+    resetRedactionRules();
+    try {
+      const out = redact({ dob: "1990-04-12", chart_number: "C-77", note: "MBR-4411 and XJP123456789" });
+      assert.strictEqual(out.chart_number, "[REDACTED]");
+      assert.strictEqual(out.dob, "[REDACTED]", "the dob_iso pattern still applies to the text");
+      assert.strictEqual(out.note, "[REDACTED] and XJP123456789");
+    } finally {
+      delete process.env.REDACTION_RULES_FILE;
+      resetRedactionRules();
+    }
+  },
+
+  async "audits round-trip through AES-256-GCM"() {
+    const key = parseKey(KEY);
+    const envelope = encryptAudit({ callId, slots: { first: "Maya" } }, callId, key);
+    assert.ok(isEncrypted(envelope));
+    assert.doesNotMatch(JSON.stringify(envelope), /Maya/);
+    assert.deepStrictEqual(decryptAudit(envelope, callId, [key]), { callId, slots: { first: "Maya" } });
+
+    assert.throws(() => decryptAudit(envelope, "another-call", [key]), "call ID is authenticated");
+    const tampered = { ...envelope, ciphertext: Buffer.from("x" + envelope.ciphertext).toString("base64") };
+    assert.throws(() => decryptAudit(tampered, callId, [key]));
+    assert.throws(() => decryptAudit(envelope, callId, [parseKey(OLD_KEY)]), /No audit key/);
+  },
+
+  async "audit files are written encrypted and merged"() {
+    process.env.AUDIT_ENCRYPTION_KEY = KEY;
+    try {
+      const audit = createAudit(callId);
+      audit.push({ slots: { phone: "+14085551234" } });
+      audit.merge({ lifecycle: { status: "completed" } });
+      assert.ok(isEncrypted(JSON.parse(fs.readFileSync(auditFile, "utf8"))));
+      assert.doesNotMatch(fs.readFileSync(auditFile, "utf8"), /5551234/);
+      assert.doesNotMatch(fs.readFileSync(eventsFile, "utf8"), /5551234/);
+      assert.deepStrictEqual(audit.read().lifecycle, { status: "completed" });
+      assert.strictEqual(audit.read().slots.phone, "+14085551234");
+    } finally {
+      delete process.env.AUDIT_ENCRYPTION_KEY;
+    }
+  },
+
+  async "CLI decrypts with a reason and rotated keys"() {
+    const cli = (args, env) => spawnSync(process.execPath, ["src/audit/decrypt.js", ...args], {
+      encoding: "utf8",
+      timeout: 20000,
+      env: { ...process.env, ...env }
+    });
+
+    const noReason = cli([callId], { AUDIT_ENCRYPTION_KEY: KEY });
+    assert.strictEqual(noReason.status, 2);
+
+    const rotated = cli([callId, "--reason", "test review"], { AUDIT_ENCRYPTION_KEY: OLD_KEY, AUDIT_PREVIOUS_KEYS: KEY });
+    assert.strictEqual(rotated.status, 0, rotated.stderr);
+    assert.strictEqual(JSON.parse(rotated.stdout).slots.phone, "+14085551234");
+
+    const wrongKey = cli([auditFile, "--reason", "test review"], { AUDIT_ENCRYPTION_KEY: OLD_KEY });
+    assert.strictEqual(wrongKey.status, 1);
+  }
+};
+
+await runTests("Redaction and audit encryption tests", tests);
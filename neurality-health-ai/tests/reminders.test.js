@@ -0,0 +1,301 @@
+import fs from "fs";
+import path from "path";
+import assert from "assert";
+import { tmpDir } from "./helpers/tmpDir.js";
+import { runTests } from "./helpers/run.js";
+
+/**
+ * Reminder calls: which appointments are due, calling hours and retries, the
+ * results recorded per booking, /reminder/voice for people and machines, and
+ * the agent in reminder mode
+ */
+const CLINIC = "+14085550100";
+
+fs.writeFileSync(path.join(tmpDir, "tenants.json"), JSON.stringify({
+  tenants: [
+    { id: "north", name: "North Dental", numbers: [CLINIC], languages: ["en"], audit_dir: path.join(tmpDir, "north") },
+    // Two clinics on the default scheduling store, told apart by location
+    { id: "sj", name: "San Jose Dental", numbers: ["+14085550200"], locations: ["sj-001"] },
+    { id: "sf", name: "SF Smiles", numbers: ["+14155550200"], locations: ["sf-downtown"] }
+  ]
+}));
+
+process.env.TENANTS_FILE = path.join(tmpDir, "tenants.json");
+process.env.AUDIT_LOG_DIR = path.join(tmpDir, "default");
+process.env.SCHEDULING_STATE_FILE = path.join(tmpDir, "appointments.json");
+process.env.TWILIO_VALIDATE_SIGNATURE = "false";
+process.env.STREAM_TOKEN_SECRET = "test-stream-secret";
+
+const { ReminderCampaign, reminderPolicy, withinCallingHours, getReminderCampaign } = await import("../src/reminders/campaign.js");
+const { SchedulingStore, getSchedulingStore } = await import("../src/scheduling/store.js");
+const { getTenantRegistry } = await import("../src/tenants/registry.js");
+const { answeredByMachine } = await import("../src/twilio/outbound.js");
+const { startTwilioWebhook } = await import("../src/twilio/webhook.js");
+const { buildTransferTwiml } = await import("../src/twilio/transfer.js");
+const { createAudit } = await import("../src/utils/logger.js");
+const { ConversationAgent } = await import("../src/livekit/agent.js");
+const { FakeChat } = await import("../src/providers/index.js");
+const { validateAudit } = await import("../src/audit/schema.js");
+
+const north = getTenantRegistry().get("north");
+const MINUTE = 60 * 1000;
+const MONDAY_10AM = Date.parse("2026-11-02T18:00:00Z"); // San Jose is PST (-08:00)
+const at = (date, time) => new Date(`${date}T${time}:00-08:00`).toISOString();
+
+function booking(start, key, phone = "+14085551234", location = "sj-001") {
+  return {
+    patient: { first: "Maya", last: "Patel", phone },
+    slot: { start, end: new Date(Date.parse(start) + 60 * MINUTE).toISOString() },
+    appointment_type: "cleaning",
+    location_id: location,
+    idempotency_key: key
+  };
+}
+
+async function bookOne(store, start, key, phone, location) {
+  await store.book(booking(start, key, phone, location));
+  return store.state.appointments.at(-1);
+}
+
+// A dialer that records calls instead of placing them
+function fakeDialer() {
+  const calls = [];
+  const dial = async (params) => {
+    calls.push(params);
+    return `CA${calls.length}`;
+  };
+  dial.calls = calls;
+  return dial;
+}
+
+const tests = {
+  async "only booked appointments in the lead window are called, inside calling hours"() {
+    let now = MONDAY_10AM;
+    const store = new SchedulingStore({ stateFile: path.join(tmpDir, "due.json"), now: () => now });
+    const tomorrow = await bookOne(store, at("2026-11-03", "09:00"), "rem_tomorrow");
+    await bookOne(store, at("2026-11-02", "11:00"), "rem_too_soon");
+    await bookOne(store, at("2026-11-06", "09:00"), "rem_too_far");
+    const cancelled = await bookOne(store, at("2026-11-03", "14:00"), "rem_cancelled");
+    await store.cancel({ appointment_id: cancelled.id, phone: "+14085551234", idempotency_key: "rem_cancel" });
+
+    const dialer = fakeDialer();
+    const campaign = new ReminderCampaign({ tenant: north, store, dialer, baseUrl: "https://clinic.example.com/", now: () => now });
+    assert.deepStrictEqual(campaign.due().map(a => a.id), [tomorrow.id]);
+
+    const placed = await campaign.run();
+    assert.deepStrictEqual(placed, [{ appointment_id: tomorrow.id, call_sid: "CA1", result: "calling" }]);
+    assert.deepStrictEqual(dialer.calls[0], {
+      to: "+14085551234",
+      from: CLINIC,
+      url: `https://clinic.example.com/reminder/voice?tenant=north&appointment=${tomorrow.id}`,
+      statusCallback: `https://clinic.example.com/reminder/status?tenant=north&appointment=${tomorrow.id}`
+    });
+    assert.strictEqual(store.get(tomorrow.id).reminder.status, "calling");
+    assert.deepStrictEqual(campaign.due(), [], "a call is in progress");
+
+    // 8pm Monday and any time Sunday are outside calling hours
+    const policy = reminderPolicy({});
+    assert.strictEqual(withinCallingHours(MONDAY_10AM, "America/Los_Angeles", policy), true);
+    assert.strictEqual(withinCallingHours(Date.parse(at("2026-11-02", "20:00")), "America/Los_Angeles", policy), false);
+    assert.strictEqual(withinCallingHours(Date.parse(at("2026-11-01", "12:00")), "America/Los_Angeles", policy), false);
+    assert.strictEqual(withinCallingHours(MONDAY_10AM, "America/New_York", reminderPolicy({ REMINDER_CALL_HOURS: "09:00-12:00" })), false, "1pm in New York");
+  },
+
+  async "unanswered calls are retried after a delay, up to the attempt limit"() {
+    let now = MONDAY_10AM;
+    const store = new SchedulingStore({ stateFile: path.join(tmpDir, "retries.json"), now: () => now });
+    const appt = await bookOne(store, at("2026-11-03", "15:00"), "rem_retry");
+    const dialer = fakeDialer();
+    const policy = reminderPolicy({ REMINDER_MAX_ATTEMPTS: "2", REMINDER_RETRY_MINUTES: "60" });
+    const campaign = new ReminderCampaign({ tenant: north, store, policy, dialer, baseUrl: "https://clinic.example.com", now: () => now });
+
+    await campaign.run();
+    await campaign.recordCallStatus(appt.id, "CA1", "no-answer");
+    assert.strictEqual(store.get(appt.id).reminder.status, "no_answer");
+    now += 30 * MINUTE;
+    assert.deepStrictEqual(campaign.due(), [], "too soon to retry");
+    now += 31 * MINUTE;
+    assert.deepStrictEqual(campaign.due().map(a => a.id), [appt.id]);
+
+    await campaign.run();
+    await campaign.recordCallStatus(appt.id, "CA2", "busy");
+    const reminder = store.get(appt.id).reminder;
+    assert.strictEqual(reminder.status, "exhausted");
+    assert.deepStrictEqual(reminder.attempts.map(a => [a.call_sid, a.result]), [["CA1", "no_answer"], ["CA2", "busy"]]);
+    now += 120 * MINUTE;
+    assert.deepStrictEqual(campaign.due(), []);
+
+    // A dialing error is a failed attempt, not a crash
+    const other = await bookOne(store, at("2026-11-03", "16:00"), "rem_dial_error");
+    const broken = new ReminderCampaign({ tenant: north, store, policy, dialer: async () => { throw new Error("Twilio down"); }, baseUrl: "https://clinic.example.com", now: () => now });
+    const [result] = await broken.run();
+    assert.strictEqual(result.result, "failed");
+    assert.strictEqual(store.get(other.id).reminder.attempts[0].error, "Twilio down");
+  },
+
+  async "tenants sharing a scheduling store only call their own locations' patients"() {
+    const now = MONDAY_10AM;
+    const store = new SchedulingStore({ stateFile: path.join(tmpDir, "shared.json"), now: () => now });
+    const sanJose = await bookOne(store, at("2026-11-03", "09:00"), "rem_shared_sj");
+    const downtown = await bookOne(store, at("2026-11-04", "09:00"), "rem_shared_sf", "+14155551234", "sf-downtown");
+
+    const campaign = (id) => new ReminderCampaign({ tenant: getTenantRegistry().get(id), store, dialer: fakeDialer(), baseUrl: "https://clinic.example.com", now: () => now });
+    const sj = campaign("sj");
+    const sf = campaign("sf");
+    assert.deepStrictEqual(sj.due().map(a => a.id), [sanJose.id]);
+    assert.deepStrictEqual(sf.due().map(a => a.id), [downtown.id]);
+
+    await sj.run();
+    await sf.run();
+    assert.deepStrictEqual(sj.dialer.calls.map(c => [c.to, c.from]), [["+14085551234", "+14085550200"]]);
+    assert.deepStrictEqual(sf.dialer.calls.map(c => [c.to, c.from]), [["+14155551234", "+14155550200"]]);
+    assert.deepStrictEqual(campaign("north").due().map(a => a.id), [], "no locations listed: any location, but both are already called");
+  },
+
+  async "a decisive result isn't overwritten by the final call status"() {
+    let now = MONDAY_10AM;
+    const store = new SchedulingStore({ stateFile: path.join(tmpDir, "results.json"), now: () => now });
+    const appt = await bookOne(store, at("2026-11-03", "10:00"), "rem_result");
+    const campaign = new ReminderCampaign({ tenant: north, store, dialer: fakeDialer(), baseUrl: "https://clinic.example.com", now: () => now });
+
+    await campaign.run();
+    await campaign.recordResult(appt.id, "CA1", "confirmed");
+    await campaign.recordCallStatus(appt.id, "CA1", "completed");
+    const reminder = store.get(appt.id).reminder;
+    assert.strictEqual(reminder.status, "confirmed");
+    assert.strictEqual(reminder.attempts[0].result, "confirmed");
+    assert.strictEqual(await campaign.recordResult("nope", "CA9", "confirmed"), null);
+
+    // Persisted with the booking
+    assert.strictEqual(new SchedulingStore({ stateFile: path.join(tmpDir, "results.json") }).get(appt.id).reminder.status, "confirmed");
+  },
+
+  async "/reminder/voice leaves a voicemail for a machine and starts the agent for a person"() {
+    const store = getSchedulingStore();
+    const appt = await bookOne(store, "2026-11-03T17:00:00Z", "rem_voice");
+    const campaign = getReminderCampaign(north);
+    assert(answeredByMachine("machine_end_beep") && !answeredByMachine("human") && !answeredByMachine(undefined));
+
+    const server = await startTwilioWebhook(0);
+    try {
+      const post = async (route, params) => {
+        const res = await fetch(`http://127.0.0.1:${server.address().port}${route}`, {
+          method: "POST",
+          headers: { "Content-Type": "application/x-www-form-urlencoded" },
+          body: new URLSearchParams(params)
+        });
+        return res.status === 204 ? null : res.text();
+      };
+      const query = `?tenant=north&appointment=${appt.id}`;
+      const call = { From: CLINIC, To: "+14085551234", Direction: "outbound-api", CallStatus: "in-progress" };
+
+      const voicemail = await post(`/reminder/voice${query}`, { ...call, CallSid: "CAvm1", AnsweredBy: "machine_end_beep" });
+      assert.match(voicemail, /<Say voice="alice">Hello, this is North Dental with a reminder about your appointment on .*<\/Say><Hangup\/>/);
+      assert.doesNotMatch(voicemail, /Maya|cleaning|<Stream/, "no details on a voicemail");
+      assert.strictEqual(store.get(appt.id).reminder.attempts[0].result, "voicemail");
+
+      const person = await post(`/reminder/voice${query}`, { ...call, CallSid: "CAlive1", AnsweredBy: "human" });
+      assert.match(person, /<Stream url="wss:\/\/[^"]+\/bridge" name="[^"]+">/);
+      assert.match(person, /<Say voice="alice">Hi Maya, this is North Dental calling to remind you of your cleaning on Tuesday, Nov 3 at 9:00 AM/);
+      assert.match(person, /<Pause length="600"\/>/);
+
+      await post(`/reminder/status${query}`, { ...call, CallSid: "CAlive1", CallStatus: "completed" });
+      assert.deepStrictEqual(store.get(appt.id).reminder.attempts.map(a => [a.call_sid, a.result]), [["CAvm1", "voicemail"], ["CAlive1", "reached"]]);
+
+      const gone = await post("/reminder/voice?tenant=north&appointment=nope", { ...call, CallSid: "CAgone" });
+      assert.match(gone, /<Hangup\/>/);
+      assert.doesNotMatch(gone, /<Say/);
+      assert.strictEqual(campaign.context("nope"), null);
+    } finally {
+      server.close();
+    }
+  },
+
+  async "store failures hang up the reminder call or answer 500, without crashing"() {
+    const campaign = getReminderCampaign(north);
+    campaign.context = () => { throw new Error("corrupt state file"); };
+    campaign.recordCallStatus = async () => { throw new Error("disk full"); };
+    const server = await startTwilioWebhook(0);
+    try {
+      const post = (route, params) => fetch(`http://127.0.0.1:${server.address().port}${route}?tenant=north&appointment=any`, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams(params)
+      });
+      const voice = await post("/reminder/voice", { CallSid: "CAbroken", From: CLINIC, To: "+14085551234", AnsweredBy: "human" });
+      assert.strictEqual(voice.status, 200);
+      assert.match(await voice.text(), /<Response><Hangup\/><\/Response>/);
+      assert.strictEqual((await post("/reminder/status", { CallSid: "CAbroken", CallStatus: "completed" })).status, 500);
+    } finally {
+      delete campaign.context;
+      delete campaign.recordCallStatus;
+      server.close();
+    }
+  },
+
+  async "a transfer on a reminder call reports to the tenant named in its action URL"() {
+    const twiml = buildTransferTwiml({ target: { type: "queue", name: "front-desk" } }, "https://clinic.example.com", { tenantId: "north", callSid: "CArem-xfer" });
+    assert.match(twiml, /<Enqueue action="https:\/\/clinic\.example\.com\/transfer\/status\?tenant=north&amp;call=CArem-xfer">front-desk<\/Enqueue>/);
+
+    const server = await startTwilioWebhook(0);
+    try {
+      // To is the patient's number, which belongs to no tenant
+      const res = await fetch(`http://127.0.0.1:${server.address().port}/transfer/status?tenant=north&call=CArem-xfer`, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ CallSid: "CArem-xfer", From: CLINIC, To: "+14085551234", QueueResult: "bridged" })
+      });
+      assert.match(await res.text(), /<Response><Hangup\/><\/Response>/);
+    } finally {
+      server.close();
+    }
+    assert.strictEqual(createAudit("CArem-xfer", { dir: north.audit_dir }).read().transfer.status, "connected");
+    assert.strictEqual(fs.existsSync(path.join(process.env.AUDIT_LOG_DIR, "CArem-xfer.events.jsonl")), false, "nothing in the default tenant's audits");
+  },
+
+  async "in reminder mode the agent confirms on a yes, and may cancel the appointment unverified"() {
+    const store = new SchedulingStore({ stateFile: path.join(tmpDir, "agent.json") });
+    const appt = await bookOne(store, "2026-11-03T17:00:00Z", "rem_agent");
+    const context = new ReminderCampaign({ tenant: north, store }).context(appt.id);
+
+    const yes = new ConversationAgent("test-reminder-yes", { tenant: north, providers: { llm: new FakeChat() }, mcp: {}, callerPhone: "+14085551234", reminder: context });
+    assert.match(yes.transcript[0].text, /^Hi Maya, this is North Dental calling to remind you/);
+    assert.strictEqual(await yes.processUtterance("Yes, I'll be there."), "Great, you're all set. We'll see you then. Goodbye!");
+    assert.strictEqual(yes.reminderResult(), "confirmed");
+    assert.strictEqual(yes.endAfterTurn, true, "nothing left to do");
+    yes.saveAudit();
+    const audit = yes.audit.read();
+    assert.deepStrictEqual({ ...audit.reminder, confirmed_at: null }, { appointment_id: appt.id, status: "confirmed", confirmed_at: null, result: "confirmed" });
+    assert(validateAudit(audit).ok, JSON.stringify(validateAudit(audit).errors));
+
+    // "Yes, but I need to cancel" goes to the model, which may change this appointment only
+    const calls = [];
+    const mcp = {
+      callTool: async (name, input) => {
+        calls.push([name, input]);
+        if (name === "cancelAppointment") return { ok: true, output: await store.cancel(input) };
+        return { ok: true, output: { queued: true } };
+      }
+    };
+    const llm = new FakeChat({
+      script: [
+        { tool_calls: [{ name: "cancelAppointment", arguments: { appointment_id: appt.id } }] },
+        { content: "" },
+        { content: "It's cancelled. Goodbye!" }
+      ]
+    });
+    const cancel = new ConversationAgent("test-reminder-cancel", { tenant: north, providers: { llm }, mcp, callerPhone: "+14085551234", reminder: context });
+    assert.match(await cancel.processUtterance("Yes, but I need to cancel it."), /^Just to confirm: cancel your cleaning.*Shall I cancel it\?$/);
+    assert.strictEqual(cancel.reminder.status, "awaiting_response");
+    assert.strictEqual(llm.calls[0].tools.some(t => (t.function?.name || t.name) === "confirmAppointment"), true);
+    await cancel.processUtterance("Yes, please.");
+    assert.strictEqual(store.get(appt.id).status, "cancelled");
+    assert.deepStrictEqual(calls.map(([name]) => name), ["cancelAppointment", "sendSms"]);
+    assert.strictEqual(cancel.reminderResult(), "cancelled");
+    assert.strictEqual(cancel.endAfterTurn, false, "the patient may want to rebook");
+    const decisions = cancel.audit.read().identity.decisions;
+    assert(decisions.some(d => d.decision === "allowed" && d.reason === "reminder_appointment"), JSON.stringify(decisions));
+  }
+};
+
+await runTests("Reminder call tests", tests);
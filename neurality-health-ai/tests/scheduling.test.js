@@ -0,0 +1,174 @@
+import path from "path";
+import assert from "assert";
+import { tmpDir } from "./helpers/tmpDir.js";
+import { runTests } from "./helpers/run.js";
+import { SchedulingStore } from "../src/scheduling/store.js";
+
+/**
+ * Scheduling store: availability across calendars, booking conflicts,
+ * persistence, and cancelling/rescheduling existing appointments
+ */
+const ZONE_OFFSET = "-08:00"; // November dates below are PST
+const NOW = Date.parse("2026-11-02T12:00:00Z"); // Monday morning
+const stateFile = path.join(tmpDir, "appointments.json");
+
+function store() {
+  return new SchedulingStore({ stateFile, now: () => NOW });
+}
+
+const at = (date, time) => new Date(`${date}T${time}:00${ZONE_OFFSET}`).toISOString();
+
+function booking(start, end, key, extra = {}) {
+  return {
+    patient: { first: "Maya", last: "Patel", phone: "+14085551234" },
+    slot: { start, end },
+    appointment_type: "cleaning",
+    location_id: "sj-001",
+    idempotency_key: key,
+    ...extra
+  };
+}
+
+const tests = {
+  async "slots follow provider hours and appointment duration"() {
+    const { slots } = store().findAvailability({
+      location_id: "sj-001",
+      date_range: { start: at("2026-11-03", "08:00"), end: at("2026-11-03", "12:00") },
+      appointment_type: "cleaning"
+    });
+    // 8:00–11:00 every 30 minutes is 7 starts; 6 are offered, first and last kept
+    assert.strictEqual(slots.length, 6);
+    assert.strictEqual(slots[0].start, at("2026-11-03", "08:00"));
+    assert.strictEqual(slots[5].start, at("2026-11-03", "11:00"));
+    assert(slots.every(s => Date.parse(s.end) - Date.parse(s.start) === 60 * 60 * 1000), "cleanings are 60 minutes");
+    assert(slots.every(s => s.provider_id === "DR001"), "only DR001 does cleanings in San Jose");
+  },
+
+  async "the whole range is searched, skipping days off and holidays"() {
+    const { slots } = store().findAvailability({
+      location_id: "sj-001",
+      date_range: { start: at("2026-11-25", "00:00"), end: at("2026-11-30", "23:59") },
+      appointment_type: "root_canal"
+    });
+    const days = new Set(slots.map(s => new Date(Date.parse(s.start) - 8 * 3600e3).toISOString().slice(0, 10)));
+    // DR002 works Tue/Thu/Sat; Thu 11/26 is Thanksgiving, so only Sat 11/28 is left
+    assert.deepStrictEqual([...days], ["2026-11-28"]);
+  },
+
+  async "lunch breaks and past times are never offered"() {
+    const { slots } = store().findAvailability({
+      location_id: "sj-001",
+      date_range: { start: at("2026-11-02", "00:00"), end: at("2026-11-02", "23:59") },
+      appointment_type: "checkup"
+    });
+    assert(slots.length > 0);
+    for (const s of slots) {
+      assert(Date.parse(s.start) >= NOW, "slot in the past");
+      assert(!(Date.parse(s.start) < Date.parse(at("2026-11-02", "13:00")) && Date.parse(s.end) > Date.parse(at("2026-11-02", "12:00"))), "slot over lunch");
+    }
+  },
+
+  async "double-booking is rejected even when requests race"() {
+    const s = store();
+    const start = at("2026-11-03", "09:00");
+    const end = at("2026-11-03", "10:00");
+    const [a, b] = await Promise.all([s.book(booking(start, end, "bk_a")), s.book(booking(start, end, "bk_b"))]);
+    assert.strictEqual(a.status, "booked");
+    assert.deepStrictEqual(b, { status: "failed", reason: "slot_taken" });
+
+    // Overlapping (not identical) times are taken too
+    const overlap = await s.book(booking(at("2026-11-03", "09:30"), at("2026-11-03", "10:30"), "bk_c"));
+    assert.strictEqual(overlap.reason, "slot_taken");
+
+    const { slots } = s.findAvailability({
+      location_id: "sj-001",
+      date_range: { start: at("2026-11-03", "08:00"), end: at("2026-11-03", "11:00") },
+      appointment_type: "cleaning"
+    });
+    assert(!slots.some(x => x.start === at("2026-11-03", "09:00") || x.start === at("2026-11-03", "08:30")), "booked time still offered");
+  },
+
+  async "idempotency survives a restart"() {
+    const first = await store().book(booking(at("2026-11-04", "13:00"), at("2026-11-04", "14:00"), "bk_restart"));
+    assert.strictEqual(first.status, "booked");
+
+    const reopened = store();
+    const again = await reopened.book(booking(at("2026-11-04", "13:00"), at("2026-11-04", "14:00"), "bk_restart"));
+    assert.deepStrictEqual(again, first);
+    assert.strictEqual(reopened.state.appointments.filter(a => a.idempotency_key === "bk_restart").length, 1);
+  },
+
+  async "bookings outside hours, in the past or at unknown locations fail"() {
+    const s = store();
+    assert.strictEqual((await s.book(booking(at("2026-11-03", "12:00"), at("2026-11-03", "13:00"), "bk_lunch"))).reason, "outside_provider_hours");
+    assert.strictEqual((await s.book(booking(at("2026-11-01", "09:00"), at("2026-11-01", "10:00"), "bk_past"))).reason, "slot_in_past");
+    assert.strictEqual((await s.book(booking(at("2026-11-03", "09:00"), at("2026-11-03", "10:00"), "bk_loc", { location_id: "nowhere" }))).reason, "unknown_location");
+  },
+
+  async "lookup needs the phone and last name on the booking"() {
+    const s = store();
+    await s.book(booking(at("2026-11-05", "08:00"), at("2026-11-05", "09:00"), "bk_lookup"));
+    const { appointments, cancellation_policy } = s.lookup({ phone: "+14085551234", last_name: "patel" });
+    assert(appointments.some(a => a.start === at("2026-11-05", "08:00")));
+    assert.deepStrictEqual(cancellation_policy, { late_window_hours: 24, late_fee_usd: 50 });
+    assert.strictEqual(s.lookup({ phone: "+14085551234", last_name: "Smith" }).appointments.length, 0);
+    assert.strictEqual(s.lookup({ phone: "+14085550000", last_name: "Patel" }).appointments.length, 0);
+  },
+
+  async "cancelling flags late cancellations and only happens once"() {
+    const s = store();
+    // Mon 1pm is under 24h after NOW (Mon 4am PST); Fri is not
+    const soon = await s.book(booking(at("2026-11-02", "13:00"), at("2026-11-02", "14:00"), "bk_soon"));
+    const later = await s.book(booking(at("2026-11-06", "08:00"), at("2026-11-06", "09:00"), "bk_later"));
+    const id = (confirmation) => s.state.appointments.find(a => a.confirmation_id === confirmation.confirmation_id).id;
+
+    const late = await s.cancel({ appointment_id: id(soon), phone: "+14085551234", idempotency_key: "cx_soon" });
+    assert.deepStrictEqual(late, { status: "cancelled", appointment_id: id(soon), late_cancellation: true, fee_usd: 50 });
+    const onTime = await s.cancel({ appointment_id: id(later), phone: "+14085551234", idempotency_key: "cx_later" });
+    assert.strictEqual(onTime.late_cancellation, false);
+    assert.strictEqual(onTime.fee_usd, 0);
+
+    // Same key replays the result; a new key hits the status check
+    assert.deepStrictEqual(await store().cancel({ appointment_id: id(soon), phone: "+14085551234", idempotency_key: "cx_soon" }), late);
+    const again = await s.cancel({ appointment_id: id(soon), phone: "+14085551234", idempotency_key: "cx_soon_2" });
+    assert.strictEqual(again.reason, "invalid_status_transition");
+
+    const wrongPhone = await s.cancel({ appointment_id: id(later), phone: "+14085550000", idempotency_key: "cx_phone" });
+    assert.strictEqual(wrongPhone.reason, "not_found");
+
+    // The freed time can be booked again
+    const rebook = await s.book(booking(at("2026-11-02", "13:00"), at("2026-11-02", "14:00"), "bk_rebook"));
+    assert.strictEqual(rebook.status, "booked");
+  },
+
+  async "rescheduling moves the booking in one step"() {
+    const s = store();
+    const original = await s.book(booking(at("2026-11-09", "09:00"), at("2026-11-09", "10:00"), "bk_move"));
+    const oldId = s.state.appointments.find(a => a.confirmation_id === original.confirmation_id).id;
+    const move = (start, end, key) => s.reschedule({ appointment_id: oldId, phone: "+14085551234", slot: { start, end }, idempotency_key: key });
+
+    // Overlapping its own old time is fine; a taken slot leaves the original alone
+    await s.book(booking(at("2026-11-09", "13:00"), at("2026-11-09", "14:00"), "bk_blocker"));
+    const taken = await move(at("2026-11-09", "13:00"), at("2026-11-09", "14:00"), "rs_taken");
+    assert.strictEqual(taken.reason, "slot_taken");
+    assert.strictEqual(s.state.appointments.find(a => a.id === oldId).status, "booked");
+
+    const moved = await move(at("2026-11-09", "09:30"), at("2026-11-09", "10:30"), "rs_move");
+    assert.strictEqual(moved.status, "rescheduled");
+    assert.strictEqual(moved.previous_appointment_id, oldId);
+    assert.strictEqual(moved.late_change, false);
+
+    const old = s.state.appointments.find(a => a.id === oldId);
+    const current = s.state.appointments.find(a => a.id === moved.appointment_id);
+    assert.strictEqual(old.status, "rescheduled");
+    assert.strictEqual(old.rescheduled_to, current.id);
+    assert.strictEqual(current.rescheduled_from, oldId);
+    assert.strictEqual(current.start, at("2026-11-09", "09:30"));
+    assert.deepStrictEqual(old.history.map(h => h.status), ["booked", "rescheduled"]);
+
+    assert.deepStrictEqual(await move(at("2026-11-09", "09:30"), at("2026-11-09", "10:30"), "rs_move"), moved);
+    assert.strictEqual((await move(at("2026-11-09", "11:00"), at("2026-11-09", "12:00"), "rs_twice")).reason, "invalid_status_transition");
+  }
+};
+
+await runTests("Scheduling store tests", tests);
@@ -0,0 +1,81 @@
+import pkg from "twilio";
+import jwt from "jsonwebtoken";
+import assert from "assert";
+import "./helpers/tmpDir.js";
+import { runTests } from "./helpers/run.js";
+
+process.env.TWILIO_AUTH_TOKEN = "test-auth-token";
+process.env.PUBLIC_URL = "https://example.ngrok-free.app";
+process.env.STREAM_TOKEN_SECRET = "test-stream-secret";
+
+const { validateTwilioSignature, createStreamToken, verifyStreamToken } = await import("../src/twilio/security.js");
+const { getExpectedTwilioSignature } = pkg;
+
+/**
+ * Webhook signature and media stream token checks
+ */
+const BODY = { CallSid: "CA123", From: "+14085551234", To: "+14085550000" };
+
+function signedRequest(body, signature) {
+  return {
+    path: "/voice",
+    originalUrl: "/voice",
+    ip: "127.0.0.1",
+    headers: { host: "localhost:3000", "x-twilio-signature": signature },
+    body
+  };
+}
+
+// Runs the middleware; resolves to "next" or the rejected status code
+function run(req) {
+  let outcome = null;
+  const res = {
+    status(code) { outcome = code; return this; },
+    send() { return this; }
+  };
+  validateTwilioSignature(req, res, () => { outcome = "next"; });
+  return outcome;
+}
+
+const validSignature = getExpectedTwilioSignature("test-auth-token", "https://example.ngrok-free.app/voice", BODY);
+
+const tests = {
+  "valid signature passes"() {
+    assert.strictEqual(run(signedRequest(BODY, validSignature)), "next");
+  },
+
+  "tampered parameters are rejected"() {
+    assert.strictEqual(run(signedRequest({ ...BODY, From: "+15550000000" }, validSignature)), 403);
+  },
+
+  "missing signature is rejected"() {
+    assert.strictEqual(run(signedRequest(BODY, undefined)), 403);
+  },
+
+  "signature for another URL is rejected"() {
+    const other = getExpectedTwilioSignature("test-auth-token", "https://attacker.example/voice", BODY);
+    assert.strictEqual(run(signedRequest(BODY, other)), 403);
+  },
+
+  "stream token is bound to its call and tenant"() {
+    const token = createStreamToken("CA123", "sj-dental");
+    assert.deepStrictEqual(verifyStreamToken(token, "CA123"), { ok: true, tenantId: "sj-dental" });
+    assert.strictEqual(verifyStreamToken(token, "CA999").reason, "stream_token_call_mismatch");
+  },
+
+  "missing, forged and expired stream tokens are rejected"() {
+    assert.strictEqual(verifyStreamToken(undefined, "CA123").reason, "stream_token_missing");
+
+    const forged = jwt.sign({ callSid: "CA123" }, "wrong-secret", { audience: "media-stream", expiresIn: 60 });
+    assert.strictEqual(verifyStreamToken(forged, "CA123").reason, "stream_token_invalid");
+
+    const expired = jwt.sign(
+      { callSid: "CA123", exp: Math.floor(Date.now() / 1000) - 10 },
+      "test-stream-secret",
+      { audience: "media-stream" }
+    );
+    assert.strictEqual(verifyStreamToken(expired, "CA123").reason, "stream_token_expired");
+  }
+};
+
+await runTests("Security unit tests", tests);
@@ -0,0 +1,67 @@
+import assert from "assert";
+import { runTests } from "./helpers/run.js";
+import { SentenceSplitter } from "../src/utils/sentenceSplitter.js";
+
+/**
+ * Cutting streamed LLM tokens into sentences for TTS
+ */
+
+// Feed `chunks` as tokens; returns the sentences emitted before and after flush()
+function split(chunks) {
+  const sentences = [];
+  const splitter = new SentenceSplitter(s => sentences.push(s));
+  for (const chunk of chunks) splitter.push(chunk);
+  const beforeFlush = [...sentences];
+  splitter.flush();
+  return { beforeFlush, sentences };
+}
+
+const tests = {
+  async "a sentence is emitted once the space after it arrives"() {
+    const sentences = [];
+    const splitter = new SentenceSplitter(s => sentences.push(s));
+    splitter.push("Your appointment is booked.");
+    assert.deepStrictEqual(sentences, [], "the next token could still extend it");
+    splitter.push(" We'll text");
+    assert.deepStrictEqual(sentences, ["Your appointment is booked."]);
+    splitter.push(" you! Anything else?\n");
+    assert.deepStrictEqual(sentences, ["Your appointment is booked.", "We'll text you!", "Anything else?"]);
+  },
+
+  async "abbreviations, times and decimals don't end a sentence"() {
+    const { beforeFlush } = split(["Dr", ". Lee can see you at 9", ":30 a.", "m. on Tuesday. ", "Mr. and Mrs. Patel, e.g. ", "the copay is $12.50 for a cleaning. Okay? "]);
+    assert.deepStrictEqual(beforeFlush, [
+      "Dr. Lee can see you at 9:30 a.m. on Tuesday.",
+      "Mr. and Mrs. Patel, e.g. the copay is $12.50 for a cleaning.",
+      "Okay?"
+    ]);
+  },
+
+  async "closing quotes and brackets stay with their sentence"() {
+    const { beforeFlush } = split(["She said \"see you soon.\" Then (she left.) Bye. "]);
+    assert.deepStrictEqual(beforeFlush, ["She said \"see you soon.\"", "Then (she left.)", "Bye."]);
+  },
+
+  async "flush emits the unfinished tail"() {
+    const { beforeFlush, sentences } = split(["Is Tuesday okay? ", "Or would Wednesday work better"]);
+    assert.deepStrictEqual(beforeFlush, ["Is Tuesday okay?"]);
+    assert.deepStrictEqual(sentences, ["Is Tuesday okay?", "Or would Wednesday work better"]);
+  },
+
+  async "long run-ons are cut at a comma"() {
+    const clause = "we have openings in San Jose and Palo Alto for cleanings and exams";
+    const { beforeFlush } = split([`${clause}, ${clause}, ${clause} and more`]);
+    assert.strictEqual(beforeFlush.length, 1);
+    assert(beforeFlush[0].endsWith(","), beforeFlush[0]);
+    assert(beforeFlush[0].length <= 160);
+  },
+
+  async "empty and whitespace-only input emits nothing"() {
+    assert.deepStrictEqual(split([]).sentences, []);
+    assert.deepStrictEqual(split(["", "   ", "\n"]).sentences, []);
+    assert.deepStrictEqual(split(["Hi. ", "  "]).sentences, ["Hi."]);
+    assert.deepStrictEqual(split(["... "]).sentences, ["..."]);
+  }
+};
+
+await runTests("Sentence splitter tests", tests);
@@ -0,0 +1,183 @@
+import fs from "fs";
+import path from "path";
+import assert from "assert";
+import { tmpDir } from "./helpers/tmpDir.js";
+import { runTests } from "./helpers/run.js";
+
+/**
+ * SMS channel: a text-mode agent session per number, STOP/START/HELP
+ * keywords, session expiry, /sms replying through the REST API and the
+ * session's audit
+ */
+const CLINIC = "+14085550100";
+const PATIENT = "+14085551234";
+
+fs.writeFileSync(path.join(tmpDir, "tenants.json"), JSON.stringify({
+  tenants: [{ id: "north", name: "North Dental", numbers: [CLINIC], audit_dir: path.join(tmpDir, "north") }]
+}));
+
+process.env.TENANTS_FILE = path.join(tmpDir, "tenants.json");
+process.env.AUDIT_LOG_DIR = path.join(tmpDir, "default");
+process.env.SMS_OPT_OUT_FILE = path.join(tmpDir, "opt-outs.json");
+process.env.TWILIO_VALIDATE_SIGNATURE = "false";
+process.env.STREAM_TOKEN_SECRET = "test-stream-secret";
+process.env.AI_PROVIDER = "fake";
+
+const { SmsSessions, SmsOptOuts, smsKeyword, getSmsSessions } = await import("../src/twilio/sms.js");
+const { getTenantRegistry } = await import("../src/tenants/registry.js");
+const { startTwilioWebhook } = await import("../src/twilio/webhook.js");
+const { FakeChat } = await import("../src/providers/index.js");
+const { validateAudit } = await import("../src/audit/schema.js");
+
+const north = getTenantRegistry().get("north");
+const MINUTE = 60 * 1000;
+
+const SLOT = { start: "2026-11-03T17:00:00Z", end: "2026-11-03T18:00:00Z", provider_id: "dr-lee" };
+
+// An MCP stand-in that offers one slot and books it
+function fakeMcp() {
+  const calls = [];
+  return {
+    calls,
+    callTool: async (name, input) => {
+      calls.push([name, input]);
+      if (name === "getProviderAvailability") return { ok: true, output: { slots: [SLOT] } };
+      if (name === "bookAppointment") return { ok: true, output: { status: "booked", confirmation_id: "CONF-1" } };
+      return { ok: true, output: { queued: true } };
+    }
+  };
+}
+
+function sessions({ script = [], now = () => Date.now(), file = "opt-outs.json" } = {}) {
+  const llm = new FakeChat({ script });
+  const mcp = fakeMcp();
+  const store = new SmsSessions({
+    ttlMinutes: 30,
+    optOuts: new SmsOptOuts({ file: path.join(tmpDir, file) }),
+    agentOptions: { providers: { llm }, mcp },
+    now
+  });
+  return { store, llm, mcp };
+}
+
+const text = (store, body, messageSid) => store.handle({ tenant: north, from: PATIENT, body, messageSid });
+
+const tests = {
+  async "keywords are the whole message, in any case"() {
+    assert.strictEqual(smsKeyword("STOP"), "stop");
+    assert.strictEqual(smsKeyword(" Unsubscribe. "), "stop");
+    assert.strictEqual(smsKeyword("cancel"), null, "a bare CANCEL is about an appointment, not an opt-out");
+    assert.strictEqual(smsKeyword("start"), "start");
+    assert.strictEqual(smsKeyword("Help!"), "help");
+    assert.strictEqual(smsKeyword("Please stop texting me about cleanings"), null);
+    assert.strictEqual(smsKeyword("cancel my appointment"), null);
+    assert.strictEqual(smsKeyword(""), null);
+  },
+
+  async "one session per number keeps slots and books through the same tools"() {
+    const { store, llm, mcp } = sessions({
+      script: [
+        { tool_calls: [{ name: "recordCallerDetails", arguments: { patient_first: "Maya", patient_last: "Patel", appointment_type: "cleaning", location_id: "sj-001" } }] },
+        { tool_calls: [{ name: "getProviderAvailability", arguments: { location_id: "sj-001", appointment_type: "cleaning", date_range: { start: "2026-11-03", end: "2026-11-03" } } }] },
+        { content: "I have Tuesday at 9. Does that work?" },
+        { tool_calls: [{ name: "selectOfferedSlot", arguments: { choice: "Tuesday at 9" } }] },
+        { content: "" }
+      ]
+    });
+
+    assert.strictEqual(await text(store, "Hi, this is Maya Patel, I'd like a cleaning in San Jose", "SMfirst"), "I have Tuesday at 9. Does that work?");
+    const audit = JSON.parse(fs.readFileSync(path.join(tmpDir, "north", "SMfirst.json"), "utf8"));
+    assert.strictEqual(audit.transcript.length, 2, "the audit is saved after every text, not only when the session ends");
+    assert.match(llm.calls[0].messages[0].content, /This conversation is by text message/);
+    assert.strictEqual(llm.calls[0].tools.some(t => (t.function?.name || t.name) === "recordCallerDetails"), true);
+
+    const readBack = await text(store, "Tuesday at 9 works", "SMsecond");
+    assert.match(readBack, /^Just to confirm: Maya Patel, a cleaning on Tuesday, Nov 3 at 9:00 AM/);
+    await text(store, "Yes", "SMthird");
+
+    const { agent } = store.sessions.get(`north:${PATIENT}`);
+    assert.strictEqual(agent.callId, "SMfirst", "the session's audit is named after its first message");
+    assert.strictEqual(agent.slots.phone, PATIENT);
+    assert.deepStrictEqual(mcp.calls.map(([name]) => name), ["getProviderAvailability", "bookAppointment", "sendSms"]);
+    assert.strictEqual(agent.pendingBooking.status, "booked");
+    assert.strictEqual(agent.canTransfer(), false, "a text can't be put through to the front desk");
+  },
+
+  async "STOP opts out and closes the session; only START is answered until then"() {
+    const { store, llm } = sessions({ script: [{ content: "Hi! How can we help?" }], file: "stop.json" });
+    await text(store, "Hello", "SMstop1");
+    assert.match(await text(store, "STOP", "SMstop2"), /^You're unsubscribed from North Dental texts/);
+    assert.strictEqual(store.sessions.size, 0);
+    assert.strictEqual(store.optOuts.has("north", PATIENT), true);
+    assert.strictEqual(new SmsOptOuts({ file: path.join(tmpDir, "stop.json") }).has("north", PATIENT), true, "persisted");
+
+    assert.strictEqual(await text(store, "Hello?", "SMstop3"), null);
+    assert.strictEqual(await text(store, "HELP", "SMstop4"), null);
+    assert.strictEqual(llm.calls.length, 1, "the agent never saw the later texts");
+
+    assert.match(await text(store, "Start", "SMstop5"), /^You're resubscribed/);
+    assert.strictEqual(store.optOuts.has("north", PATIENT), false);
+    assert.match(await text(store, "help", "SMstop6"), /^North Dental: text us to book.*call \+14085550100\. Reply STOP to unsubscribe\.$/);
+
+    // The closed session still wrote its audit
+    const audit = JSON.parse(fs.readFileSync(path.join(tmpDir, "north", "SMstop1.json"), "utf8"));
+    assert.strictEqual(audit.channel, "sms");
+    assert(validateAudit(audit).ok, JSON.stringify(validateAudit(audit).errors));
+  },
+
+  async "an idle session expires, writes its audit, and the next text starts a new one"() {
+    let now = Date.now();
+    const { store } = sessions({ script: [{ content: "Hi Maya!" }, { content: "Welcome back!" }], now: () => now, file: "expiry.json" });
+    await text(store, "Hi, it's Maya", "SMidle1");
+    now += 20 * MINUTE;
+    assert.strictEqual(store.expire(), 0);
+    now += 10 * MINUTE;
+    assert.strictEqual(store.expire(), 1);
+    assert.strictEqual(store.sessions.size, 0);
+
+    const audit = JSON.parse(fs.readFileSync(path.join(tmpDir, "north", "SMidle1.json"), "utf8"));
+    assert.deepStrictEqual(audit.transcript.map(t => [t.role, t.text]), [["user", "Hi, it's Maya"], ["agent", "Hi Maya!"]]);
+    assert(validateAudit(audit).ok, JSON.stringify(validateAudit(audit).errors));
+
+    await text(store, "Me again", "SMidle2");
+    assert.strictEqual(store.sessions.get(`north:${PATIENT}`).agent.callId, "SMidle2");
+    assert.strictEqual(store.sessions.get(`north:${PATIENT}`).agent.turn, 1);
+  },
+
+  async "/sms acknowledges at once and sends the reply from the clinic's number"() {
+    const sent = [];
+    getSmsSessions().sender = async (message) => { sent.push(message); return `SMreply${sent.length}`; };
+    const server = await startTwilioWebhook(0);
+    try {
+      const post = async (params) => {
+        const res = await fetch(`http://127.0.0.1:${server.address().port}/sms`, {
+          method: "POST",
+          headers: { "Content-Type": "application/x-www-form-urlencoded" },
+          body: new URLSearchParams(params)
+        });
+        assert.match(res.headers.get("content-type"), /text\/xml/);
+        return res.text();
+      };
+      const replies = async (count) => {
+        for (let i = 0; i < 100 && sent.length < count; i++) await new Promise(r => setTimeout(r, 10));
+        return sent;
+      };
+
+      const ack = await post({ MessageSid: "SMhook1", From: "+14085559876", To: CLINIC, Body: "Hi there" });
+      assert.match(ack, /^<\?xml[^>]*\?><Response\/>$/);
+      assert.deepStrictEqual((await replies(1))[0], { to: "+14085559876", from: CLINIC, body: "Is there anything else I can help you with?" });
+
+      assert.match(await post({ MessageSid: "SMhook2", From: "+14085559876", To: CLINIC, Body: "HELP" }), /<Response\/>/);
+      assert.match((await replies(2))[1].body, /^North Dental: text us to book/);
+
+      const unknown = await post({ MessageSid: "SMhook3", From: "+14085559876", To: "+19995550000", Body: "Hi" });
+      assert.match(unknown, /<Response\/>/);
+      await new Promise(r => setTimeout(r, 50));
+      assert.strictEqual(sent.length, 2, "nothing is sent for unknown numbers");
+    } finally {
+      server.close();
+    }
+  }
+};
+
+await runTests("SMS channel tests", tests);
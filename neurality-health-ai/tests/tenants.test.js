@@ -0,0 +1,227 @@
+import fs from "fs";
+import path from "path";
+import assert from "assert";
+import { tmpDir } from "./helpers/tmpDir.js";
+import { runTests } from "./helpers/run.js";
+
+/**
+ * Tenant registry and per-clinic isolation: greeting, stream token, prompt,
+ * rooms, locations, audit directory, MCP client and tenant-scoped tool data
+ */
+const NORTH = "+14085550100";
+const SOUTH = "+16505550100";
+
+// North doesn't take Delta Dental; South uses the bundled rules and needs an MCP token
+const rules = JSON.parse(fs.readFileSync("data/insurance.json", "utf8"));
+rules.plans = rules.plans.filter(p => p.payer !== "Delta Dental");
+fs.writeFileSync(path.join(tmpDir, "north-insurance.json"), JSON.stringify(rules));
+
+fs.writeFileSync(path.join(tmpDir, "tenants.json"), JSON.stringify({
+  tenants: [
+    {
+      id: "north",
+      name: "North Dental",
+      numbers: [NORTH],
+      greeting: "Thanks for calling North Dental.",
+      instructions: "Mention the free parking.",
+      locations: ["sj-001"],
+      insurance_rules_file: path.join(tmpDir, "north-insurance.json"),
+      patient_registry_file: path.join(tmpDir, "north", "patients.json"),
+      scheduling_state_file: path.join(tmpDir, "north", "appointments.json"),
+      audit_dir: path.join(tmpDir, "north")
+    },
+    {
+      id: "south",
+      name: "South Smiles",
+      numbers: [SOUTH],
+      room_prefix: "southsmiles_",
+      transfer: { queue: "south-desk" },
+      mcp: { token_env: "SOUTH_MCP_TOKEN" },
+      audit_dir: path.join(tmpDir, "south")
+    }
+  ]
+}));
+
+process.env.TENANTS_FILE = path.join(tmpDir, "tenants.json");
+process.env.SOUTH_MCP_TOKEN = "south-secret";
+process.env.AUDIT_LOG_DIR = path.join(tmpDir, "default");
+process.env.TWILIO_VALIDATE_SIGNATURE = "false";
+process.env.STREAM_TOKEN_SECRET = "test-stream-secret";
+
+const { TenantRegistry, getTenantRegistry, normalizeTenant } = await import("../src/tenants/registry.js");
+const { startTwilioWebhook } = await import("../src/twilio/webhook.js");
+const { verifyStreamToken } = await import("../src/twilio/security.js");
+const { startMCPServer, authorizeTenant } = await import("../src/mcp/server.js");
+const { getMcpClient } = await import("../src/mcp/client.js");
+const { ConversationAgent } = await import("../src/livekit/agent.js");
+const { buildTransferTwiml } = await import("../src/twilio/transfer.js");
+const { buildConfirmationSms, buildCancellationSms, buildReadBack } = await import("../src/livekit/booking.js");
+const { FakeChat } = await import("../src/providers/index.js");
+
+const registry = getTenantRegistry();
+const north = registry.get("north");
+const south = registry.get("south");
+
+// An MCP stand-in that counts calls
+function fakeMcp() {
+  const calls = [];
+  return { calls, callTool: async (name, input) => { calls.push({ name, input }); return { ok: true, output: { slots: [] } }; } };
+}
+
+const tests = {
+  async "the dialed number selects the tenant"() {
+    assert.strictEqual(registry.forNumber(NORTH), north);
+    assert.strictEqual(registry.forNumber(SOUTH), south);
+    assert.strictEqual(registry.forNumber("+19995550000"), null, "no default tenant: unknown numbers are refused");
+    assert.strictEqual(south.room_prefix, "southsmiles_");
+    assert.strictEqual(north.room_prefix, "north_");
+    assert.strictEqual(south.mcp.token, "south-secret");
+
+    const clash = path.join(tmpDir, "clash.json");
+    fs.writeFileSync(clash, JSON.stringify({ tenants: [{ id: "a", numbers: [NORTH] }, { id: "b", numbers: [NORTH] }] }));
+    assert.throws(() => new TenantRegistry({ file: clash }), /assigned to both a and b/);
+
+    // Without a tenants file: one tenant from the environment
+    const single = new TenantRegistry({ env: { TWILIO_PHONE_NUMBER: NORTH, TRANSFER_NUMBER: "+14085550111" } });
+    assert.strictEqual(single.forNumber("+19995550000").id, "default");
+    assert.strictEqual(single.forNumber(NORTH).transfer.number, "+14085550111");
+  },
+
+  async "/voice greets as the tenant and binds the stream to it"() {
+    const server = await startTwilioWebhook(0);
+    try {
+      const voice = async (to, callSid) => {
+        const res = await fetch(`http://127.0.0.1:${server.address().port}/voice`, {
+          method: "POST",
+          headers: { "Content-Type": "application/x-www-form-urlencoded" },
+          body: new URLSearchParams({ CallSid: callSid, From: "+14085551234", To: to })
+        });
+        return res.text();
+      };
+
+      const twiml = await voice(NORTH, "CAnorth1");
+      assert.match(twiml, /Thanks for calling North Dental\./);
+      const token = twiml.match(/name="token" value="([^"]+)"/)[1];
+      assert.deepStrictEqual(verifyStreamToken(token, "CAnorth1"), { ok: true, tenantId: "north" });
+      assert(fs.existsSync(path.join(tmpDir, "north", "CAnorth1.events.jsonl")), "lifecycle goes to the tenant's audits");
+      assert(!fs.existsSync(path.join(tmpDir, "default", "CAnorth1.events.jsonl")));
+
+      const refused = await voice("+19995550000", "CAunknown");
+      assert.match(refused, /not in service/);
+      assert.match(refused, /<Hangup\/>/);
+      assert.doesNotMatch(refused, /<Stream/);
+    } finally {
+      server.close();
+    }
+  },
+
+  async "agents use their tenant's prompt, room, transfer target and audits"() {
+    const mcp = fakeMcp();
+    const llm = new FakeChat({
+      script: [
+        { tool_calls: [{ name: "getProviderAvailability", arguments: { location_id: "sf-downtown", appointment_type: "cleaning", date_range: { start: "2026-11-03", end: "2026-11-03" } } }] },
+        { content: "That location isn't ours, sorry." }
+      ]
+    });
+    const agent = new ConversationAgent("CAnorth2", { tenant: north, providers: { llm }, mcp });
+    const prompt = agent.buildMessages()[0].content;
+    assert.match(prompt, /assistant at North Dental\./);
+    assert.match(prompt, /Our locations \(location_id\): sj-001\./);
+    assert.match(prompt, /Mention the free parking\.$/);
+
+    await agent.processUtterance("Can I come to the San Francisco office?");
+    assert.strictEqual(mcp.calls.length, 0, "another clinic's location never reaches MCP");
+    assert.strictEqual(agent.toolTrace[0].ok, false);
+    assert.match(agent.toolTrace[0].output.message, /use one of: sj-001/);
+
+    agent.saveAudit();
+    const audit = JSON.parse(fs.readFileSync(path.join(tmpDir, "north", "CAnorth2.json"), "utf8"));
+    assert.strictEqual(audit.tenant_id, "north");
+    assert(!fs.existsSync(path.join(tmpDir, "south", "CAnorth2.json")));
+
+    const other = new ConversationAgent("CAsouth1", { tenant: south, providers: { llm: new FakeChat() }, mcp: fakeMcp() });
+    assert.doesNotMatch(other.buildMessages()[0].content, /North Dental|free parking/);
+    assert.deepStrictEqual([other.transferSettings.number, other.transferSettings.queue], [null, "south-desk"]);
+    assert.strictEqual((await other.connect()).roomName, "southsmiles_CAsouth1");
+    assert.strictEqual(agent.canTransfer(), false, "no front desk configured for North");
+  },
+
+  async "transfers ring staff from the clinic's own number"() {
+    const transfer = { target: { type: "number", to: "+14085550111" } };
+    const twiml = buildTransferTwiml(transfer, "https://example.test", { callerId: SOUTH });
+    assert.match(twiml, new RegExp(`<Dial [^>]*callerId="\\${SOUTH}"`));
+    assert.doesNotMatch(buildTransferTwiml(transfer, "https://example.test"), /callerId/, "no number: Twilio shows the caller's");
+  },
+
+  async "texts and read-backs use the tenant's name, location names and local time"() {
+    const config = JSON.parse(fs.readFileSync("data/scheduling.json", "utf8"));
+    config.locations = [{ id: "nyc-001", name: "Midtown", timezone: "America/New_York" }];
+    fs.writeFileSync(path.join(tmpDir, "east-scheduling.json"), JSON.stringify(config));
+    const east = normalizeTenant({
+      id: "east",
+      name: "East Dental",
+      scheduling_config_file: path.join(tmpDir, "east-scheduling.json"),
+      scheduling_state_file: path.join(tmpDir, "east", "appointments.json")
+    });
+
+    const booking = { patient: { first: "Maya", last: "Patel", phone: "+12125551234" }, slot: { start: "2026-11-03T14:00:00Z" }, location_id: "nyc-001", appointment_type: "cleaning" };
+    assert.strictEqual(buildConfirmationSms(booking, "CONF-1", east), "East Dental: Your cleaning appointment is confirmed for Tuesday, Nov 3 at 9:00 AM at our Midtown office. Confirmation: CONF-1");
+    assert.match(buildReadBack(booking, "en", east), /on Tuesday, Nov 3 at 9:00 AM at our Midtown office/);
+    assert.strictEqual(
+      buildCancellationSms({ start: "2026-11-03T14:00:00Z", location_id: "sj-001", appointment_type: "cleaning" }, 0, north),
+      "North Dental: Your cleaning appointment on Tuesday, Nov 3 at 6:00 AM has been cancelled.",
+      "San Jose's own clock"
+    );
+  },
+
+  async "each tenant has its own MCP client"() {
+    assert.strictEqual(getMcpClient(north), getMcpClient(north));
+    assert.notStrictEqual(getMcpClient(north), getMcpClient(south));
+    assert.notStrictEqual(getMcpClient(north).breaker, getMcpClient(south).breaker);
+    assert.strictEqual(getMcpClient(null), getMcpClient(registry.defaultTenant()), "no tenant is the default tenant");
+    assert.deepStrictEqual(getMcpClient(south).headers, { "X-Tenant-Id": "south", Authorization: "Bearer south-secret" });
+  },
+
+  async "requests without a tenant header act for the default tenant and need its token"() {
+    const file = path.join(tmpDir, "with-default.json");
+    fs.writeFileSync(file, JSON.stringify({
+      default: "south",
+      tenants: [{ id: "north", numbers: [NORTH] }, { id: "south", numbers: [SOUTH], mcp: { token_env: "SOUTH_MCP_TOKEN" } }]
+    }));
+    const withDefault = new TenantRegistry({ file });
+    assert.deepStrictEqual(authorizeTenant({}, withDefault), { status: 401, reason: "unauthorized" });
+    assert.strictEqual(authorizeTenant({ authorization: "Bearer south-secret" }, withDefault).tenant.id, "south");
+    assert.strictEqual(authorizeTenant({ "x-tenant-id": "north" }, withDefault).tenant.id, "north");
+
+    // Without any tokens, the environment's setup still works headerless
+    const envOnly = new TenantRegistry();
+    assert.strictEqual(authorizeTenant({}, envOnly).tenant.id, "default");
+  },
+
+  async "the MCP server uses the tenant's data and checks its token"() {
+    const server = await startMCPServer(0);
+    try {
+      const coverage = async (headers) => {
+        const res = await fetch(`http://127.0.0.1:${server.address().port}/checkInsuranceCoverage`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", ...headers },
+          body: JSON.stringify({ payer: "Delta Dental", plan: "PPO", procedure_code: "D1110" })
+        });
+        return { status: res.status, body: await res.json() };
+      };
+
+      assert.strictEqual((await coverage({ "X-Tenant-Id": "north" })).body.covered, false);
+      assert.strictEqual((await coverage({ "X-Tenant-Id": "south", Authorization: "Bearer south-secret" })).body.covered, true);
+      assert.strictEqual((await coverage({ "X-Tenant-Id": "south" })).status, 401);
+      assert.strictEqual((await coverage({ "X-Tenant-Id": "south", Authorization: "Bearer wrong" })).status, 401);
+      assert.strictEqual((await coverage({ "X-Tenant-Id": "elsewhere" })).status, 403);
+      // No header and no default tenant: refused while any tenant has a token
+      assert.strictEqual((await coverage({})).status, 401);
+      assert.strictEqual((await coverage({ Authorization: "Bearer south-secret" })).status, 401);
+    } finally {
+      server.close();
+    }
+  }
+};
+
+await runTests("Tenant tests", tests);
@@ -0,0 +1,108 @@
+import { VoiceActivityDetector, frameEnergyDb, zeroCrossingRate, chunkFrames } from "../src/audio/index.js";
+import assert from "assert";
+import { runTests } from "./helpers/run.js";
+
+/**
+ * VAD unit tests on synthesized 8kHz PCM16 buffers
+ */
+const RATE = 8000;
+
+function tone(ms, freq = 220, amplitude = 8000) {
+  const out = new Int16Array(RATE * ms / 1000);
+  for (let i = 0; i < out.length; i++) out[i] = Math.round(amplitude * Math.sin(2 * Math.PI * freq * i / RATE));
+  return out;
+}
+
+// Deterministic white noise (LCG) so runs are reproducible
+function noise(ms, amplitude = 3000, seed = 1) {
+  const out = new Int16Array(RATE * ms / 1000);
+  let x = seed;
+  for (let i = 0; i < out.length; i++) {
+    x = (x * 1103515245 + 12345) & 0x7fffffff;
+    out[i] = Math.round(amplitude * ((x / 0x7fffffff) * 2 - 1));
+  }
+  return out;
+}
+
+function silence(ms) {
+  return new Int16Array(RATE * ms / 1000);
+}
+
+function mix(a, b) {
+  const out = new Int16Array(a.length);
+  for (let i = 0; i < a.length; i++) out[i] = Math.max(-32768, Math.min(32767, a[i] + b[i]));
+  return out;
+}
+
+// Feed audio in Twilio-sized 160-sample chunks and collect per-frame results
+function run(vad, pcm) {
+  return chunkFrames(pcm, 160).flatMap(frame => vad.process(frame));
+}
+
+const tests = {
+  "frame features"() {
+    assert(frameEnergyDb(silence(20)) <= -90, "silence should be near -96 dBFS");
+    assert(Math.abs(frameEnergyDb(tone(20, 220, 32767)) + 3) < 0.5, "full-scale sine is about -3 dBFS");
+    assert(zeroCrossingRate(tone(20, 200)) < 0.1, "low tone crosses zero rarely");
+    assert(zeroCrossingRate(noise(20)) > 0.4, "white noise crosses zero about half the time");
+  },
+
+  "silence is never speech"() {
+    const results = run(new VoiceActivityDetector(), silence(2000));
+    assert(results.every(r => !r.speech), "silence flagged as speech");
+  },
+
+  "tone starts speech after the onset delay"() {
+    const vad = new VoiceActivityDetector();
+    const results = run(vad, Int16Array.from([...silence(500), ...tone(500)]));
+    const startIndex = results.findIndex(r => r.started);
+    assert(startIndex !== -1, "speech never started");
+    // 25 silent frames, then 3 onset frames
+    assert.strictEqual(startIndex, 25 + 2);
+    assert(vad.speaking);
+    assert(vad.speechMs >= 400, `speechMs too short: ${vad.speechMs}`);
+  },
+
+  "speech ends after the hangover"() {
+    const results = run(new VoiceActivityDetector(), Int16Array.from([...tone(500), ...silence(600)]));
+    const endIndex = results.findIndex(r => r.ended);
+    assert(endIndex !== -1, "speech never ended");
+    // 25 tone frames, then 15 frames of hangover
+    assert.strictEqual(endIndex, 25 + 14);
+    assert(results.slice(25, endIndex).every(r => r.speech), "speech dropped during hangover");
+  },
+
+  "short clicks don't trigger speech"() {
+    const pcm = Int16Array.from([...silence(200), ...tone(40), ...silence(200), ...tone(40), ...silence(200)]);
+    assert(run(new VoiceActivityDetector(), pcm).every(r => !r.speech), "40ms bursts passed onset");
+  },
+
+  "loud white noise is rejected and raises the floor"() {
+    const vad = new VoiceActivityDetector();
+    const results = run(vad, noise(1500, 6000));
+    assert(results.every(r => !r.speech), "white noise flagged as speech");
+    const noiseDb = frameEnergyDb(noise(20, 6000));
+    assert(Math.abs(vad.noiseFloorDb - noiseDb) < 3, `floor ${vad.noiseFloorDb.toFixed(1)} should track noise ${noiseDb.toFixed(1)}`);
+  },
+
+  "tone is detected over background noise"() {
+    const vad = new VoiceActivityDetector();
+    run(vad, noise(1000, 1500));
+    const results = run(vad, mix(tone(500, 220, 10000), noise(500, 1500, 7)));
+    assert(results.some(r => r.started), "speech over noise not detected");
+  },
+
+  "steady hum is adapted away"() {
+    const vad = new VoiceActivityDetector();
+    const hum = tone(4000, 120, 800);
+    const results = run(vad, hum);
+    assert(results.some(r => r.ended), "hum never stopped counting as speech");
+    assert(!results[results.length - 1].speech, "hum still speech after 4s");
+
+    // A louder voice on top of the hum is still picked up
+    const after = run(vad, mix(tone(400, 120, 800), tone(400, 300, 9000)));
+    assert(after.some(r => r.started), "speech over adapted hum not detected");
+  }
+};
+
+await runTests("VAD unit tests", tests);